@@ -0,0 +1,56 @@
+// Shared by the market proxies: per-provider token buckets and a bounded
+// parallel map. The leading underscore keeps this file from being deployed
+// as a route.
+
+// Requests (Twelve Data: symbols) per minute on the free tiers; set the env
+// vars to match a paid plan
+const RATE_LIMITS = {
+  twelveData: Number(process.env.TWELVE_DATA_RPM) || 8,
+  finnhub: Number(process.env.FINNHUB_RPM) || 60,
+  polygon: Number(process.env.POLYGON_RPM) || 5,
+};
+
+// One token bucket per provider, refilled continuously up to a minute's
+// budget. Kept on `global` so warm invocations — and the quote and history
+// proxies, when they share an instance — draw on one budget.
+const BUCKETS = global.__providerBuckets || {};
+global.__providerBuckets = BUCKETS;
+
+function bucket(name) {
+  const now = Date.now();
+  const perMin = RATE_LIMITS[name];
+  const b = (BUCKETS[name] ||= { tokens: perMin, at: now });
+  b.tokens = Math.min(perMin, b.tokens + ((now - b.at) / 60000) * perMin);
+  b.at = now;
+  return b;
+}
+
+// Takes up to n whole tokens; returns how many were granted
+function take(name, n) {
+  const b = bucket(name);
+  const granted = Math.max(0, Math.min(n, Math.floor(b.tokens)));
+  b.tokens -= granted;
+  return granted;
+}
+
+// For a provider that answered 429 despite our budget: spend the rest so
+// later calls this minute skip straight to the next provider
+function exhaust(name) {
+  bucket(name).tokens = 0;
+}
+
+// Calls fn for every item with at most `limit` calls in flight
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+module.exports = { take, exhaust, mapLimit };
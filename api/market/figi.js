@@ -0,0 +1,78 @@
+const CACHE = global.__figiCache || new Map();
+global.__figiCache = CACHE;
+
+const TTL_MS = 24 * 60 * 60 * 1000;
+const OPENFIGI_URL = "https://api.openfigi.com/v3/mapping";
+// OpenFIGI takes 10 jobs per request without a key, 100 with one
+const BATCH = process.env.OPENFIGI_API_KEY ? 100 : 10;
+const MAX_JOBS = 100;
+const ID_TYPES = ["ID_ISIN", "ID_WERTPAPIER"];
+
+function json(res, code, payload) {
+  res.statusCode = code;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(payload));
+}
+
+function sanitizeJob(raw) {
+  const idType = ID_TYPES.includes(raw?.idType) ? raw.idType : null;
+  const idValue = String(raw?.idValue || "").toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 12);
+  if (!idType || !idValue) return null;
+  const job = { idType, idValue };
+  if (/^[A-Z0-9]{4}$/.test(String(raw.micCode || ""))) job.micCode = raw.micCode;
+  if (/^[A-Z]{3}$/.test(String(raw.currency || ""))) job.currency = raw.currency;
+  return job;
+}
+
+async function postJobs(jobs) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 10000);
+  try {
+    const headers = { "Content-Type": "application/json" };
+    if (process.env.OPENFIGI_API_KEY) headers["X-OPENFIGI-APIKEY"] = process.env.OPENFIGI_API_KEY;
+    const response = await fetch(OPENFIGI_URL, { method: "POST", headers, body: JSON.stringify(jobs), signal: controller.signal });
+    if (!response.ok) throw new Error(`OpenFIGI HTTP ${response.status}`);
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Identifier → listings. Answers are cached per job; only jobs not seen in
+// the last day go to OpenFIGI, in batches its rate limits allow.
+module.exports = async function handler(req, res) {
+  if (req.method !== "POST") return json(res, 405, { ok: false, error: "Method not allowed" });
+
+  try {
+    const raw = Array.isArray(req.body?.jobs) ? req.body.jobs.slice(0, MAX_JOBS) : [];
+    const jobs = raw.map(sanitizeJob);
+    if (!jobs.some(Boolean)) return json(res, 400, { ok: false, error: "jobs[] is required" });
+
+    const now = Date.now();
+    const keyOf = job => JSON.stringify(job);
+    const results = jobs.map(job => {
+      const hit = job && CACHE.get(keyOf(job));
+      return hit && hit.expiresAt > now ? hit.answer : null;
+    });
+
+    const pending = jobs.map((job, i) => (job && !results[i] ? i : -1)).filter(i => i >= 0);
+    for (let start = 0; start < pending.length; start += BATCH) {
+      const idx = pending.slice(start, start + BATCH);
+      const answers = await postJobs(idx.map(i => jobs[i]));
+      idx.forEach((i, k) => {
+        const answer = answers?.[k] || { warning: "No answer" };
+        results[i] = answer;
+        // Errors are retried on the next request; matches and "not found" are kept
+        if (!answer.error) CACHE.set(keyOf(jobs[i]), { answer, expiresAt: now + TTL_MS });
+      });
+    }
+
+    return json(res, 200, {
+      ok: true,
+      fetchedAt: new Date().toISOString(),
+      results: results.map(r => r || { error: "Invalid job" }),
+    });
+  } catch (error) {
+    return json(res, 500, { ok: false, error: error?.message || "Instrument mapping error" });
+  }
+};
@@ -31,7 +31,7 @@ module.exports = async function handler(req, res) {
   try {
     const base = sanitizeCode(req.query.base || "USD");
     const symbolsRaw = String(req.query.symbols || "EUR,USD,GBP,CHF").split(",");
-    const symbols = [...new Set(symbolsRaw.map(sanitizeCode).filter(Boolean))].slice(0, 10);
+    const symbols = [...new Set(symbolsRaw.map(sanitizeCode).filter(Boolean))].slice(0, 16);
 
     const cacheKey = `${base}:${symbols.join(",")}`;
     const now = Date.now();
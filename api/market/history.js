@@ -0,0 +1,264 @@
+const { take, exhaust, mapLimit } = require("./_limits");
+
+const CACHE = global.__historyCache || new Map();
+global.__historyCache = CACHE;
+
+// Closed days don't change; the current day's bar does, so ranges reaching
+// today are kept for an hour and older ranges for a week
+const TTL_OPEN_MS = 60 * 60 * 1000;
+const TTL_CLOSED_MS = 7 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ASSETS = 40;
+const MAX_DAYS = 10 * 366;
+const MAX_CONCURRENCY = 4;
+// Keys include the date range, so a warm instance sees a new key for every
+// window asked for; expired series are dropped on write and the oldest go
+// once the cache is full
+const MAX_CACHE_ENTRIES = 500;
+
+function remember(key, entry, expiresAt) {
+  const now = Date.now();
+  for (const [k, v] of CACHE) if (v.expiresAt <= now) CACHE.delete(k);
+  CACHE.delete(key);
+  while (CACHE.size >= MAX_CACHE_ENTRIES) CACHE.delete(CACHE.keys().next().value);
+  CACHE.set(key, { entry, expiresAt });
+}
+
+function json(res, code, payload) {
+  res.statusCode = code;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(payload));
+}
+
+function sanitizeTicker(raw) {
+  return String(raw || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9.&]/g, "")
+    .slice(0, 12);
+}
+
+function sanitizeKey(raw) {
+  return String(raw || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9.&@/-]/g, "")
+    .slice(0, 24);
+}
+
+// Kept as written so pence ("GBp", "GBX") can be told apart from pounds
+function sanitizeCurrency(raw) {
+  const v = String(raw || "").replace(/[^A-Za-z]/g, "");
+  return v.length === 3 ? v : null;
+}
+
+function sanitizeDate(raw) {
+  const v = String(raw || "").slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(v) && Number.isFinite(Date.parse(`${v}T00:00:00Z`)) ? v : null;
+}
+
+function isoDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+async function fetchJson(url, opts = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), opts.timeoutMs || 10000);
+  try {
+    const response = await fetch(url, { signal: controller.signal, headers: opts.headers || {} });
+    if (!response.ok) throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Bars are { t: "YYYY-MM-DD", o, h, l, c }, oldest first, one per day
+function bar(t, o, h, l, c) {
+  const n = [o, h, l, c].map(Number);
+  return n.every(Number.isFinite) ? { t, o: n[0], h: n[1], l: n[2], c: n[3] } : null;
+}
+
+// Series are returned in the listing's major unit, like quotes: pence bars
+// are scaled to pounds
+function inMajorUnit(bars, currency) {
+  if (currency !== "GBp" && currency !== "GBX") return { bars, currency: currency ? currency.toUpperCase() : null };
+  return { bars: bars.map(b => ({ t: b.t, o: b.o / 100, h: b.h / 100, l: b.l / 100, c: b.c / 100 })), currency: "GBP" };
+}
+
+function inRange(bars, from, to) {
+  const seen = new Set();
+  return bars
+    .filter(b => b && b.t >= from && b.t <= to && !seen.has(b.t) && seen.add(b.t))
+    .sort((a, b) => (a.t < b.t ? -1 : 1));
+}
+
+// ─── PROVIDERS ────────────────────────────────────────────────
+// CoinGecko's market_chart has prices only; each UTC day's samples are folded
+// into a bar (hourly samples up to 90 days, daily closes beyond)
+async function historyFromCoinGecko(asset, from, to) {
+  if (!asset.coingeckoId) return null;
+  const fromSec = Math.floor(Date.parse(`${from}T00:00:00Z`) / 1000);
+  const toSec = Math.floor(Date.parse(`${to}T23:59:59Z`) / 1000);
+  const data = await fetchJson(
+    `https://api.coingecko.com/api/v3/coins/${encodeURIComponent(asset.coingeckoId)}/market_chart/range?vs_currency=usd&from=${fromSec}&to=${toSec}`
+  );
+  const days = new Map();
+  for (const [ms, price] of data?.prices || []) {
+    if (!Number.isFinite(price)) continue;
+    const t = isoDay(ms);
+    const d = days.get(t);
+    if (!d) days.set(t, { t, o: price, h: price, l: price, c: price });
+    else { d.h = Math.max(d.h, price); d.l = Math.min(d.l, price); d.c = price; }
+  }
+  return days.size ? { bars: [...days.values()], source: "coingecko", currency: "USD" } : null;
+}
+
+// Binance caps klines at 1000 per call, so longer ranges take a few pages
+async function historyFromBinance(asset, from, to) {
+  if (!asset.binanceSymbol) return null;
+  const end = Date.parse(`${to}T23:59:59Z`);
+  let start = Date.parse(`${from}T00:00:00Z`);
+  const bars = [];
+  for (let page = 0; page < 3 && start <= end; page++) {
+    const rows = await fetchJson(
+      `https://api.binance.com/api/v3/klines?symbol=${encodeURIComponent(asset.binanceSymbol)}&interval=1d&startTime=${start}&endTime=${end}&limit=1000`
+    );
+    if (!Array.isArray(rows) || !rows.length) break;
+    for (const r of rows) bars.push(bar(isoDay(r[0]), r[1], r[2], r[3], r[4]));
+    start = rows[rows.length - 1][0] + DAY_MS;
+    if (rows.length < 1000) break;
+  }
+  return bars.length ? { bars, source: "binance", currency: "USD" } : null;
+}
+
+// Running out of credits is reported in the body with HTTP 200
+async function historyFromTwelveData(asset, from, to) {
+  const data = await fetchJson(
+    `https://api.twelvedata.com/time_series?symbol=${encodeURIComponent(asset.twelveData)}&interval=1day&start_date=${from}&end_date=${to}&outputsize=5000&apikey=${encodeURIComponent(process.env.TWELVE_DATA_API_KEY)}`
+  );
+  if (data?.code === 429) throw Object.assign(new Error("Twelve Data credits exhausted"), { status: 429 });
+  const bars = (data?.values || []).map(v => bar(String(v.datetime).slice(0, 10), v.open, v.high, v.low, v.close));
+  return bars.length ? { bars, source: "twelve-data", currency: sanitizeCurrency(data.meta?.currency) || asset.currency } : null;
+}
+
+async function historyFromFinnhub(asset, from, to) {
+  const fromSec = Math.floor(Date.parse(`${from}T00:00:00Z`) / 1000);
+  const toSec = Math.floor(Date.parse(`${to}T23:59:59Z`) / 1000);
+  const data = await fetchJson(
+    `https://finnhub.io/api/v1/stock/candle?symbol=${encodeURIComponent(asset.finnhub)}&resolution=D&from=${fromSec}&to=${toSec}&token=${encodeURIComponent(process.env.FINNHUB_API_KEY)}`
+  );
+  if (data?.s !== "ok" || !Array.isArray(data.t)) return null;
+  const bars = data.t.map((sec, i) => bar(isoDay(sec * 1000), data.o[i], data.h[i], data.l[i], data.c[i]));
+  // Candles carry no currency: bare symbols are US listings
+  return bars.length ? { bars, source: "finnhub", currency: asset.currency || (asset.finnhub.includes(".") ? null : "USD") } : null;
+}
+
+async function historyFromPolygon(asset, from, to) {
+  const data = await fetchJson(
+    `https://api.polygon.io/v2/aggs/ticker/${encodeURIComponent(asset.polygon)}/range/1/day/${from}/${to}?adjusted=true&sort=asc&limit=5000&apiKey=${encodeURIComponent(process.env.POLYGON_API_KEY)}`
+  );
+  const bars = (data?.results || []).map(r => bar(isoDay(r.t), r.o, r.h, r.l, r.c));
+  return bars.length ? { bars, source: "polygon", currency: "USD" } : null;
+}
+
+// Same routing as /api/market/quotes: the first provider with data wins.
+// Keyed providers are metered by the shared token buckets, one token per
+// series; one that's out of budget is skipped rather than called over quota.
+const CHAINS = {
+  crypto: [{ name: "coingecko", fetch: historyFromCoinGecko }, { name: "binance", fetch: historyFromBinance }],
+  equity: [
+    { name: "twelveData", env: "TWELVE_DATA_API_KEY", fetch: historyFromTwelveData },
+    { name: "finnhub", env: "FINNHUB_API_KEY", fetch: historyFromFinnhub },
+    { name: "polygon", env: "POLYGON_API_KEY", fetch: historyFromPolygon },
+  ],
+};
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return json(res, 405, { ok: false, error: "Method not allowed" });
+
+  try {
+    const body = req.method === "POST" ? (req.body || {}) : req.query;
+    const assetsRaw = Array.isArray(body.assets) ? body.assets.slice(0, MAX_ASSETS) : [];
+
+    const today = isoDay(Date.now());
+    const to = sanitizeDate(body.to) && sanitizeDate(body.to) < today ? sanitizeDate(body.to) : today;
+    const earliest = isoDay(Date.parse(`${to}T00:00:00Z`) - MAX_DAYS * DAY_MS);
+    const from = sanitizeDate(body.from) && sanitizeDate(body.from) > earliest ? sanitizeDate(body.from) : earliest;
+    if (from > to) return json(res, 400, { ok: false, error: "from must not be after to" });
+
+    const normalizedAssets = assetsRaw
+      .map(item => ({
+        ticker: sanitizeTicker(item?.ticker),
+        key: sanitizeKey(item?.key) || sanitizeTicker(item?.ticker),
+        currency: sanitizeCurrency(item?.currency),
+        cat: String(item?.cat || "Other"),
+        map: item?.map && typeof item.map === "object" ? item.map : {},
+      }))
+      .filter(item => item.ticker);
+
+    if (!normalizedAssets.length) return json(res, 400, { ok: false, error: "assets[] is required" });
+
+    const providerHealth = {
+      coingecko: "not-used",
+      binance: "not-used",
+      twelveData: "not-used",
+      finnhub: "not-used",
+      polygon: "not-used",
+    };
+    const series = {};
+    const now = Date.now();
+    const ttl = to === today ? TTL_OPEN_MS : TTL_CLOSED_MS;
+
+    const mark = (name, status) => {
+      if (providerHealth[name] !== "ok") providerHealth[name] = status;
+    };
+
+    // Series are cached per asset and range, so a request that adds one
+    // asset doesn't refetch the others. Assets are fetched a few at a time.
+    await mapLimit(normalizedAssets, MAX_CONCURRENCY, async a => {
+      const asset = { ticker: a.ticker, key: a.key, ...a.map, currency: a.currency, assetClass: a.map.assetClass || (a.cat === "Crypto" ? "crypto" : "equity") };
+      const cacheKey = JSON.stringify([a.map, a.ticker, a.currency, from, to]);
+      const cached = CACHE.get(cacheKey);
+      if (cached && cached.expiresAt > now) {
+        series[a.key] = { ...cached.entry, cached: true };
+        return;
+      }
+
+      for (const provider of CHAINS[asset.assetClass === "crypto" ? "crypto" : "equity"]) {
+        if (provider.env) {
+          if (!process.env[provider.env] || !asset[provider.name]) continue;
+          if (!take(provider.name, 1)) {
+            mark(provider.name, "rate-limited");
+            continue;
+          }
+        }
+        const got = await provider.fetch(asset, from, to).catch(error => {
+          if (error?.status === 429 && provider.env) exhaust(provider.name);
+          mark(provider.name, error?.status === 429 ? "rate-limited" : "error");
+          return null;
+        });
+        const bars = got ? inRange(got.bars, from, to) : [];
+        if (!bars.length) continue;
+        providerHealth[provider.name] = "ok";
+        series[a.key] = { source: got.source, ...inMajorUnit(bars, got.currency) };
+        remember(cacheKey, series[a.key], now + ttl);
+        return;
+      }
+    });
+
+    const unresolved = normalizedAssets
+      .filter(a => !series[a.key])
+      .map(a => ({ ticker: a.ticker, key: a.key }));
+
+    return json(res, 200, {
+      ok: true,
+      fetchedAt: new Date().toISOString(),
+      from,
+      to,
+      providerHealth,
+      series,
+      unresolved,
+    });
+  } catch (error) {
+    return json(res, 500, { ok: false, error: error?.message || "History proxy error" });
+  }
+};
@@ -1,19 +1,13 @@
+const { take, exhaust, mapLimit } = require("./_limits");
+
 const CACHE = global.__quotesCache || new Map();
 global.__quotesCache = CACHE;
 
 const TTL_MS = 60 * 1000;
-const DEFAULT_SYMBOL_MAP = {
-  BTC: { assetClass: "crypto", coingeckoId: "bitcoin", binanceSymbol: "BTCUSDT" },
-  ETH: { assetClass: "crypto", coingeckoId: "ethereum", binanceSymbol: "ETHUSDT" },
-  NVDA: { assetClass: "equity", twelveData: "NVDA", finnhub: "NVDA", polygon: "NVDA" },
-  AAPL: { assetClass: "equity", twelveData: "AAPL", finnhub: "AAPL", polygon: "AAPL" },
-  MSFT: { assetClass: "equity", twelveData: "MSFT", finnhub: "MSFT", polygon: "MSFT" },
-  KO: { assetClass: "equity", twelveData: "KO", finnhub: "KO", polygon: "KO" },
-  JNJ: { assetClass: "equity", twelveData: "JNJ", finnhub: "JNJ", polygon: "JNJ" },
-  SPY: { assetClass: "equity", twelveData: "SPY", finnhub: "SPY", polygon: "SPY" },
-  VWCE: { assetClass: "equity", twelveData: "VWCE.DE", finnhub: "VWCE.DE", polygon: "VWCE" },
-  VHYL: { assetClass: "equity", twelveData: "VHYL.LON", finnhub: "VHYL.L", polygon: "VHYL" },
-};
+const MAX_CONCURRENCY = 4;
+// Twelve Data accepts up to 120 symbols per call; smaller batches keep one
+// failed call from taking every equity with it
+const TWELVE_DATA_BATCH = 30;
 
 function json(res, code, payload) {
   res.statusCode = code;
@@ -28,12 +22,39 @@ function sanitizeTicker(raw) {
     .slice(0, 12);
 }
 
+// Instrument keys are "ISIN@MIC/CCY" for assets with an identity
+function sanitizeKey(raw) {
+  return String(raw || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9.&@/-]/g, "")
+    .slice(0, 24);
+}
+
+// Kept as written so pence ("GBp", "GBX") can be told apart from pounds
+function sanitizeCurrency(raw) {
+  const v = String(raw || "").replace(/[^A-Za-z]/g, "");
+  return v.length === 3 ? v : null;
+}
+
+// Quotes are { price, currency, dayChangePct, source } in the listing's
+// major unit; London lines quoted in pence come back in pounds. A null
+// currency means the provider didn't say and the listing isn't known.
+function toQuote(price, currency, dayChangePct, source) {
+  const pence = currency === "GBp" || currency === "GBX";
+  return {
+    price: pence ? price / 100 : price,
+    currency: pence ? "GBP" : currency ? currency.toUpperCase() : null,
+    dayChangePct,
+    source,
+  };
+}
+
 async function fetchJson(url, opts = {}) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), opts.timeoutMs || 7000);
   try {
     const response = await fetch(url, { signal: controller.signal, headers: opts.headers || {} });
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    if (!response.ok) throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
     return await response.json();
   } finally {
     clearTimeout(timeout);
@@ -41,11 +62,11 @@ async function fetchJson(url, opts = {}) {
 }
 
 async function quoteFromCoinGecko(assets) {
-  const idToTicker = {};
+  const idToKeys = {};
   for (const asset of assets) {
-    if (asset.coingeckoId) idToTicker[asset.coingeckoId] = asset.ticker;
+    if (asset.coingeckoId) (idToKeys[asset.coingeckoId] ||= []).push(asset.key);
   }
-  const ids = Object.keys(idToTicker);
+  const ids = Object.keys(idToKeys);
   if (!ids.length) return {};
 
   const data = await fetchJson(
@@ -53,14 +74,12 @@ async function quoteFromCoinGecko(assets) {
   );
 
   const out = {};
-  for (const [id, ticker] of Object.entries(idToTicker)) {
+  for (const [id, keys] of Object.entries(idToKeys)) {
     const row = data[id];
     if (!row || typeof row.usd !== "number") continue;
-    out[ticker] = {
-      priceUsd: row.usd,
-      dayChangePct: typeof row.usd_24h_change === "number" ? row.usd_24h_change : 0,
-      source: "coingecko",
-    };
+    for (const key of keys) {
+      out[key] = toQuote(row.usd, "USD", typeof row.usd_24h_change === "number" ? row.usd_24h_change : 0, "coingecko");
+    }
   }
   return out;
 }
@@ -71,22 +90,40 @@ async function quoteFromBinance(asset) {
   const price = parseFloat(data.lastPrice);
   const change = parseFloat(data.priceChangePercent);
   if (!Number.isFinite(price)) return null;
-  return { priceUsd: price, dayChangePct: Number.isFinite(change) ? change : 0, source: "binance" };
+  // USDT pairs, taken at par with the dollar
+  return toQuote(price, "USD", Number.isFinite(change) ? change : 0, "binance");
 }
 
-async function quoteFromTwelveData(asset) {
-  if (!process.env.TWELVE_DATA_API_KEY || !asset.twelveData) return null;
+// A comma-separated symbol list comes back as an object keyed by symbol, a
+// single symbol as the bare quote. Running out of credits is reported in the
+// body with HTTP 200. Each row names its currency; the listing's is the
+// fallback.
+async function quotesFromTwelveData(assets) {
+  const bySymbol = {};
+  for (const asset of assets) (bySymbol[asset.twelveData] ||= []).push(asset);
+  const symbols = Object.keys(bySymbol);
   const data = await fetchJson(
-    `https://api.twelvedata.com/quote?symbol=${encodeURIComponent(asset.twelveData)}&apikey=${encodeURIComponent(process.env.TWELVE_DATA_API_KEY)}`
+    `https://api.twelvedata.com/quote?symbol=${encodeURIComponent(symbols.join(","))}&apikey=${encodeURIComponent(process.env.TWELVE_DATA_API_KEY)}`
   );
-  const price = parseFloat(data.close || data.price);
-  const change = parseFloat(data.percent_change);
-  if (!Number.isFinite(price)) return null;
-  return { priceUsd: price, dayChangePct: Number.isFinite(change) ? change : 0, source: "twelve-data" };
+  if (data?.code === 429) throw Object.assign(new Error("Twelve Data credits exhausted"), { status: 429 });
+  // A bad key or plan answers 200 with an error body rather than quote rows
+  if (data?.status === "error") throw Object.assign(new Error(data.message || "Twelve Data error"), { status: data.code });
+  const rows = symbols.length === 1 ? { [symbols[0]]: data } : data;
+
+  const out = {};
+  for (const [sym, listed] of Object.entries(bySymbol)) {
+    const row = rows?.[sym];
+    const price = parseFloat(row?.close || row?.price);
+    const change = parseFloat(row?.percent_change);
+    if (!Number.isFinite(price)) continue;
+    for (const asset of listed) {
+      out[asset.key] = toQuote(price, sanitizeCurrency(row.currency) || asset.currency, Number.isFinite(change) ? change : 0, "twelve-data");
+    }
+  }
+  return out;
 }
 
 async function quoteFromFinnhub(asset) {
-  if (!process.env.FINNHUB_API_KEY || !asset.finnhub) return null;
   const data = await fetchJson(
     `https://finnhub.io/api/v1/quote?symbol=${encodeURIComponent(asset.finnhub)}&token=${encodeURIComponent(process.env.FINNHUB_API_KEY)}`
   );
@@ -94,17 +131,19 @@ async function quoteFromFinnhub(asset) {
   const prev = parseFloat(data.pc);
   if (!Number.isFinite(price)) return null;
   const pct = Number.isFinite(prev) && prev > 0 ? ((price - prev) / prev) * 100 : 0;
-  return { priceUsd: price, dayChangePct: pct, source: "finnhub" };
+  // Finnhub's quote has no currency: bare symbols are US listings, suffixed
+  // ones need the listing's currency from the client
+  return toQuote(price, asset.currency || (asset.finnhub.includes(".") ? null : "USD"), pct, "finnhub");
 }
 
 async function quoteFromPolygon(asset) {
-  if (!process.env.POLYGON_API_KEY || !asset.polygon) return null;
   const data = await fetchJson(
     `https://api.polygon.io/v2/last/trade/${encodeURIComponent(asset.polygon)}?apiKey=${encodeURIComponent(process.env.POLYGON_API_KEY)}`
   );
   const price = parseFloat(data?.results?.p);
   if (!Number.isFinite(price)) return null;
-  return { priceUsd: price, dayChangePct: 0, source: "polygon" };
+  // Polygon only covers US listings
+  return toQuote(price, "USD", 0, "polygon");
 }
 
 async function quoteFromCoinMarketCap(asset) {
@@ -115,11 +154,49 @@ async function quoteFromCoinMarketCap(asset) {
   );
   const row = data?.data?.[asset.ticker]?.[0]?.quote?.USD;
   if (!row || typeof row.price !== "number") return null;
-  return {
-    priceUsd: row.price,
-    dayChangePct: typeof row.percent_change_24h === "number" ? row.percent_change_24h : 0,
-    source: "coinmarketcap",
+  return toQuote(row.price, "USD", typeof row.percent_change_24h === "number" ? row.percent_change_24h : 0, "coinmarketcap");
+}
+
+// Finnhub's and Polygon's quote endpoints take one symbol per call
+const single = fn => async ([asset]) => {
+  const quote = await fn(asset);
+  return quote ? { [asset.key]: quote } : {};
+};
+
+const EQUITY_CHAIN = [
+  { name: "twelveData", env: "TWELVE_DATA_API_KEY", batch: TWELVE_DATA_BATCH, fetch: quotesFromTwelveData },
+  { name: "finnhub", env: "FINNHUB_API_KEY", batch: 1, fetch: single(quoteFromFinnhub) },
+  { name: "polygon", env: "POLYGON_API_KEY", batch: 1, fetch: single(quoteFromPolygon) },
+];
+
+// One provider's pass over the assets still without a quote. Each symbol
+// costs a token; those beyond the bucket's budget, like those the provider
+// fails on, are left for the next provider rather than sent over quota.
+async function runEquityStage(stage, assets, providerHealth) {
+  const eligible = process.env[stage.env] ? assets.filter(a => a[stage.name]) : [];
+  if (!eligible.length) return {};
+  const mark = status => {
+    if (providerHealth[stage.name] !== "ok") providerHealth[stage.name] = status;
   };
+
+  const granted = take(stage.name, eligible.length);
+  if (granted < eligible.length) mark("rate-limited");
+  const chunks = [];
+  for (let i = 0; i < granted; i += stage.batch) chunks.push(eligible.slice(i, Math.min(i + stage.batch, granted)));
+
+  const found = await mapLimit(chunks, MAX_CONCURRENCY, chunk =>
+    stage.fetch(chunk)
+      .then(quotes => {
+        if (Object.keys(quotes).length) providerHealth[stage.name] = "ok";
+        return quotes;
+      })
+      .catch(error => {
+        if (error?.status === 429) exhaust(stage.name);
+        mark(error?.status === 429 ? "rate-limited" : "error");
+        return {};
+      })
+  );
+  return Object.assign({}, ...found);
 }
 
 module.exports = async function handler(req, res) {
@@ -133,6 +210,8 @@ module.exports = async function handler(req, res) {
     const normalizedAssets = assetsRaw
       .map(item => ({
         ticker: sanitizeTicker(item?.ticker),
+        key: sanitizeKey(item?.key) || sanitizeTicker(item?.ticker),
+        currency: sanitizeCurrency(item?.currency),
         cat: String(item?.cat || "Other"),
         map: item?.map && typeof item.map === "object" ? item.map : {},
       }))
@@ -147,10 +226,14 @@ module.exports = async function handler(req, res) {
       return json(res, 200, { ...cached.payload, cached: true });
     }
 
+    // Provider symbols come from the client, which stores the mapping
+    // resolved through /api/market/search on each asset. Quotes come back
+    // under each asset's instrument key, so two listings of one ticker
+    // don't overwrite each other. `currency` is the listing's trading
+    // currency, for providers that don't report one.
     const mergedAssets = normalizedAssets.map(a => {
-      const defaults = DEFAULT_SYMBOL_MAP[a.ticker] || {};
-      const assetClass = a.cat === "Crypto" ? "crypto" : (defaults.assetClass || "equity");
-      return { ticker: a.ticker, assetClass, ...defaults, ...a.map };
+      const assetClass = a.map.assetClass || (a.cat === "Crypto" ? "crypto" : "equity");
+      return { ticker: a.ticker, key: a.key, ...a.map, currency: a.currency, assetClass };
     });
 
     const quotes = {};
@@ -169,38 +252,33 @@ module.exports = async function handler(req, res) {
       return {};
     });
     if (Object.keys(cgQuotes).length) providerHealth.coingecko = "ok";
-    for (const [ticker, quote] of Object.entries(cgQuotes)) quotes[ticker] = quote;
+    for (const [key, quote] of Object.entries(cgQuotes)) quotes[key] = quote;
 
-    for (const asset of cryptoAssets) {
-      if (quotes[asset.ticker]) continue;
+    await mapLimit(cryptoAssets.filter(a => !quotes[a.key]), MAX_CONCURRENCY, async asset => {
       const cmc = await quoteFromCoinMarketCap(asset).catch(() => null);
       if (cmc) {
         providerHealth.coinmarketcap = "ok";
-        quotes[asset.ticker] = cmc;
-        continue;
+        quotes[asset.key] = cmc;
+        return;
       }
       const binance = await quoteFromBinance(asset).catch(() => null);
       if (binance) {
         providerHealth.binance = "ok";
-        quotes[asset.ticker] = binance;
+        quotes[asset.key] = binance;
       }
-    }
-
-    const equityAssets = mergedAssets.filter(a => a.assetClass !== "crypto");
-    for (const asset of equityAssets) {
-      let quote = await quoteFromTwelveData(asset).catch(() => null);
-      if (quote) providerHealth.twelveData = "ok";
-      if (!quote) quote = await quoteFromFinnhub(asset).catch(() => null);
-      if (quote && quote.source === "finnhub") providerHealth.finnhub = "ok";
-      if (!quote) quote = await quoteFromPolygon(asset).catch(() => null);
-      if (quote && quote.source === "polygon") providerHealth.polygon = "ok";
+    });
 
-      if (quote) quotes[asset.ticker] = quote;
+    // Equities go through the chain a provider at a time rather than an
+    // asset at a time, so each provider sees one batch of what's left
+    for (const stage of EQUITY_CHAIN) {
+      const pending = mergedAssets.filter(a => a.assetClass !== "crypto" && !quotes[a.key]);
+      if (!pending.length) break;
+      Object.assign(quotes, await runEquityStage(stage, pending, providerHealth));
     }
 
     const unresolved = mergedAssets
-      .filter(a => !quotes[a.ticker])
-      .map(a => ({ ticker: a.ticker, assetClass: a.assetClass }));
+      .filter(a => !quotes[a.key])
+      .map(a => ({ ticker: a.ticker, key: a.key, assetClass: a.assetClass }));
 
     const payload = {
       ok: true,
@@ -0,0 +1,184 @@
+const CACHE = global.__searchCache || new Map();
+global.__searchCache = CACHE;
+
+const TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_RESULTS = 10;
+
+// Exchange (MIC) → ticker suffix used by Finnhub; US venues have none.
+// Polygon only covers US listings.
+const US_MICS = ["XNAS", "XNYS", "ARCX", "BATS", "XASE", "XNGS", "XNMS"];
+const FINNHUB_SUFFIX = {
+  XETR: ".DE", XFRA: ".F", XLON: ".L", XAMS: ".AS", XPAR: ".PA", XBRU: ".BR",
+  XMIL: ".MI", XMAD: ".MC", XSWX: ".SW", XSTO: ".ST", XHEL: ".HE", XCSE: ".CO",
+  XOSL: ".OL", XWBO: ".VI", XTSE: ".TO", XASX: ".AX", XHKG: ".HK", XTKS: ".T",
+};
+
+function json(res, code, payload) {
+  res.statusCode = code;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(payload));
+}
+
+function sanitizeQuery(raw) {
+  return String(raw || "").replace(/[^\p{L}\p{N} .&-]/gu, "").trim().slice(0, 48);
+}
+
+async function fetchJson(url, opts = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), opts.timeoutMs || 7000);
+  try {
+    const response = await fetch(url, { signal: controller.signal, headers: opts.headers || {} });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// ISINs and WKNs are identifiers, anything else is a ticker or a name
+function queryKind(q) {
+  const v = q.toUpperCase().replace(/\s/g, "");
+  if (/^[A-Z]{2}[A-Z0-9]{9}\d$/.test(v)) return "isin";
+  if (/^[A-Z0-9]{6}$/.test(v) && /\d/.test(v)) return "wkn";
+  return "text";
+}
+
+function equityClass(type) {
+  return /bond|fixed income/i.test(type || "") ? "bond" : "equity";
+}
+
+// ─── PROVIDERS ────────────────────────────────────────────────
+async function searchCoinGecko(q) {
+  const data = await fetchJson(`https://api.coingecko.com/api/v3/search?query=${encodeURIComponent(q)}`);
+  return (data?.coins || []).slice(0, 5).map(c => {
+    const symbol = String(c.symbol || "").toUpperCase();
+    return {
+      ticker: symbol,
+      name: c.name || symbol,
+      exchange: null,
+      currency: "USD",
+      type: "Crypto",
+      assetClass: "crypto",
+      rank: c.market_cap_rank || 9999,
+      map: { assetClass: "crypto", coingeckoId: c.id, binanceSymbol: `${symbol}USDT`, currency: "USD" },
+      source: "coingecko",
+    };
+  });
+}
+
+async function searchTwelveData(q) {
+  const key = process.env.TWELVE_DATA_API_KEY ? `&apikey=${encodeURIComponent(process.env.TWELVE_DATA_API_KEY)}` : "";
+  const data = await fetchJson(`https://api.twelvedata.com/symbol_search?symbol=${encodeURIComponent(q)}&outputsize=${MAX_RESULTS}${key}`);
+  return (data?.data || []).map(r => {
+    const mic = r.mic_code || "";
+    const us = US_MICS.includes(mic);
+    const suffix = us ? "" : FINNHUB_SUFFIX[mic];
+    const assetClass = equityClass(r.instrument_type);
+    return {
+      ticker: r.symbol,
+      name: r.instrument_name || r.symbol,
+      exchange: mic || r.exchange || null,
+      currency: r.currency || null,
+      type: r.instrument_type || null,
+      assetClass,
+      rank: us ? 0 : 1,
+      map: {
+        assetClass,
+        twelveData: us || !r.exchange ? r.symbol : `${r.symbol}:${r.exchange}`,
+        ...(suffix != null ? { finnhub: `${r.symbol}${suffix}` } : {}),
+        ...(us ? { polygon: r.symbol } : {}),
+        ...(r.currency ? { currency: r.currency } : {}),
+      },
+      source: "twelve-data",
+    };
+  });
+}
+
+// Finnhub also resolves ISINs and other identifiers
+async function searchFinnhub(q) {
+  if (!process.env.FINNHUB_API_KEY) return [];
+  const data = await fetchJson(`https://finnhub.io/api/v1/search?q=${encodeURIComponent(q)}&token=${encodeURIComponent(process.env.FINNHUB_API_KEY)}`);
+  return (data?.result || []).slice(0, MAX_RESULTS).map(r => {
+    const assetClass = equityClass(r.type);
+    const base = String(r.displaySymbol || r.symbol).split(".")[0];
+    const us = !String(r.symbol).includes(".");
+    return {
+      ticker: base,
+      name: r.description || r.symbol,
+      exchange: null,
+      currency: null,
+      type: r.type || null,
+      assetClass,
+      rank: us ? 0 : 1,
+      map: { assetClass, finnhub: r.symbol, ...(us ? { twelveData: r.symbol, polygon: r.symbol, currency: "USD" } : {}) },
+      source: "finnhub",
+    };
+  });
+}
+
+// Listings found by more than one provider are merged, the first provider's
+// symbols winning; exact ticker matches come first, then US listings and
+// crypto by market cap.
+function mergeResults(q, lists) {
+  const byKey = new Map();
+  for (const r of lists.flat()) {
+    const key = `${r.ticker}|${r.assetClass === "crypto" ? "crypto" : r.exchange || ""}`;
+    const hit = byKey.get(key);
+    if (hit) hit.map = { ...r.map, ...hit.map };
+    else byKey.set(key, { ...r, map: { ...r.map } });
+  }
+  const exact = r => (r.ticker.toUpperCase() === q.toUpperCase() ? 0 : 1);
+  return [...byKey.values()]
+    .sort((a, b) => exact(a) - exact(b) || a.rank - b.rank)
+    .slice(0, MAX_RESULTS)
+    .map(({ rank, ...r }) => r);
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "GET") return json(res, 405, { ok: false, error: "Method not allowed" });
+
+  try {
+    const q = sanitizeQuery(req.query.q);
+    if (q.length < 2) return json(res, 400, { ok: false, error: "q must be at least 2 characters" });
+    const kind = queryKind(q);
+
+    const cacheKey = `${kind}:${q.toUpperCase()}`;
+    const now = Date.now();
+    const cached = CACHE.get(cacheKey);
+    if (cached && cached.expiresAt > now) {
+      return json(res, 200, { ...cached.payload, cached: true });
+    }
+
+    const providerHealth = { coingecko: "not-used", twelveData: "not-used", finnhub: "not-used" };
+    const track = (name, p) => p.then(list => {
+      providerHealth[name] = "ok";
+      return list;
+    }).catch(() => {
+      providerHealth[name] = "error";
+      return [];
+    });
+
+    // Identifiers only make sense for listed securities, so crypto is only
+    // searched by ticker or name
+    const lists = await Promise.all([
+      track("twelveData", searchTwelveData(q)),
+      process.env.FINNHUB_API_KEY ? track("finnhub", searchFinnhub(q)) : [],
+      kind === "text" ? track("coingecko", searchCoinGecko(q)) : [],
+    ]);
+
+    const payload = {
+      ok: true,
+      query: q,
+      kind,
+      fetchedAt: new Date().toISOString(),
+      providerHealth,
+      results: mergeResults(q, lists),
+    };
+
+    // Listings rarely change; a failed provider is retried on the next search
+    if (!Object.values(providerHealth).includes("error")) CACHE.set(cacheKey, { payload, expiresAt: now + TTL_MS });
+    return json(res, 200, payload);
+  } catch (error) {
+    return json(res, 500, { ok: false, error: error?.message || "Symbol search error" });
+  }
+};
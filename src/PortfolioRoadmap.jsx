@@ -27,14 +27,31 @@
  *  ✅ Print-friendly CSS
  */
 
-import { useState, useEffect, useMemo, useCallback, useRef, Component } from "react";
-import { fetchLiveQuotes, fetchFxRates, buildLiveModel, pushLocalSnapshot, persistSnapshotRemote } from "./services/marketData";
-import { importBrokerCsv, fetchBrokerPositionsAdapter } from "./services/brokerImport";
+import { useState, useEffect, useMemo, useCallback, useRef, useContext, createContext, Component, Fragment } from "react";
+import { fetchLiveQuotes, fetchFxRates, buildLiveModel, revalueHoldings, pushLocalSnapshot, persistSnapshotRemote, searchSymbols, autoMapSymbols, symbolsFor, hasSymbols, fetchPriceHistory, historyFor, HISTORY_RANGES } from "./services/marketData";
+import { importBrokerCsv, resolveInstruments, fetchBrokerPositionsAdapter } from "./services/brokerImport";
+import { sanitizeIdentity, sameInstrument, instrumentKey, mapInstruments, normalizeIsin, normalizeWkn } from "./services/instruments";
+import {
+  SHARE_DP, CAT_GROWTH, roundMoney, monthKeyOf, addMonths, scheduleContributions, contributionFor, executionDate, historyMonthKey, lockStatus, enrich, planMonth, optimizeMonth, planBuys, trackingError, runProjection, planRebalance,
+  ALLOCATION_STRATEGIES, DEFAULT_STRATEGY, ALLOCATION_ENGINES, REBALANCE_MODES,
+} from "./services/allocationEngine";
+import { runInWorker } from "./services/engineWorker";
+import { PRICE_SOURCES, defaultPriceSource, loadHistoricalPrices } from "./services/historicalPrices";
+import { TX_TYPES, LOT_METHODS, newTxId, activeTransactions, lockInTransactions, buildLots, ledgerMonths } from "./services/ledger";
+import { TAX_PROFILES, taxYearOf, taxYearLabel, taxYearsIn, buildTaxReport } from "./services/taxReport";
+import { RETURN_PERIODS } from "./services/performance";
+import { DIV_FREQUENCIES, dividendProfiles, incomeCalendar, annualIncome } from "./services/dividends";
+import { householdModel, routeHousehold, independentPlans, convertValue, ACCOUNT_KINDS } from "./services/household";
+import { buildTargetTree, flattenTree, setNodeShare } from "./services/targetTree";
+import { groupDimensions, groupOf, groupAssets, matchesGroup, kindOf } from "./services/grouping";
 
 // ─── CONSTANTS ────────────────────────────────────────────────
-const SCHEMA_VERSION = 4;
-const STORE_KEY      = "portfolio_roadmap_v4";
-const LEGACY_STORE_KEY = "portfolio_roadmap_v3";
+const SCHEMA_VERSION = 5;
+const STORE_KEY      = "portfolio_roadmap_v5";
+const LEGACY_STORE_KEYS = ["portfolio_roadmap_v4", "portfolio_roadmap_v3"];
+const WORKSPACE_KEY  = "portfolio_roadmap_workspace";
+const MAIN_PORTFOLIO = "main";
+const SUPPORTED_SCHEMAS = [2, 3, 4, 5];
 const CURRENCIES     = ["€", "$", "£", "CHF"];
 const CURRENCY_TO_ISO = { "€":"EUR", "$":"USD", "£":"GBP", "CHF":"CHF" };
 const ISO_TO_CURRENCY = { EUR:"€", USD:"$", GBP:"£", CHF:"CHF" };
@@ -43,10 +60,14 @@ const CAT_COLORS     = {
   Crypto: "#FF9800", Tech: "#5C6BC0", Dividend: "#66BB6A",
   ETF: "#42A5F5",   Bond: "#AB47BC", Commodity: "#EC407A", Other: "#78909C",
 };
+const MC_PATHS = [250, 1000, 2000, 5000];
 const CAT_ICONS = {
   Crypto: "coins", Tech: "laptop", Dividend: "handDollar",
   ETF: "layers", Bond: "shield", Commodity: "star", Other: "barChart",
 };
+// Icons offered for user-defined categories, and colours for tag groups
+const CATEGORY_ICON_CHOICES = ["barChart", "coins", "laptop", "handDollar", "layers", "shield", "star", "globe", "microchip", "chartPie", "bullseye", "wallet", "trendUp", "zap", "target", "tag"];
+const GROUP_PALETTE = ["#42A5F5", "#66BB6A", "#FF9800", "#AB47BC", "#EC407A", "#26A69A", "#5C6BC0", "#FFCA28", "#8D6E63", "#78909C"];
 const OFFICIAL_TICKER_ICONS = {
   BTC: "bitcoin",
   ETH: "ethereum",
@@ -59,28 +80,33 @@ const OFFICIAL_TICKER_ICONS = {
   VWCE: "vwce",
   VHYL: "vhyl",
 };
+// Fee schedules are per-order estimates in the display currency:
+// flat + pct% of order value (or the first matching tier), clamped to min/max.
+// `byCat` overrides the schedule for a category (e.g. crypto spreads).
+// `minOrder` is the smallest order value the platform accepts.
+// `supports` lists the categories it trades; without it, everything.
 const PLATFORMS = [
-  { id: "trade-republic",      name: "Trade Republic",      color: "#0fba48" },
-  { id: "interactive-brokers", name: "Interactive Brokers", color: "#e31837" },
-  { id: "revolut",             name: "Revolut",             color: "#4c6ef5" },
-  { id: "etoro",               name: "eToro",               color: "#11a65c" },
-  { id: "degiro",              name: "DEGIRO",              color: "#004990" },
-  { id: "robinhood",           name: "Robinhood",           color: "#00c805" },
-  { id: "coinbase",            name: "Coinbase",            color: "#0052ff" },
-  { id: "binance",             name: "Binance",             color: "#f3ba2f" },
-  { id: "scalable",            name: "Scalable Capital",    color: "#6c3af5" },
-  { id: "freedom24",           name: "Freedom24",           color: "#ff6b00" },
-  { id: "fidelity",            name: "Fidelity",            color: "#198c19" },
-  { id: "schwab",              name: "Schwab",              color: "#00a0dc" },
-  { id: "vanguard",            name: "Vanguard",            color: "#a61717" },
-  { id: "webull",              name: "Webull",              color: "#02adb4" },
-  { id: "freetrade",           name: "Freetrade",           color: "#00d5af" },
-  { id: "saxo",                name: "Saxo Bank",           color: "#1e3a5f" },
-  { id: "ig",                  name: "IG",                  color: "#0075c4" },
-  { id: "xtb",                 name: "XTB",                 color: "#e8001c" },
-  { id: "kraken",              name: "Kraken",              color: "#5741d9" },
-  { id: "bitpanda",            name: "Bitpanda",            color: "#e5304a" },
-  { id: "other",               name: "Other",               color: "#78909c" },
+  { id: "trade-republic",      name: "Trade Republic",      color: "#0fba48", fees: { flat: 1 }, minOrder: 1 },
+  { id: "interactive-brokers", name: "Interactive Brokers", color: "#e31837", fees: { tiers: [{ upTo: 50_000, pct: 0.05 }, { upTo: null, pct: 0.03 }], min: 1.25, max: 29 } },
+  { id: "revolut",             name: "Revolut",             color: "#4c6ef5", fees: { pct: 0.25, min: 1, byCat: { Crypto: { pct: 1.49 } } }, minOrder: 1 },
+  { id: "etoro",               name: "eToro",               color: "#11a65c", fees: { flat: 0, byCat: { Crypto: { pct: 1 } } } },
+  { id: "degiro",              name: "DEGIRO",              color: "#004990", fees: { flat: 1 }, supports: ["Tech", "Dividend", "ETF", "Bond", "Commodity", "Other"] },
+  { id: "robinhood",           name: "Robinhood",           color: "#00c805", fees: { flat: 0, byCat: { Crypto: { pct: 0.5 } } } },
+  { id: "coinbase",            name: "Coinbase",            color: "#0052ff", fees: { pct: 1.49, min: 0.99 }, minOrder: 1, supports: ["Crypto"] },
+  { id: "binance",             name: "Binance",             color: "#f3ba2f", fees: { pct: 0.1 }, minOrder: 5, supports: ["Crypto"] },
+  { id: "scalable",            name: "Scalable Capital",    color: "#6c3af5", fees: { flat: 0.99 }, minOrder: 10 },
+  { id: "freedom24",           name: "Freedom24",           color: "#ff6b00", fees: { flat: 1.2, pct: 0.02 } },
+  { id: "fidelity",            name: "Fidelity",            color: "#198c19", fees: { flat: 0 } },
+  { id: "schwab",              name: "Schwab",              color: "#00a0dc", fees: { flat: 0 } },
+  { id: "vanguard",            name: "Vanguard",            color: "#a61717", fees: { flat: 0 }, supports: ["ETF", "Bond"] },
+  { id: "webull",              name: "Webull",              color: "#02adb4", fees: { flat: 0, byCat: { Crypto: { pct: 1 } } } },
+  { id: "freetrade",           name: "Freetrade",           color: "#00d5af", fees: { flat: 0 }, supports: ["Tech", "Dividend", "ETF", "Bond", "Commodity", "Other"] },
+  { id: "saxo",                name: "Saxo Bank",           color: "#1e3a5f", fees: { pct: 0.08, min: 2 } },
+  { id: "ig",                  name: "IG",                  color: "#0075c4", fees: { flat: 3 } },
+  { id: "xtb",                 name: "XTB",                 color: "#e8001c", fees: { flat: 0, byCat: { Crypto: { pct: 0.5 } } } },
+  { id: "kraken",              name: "Kraken",              color: "#5741d9", fees: { pct: 0.4 }, minOrder: 5, supports: ["Crypto"] },
+  { id: "bitpanda",            name: "Bitpanda",            color: "#e5304a", fees: { pct: 1.49 }, minOrder: 1 },
+  { id: "other",               name: "Other",               color: "#78909c", fees: { flat: 0 } },
 ];
 
 // ─── SVG ICON LIBRARY ─────────────────────────────────────────
@@ -137,6 +163,8 @@ const Icons = {
   note:        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/></svg>,
   zap:         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/></svg>,
   target:      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="3"/><line x1="22" y1="12" x2="15" y2="12"/><line x1="9" y1="12" x2="2" y2="12"/></svg>,
+  tag:         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round"><path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/><line x1="7" y1="7" x2="7.01" y2="7"/></svg>,
+  search:      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round"><circle cx="11" cy="11" r="7"/><line x1="21" y1="21" x2="16.65" y2="16.65"/></svg>,
   refresh:     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round"><polyline points="23 4 23 10 17 10"/><polyline points="1 20 1 14 7 14"/><path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/></svg>,
 };
 const FAVICON_SOURCES = d => [
@@ -211,6 +239,21 @@ function PlatformBadge({ platformId }) {
   );
 }
 
+// ─── CATEGORIES ───────────────────────────────────────────────
+// Built-in and user-defined categories with their colours and icons, shared
+// through context so every view colours an asset the same way.
+function categoryInfo(custom = []) {
+  const byName = Object.fromEntries(custom.map(c => [c.name, c]));
+  return {
+    names:  [...CATEGORIES, ...custom.map(c => c.name)],
+    custom,
+    color:  cat => CAT_COLORS[cat] || byName[cat]?.color || "#6366f1",
+    icon:   cat => CAT_ICONS[cat] || byName[cat]?.icon || "barChart",
+  };
+}
+const CategoryContext = createContext(categoryInfo());
+function useCategories() { return useContext(CategoryContext); }
+
 // ─── CLIPBOARD UTILITY (with fallback) ────────────────────────
 function copyToClipboard(text) {
   // Modern API — works on HTTPS
@@ -263,31 +306,235 @@ function sanitizeStr(v, maxLen = 32) {
   if (typeof v !== "string") return "";
   return v.replace(/[<>"'`]/g, "").trim().slice(0, maxLen);
 }
-function sanitizeAsset(a) {
+// Unknown categories fall back to "Other" unless the user has defined them
+function sanitizeAsset(a, custom = []) {
   if (!a || typeof a !== "object") return null;
+  const cat = CATEGORIES.includes(a.cat) || custom.some(c => c.name === a.cat) ? a.cat : "Other";
   return {
     name:    sanitizeStr(a.name || "Asset", 40),
     ticker:  sanitizeStr((a.ticker || "???").toUpperCase(), 10).replace(/[^A-Z0-9.&]/g, "") || "???",
-    cat:     CATEGORIES.includes(a.cat) ? a.cat : "Other",
+    cat,
+    kind:    kindOf(cat, custom, CATEGORIES),
+    sub:     sanitizeStr(a.sub || "", 24).trim(),
+    tags:    sanitizeTags(a.tags),
+    identity: sanitizeIdentity(a.identity),
+    symbols: sanitizeSymbols(a.symbols),
     current: sanitizeNum(a.current, 0, 10_000_000, 0),
     target:  sanitizeNum(a.target,  0, 100, 0),
     icon:    typeof a.icon === "string" && Icons[a.icon] ? a.icon : "barChart",
+    fractional: a.fractional !== false,
+    lotSize:    sanitizeNum(a.lotSize, 0.000001, 1_000_000, 1),
+    minOrder:   sanitizeNum(a.minOrder, 0, 1_000_000, 0),
+    expReturn:  a.expReturn == null || a.expReturn === "" ? null : sanitizeNum(a.expReturn, -50, 200, 0),
+    volatility: a.volatility == null || a.volatility === "" ? null : sanitizeNum(a.volatility, 0, 300, 0),
+    quantity:   a.quantity == null || a.quantity === "" ? null : sanitizeNum(a.quantity, 0, 1_000_000_000, 0),
+    costBasis:  a.costBasis == null || a.costBasis === "" ? null : sanitizeNum(a.costBasis, 0, 100_000_000, 0),
+    lastPrice:  a.lastPrice > 0 ? sanitizeNum(a.lastPrice, 0, 100_000_000, null) : null,
+    divYield:   a.divYield == null || a.divYield === "" ? null : sanitizeNum(a.divYield, 0, 30, 0),
+    divFreq:    DIV_FREQUENCIES[a.divFreq] ? a.divFreq : "quarterly",
+    divMonth:   Math.round(sanitizeNum(a.divMonth, 1, 12, 3)),
+  };
+}
+// Free-form tags; "key: value" is tightened to "key:value"
+function sanitizeTags(list) {
+  const out = [];
+  for (const t of Array.isArray(list) ? list : []) {
+    const tag = sanitizeStr(String(t), 32).trim().replace(/\s*:\s*/, ":");
+    if (tag && tag !== ":" && !out.includes(tag)) out.push(tag);
+  }
+  return out.slice(0, 12);
+}
+// User-defined categories: name, colour, icon and the built-in asset class
+// they behave as. Built-in names can't be redefined.
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+function sanitizeCategories(list) {
+  const seen = new Set(CATEGORIES);
+  return (Array.isArray(list) ? list : [])
+    .map(c => ({
+      name:  sanitizeStr(c?.name || "", 20).trim(),
+      color: HEX_COLOR_RE.test(c?.color) ? c.color : "#6366f1",
+      icon:  CATEGORY_ICON_CHOICES.includes(c?.icon) ? c.icon : "barChart",
+      kind:  CATEGORIES.includes(c?.kind) ? c.kind : "Other",
+    }))
+    .filter(c => c.name && !seen.has(c.name) && seen.add(c.name))
+    .slice(0, 24);
+}
+// Per-provider quote symbols resolved by symbol search, plus the listing's
+// trading currency when the search knew it; null until mapped
+const SYMBOL_KEYS = ["assetClass", "currency", "twelveData", "finnhub", "polygon", "coingeckoId", "binanceSymbol"];
+const SYMBOL_META = ["assetClass", "currency"];
+function sanitizeSymbols(m) {
+  if (!m || typeof m !== "object") return null;
+  const out = {};
+  for (const k of SYMBOL_KEYS) {
+    const v = typeof m[k] === "string" ? m[k].replace(/[^A-Za-z0-9.:_-]/g, "").slice(0, 40) : "";
+    if (v) out[k] = v;
+  }
+  return Object.keys(out).some(k => !SYMBOL_META.includes(k)) ? out : null;
+}
+// A free ticker for a new asset: "VWCE", then "VWCE.2", "VWCE.3", …
+function uniqueTicker(ticker, assets) {
+  if (!assets.some(a => a.ticker === ticker)) return ticker;
+  for (let n = 2; ; n++) {
+    const t = `${ticker.slice(0, 10 - String(n).length - 1)}.${n}`;
+    if (!assets.some(a => a.ticker === t)) return t;
+  }
+}
+// The built-in category a search result most likely belongs in
+function categoryForListing(r) {
+  if (r.assetClass === "crypto") return "Crypto";
+  if (r.assetClass === "bond") return "Bond";
+  return /etf|fund|etp/i.test(r.type || "") ? "ETF" : "Other";
+}
+function sanitizeGroupBy(v) {
+  return typeof v === "string" && (v === "cat" || /^tag:.{1,32}$/.test(v)) ? v : "cat";
+}
+const MONTH_KEY_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+function sanitizeSchedule(s) {
+  const stepUps = Array.isArray(s?.stepUps) ? s.stepUps : [];
+  const oneOffs = Array.isArray(s?.oneOffs) ? s.oneOffs : [];
+  return {
+    stepUps: stepUps
+      .filter(x => MONTH_KEY_RE.test(x?.from))
+      .map(x => x.kind === "fixed"
+        ? { from: x.from, kind: "fixed", value: sanitizeNum(x.value, -1_000_000, 1_000_000, 0) }
+        : { from: x.from, kind: "pct",   value: sanitizeNum(x.value, -90, 500, 0) })
+      .slice(0, 24),
+    oneOffs: oneOffs
+      .filter(x => MONTH_KEY_RE.test(x?.month))
+      .map(x => x.kind === "skip"
+        ? { month: x.month, kind: "skip", amount: 0 }
+        : { month: x.month, kind: "extra", amount: sanitizeNum(x.amount, 0, 1_000_000, 0) })
+      .slice(0, 36),
+  };
+}
+// Backtest inputs: first month to replay and where its prices come from
+function sanitizeBacktest(b) {
+  const start = MONTH_KEY_RE.test(b?.startMonth) && b.startMonth >= "2000-01" && b.startMonth <= monthKeyOf() ? b.startMonth : "2020-01";
+  return { startMonth: start, source: PRICE_SOURCES[b?.source] ? b.source : defaultPriceSource() };
+}
+// Account type and the categories it may hold (null = anything)
+function sanitizeAccount(a) {
+  return {
+    kind:  ACCOUNT_KINDS[a?.kind] ? a.kind : "taxable",
+    holds: Array.isArray(a?.holds) ? CATEGORIES.filter(c => a.holds.includes(c)) : null,
+  };
+}
+const DATE_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+function sanitizeTx(t) {
+  if (!t || typeof t !== "object" || !TX_TYPES[t.type] || !DATE_RE.test(t.date)) return null;
+  const ticker = sanitizeStr(String(t.ticker || "").toUpperCase(), 10).replace(/[^A-Z0-9.&]/g, "");
+  if (TX_TYPES[t.type].asset && !ticker) return null;
+  const opt = (v, hi) => (v == null || v === "" ? null : sanitizeNum(v, 0, hi, 0));
+  return {
+    id:         sanitizeStr(String(t.id || ""), 40) || newTxId(),
+    type:       t.type,
+    date:       t.date,
+    ticker:     TX_TYPES[t.type].asset ? ticker : null,
+    qty:        opt(t.qty, 1_000_000_000),
+    price:      opt(t.price, 100_000_000),
+    amount:     sanitizeNum(t.amount, 0, 100_000_000, 0),
+    fee:        sanitizeNum(t.fee, 0, 1_000_000, 0),
+    ...(t.type === "transfer" ? { direction: t.direction === "out" ? "out" : "in" } : {}),
+    note:       sanitizeStr(t.note || "", 200),
+    recordedAt: typeof t.recordedAt === "string" ? t.recordedAt : new Date().toISOString(),
+    ...(typeof t.replaces === "string" ? { replaces: sanitizeStr(t.replaces, 40) } : {}),
+    ...(t.voided === true ? { voided: true } : {}),
+  };
+}
+function sanitizeLedger(list) {
+  return Array.isArray(list) ? list.map(sanitizeTx).filter(Boolean).slice(-5000) : [];
+}
+
+// ─── FORMATTING ───────────────────────────────────────────────
+function fmtAmt(v) { return Number.isInteger(v) ? String(v) : v.toFixed(2); }
+function fmtQty(q) { return String(Number(q.toFixed(SHARE_DP))); }
+function fmtMonth(key, month = "short") {
+  return new Date(`${key}-01T00:00:00`).toLocaleDateString("en-GB", { month, year:"numeric" });
+}
+function fmtDay(iso) {
+  return new Date(`${iso}T00:00:00`).toLocaleDateString("en-GB", { weekday:"short", day:"numeric", month:"short" });
+}
+function fmtDate(iso) {
+  return new Date(`${iso}T00:00:00`).toLocaleDateString("en-GB", { day:"numeric", month:"short", year:"numeric" });
+}
+function fmtFeeSchedule(f, cy) {
+  if (!f) return "No fees";
+  const part = t => [t.flat ? `${cy}${fmtAmt(t.flat)}` : "", t.pct ? `${t.pct}%` : ""].filter(Boolean).join(" + ") || "Free";
+  const base = f.tiers ? f.tiers.map(t => `${part(t)} ${t.upTo == null ? "above" : `≤ ${cy}${t.upTo.toLocaleString()}`}`).join(", ") : part(f);
+  const clamp = [f.min != null ? `min ${cy}${fmtAmt(f.min)}` : "", f.max != null ? `max ${cy}${fmtAmt(f.max)}` : ""].filter(Boolean).join(", ");
+  const cats = Object.entries(f.byCat || {}).map(([cat, t]) => `${cat}: ${part(t)}`).join(", ");
+  return [base, clamp && `(${clamp})`, cats && `· ${cats}`].filter(Boolean).join(" ");
+}
+
+// ─── HOLDINGS ─────────────────────────────────────────────────
+function avgPrice(a) {
+  return a.quantity > 0 && a.costBasis != null ? a.costBasis / a.quantity : null;
+}
+// Apply a month's buys: value always grows by the amount bought; held
+// positions also gain the shares and add the buy plus its fee to cost basis.
+function applyBuys(assets, buys) {
+  return assets.map(a => {
+    const b = buys.find(x => x.ticker === a.ticker);
+    if (!b) return a;
+    const next = { ...a, current: roundMoney(a.current + b.buy) };
+    if (a.quantity != null) {
+      const price = b.price || a.lastPrice;
+      next.quantity = Number((a.quantity + (b.qty ?? (price ? b.buy / price : 0))).toFixed(SHARE_DP));
+      if (a.costBasis != null) next.costBasis = roundMoney(a.costBasis + b.buy + (b.fee || 0));
+      if (b.price) next.lastPrice = b.price;
+    }
+    return next;
+  });
+}
+// Carry a ledger change (new record, correction, void or lot method switch)
+// over to the assets by diffing the replayed positions before and after.
+// Held positions move by shares and cost; value-only assets by money moved.
+function syncFromLedger(assets, before, after) {
+  const none = { qty: 0, cost: 0, netFlow: 0 };
+  return assets.map(a => {
+    const p0 = before.positions[a.ticker] || none;
+    const p1 = after.positions[a.ticker] || none;
+    if (p0.qty === p1.qty && p0.cost === p1.cost && p0.netFlow === p1.netFlow) return a;
+    const byFlow = roundMoney(Math.max(0, a.current + p1.netFlow - p0.netFlow));
+    if (a.quantity == null) return { ...a, current: byFlow };
+    const quantity = Math.max(0, Number((a.quantity + p1.qty - p0.qty).toFixed(SHARE_DP)));
+    return {
+      ...a,
+      quantity,
+      costBasis: a.costBasis == null ? null : roundMoney(Math.max(0, a.costBasis + p1.cost - p0.cost)),
+      current:   a.lastPrice ? roundMoney(quantity * a.lastPrice) : byFlow,
+    };
+  });
+}
+// Shares and cost from a broker row, falling back to what the asset had
+function importedHolding(row, prev) {
+  if (row.quantity == null) return {};
+  const quantity = sanitizeNum(row.quantity, 0, 1_000_000_000, prev?.quantity ?? 0);
+  const value    = sanitizeNum(row.current, 0, 10_000_000, 0);
+  return {
+    quantity,
+    costBasis: row.costBasis == null ? (prev?.costBasis ?? null) : sanitizeNum(row.costBasis, 0, 100_000_000, 0),
+    lastPrice: quantity > 0 && value > 0 ? value / quantity : (prev?.lastPrice ?? null),
   };
 }
 
 // ─── DEFAULT DATA ─────────────────────────────────────────────
+const UNIT_DEFAULTS = { fractional:true, lotSize:1, minOrder:0 };
+const HOLDING_DEFAULTS = { quantity:null, costBasis:null, lastPrice:null };
+const DIVIDEND_DEFAULTS = { divYield:null, divFreq:"quarterly", divMonth:3 };
 const DEFAULT_ASSETS = [
   { name:"BTC",            ticker:"BTC",  cat:"Crypto",   current:178,  target:11.5,  icon:"bitcoin"    },
   { name:"ETH",            ticker:"ETH",  cat:"Crypto",   current:87,   target:6.0,   icon:"ethereum"   },
-  { name:"NVIDIA",         ticker:"NVDA", cat:"Tech",     current:163,  target:6.67,  icon:"nvidia"     },
-  { name:"Apple",          ticker:"AAPL", cat:"Tech",     current:148,  target:6.67,  icon:"apple"      },
-  { name:"Microsoft",      ticker:"MSFT", cat:"Tech",     current:118,  target:6.67,  icon:"microsoft"  },
-  { name:"Coca-Cola",      ticker:"KO",   cat:"Dividend", current:239,  target:8.75,  icon:"coca_cola"  },
-  { name:"J&J",            ticker:"JNJ",  cat:"Dividend", current:252,  target:8.75,  icon:"jnj"        },
-  { name:"S&P 500 ETF",    ticker:"SPY",  cat:"ETF",      current:434,  target:18.0,  icon:"spy"        },
-  { name:"FTSE All World", ticker:"VWCE", cat:"ETF",      current:367,  target:15.0,  icon:"vwce"       },
-  { name:"Hi Div ETF",     ticker:"VHYL", cat:"ETF",      current:249,  target:12.0,  icon:"vhyl"       },
-];
+  { name:"NVIDIA",         ticker:"NVDA", cat:"Tech",     current:163,  target:6.67,  icon:"nvidia",     tags:["region:US", "sector:Semiconductors"] },
+  { name:"Apple",          ticker:"AAPL", cat:"Tech",     current:148,  target:6.67,  icon:"apple",      tags:["region:US", "sector:Hardware"] },
+  { name:"Microsoft",      ticker:"MSFT", cat:"Tech",     current:118,  target:6.67,  icon:"microsoft",  tags:["region:US", "sector:Software"] },
+  { name:"Coca-Cola",      ticker:"KO",   cat:"Dividend", current:239,  target:8.75,  icon:"coca_cola",  tags:["region:US", "sector:Staples"], divYield:2.9, divMonth:4 },
+  { name:"J&J",            ticker:"JNJ",  cat:"Dividend", current:252,  target:8.75,  icon:"jnj",        tags:["region:US", "sector:Health"],  divYield:3.1, divMonth:3 },
+  { name:"S&P 500 ETF",    ticker:"SPY",  cat:"ETF",      current:434,  target:18.0,  icon:"spy",        tags:["region:US"],     sub:"US"     },
+  { name:"FTSE All World", ticker:"VWCE", cat:"ETF",      current:367,  target:15.0,  icon:"vwce",       tags:["region:Global"], sub:"World"  },
+  { name:"Hi Div ETF",     ticker:"VHYL", cat:"ETF",      current:249,  target:12.0,  icon:"vhyl",       tags:["region:Global"], sub:"Income", divYield:3.2, divMonth:3 },
+].map(a => ({ sub:"", tags:[], ...UNIT_DEFAULTS, ...HOLDING_DEFAULTS, ...DIVIDEND_DEFAULTS, ...a, kind:a.cat }));
 const DEFAULT_STATE = {
   schemaVersion: SCHEMA_VERSION,
   assets: DEFAULT_ASSETS.map(a => ({ ...a })),
@@ -295,12 +542,19 @@ const DEFAULT_STATE = {
   currency: "€",
   theme: "auto",
   projectionMonths: 3,
+  dcaDay: 1,
+  cashCarry: 0,
+  schedule: { stepUps: [], oneOffs: [] },
   history: [],
+  ledger: [],
   platform: "trade-republic",
+  account: { kind: "taxable", holds: null },
+  categories: [],
+  grouping: { by: "cat" },
   live: {
     enabled: false,
     refreshSec: 60,
-    baselineTotal: null,
+    period: "all",
     lastFetchedAt: null,
     providerHealth: {},
     unresolved: [],
@@ -309,28 +563,78 @@ const DEFAULT_STATE = {
     enabled: true,
     driftThreshold: 2,
   },
+  fees: {
+    enabled: true,
+    maxDragPct: 3,
+  },
+  orderLimits: {
+    maxOrders: 0,
+  },
+  growth: {
+    enabled: true,
+  },
+  dividends: {
+    reinvest: false,
+  },
+  monteCarlo: {
+    paths: 1000,
+    driftLimit: 3,
+  },
+  longTerm: {
+    years: 20,
+    escalationPct: 3,
+  },
+  backtest: sanitizeBacktest(null),
+  rebalance: {
+    mode: "buy-only",
+    band: 5,
+  },
+  taxLots: {
+    method: "fifo",
+  },
+  tax: {
+    jurisdiction: "DE",
+    year: null,
+  },
+  allocation: {
+    engine: "heuristic",
+    strategy: "gap-weighted",
+    band: 2,
+    nested: true,
+  },
   priceSnapshots: [],
   brokerImportLog: [],
 };
 
 // ─── STORAGE (versioned) ──────────────────────────────────────
-function loadState() {
+// v5 adds share quantity and cost basis. Assets from v2–v4 only ever had a
+// value, so they come across as value-only holdings (quantity null) and keep
+// `current` as entered until shares are filled in.
+function migrateAssets(assets, version) {
+  if (version >= 5) return assets;
+  return assets.map(a => ({ ...a, quantity: null, costBasis: null, lastPrice: null }));
+}
+
+function loadState(id = MAIN_PORTFOLIO) {
   try {
-    const raw = localStorage.getItem(STORE_KEY) || localStorage.getItem(LEGACY_STORE_KEY);
+    const keys = id === MAIN_PORTFOLIO ? [STORE_KEY, ...LEGACY_STORE_KEYS] : [portfolioKey(id)];
+    const raw = keys.map(k => localStorage.getItem(k)).find(Boolean);
     if (!raw) return null;
     const p = JSON.parse(raw);
     if (!p || typeof p !== "object") return null;
-    if (p.schemaVersion !== SCHEMA_VERSION && p.schemaVersion !== 2 && p.schemaVersion !== 3) return null;
+    if (!SUPPORTED_SCHEMAS.includes(p.schemaVersion)) return null;
     if (!Array.isArray(p.assets) || p.assets.length === 0) return null;
     const seen = new Set();
-    const assets = p.assets.map(sanitizeAsset).map(a => {
+    const categories = sanitizeCategories(p.categories);
+    const assets = migrateAssets(p.assets, p.schemaVersion).map(a => sanitizeAsset(a, categories)).map(a => {
       if (!a) return null;
       const forcedIcon = OFFICIAL_TICKER_ICONS[a.ticker];
       if (forcedIcon && Icons[forcedIcon]) return { ...a, icon: forcedIcon };
       return a;
     }).filter(a => {
-      if (!a || seen.has(a.ticker)) return false;
-      seen.add(a.ticker);
+      // One asset per instrument, and tickers stay unique for the editors
+      if (!a || seen.has(a.ticker) || seen.has(instrumentKey(a))) return false;
+      seen.add(a.ticker).add(instrumentKey(a));
       return true;
     });
     if (assets.length === 0) return null;
@@ -342,13 +646,20 @@ function loadState() {
       currency:         CURRENCIES.includes(p.currency) ? p.currency : "€",
       theme:            ["dark","light","auto"].includes(p.theme) ? p.theme : "auto",
       projectionMonths: sanitizeNum(p.projectionMonths, 1, 12, 3),
+      dcaDay:           Math.round(sanitizeNum(p.dcaDay, 1, 31, 1)),
+      cashCarry:        sanitizeNum(p.cashCarry, 0, 1_000_000, 0),
+      schedule:         sanitizeSchedule(p.schedule),
       history:          Array.isArray(p.history) ? p.history.slice(-120) : [],
+      ledger:           sanitizeLedger(p.ledger),
       schemaVersion:    SCHEMA_VERSION,
       platform:         PLATFORMS.some(x => x.id === p.platform) ? p.platform : "trade-republic",
+      account:          sanitizeAccount(p.account),
+      categories,
+      grouping:         { by: sanitizeGroupBy(p?.grouping?.by) },
       live: {
         enabled: !!p?.live?.enabled,
         refreshSec: sanitizeNum(p?.live?.refreshSec, 15, 3600, 300),
-        baselineTotal: p?.live?.baselineTotal == null ? null : sanitizeNum(p.live.baselineTotal, 0, 100_000_000, 0),
+        period: RETURN_PERIODS[p?.live?.period] ? p.live.period : "all",
         lastFetchedAt: typeof p?.live?.lastFetchedAt === "string" ? p.live.lastFetchedAt : null,
         providerHealth: p?.live?.providerHealth && typeof p.live.providerHealth === "object" ? p.live.providerHealth : {},
         unresolved: Array.isArray(p?.live?.unresolved) ? p.live.unresolved.slice(0, 20) : [],
@@ -359,13 +670,95 @@ function loadState() {
         enabled: p?.alerts?.enabled !== false,
         driftThreshold: sanitizeNum(p?.alerts?.driftThreshold, 0.5, 10, 2),
       },
+      fees: {
+        enabled: p?.fees?.enabled !== false,
+        maxDragPct: sanitizeNum(p?.fees?.maxDragPct, 0.1, 100, 3),
+      },
+      orderLimits: {
+        maxOrders: Math.round(sanitizeNum(p?.orderLimits?.maxOrders, 0, 50, 0)),
+      },
+      growth: {
+        enabled: p?.growth?.enabled !== false,
+      },
+      dividends: {
+        reinvest: !!p?.dividends?.reinvest,
+      },
+      monteCarlo: {
+        paths: MC_PATHS.includes(Number(p?.monteCarlo?.paths)) ? Number(p.monteCarlo.paths) : 1000,
+        driftLimit: sanitizeNum(p?.monteCarlo?.driftLimit, 0.5, 50, 3),
+      },
+      longTerm: {
+        years: Math.round(sanitizeNum(p?.longTerm?.years, 5, 40, 20)),
+        escalationPct: sanitizeNum(p?.longTerm?.escalationPct, 0, 20, 3),
+      },
+      backtest: sanitizeBacktest(p?.backtest),
+      rebalance: {
+        mode: REBALANCE_MODES[p?.rebalance?.mode] ? p.rebalance.mode : "buy-only",
+        band: sanitizeNum(p?.rebalance?.band, 0.5, 50, 5),
+      },
+      taxLots: {
+        method: LOT_METHODS[p?.taxLots?.method] ? p.taxLots.method : "fifo",
+      },
+      tax: {
+        jurisdiction: TAX_PROFILES[p?.tax?.jurisdiction] ? p.tax.jurisdiction : "DE",
+        year: p?.tax?.year == null ? null : Math.round(sanitizeNum(p.tax.year, 1990, 2100, new Date().getFullYear())),
+      },
+      allocation: {
+        engine: ALLOCATION_ENGINES[p?.allocation?.engine] ? p.allocation.engine : "heuristic",
+        strategy: ALLOCATION_STRATEGIES[p?.allocation?.strategy] ? p.allocation.strategy : DEFAULT_STRATEGY,
+        band: sanitizeNum(p?.allocation?.band, 0.5, 10, 2),
+        nested: p?.allocation?.nested !== false,
+      },
       priceSnapshots: Array.isArray(p?.priceSnapshots) ? p.priceSnapshots.slice(-300) : [],
       brokerImportLog: Array.isArray(p?.brokerImportLog) ? p.brokerImportLog.slice(-40) : [],
     };
   } catch { return null; }
 }
-function saveState(s) {
-  try { localStorage.setItem(STORE_KEY, JSON.stringify({ ...s, schemaVersion: SCHEMA_VERSION })); } catch {}
+function saveState(s, id = MAIN_PORTFOLIO) {
+  try { localStorage.setItem(portfolioKey(id), JSON.stringify({ ...s, schemaVersion: SCHEMA_VERSION })); } catch {}
+}
+function freshState(from) {
+  return { ...DEFAULT_STATE, assets: DEFAULT_ASSETS.map(a => ({ ...a })), ...(from ? { theme: from.theme, currency: from.currency } : {}) };
+}
+
+// ─── WORKSPACE (several portfolios) ───────────────────────────
+// The workspace lists the portfolios and holds the household targets; each
+// portfolio's state sits under its own key. The first portfolio keeps the
+// original key, so single-portfolio data loads unchanged.
+function portfolioKey(id) {
+  return id === MAIN_PORTFOLIO ? STORE_KEY : `${STORE_KEY}:${id}`;
+}
+function newPortfolioId() {
+  return `p-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+}
+function sanitizeWorkspace(w) {
+  if (!w || typeof w !== "object" || !Array.isArray(w.portfolios)) return null;
+  const seen = new Set();
+  const portfolios = w.portfolios
+    .filter(p => typeof p?.id === "string" && /^[a-z0-9-]{1,24}$/.test(p.id) && !seen.has(p.id) && seen.add(p.id))
+    .map(p => ({ id: p.id, name: sanitizeStr(p.name || "Portfolio", 30) || "Portfolio" }))
+    .slice(0, 20);
+  if (!portfolios.length) return null;
+  const targets = {};
+  for (const [t, v] of Object.entries(w.household?.targets || {}).slice(0, 200)) {
+    const ticker = sanitizeStr(String(t).toUpperCase(), 10).replace(/[^A-Z0-9.&]/g, "");
+    if (ticker) targets[ticker] = sanitizeNum(v, 0, 100, 0);
+  }
+  return {
+    activeId: portfolios.some(p => p.id === w.activeId) ? w.activeId : portfolios[0].id,
+    portfolios,
+    household: { targets },
+  };
+}
+function loadWorkspace() {
+  try {
+    const w = sanitizeWorkspace(JSON.parse(localStorage.getItem(WORKSPACE_KEY) || "null"));
+    if (w) return w;
+  } catch {}
+  return { activeId: MAIN_PORTFOLIO, portfolios: [{ id: MAIN_PORTFOLIO, name: "Main" }], household: { targets: {} } };
+}
+function saveWorkspace(w) {
+  try { localStorage.setItem(WORKSPACE_KEY, JSON.stringify(w)); } catch {}
 }
 
 // ─── THEME HELPERS ────────────────────────────────────────────
@@ -377,53 +770,6 @@ function resolveTheme(pref) {
   return h >= 7 && h < 20 ? "light" : "dark";
 }
 
-// ─── ENGINE ───────────────────────────────────────────────────
-function enrich(list, total) {
-  return list.map(a => {
-    const pct   = total > 0 ? (a.current / total) * 100 : 0;
-    const drift = pct - a.target;
-    const gap   = (a.target / 100) * total - a.current;
-    return { ...a, pct, drift, gap };
-  });
-}
-
-function allocate(portfolio, total, budget) {
-  if (budget <= 0) return [];
-  const items     = enrich(portfolio, total);
-  const under     = items.filter(i => i.gap > 0).sort((a, b) => b.gap - a.gap);
-  const totalGap  = under.reduce((s, i) => s + i.gap, 0);
-  if (totalGap <= 0 || under.length === 0) {
-    const each = Math.floor(budget / items.length);
-    const rem  = budget - each * items.length;
-    return items.map((i, idx) => ({ ...i, buy: each + (idx === 0 ? rem : 0) })).filter(i => i.buy > 0);
-  }
-  let rem = budget;
-  const buys = [];
-  for (const item of under) {
-    let alloc = Math.round((item.gap / totalGap) * budget);
-    alloc = Math.min(alloc, rem);
-    if (alloc > 0) { buys.push({ ...item, buy: alloc }); rem -= alloc; }
-  }
-  if (rem > 0 && buys.length > 0) buys[0].buy += rem;
-  return buys;
-}
-
-function runProjection(assets, total, dca, months) {
-  const steps = [];
-  let port = assets.map(a => ({ ...a }));
-  let tot  = total;
-  for (let m = 0; m < months; m++) {
-    const buys = allocate(port, tot, dca);
-    steps.push({ month: m + 1, buys, total: tot, port: port.map(a => ({ ...a })) });
-    port = port.map(a => {
-      const b = buys.find(x => x.ticker === a.ticker);
-      return b ? { ...a, current: Math.round((a.current + b.buy) * 100) / 100 } : { ...a };
-    });
-    tot = Math.round((tot + dca) * 100) / 100;
-  }
-  return { steps, finalPort: enrich(port, tot), finalTotal: tot };
-}
-
 // ─── EXPORT HELPERS ───────────────────────────────────────────
 function exportJSON(state) {
   const payload = { ...state, schemaVersion: SCHEMA_VERSION };
@@ -436,10 +782,14 @@ function exportJSON(state) {
 
 function exportCSV(assets, currency) {
   const total = assets.reduce((s, a) => s + a.current, 0);
-  const header = ["Ticker", "Name", "Category", `Current Value (${currency})`, "Target %", "Actual %", "Drift %"].join(",");
-  const rows = enrich(assets, total).map(a =>
-    [a.ticker, `"${a.name}"`, a.cat, a.current.toFixed(2), a.target.toFixed(2), a.pct.toFixed(2), a.drift.toFixed(2)].join(",")
-  );
+  const header = ["Ticker", "Name", "Category", "Sub-category", "Tags", `Current Value (${currency})`, "Target %", "Actual %", "Drift %", "Quantity", `Cost Basis (${currency})`, `Avg Price (${currency})`].join(",");
+  const rows = enrich(assets, total).map(a => {
+    const avg = avgPrice(a);
+    return [
+      a.ticker, `"${a.name}"`, a.cat, `"${a.sub || ""}"`, `"${(a.tags || []).join("; ")}"`, a.current.toFixed(2), a.target.toFixed(2), a.pct.toFixed(2), a.drift.toFixed(2),
+      a.quantity ?? "", a.costBasis != null ? a.costBasis.toFixed(2) : "", avg != null ? avg.toFixed(4) : "",
+    ].join(",");
+  });
   triggerDownload(
     [header, ...rows].join("\n"),
     `portfolio-${new Date().toISOString().slice(0, 10)}.csv`,
@@ -447,6 +797,70 @@ function exportCSV(assets, currency) {
   );
 }
 
+function exportTaxCSV(report, currency) {
+  const money = v => (v == null ? "" : v.toFixed(2));
+  const header = ["Ticker", "Category", "Disposals", `Proceeds (${currency})`, `Cost (${currency})`, `Taxable Gain (${currency})`, `Exempt Gain (${currency})`, `Crypto < 1y (${currency})`, `Dividends (${currency})`, `Unrealised (${currency})`].join(",");
+  const rows = report.rows.map(r =>
+    [r.ticker, r.cat, r.disposals, money(r.proceeds), money(r.cost), money(r.gain), money(r.exempt), money(r.cryptoShort), money(r.dividends), money(r.unrealised)].join(",")
+  );
+  const summary = [
+    "",
+    `Tax year,${report.label} (${report.start} to ${report.end} exclusive)`,
+    `Jurisdiction,${report.profile.label} · lots ${LOT_METHODS[report.profile.lotMethod].label}`,
+    ...report.allowances.map(a => `"${a.label}",${money(a.applied)} of ${money(a.amount)}`),
+    `Taxable gains,${money(report.taxable.gains)}`,
+    `Taxable dividends,${money(report.taxable.dividends)}`,
+    ...(report.profile.crypto?.separate ? [`Taxable crypto,${money(report.taxable.crypto)}`] : []),
+    `Total taxable,${money(report.taxable.total)}`,
+  ];
+  triggerDownload(
+    [header, ...rows, ...summary].join("\n"),
+    `tax-report-${report.profileId}-${report.label.replace("/", "-")}.csv`,
+    "text/csv;charset=utf-8;"
+  );
+}
+
+// Self-contained HTML laid out for the browser's "Print → Save as PDF"
+function exportTaxHTML(report, currency) {
+  const esc = v => String(v).replace(/[&<>"']/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" }[c]));
+  const money = v => (v == null ? "—" : `${esc(currency)}${v.toLocaleString("en-GB", { minimumFractionDigits:2, maximumFractionDigits:2 })}`);
+  const rows = report.rows.map(r => `<tr><td>${esc(r.ticker)}</td><td>${esc(r.cat)}</td><td>${r.disposals}</td><td>${money(r.proceeds)}</td><td>${money(r.cost)}</td><td>${money(r.gain)}</td><td>${money(r.exempt)}</td><td>${money(r.dividends)}</td><td>${money(r.unrealised)}</td></tr>`).join("");
+  const disposals = report.disposals.map(d => `<tr><td>${d.date}</td><td>${esc(d.ticker)}</td><td>${d.qty ?? "—"}</td><td>${money(d.proceeds)}</td><td>${money(d.cost)}</td><td>${money(d.taxable)}</td><td>${money(d.exempt + d.cryptoShort)}</td></tr>`).join("");
+  const html = `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>Tax report ${esc(report.label)} — ${esc(report.profile.label)}</title>
+<style>
+body{font:13px/1.5 -apple-system,"Segoe UI",sans-serif;color:#111;margin:32px}
+h1{font-size:20px;margin:0 0 4px}h2{font-size:15px;margin:28px 0 8px}
+.sub{color:#555;margin-bottom:18px}
+table{width:100%;border-collapse:collapse;margin-bottom:8px}
+th,td{padding:6px 8px;border-bottom:1px solid #ddd;text-align:right}
+th:first-child,td:first-child,th:nth-child(2),td:nth-child(2){text-align:left}
+th{font-size:11px;text-transform:uppercase;letter-spacing:.5px;color:#555}
+.sum td{font-weight:700}
+.note{color:#777;font-size:11px;margin-top:24px}
+@media print{body{margin:0}@page{margin:18mm}}
+</style></head><body>
+<h1>Capital gains &amp; income — ${esc(report.label)}</h1>
+<div class="sub">${esc(report.profile.label)} · ${report.start} to ${report.end} (exclusive) · lot method ${esc(LOT_METHODS[report.profile.lotMethod].label)} · generated ${new Date().toISOString().slice(0, 10)}</div>
+<h2>Summary</h2>
+<table>
+<tr><td>Realised gains</td><td></td><td>${money(report.totals.realised)}</td></tr>
+<tr><td>Exempt (holding period)</td><td></td><td>${money(report.totals.exempt)}</td></tr>
+<tr><td>Dividends</td><td></td><td>${money(report.totals.dividends)}</td></tr>
+${report.allowances.map(a => `<tr><td>${esc(a.label)}</td><td>of ${money(a.amount)}</td><td>−${money(a.applied)}</td></tr>`).join("")}
+<tr><td>Taxable gains</td><td></td><td>${money(report.taxable.gains)}</td></tr>
+<tr><td>Taxable dividends</td><td></td><td>${money(report.taxable.dividends)}</td></tr>
+${report.profile.crypto?.separate ? `<tr><td>Taxable crypto (held ≤ ${report.profile.crypto.exemptDays} days)</td><td>limit ${money(report.profile.crypto.threshold)}</td><td>${money(report.taxable.crypto)}</td></tr>` : ""}
+<tr class="sum"><td>Total taxable</td><td></td><td>${money(report.taxable.total)}</td></tr>
+</table>
+<h2>By asset</h2>
+<table><tr><th>Asset</th><th>Category</th><th>Sales</th><th>Proceeds</th><th>Cost</th><th>Taxable gain</th><th>Exempt</th><th>Dividends</th><th>Unrealised</th></tr>${rows}</table>
+${disposals ? `<h2>Disposals</h2><table><tr><th>Date</th><th>Asset</th><th>Shares</th><th>Proceeds</th><th>Cost</th><th>Taxable</th><th>Exempt / separate</th></tr>${disposals}</table>` : ""}
+<div class="note">Indicative figures from your own transaction records; not tax advice. Unrealised gains are as of the export date.</div>
+</body></html>`;
+  triggerDownload(html, `tax-report-${report.profileId}-${report.label.replace("/", "-")}.html`, "text/html;charset=utf-8;");
+}
+
 // ─── ERROR BOUNDARY ───────────────────────────────────────────
 class ErrorBoundary extends Component {
   constructor(props) { super(props); this.state = { error: null }; }
@@ -462,12 +876,12 @@ class ErrorBoundary extends Component {
           {this.state.error?.message || "An unexpected error occurred."}
         </p>
         <button
-          onClick={() => { localStorage.removeItem(STORE_KEY); window.location.reload(); }}
+          onClick={() => { localStorage.removeItem(portfolioKey(loadWorkspace().activeId)); window.location.reload(); }}
           style={{ marginTop:8, padding:"12px 24px", background:"#6366f1", border:"none", borderRadius:10, color:"#fff", fontWeight:700, cursor:"pointer", fontSize:15 }}
         >
           Reset & Reload
         </button>
-        <p style={{ fontSize:12, color:"#475569" }}>Local data will be cleared. Your positions will return to defaults.</p>
+        <p style={{ fontSize:12, color:"#475569" }}>This portfolio's local data will be cleared. Its positions will return to defaults.</p>
       </div>
     );
   }
@@ -480,7 +894,8 @@ export default function PortfolioRoadmap() {
 
 // ─── APP ──────────────────────────────────────────────────────
 function App() {
-  const [state, setState]       = useState(() => loadState() || { ...DEFAULT_STATE, assets: DEFAULT_ASSETS.map(a => ({ ...a })) });
+  const [workspace, setWorkspace] = useState(loadWorkspace);
+  const [state, setState]       = useState(() => loadState(workspace.activeId) || freshState());
   const [tab, setTab]           = useState(0);
   const [displayedTab, setDisplayedTab] = useState(0);
   const [tabTransit, setTabTransit]     = useState(false);
@@ -490,15 +905,19 @@ function App() {
   const [toast, setToast]       = useState(null);
   const [editOpen, setEditOpen] = useState(false);
   const [confirmLock, setConfirmLock]   = useState(false);
+  const [lockMode, setLockMode]         = useState("catch-up");
   const [confirmReset, setConfirmReset] = useState(false);
-  const [activeTheme, setActiveTheme]   = useState(() => resolveTheme(loadState()?.theme || "auto"));
+  const [confirmDelete, setConfirmDelete] = useState(null); // portfolio pending deletion
+  const [activeTheme, setActiveTheme]   = useState(() => resolveTheme(state.theme || "auto"));
   const [dcaPickerOpen, setDcaPickerOpen] = useState(false);
   const [liveLoading, setLiveLoading] = useState(false);
   const [liveError, setLiveError] = useState("");
+  const [sparkHistory, setSparkHistory] = useState(null); // 1M daily bars for Overview sparklines
   const [brokerSource, setBrokerSource] = useState("trade-republic");
   const toastRef    = useRef(null);
   const fileInputRef = useRef(null);
   const brokerFileInputRef = useRef(null);
+  const autoMapTriedRef = useRef(new Set());
   const tabTimerRef  = useRef(null);
   const liveTimerRef = useRef(null);
 
@@ -526,7 +945,8 @@ function App() {
   }, [state.theme]);
 
   useEffect(() => { setTimeout(() => setLoaded(true), 80); }, []);
-  useEffect(() => { saveState(state); }, [state]);
+  useEffect(() => { saveState(state, workspace.activeId); }, [state, workspace.activeId]);
+  useEffect(() => { saveWorkspace(workspace); }, [workspace]);
 
   // Tab switching with transition
   const switchTab = useCallback((newTab) => {
@@ -544,7 +964,7 @@ function App() {
   useEffect(() => {
     const h = (e) => {
       if ((e.metaKey || e.ctrlKey) && e.key === "k") { e.preventDefault(); setCmdOpen(v => !v); }
-      if (e.key === "Escape") { setSettingsOpen(false); setConfirmLock(false); setConfirmReset(false); setDcaPickerOpen(false); setCmdOpen(false); }
+      if (e.key === "Escape") { setSettingsOpen(false); setConfirmLock(false); setConfirmReset(false); setConfirmDelete(null); setDcaPickerOpen(false); setCmdOpen(false); }
     };
     window.addEventListener("keydown", h);
     return () => window.removeEventListener("keydown", h);
@@ -559,23 +979,16 @@ function App() {
   // ── Derived ──
   const total      = useMemo(() => state.assets.reduce((s, a) => s + a.current, 0), [state.assets]);
   const enriched   = useMemo(() => enrich(state.assets, total), [state.assets, total]);
+  const catInfo    = useMemo(() => categoryInfo(state.categories), [state.categories]);
+  const targetTree = useMemo(() => buildTargetTree(state.assets, total, catInfo.names), [state.assets, total, catInfo]);
   const sortedDrift = useMemo(() => [...enriched].sort((a, b) => a.drift - b.drift), [enriched]);
   const targetSum  = useMemo(() => state.assets.reduce((s, a) => s + a.target, 0), [state.assets]);
   const targetOk   = useMemo(() => Math.abs(targetSum - 100) < 0.05, [targetSum]);
-  const safetyBreach = useMemo(() => enriched.find(a => a.pct > a.target + 5), [enriched]);
+  const safetyBreach = useMemo(() => enriched.find(a => a.pct > a.target + state.rebalance.band), [enriched, state.rebalance.band]);
 
-  const projection = useMemo(
-    () => runProjection(state.assets, total, state.dca, state.projectionMonths),
-    [state.assets, total, state.dca, state.projectionMonths]
-  );
-  const projAvgDrift = useMemo(() =>
-    projection.finalPort.reduce((s, a) => s + Math.abs(a.drift), 0) / (projection.finalPort.length || 1),
-    [projection.finalPort]
-  );
-  const projMaxDrift = useMemo(() => Math.max(0, ...projection.finalPort.map(a => Math.abs(a.drift))), [projection.finalPort]);
-  const projAligned  = useMemo(() => projection.finalPort.filter(a => Math.abs(a.drift) < 1).length, [projection.finalPort]);
   const cy = state.currency;
   const isoCurrency = CURRENCY_TO_ISO[cy] || "USD";
+  const ledgerTxs = useMemo(() => activeTransactions(state.ledger), [state.ledger]);
   const liveModel = useMemo(() => {
     const quoteData = state?.live?.quoteData || null;
     const fxData = state?.live?.fxData || null;
@@ -585,22 +998,233 @@ function App() {
       quotesData: quoteData,
       fxData,
       currency: isoCurrency,
-      baselineTotal: state?.live?.baselineTotal,
+      history: state.history,
+      txs: ledgerTxs,
+      priceSnapshots: state.priceSnapshots,
+      period: state.live.period,
+    });
+  }, [state.assets, state?.live?.quoteData, state?.live?.fxData, state.history, ledgerTxs, state.priceSnapshots, state.live.period, isoCurrency]);
+  // Live prices (in display currency) let the allocator size orders in shares
+  const livePrices = useMemo(() => {
+    const out = {};
+    for (const r of liveModel?.rows || []) if (r.quotePrice > 0) out[r.ticker] = r.quotePrice;
+    return out;
+  }, [liveModel]);
+
+  // Options shared by every allocate() call so the What-If slider matches the projection
+  const allocOpts = useMemo(() => {
+    const platform = PLATFORMS.find(p => p.id === state.platform);
+    return {
+      engine: state.allocation.engine,
+      strategy: state.allocation.strategy,
+      band: state.allocation.band,
+      nested: state.allocation.nested,
+      prices: livePrices,
+      fees: state.fees.enabled ? (platform?.fees || null) : null,
+      maxFeeDragPct: state.fees.maxDragPct,
+      minOrder: platform?.minOrder || 0,
+      maxOrders: state.orderLimits.maxOrders,
+    };
+  }, [state.allocation.engine, state.allocation.strategy, state.allocation.band, state.allocation.nested, livePrices, state.fees.enabled, state.fees.maxDragPct, state.platform, state.orderLimits.maxOrders]);
+
+  // Month 1 is the first month not yet locked in — possibly an overdue one
+  const lock       = useMemo(() => lockStatus(state.history, state.dcaDay), [state.history, state.dcaDay]);
+  const startMonth = lock.startKey;
+  const contributions = useMemo(
+    () => scheduleContributions(state.schedule, state.dca, startMonth, state.projectionMonths),
+    [state.schedule, state.dca, startMonth, state.projectionMonths]
+  );
+  // Yield per asset (entered, or the last year of dividend records) and the
+  // payouts it implies for the next twelve months
+  const divProfiles = useMemo(() => dividendProfiles(state.assets, ledgerTxs), [state.assets, ledgerTxs]);
+  const income = useMemo(() => ({
+    calendar: incomeCalendar(state.assets, divProfiles),
+    annual:   annualIncome(state.assets, divProfiles),
+    profiles: divProfiles,
+  }), [state.assets, divProfiles]);
+  const projection = useMemo(
+    () => runProjection(state.assets, total, state.dca, state.projectionMonths, { ...allocOpts, carry: state.cashCarry, growth: state.growth.enabled, contributions, startMonth, dcaDay: state.dcaDay, dividends: divProfiles, drip: state.dividends.reinvest }),
+    [state.assets, total, state.dca, state.projectionMonths, allocOpts, state.cashCarry, state.growth.enabled, contributions, startMonth, state.dcaDay, divProfiles, state.dividends.reinvest]
+  );
+  const contributedTotal = useMemo(() => roundMoney(contributions.reduce((s, c) => s + c, 0)), [contributions]);
+  const rebalancePlan = useMemo(
+    () => planRebalance(state.assets, total, roundMoney(contributions[0] + state.cashCarry), { ...allocOpts, mode: state.rebalance.mode, band: state.rebalance.band }),
+    [state.assets, total, contributions, state.cashCarry, allocOpts, state.rebalance.mode, state.rebalance.band]
+  );
+  // Tabs after the month tabs, indexed past however many months are projected
+  const tabIdx = {
+    health:    projection.steps.length + 1,
+    longTerm:  projection.steps.length + 2,
+    backtest:  projection.steps.length + 3,
+    rebalance: projection.steps.length + 4,
+    history:   projection.steps.length + 5,
+    household: workspace.portfolios.length > 1 ? projection.steps.length + 6 : -1,
+  };
+
+  // Household: the other portfolios only change while they're active, so
+  // they're read back from storage once per switch
+  const otherPortfolios = useMemo(
+    () => workspace.portfolios.filter(p => p.id !== workspace.activeId).map(p => ({ ...p, state: loadState(p.id) })).filter(p => p.state),
+    [workspace.portfolios, workspace.activeId]
+  );
+  const members = useMemo(() => {
+    const active = workspace.portfolios.find(p => p.id === workspace.activeId);
+    return [{ ...active, state }, ...otherPortfolios];
+  }, [workspace.portfolios, workspace.activeId, state, otherPortfolios]);
+  const household = useMemo(() => {
+    if (workspace.portfolios.length < 2) return null;
+    const rates = state.live.fxData?.rates || otherPortfolios.find(p => p.state.live?.fxData?.rates)?.state.live.fxData.rates || null;
+    return householdModel({
+      portfolios: members.map(p => ({ id: p.id, name: p.name, iso: CURRENCY_TO_ISO[p.state.currency] || "USD", assets: p.state.assets })),
+      iso: isoCurrency,
+      rates,
+      targets: workspace.household.targets,
+    });
+  }, [workspace.portfolios.length, workspace.household.targets, members, state.live.fxData, otherPortfolios, isoCurrency]);
+  // This month's cash in every portfolio, routed to the accounts allowed to
+  // buy each asset (account categories ∩ what its platform trades), next to
+  // what each portfolio would buy on its own. Amounts are in the active
+  // portfolio's currency. Each account plans with its own strategy and fees;
+  // orders are sized with live prices for the active portfolio and with each
+  // other portfolio's last known prices, converted like its cash.
+  const householdRouting = useMemo(() => {
+    if (!household) return null;
+    const accounts = members.map(p => {
+      const s = p.state;
+      const platform = PLATFORMS.find(x => x.id === s.platform);
+      const fx   = household.accounts.find(a => a.id === p.id)?.fx ?? 1;
+      const own  = p.id === workspace.activeId ? contributions[0] : contributionFor(s.schedule, s.dca, lockStatus(s.history, s.dcaDay).startKey);
+      return {
+        id: p.id, name: p.name, kind: s.account.kind,
+        cash: roundMoney((own + s.cashCarry) * fx),
+        canHold: (s.account.holds || CATEGORIES).filter(c => !platform?.supports || platform.supports.includes(c)),
+        opts: {
+          engine: s.allocation.engine,
+          strategy: s.allocation.strategy,
+          band: s.allocation.band,
+          nested: s.allocation.nested,
+          prices: p.id === workspace.activeId
+            ? livePrices
+            : Object.fromEntries(s.assets.filter(a => a.lastPrice > 0).map(a => [a.ticker, a.lastPrice * fx])),
+          fees: s.fees.enabled ? (platform?.fees || null) : null,
+          maxFeeDragPct: s.fees.maxDragPct,
+          minOrder: platform?.minOrder || 0,
+          maxOrders: s.orderLimits.maxOrders,
+        },
+      };
     });
-  }, [state.assets, state?.live?.quoteData, state?.live?.fxData, state?.live?.baselineTotal, isoCurrency]);
+    return { monthKey: startMonth, accounts, routed: routeHousehold(household, accounts), separate: independentPlans(household, accounts) };
+  }, [household, members, workspace.activeId, contributions, startMonth, livePrices]);
+
+  // Monte Carlo bands for the Health tab, simulated in a worker while it's open.
+  // A live refresh replaces state.assets and the price map every tick, so the
+  // run is keyed on what it models instead: the assets minus their live
+  // fields, values and prices to three significant figures, and the plan.
+  const [mc, setMc] = useState({ result: null, progress: 0, running: false, error: null });
+  const healthOpen = displayedTab === tabIdx.health;
+  const mcKey = useMemo(() => {
+    const sig = v => (v ? Number(v.toPrecision(3)) : v);
+    const { prices, ...opts } = allocOpts;
+    return JSON.stringify([
+      state.assets.map(({ lastPrice, current, ...a }) => ({ ...a, current: sig(current) })),
+      Object.entries(prices || {}).map(([t, p]) => [t, sig(p)]),
+      opts, state.dca, state.projectionMonths, state.cashCarry, contributions, state.monteCarlo.paths,
+    ]);
+  }, [state.assets, allocOpts, state.dca, state.projectionMonths, state.cashCarry, contributions, state.monteCarlo.paths]);
+  useEffect(() => {
+    if (!healthOpen) return;
+    let job = null;
+    const t = setTimeout(() => {
+      setMc(m => ({ ...m, running: true, progress: 0, error: null }));
+      job = runInWorker(
+        "monteCarlo",
+        { assets: state.assets, total, dca: state.dca, months: state.projectionMonths, opts: { ...allocOpts, carry: state.cashCarry, contributions }, paths: state.monteCarlo.paths },
+        (done, of) => setMc(m => ({ ...m, progress: done / of }))
+      );
+      job.promise
+        .then(result => setMc({ result, progress: 1, running: false, error: null }))
+        .catch(err => { if (!err.cancelled) setMc(m => ({ ...m, running: false, error: err.message })); });
+    }, 400);
+    return () => { clearTimeout(t); job?.cancel(); };
+  }, [healthOpen, mcKey]);
+
+  // Long-horizon roll-ups, also in a worker (40 years of the optimal engine is seconds)
+  const [longRun, setLongRun] = useState({ result: null, progress: 0, running: false, error: null });
+  const longTermOpen = displayedTab === tabIdx.longTerm;
+  useEffect(() => {
+    if (!longTermOpen) return;
+    let job = null;
+    const t = setTimeout(() => {
+      setLongRun(r => ({ ...r, running: true, progress: 0, error: null }));
+      job = runInWorker(
+        "longHorizon",
+        {
+          assets: state.assets, total, dca: state.dca,
+          years: state.longTerm.years, escalationPct: state.longTerm.escalationPct,
+          schedule: state.schedule, startMonth,
+          opts: { ...allocOpts, carry: state.cashCarry, growth: state.growth.enabled, dividends: divProfiles, drip: state.dividends.reinvest },
+        },
+        (done, of) => setLongRun(r => ({ ...r, progress: done / of }))
+      );
+      job.promise
+        .then(result => setLongRun({ result, progress: 1, running: false, error: null }))
+        .catch(err => { if (!err.cancelled) setLongRun(r => ({ ...r, running: false, error: err.message })); });
+    }, 300);
+    return () => { clearTimeout(t); job?.cancel(); };
+  }, [longTermOpen, state.assets, total, state.dca, state.longTerm.years, state.longTerm.escalationPct, state.schedule, startMonth, allocOpts, state.cashCarry, state.growth.enabled, divProfiles, state.dividends.reinvest]);
+
+  // Backtest: prices are loaded on the main thread, the replay runs in a
+  // worker. Only on request — a market-data run fetches years of history.
+  // The ref holds the run in progress; cancelling it covers the price load
+  // as well as the worker, so a superseded run never writes its result.
+  const [backtestRun, setBacktestRun] = useState({ result: null, progress: 0, running: false, error: null });
+  const backtestJobRef = useRef(null);
+  const runBacktestNow = useCallback(async () => {
+    backtestJobRef.current?.cancel();
+    let cancelled = false, job = null;
+    backtestJobRef.current = { cancel: () => { cancelled = true; job?.cancel(); } };
+    const { startMonth: from, source } = state.backtest;
+    setBacktestRun(r => ({ ...r, running: true, progress: 0, error: null }));
+    try {
+      const { prices, missing } = await loadHistoricalPrices(state.assets, from, source);
+      if (cancelled) return;
+      if (missing.length === state.assets.length) throw new Error(`No ${PRICE_SOURCES[source].label.toLowerCase()} prices for any asset`);
+      job = runInWorker(
+        "backtest",
+        { assets: state.assets, dca: state.dca, schedule: state.schedule, startMonth: from, dcaDay: state.dcaDay, prices, opts: allocOpts },
+        (done, of) => setBacktestRun(r => ({ ...r, progress: done / of }))
+      );
+      const result = await job.promise;
+      setBacktestRun({ result: { ...result, source, dca: state.dca }, progress: 1, running: false, error: null });
+    } catch (err) {
+      if (!cancelled) setBacktestRun(r => ({ ...r, running: false, error: err.message }));
+    }
+  }, [state.backtest, state.assets, state.dca, state.schedule, state.dcaDay, allocOpts]);
+  useEffect(() => () => backtestJobRef.current?.cancel(), []);
+
+  const projAvgDrift = useMemo(() =>
+    projection.finalPort.reduce((s, a) => s + Math.abs(a.drift), 0) / (projection.finalPort.length || 1),
+    [projection.finalPort]
+  );
+  const projMaxDrift = useMemo(() => Math.max(0, ...projection.finalPort.map(a => Math.abs(a.drift))), [projection.finalPort]);
+  const projAligned  = useMemo(() => projection.finalPort.filter(a => Math.abs(a.drift) < 1).length, [projection.finalPort]);
 
+  // Every level of the target tree is checked: a category can be off target
+  // while each of its assets is within the threshold. Groups of one asset
+  // would only repeat that asset's alert.
   const driftAlerts = useMemo(() => {
     if (!state.alerts.enabled) return [];
     const threshold = sanitizeNum(state.alerts.driftThreshold, 0.5, 10, 2);
     const month1Buys = projection.steps[0]?.buys || [];
-    return enriched
-      .filter(a => Math.abs(a.drift) >= threshold)
+    return flattenTree(targetTree)
+      .filter(n => Math.abs(n.drift) >= threshold && (n.level === "asset" || n.tickers.length > 1))
       .sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift))
-      .map(a => {
-        const suggested = month1Buys.find(x => x.ticker === a.ticker)?.buy || 0;
-        return { ...a, suggestedBuy: suggested };
-      });
-  }, [enriched, projection.steps, state.alerts.enabled, state.alerts.driftThreshold]);
+      .map(n => ({
+        ...n,
+        label: n.level === "sub" ? `${n.id.slice(4).split("/")[0]} › ${n.label}` : n.label,
+        suggestedBuy: roundMoney(month1Buys.filter(x => n.tickers.includes(x.ticker)).reduce((s, x) => s + x.buy, 0)),
+      }));
+  }, [targetTree, projection.steps, state.alerts.enabled, state.alerts.driftThreshold]);
 
   // ── Handlers ──
   const updateAsset = useCallback((ticker, field, raw) => {
@@ -608,21 +1232,71 @@ function App() {
       ...s,
       assets: s.assets.map(a => {
         if (a.ticker !== ticker) return a;
-        if (field === "current") return { ...a, current: sanitizeNum(raw, 0, 10_000_000, a.current) };
+        if (field === "current") {
+          const current = sanitizeNum(raw, 0, 10_000_000, a.current);
+          // A held position's value implies a new price, not a new share count
+          return a.quantity > 0 ? { ...a, current, lastPrice: current / a.quantity } : { ...a, current };
+        }
         if (field === "target")  return { ...a, target: sanitizeNum(raw, 0, 100, a.target) };
         if (field === "ticker") {
           const clean = sanitizeStr(String(raw).toUpperCase(), 10).replace(/[^A-Z0-9.&]/g, "");
           if (!clean || s.assets.some(x => x.ticker === clean && x.ticker !== ticker)) return a;
-          return { ...a, ticker: clean };
+          // A different ticker is a different listing; its symbols are looked up again
+          return clean === a.ticker ? a : { ...a, ticker: clean, symbols: null };
         }
         if (field === "name") return { ...a, name: sanitizeStr(raw, 40) };
-        if (field === "cat")  return { ...a, cat: CATEGORIES.includes(raw) ? raw : a.cat };
+        if (field === "cat") {
+          if (!CATEGORIES.includes(raw) && !s.categories.some(c => c.name === raw)) return a;
+          return { ...a, cat: raw, kind: kindOf(raw, s.categories, CATEGORIES) };
+        }
+        if (field === "sub")  return { ...a, sub: sanitizeStr(raw, 24).trim() };
+        if (field === "symbols") return { ...a, symbols: sanitizeSymbols(raw) };
+        if (field === "tags") return { ...a, tags: sanitizeTags(Array.isArray(raw) ? raw : String(raw).split(",")) };
         if (field === "icon") return { ...a, icon: Icons[raw] ? raw : a.icon };
+        if (field === "fractional") return { ...a, fractional: !!raw };
+        if (field === "lotSize")  return { ...a, lotSize: sanitizeNum(raw, 0.000001, 1_000_000, a.lotSize ?? 1) };
+        if (field === "minOrder") return { ...a, minOrder: sanitizeNum(raw, 0, 1_000_000, a.minOrder ?? 0) };
+        if (field === "expReturn")  return { ...a, expReturn:  raw === "" || raw == null ? null : sanitizeNum(raw, -50, 200, a.expReturn ?? 0) };
+        if (field === "volatility") return { ...a, volatility: raw === "" || raw == null ? null : sanitizeNum(raw, 0, 300, a.volatility ?? 0) };
+        if (field === "quantity") {
+          if (raw === "" || raw == null) return { ...a, ...HOLDING_DEFAULTS };
+          const quantity  = sanitizeNum(raw, 0, 1_000_000_000, a.quantity ?? 0);
+          const lastPrice = a.lastPrice || (quantity > 0 && a.current > 0 ? a.current / quantity : null);
+          return { ...a, quantity, lastPrice, current: lastPrice ? roundMoney(quantity * lastPrice) : a.current };
+        }
+        if (field === "costBasis") return { ...a, costBasis: raw === "" || raw == null ? null : sanitizeNum(raw, 0, 100_000_000, a.costBasis ?? 0) };
+        if (field === "divYield") return { ...a, divYield: raw === "" || raw == null ? null : sanitizeNum(raw, 0, 30, a.divYield ?? 0) };
+        if (field === "divFreq")  return { ...a, divFreq: DIV_FREQUENCIES[raw] ? raw : a.divFreq };
+        if (field === "divMonth") return { ...a, divMonth: Math.round(sanitizeNum(raw, 1, 12, a.divMonth ?? 3)) };
         return a;
       }),
     }));
   }, []);
 
+  // Pin an asset to an instrument by ISIN or WKN: the identifier resolves to
+  // a listing whose identity and quote symbols replace the ticker lookup
+  const linkIdentifier = useCallback(async (ticker, raw) => {
+    const isin = normalizeIsin(raw);
+    const wkn = isin ? null : normalizeWkn(raw);
+    if (!isin && !wkn) { showToast("Enter a valid ISIN or WKN", "error"); return; }
+    const asset = state.assets.find(a => a.ticker === ticker);
+    const [hit] = await mapInstruments([{ isin, wkn, currency: asset?.identity?.currency }]);
+    const identity = hit?.identity || sanitizeIdentity({ isin });
+    if (!identity) { showToast(`No listing found for ${wkn}`, "error"); return; }
+    const clash = state.assets.find(a => a.ticker !== ticker && sameInstrument(a, { identity }));
+    if (clash) { showToast(`${clash.ticker} already holds ${identity.isin}`, "error"); return; }
+    setState(s => ({
+      ...s,
+      assets: s.assets.map(a => a.ticker !== ticker ? a : {
+        ...a,
+        identity,
+        symbols: hit?.symbols ? sanitizeSymbols(hit.symbols) : a.symbols,
+        name: a.name === "New Asset" && hit?.name ? sanitizeStr(hit.name, 40) : a.name,
+      }),
+    }));
+    showToast(hit ? `${ticker} linked to ${hit.ticker} · ${identity.mic || "composite"}` : `${ticker} linked to ${identity.isin}`);
+  }, [state.assets, showToast]);
+
   const updateDca = useCallback((v) => {
     const n = sanitizeNum(v, 1, 1_000_000, state.dca);
     setState(s => ({ ...s, dca: n }));
@@ -655,15 +1329,68 @@ function App() {
     showToast("Targets normalised to 100%");
   }, [showToast]);
 
-  const addAsset = useCallback(() => {
+  // listing: an optional symbol search result to add with its name, class and symbols
+  const addAsset = useCallback((listing) => {
+    setState(s => {
+      const asset = { name:"New Asset", ticker:`NEW${s.assets.length}`, cat:"ETF", kind:"ETF", sub:"", tags:[], symbols:null, current:0, target:0, icon:"barChart", ...UNIT_DEFAULTS, ...HOLDING_DEFAULTS, ...DIVIDEND_DEFAULTS };
+      if (listing) {
+        const ticker = sanitizeStr(String(listing.ticker).toUpperCase(), 10).replace(/[^A-Z0-9.&]/g, "");
+        if (!ticker || s.assets.some(a => a.ticker === ticker)) return s;
+        const cat = categoryForListing(listing);
+        Object.assign(asset, {
+          name: sanitizeStr(listing.name || ticker, 40), ticker, cat, kind: cat,
+          symbols: sanitizeSymbols(listing.map),
+          icon: CAT_ICONS[cat],
+          fractional: cat === "Crypto" || asset.fractional,
+        });
+      }
+      return { ...s, assets: [...s.assets, asset] };
+    });
+  }, []);
+
+  // Nested targets: a group's share of its parent, rescaling its siblings
+  const setNodeTarget = useCallback((id, share) => {
+    setState(s => ({ ...s, assets: setNodeShare(s.assets, id, share) }));
+  }, []);
+
+  const removeAsset = useCallback((ticker) => setState(s => ({ ...s, assets: s.assets.filter(a => a.ticker !== ticker) })), []);
+
+  // User-defined categories. Renaming moves the assets along with it; a new
+  // "behaves as" class is picked up by every asset in the category.
+  const addCategory = useCallback(() => {
+    setState(s => {
+      let n = s.categories.length + 1;
+      while (s.categories.some(c => c.name === `Category ${n}`)) n++;
+      const color = GROUP_PALETTE[s.categories.length % GROUP_PALETTE.length];
+      return { ...s, categories: sanitizeCategories([...s.categories, { name: `Category ${n}`, color, icon: "tag", kind: "Other" }]) };
+    });
+  }, []);
+
+  const updateCategory = useCallback((name, patch) => {
+    setState(s => {
+      const idx = s.categories.findIndex(c => c.name === name);
+      const categories = sanitizeCategories(s.categories.map((c, i) => i === idx ? { ...c, ...patch } : c));
+      // An empty name or one that's already taken is dropped by the sanitiser
+      if (idx < 0 || categories.length < s.categories.length) return s;
+      const next = categories[idx];
+      const assets = s.assets.map(a => a.cat === name ? { ...a, cat: next.name, kind: next.kind } : a);
+      return { ...s, categories, assets };
+    });
+  }, []);
+
+  const updateGroupBy = useCallback((by) => {
+    setState(s => ({ ...s, grouping: { ...s.grouping, by: sanitizeGroupBy(by) } }));
+  }, []);
+
+  const removeCategory = useCallback((name) => {
     setState(s => ({
       ...s,
-      assets: [...s.assets, { name:"New Asset", ticker:`NEW${s.assets.length}`, cat:"ETF", current:0, target:0, icon:"barChart" }],
+      categories: s.categories.filter(c => c.name !== name),
+      // Assets fall back to the built-in class the category behaved as
+      assets: s.assets.map(a => a.cat === name ? { ...a, cat: a.kind } : a),
     }));
   }, []);
 
-  const removeAsset = useCallback((ticker) => setState(s => ({ ...s, assets: s.assets.filter(a => a.ticker !== ticker) })), []);
-
   const updatePlatform = useCallback((id) => {
     setState(s => ({ ...s, platform: id }));
     showToast("Platform updated");
@@ -675,16 +1402,23 @@ function App() {
     if (!silent) setLiveLoading(true);
     setLiveError("");
     try {
+      // Assets without provider symbols are looked up once per session; an
+      // exact ticker match is stored on the asset and quoted right away
+      const untried = state.assets.filter(a => !hasSymbols(a) && !autoMapTriedRef.current.has(a.ticker));
+      untried.forEach(a => autoMapTriedRef.current.add(a.ticker));
+      const mapped = untried.length ? await autoMapSymbols(untried) : {};
+      const quoteAssets = state.assets.map(a => mapped[a.ticker] ? { ...a, symbols: mapped[a.ticker] } : a);
       const [quotesData, fxData] = await Promise.all([
-        fetchLiveQuotes(state.assets),
+        fetchLiveQuotes(quoteAssets),
         fetchFxRates("USD"),
       ]);
       setState(s => {
-        const baseline = s?.live?.baselineTotal == null ? total : s.live.baselineTotal;
+        const iso = CURRENCY_TO_ISO[s.currency] || "USD";
+        const withSymbols = s.assets.map(a => mapped[a.ticker] && !hasSymbols(a) ? { ...a, symbols: sanitizeSymbols(mapped[a.ticker]) } : a);
+        const assets = revalueHoldings(withSymbols, quotesData, fxData, iso);
         const livePatch = {
           ...(s.live || {}),
           enabled: true,
-          baselineTotal: baseline,
           quoteData: quotesData,
           fxData,
           providerHealth: quotesData.providerHealth || {},
@@ -693,11 +1427,10 @@ function App() {
         };
 
         const model = buildLiveModel({
-          assets: s.assets,
+          assets,
           quotesData,
           fxData,
-          currency: CURRENCY_TO_ISO[s.currency] || "USD",
-          baselineTotal: baseline,
+          currency: iso,
         });
 
         let priceSnapshots = s.priceSnapshots || [];
@@ -709,7 +1442,7 @@ function App() {
           persistSnapshotRemote(pushed.snap).catch(() => null);
         }
 
-        return { ...s, live: livePatch, priceSnapshots };
+        return { ...s, assets, live: livePatch, priceSnapshots };
       });
       if (!silent) showToast("Live prices refreshed");
     } catch (error) {
@@ -719,7 +1452,7 @@ function App() {
     } finally {
       if (!silent) setLiveLoading(false);
     }
-  }, [state.assets, total, showToast]);
+  }, [state.assets, showToast]);
 
   const toggleLiveTracking = useCallback((enabled) => {
     setState(s => ({ ...s, live: { ...s.live, enabled } }));
@@ -731,38 +1464,66 @@ function App() {
     setState(s => ({ ...s, live: { ...s.live, refreshSec } }));
   }, []);
 
+  const updateReturnPeriod = useCallback((period) => {
+    setState(s => ({ ...s, live: { ...s.live, period } }));
+  }, []);
+
   const handleBrokerImport = useCallback((e) => {
     const file = e.target.files?.[0];
     if (!file) return;
     e.target.value = "";
     const reader = new FileReader();
-    reader.onload = (ev) => {
+    reader.onload = async (ev) => {
       try {
-        const parsed = importBrokerCsv(String(ev.target?.result || ""), brokerSource);
-        if (!parsed.assets.length) {
+        // Positions are matched on instrument identity (ISIN + listing), with
+        // the ticker as fallback for assets that don't have one
+        const parsed = await resolveInstruments(importBrokerCsv(String(ev.target?.result || ""), brokerSource, state.categories.map(c => c.name)));
+        if (!parsed.assets.length && !parsed.dividends.length) {
           showToast("No valid positions found in CSV", "error");
           return;
         }
         setState(s => {
           const merged = [...s.assets];
+          const isCat = c => CATEGORIES.includes(c) || s.categories.some(x => x.name === c);
+          const finalTicker = {};
           for (const row of parsed.assets) {
-            const idx = merged.findIndex(a => a.ticker === row.ticker);
+            const idx = merged.findIndex(a => sameInstrument(a, row));
             if (idx >= 0) {
+              const cat = isCat(row.cat) ? row.cat : merged[idx].cat;
+              finalTicker[row.ticker] = merged[idx].ticker;
               merged[idx] = {
                 ...merged[idx],
                 name: row.name || merged[idx].name,
-                cat: CATEGORIES.includes(row.cat) ? row.cat : merged[idx].cat,
+                cat,
+                kind: kindOf(cat, s.categories, CATEGORIES),
+                tags: row.tags?.length ? sanitizeTags([...(merged[idx].tags || []), ...row.tags]) : merged[idx].tags,
+                identity: merged[idx].identity || sanitizeIdentity(row.identity),
+                symbols: merged[idx].symbols || sanitizeSymbols(row.symbols),
                 current: sanitizeNum(row.current, 0, 10_000_000, merged[idx].current),
                 target: row.target > 0 ? sanitizeNum(row.target, 0, 100, merged[idx].target) : merged[idx].target,
+                ...importedHolding(row, merged[idx]),
               };
             } else {
+              // The export's category wins; otherwise the mapped listing's class
+              const cat = isCat(row.cat) && row.cat !== "Other" ? row.cat : row.assetClass ? categoryForListing(row) : "Other";
+              const ticker = uniqueTicker(sanitizeStr(row.ticker, 10).replace(/[^A-Z0-9.&]/g, "") || "NEW", merged);
+              finalTicker[row.ticker] = ticker;
               merged.push({
                 name: sanitizeStr(row.name || row.ticker, 40),
-                ticker: row.ticker,
-                cat: CATEGORIES.includes(row.cat) ? row.cat : "Other",
+                ticker,
+                cat,
+                kind: kindOf(cat, s.categories, CATEGORIES),
+                sub: "",
+                tags: sanitizeTags(row.tags),
+                identity: sanitizeIdentity(row.identity),
+                symbols: sanitizeSymbols(row.symbols),
                 current: sanitizeNum(row.current, 0, 10_000_000, 0),
                 target: sanitizeNum(row.target, 0, 100, 0),
                 icon: "barChart",
+                ...UNIT_DEFAULTS,
+                ...HOLDING_DEFAULTS,
+                ...DIVIDEND_DEFAULTS,
+                ...importedHolding(row, null),
               });
             }
           }
@@ -774,16 +1535,27 @@ function App() {
             totalRows: parsed.totalRows,
             fileName: file.name,
           };
-          return { ...s, assets: merged, brokerImportLog: [...(s.brokerImportLog || []), logEntry].slice(-40) };
+          // Dividend rows go to the ledger; re-importing the same file adds nothing
+          const known = new Set(activeTransactions(s.ledger).filter(t => t.type === "dividend").map(t => `${t.ticker}|${t.date}|${t.amount}`));
+          const recordedAt = new Date().toISOString();
+          const dividends = parsed.dividends
+            .map(d => ({ ...d, ticker: finalTicker[d.ticker] || d.ticker }))
+            .filter(d => !known.has(`${d.ticker}|${d.date}|${d.amount}`))
+            .map(d => sanitizeTx({ id: newTxId(), type: "dividend", ticker: d.ticker, date: d.date, qty: null, price: null, amount: d.amount, fee: 0, recordedAt, note: `Imported from ${brokerSource}` }))
+            .filter(Boolean);
+          return { ...s, assets: merged, ledger: [...s.ledger, ...dividends], brokerImportLog: [...(s.brokerImportLog || []), logEntry].slice(-40) };
         });
-        showToast(`Imported ${parsed.importedRows} positions from ${brokerSource}`);
+        const mappedNote = parsed.mapped ? ` · ${parsed.mapped} matched by ISIN/WKN` : "";
+        showToast(parsed.dividends.length
+          ? `Imported ${parsed.importedRows} positions and ${parsed.dividends.length} dividends from ${brokerSource}${mappedNote}`
+          : `Imported ${parsed.importedRows} positions from ${brokerSource}${mappedNote}`);
       } catch (error) {
         showToast(`Broker CSV import failed: ${error?.message || "Unknown error"}`, "error");
       }
     };
     reader.onerror = () => showToast("Could not read CSV file", "error");
     reader.readAsText(file);
-  }, [brokerSource, showToast]);
+  }, [brokerSource, state.categories, showToast]);
 
   const testBrokerApiAdapter = useCallback(async () => {
     const result = await fetchBrokerPositionsAdapter(brokerSource, {});
@@ -810,33 +1582,168 @@ function App() {
     };
   }, [state?.live?.enabled, state?.live?.refreshSec, refreshLiveData]);
 
-  const doLockMonth = useCallback((note = "") => {
-    const step = projection.steps[0];
-    if (!step) return;
-    const snap = {
-      label: `Month ${state.history.length + 1}`,
-      assets: state.assets.map(a => ({ ...a })),
-      total,
-      buys: step.buys,
-      completedAt: new Date().toISOString(),
-      note: sanitizeStr(note, 500),
+  // A month of daily closes per asset for the Overview sparklines. Refetched
+  // when the instruments or their symbols change, not on every value edit;
+  // the proxy caches the series for an hour anyway.
+  const historyKey = useMemo(() => state.assets.map(a => `${instrumentKey(a)}=${JSON.stringify(symbolsFor(a))}`).join("|"), [state.assets]);
+  useEffect(() => {
+    if (!state.live.enabled || !state.assets.length) return;
+    let cancelled = false;
+    fetchPriceHistory(state.assets, "1M")
+      .then(data => { if (!cancelled) setSparkHistory(data); })
+      .catch(() => { if (!cancelled) setSparkHistory(null); });
+    return () => { cancelled = true; };
+  }, [state.live.enabled, historyKey]);
+
+  // What locking in would apply: every month that is due when catching up,
+  // only the latest one otherwise, or Month 1 early when nothing is due yet.
+  // Replayed without growth — buys land on today's values.
+  const lockPlan = useMemo(() => {
+    if (!confirmLock) return null;
+    const keys = lock.early ? [lock.startKey] : lockMode === "catch-up" ? lock.due : lock.due.slice(-1);
+    const run  = runProjection(state.assets, total, state.dca, keys.length, {
+      ...allocOpts, carry: state.cashCarry,
+      contributions: keys.map(k => contributionFor(state.schedule, state.dca, k)),
+    });
+    return {
+      keys, run,
+      invested: roundMoney(run.steps.reduce((s, st) => s + st.invested, 0)),
+      fees:     run.totalFees,
     };
-    const newAssets = state.assets.map(a => {
-      const b = step.buys.find(x => x.ticker === a.ticker);
-      return b ? { ...a, current: Math.round((a.current + b.buy) * 100) / 100 } : { ...a };
+  }, [confirmLock, lock, lockMode, state.assets, total, state.dca, state.schedule, state.cashCarry, allocOpts]);
+
+  const doLockMonth = useCallback((note = "") => {
+    if (!lockPlan) return;
+    const { keys, run } = lockPlan;
+    const completedAt = new Date().toISOString();
+    const snaps = [];
+    const txs   = [];
+    let newAssets = state.assets;
+    run.steps.forEach((st, i) => {
+      const date = executionDate(keys[i], state.dcaDay);
+      snaps.push({
+        label: fmtMonth(keys[i], "long"),
+        monthKey: keys[i],
+        executionDate: date,
+        assets: newAssets.map(a => ({ ...a })),
+        total: st.total,
+        buys: st.buys,
+        completedAt,
+        note: sanitizeStr(note, 500),
+      });
+      txs.push(...lockInTransactions({
+        date, contribution: st.contribution, buys: st.buys, recordedAt: completedAt, note: sanitizeStr(note, 200),
+        prices: Object.fromEntries(newAssets.filter(a => a.quantity != null && a.lastPrice).map(a => [a.ticker, a.lastPrice])),
+      }));
+      newAssets = applyBuys(newAssets, st.buys);
     });
-    setState(s => ({ ...s, assets: newAssets, history: [...s.history, snap] }));
+    setState(s => ({ ...s, assets: newAssets, cashCarry: run.carry, history: [...s.history, ...snaps], ledger: [...s.ledger, ...txs] }));
     setConfirmLock(false);
+    setLockMode("catch-up");
     setTab(0);
-    showToast(`Month ${state.history.length + 1} locked — portfolio updated!`);
-  }, [projection, state.assets, state.history.length, total, showToast]);
+    showToast(keys.length > 1
+      ? `${keys.length} months caught up (${fmtMonth(keys[0])} – ${fmtMonth(keys[keys.length - 1])}) — portfolio updated!`
+      : `${fmtMonth(keys[0], "long")} locked — portfolio updated!`);
+  }, [lockPlan, state.assets, state.dcaDay, showToast]);
+
+  // ── Ledger ──
+  const lotBook   = useMemo(() => buildLots(ledgerTxs, state.taxLots.method), [ledgerTxs, state.taxLots.method]);
+  // Append records (never rewrite) and move the assets by whatever changed
+  const commitLedger = useCallback((records = [], method) => {
+    setState(s => {
+      const ledger = [...s.ledger, ...records.map(sanitizeTx).filter(Boolean)];
+      const lotMethod = method || s.taxLots.method;
+      const before = buildLots(activeTransactions(s.ledger), s.taxLots.method);
+      const after  = buildLots(activeTransactions(ledger), lotMethod);
+      return { ...s, ledger, taxLots: { ...s.taxLots, method: lotMethod }, assets: syncFromLedger(s.assets, before, after) };
+    });
+  }, []);
+  const addTransaction = useCallback((tx) => {
+    commitLedger([{ ...tx, id: newTxId(), recordedAt: new Date().toISOString() }]);
+    showToast(`${TX_TYPES[tx.type].label} recorded`);
+  }, [commitLedger, showToast]);
+  const correctTransaction = useCallback((old, patch) => {
+    commitLedger([{ ...old, ...patch, id: newTxId(), replaces: old.id, recordedAt: new Date().toISOString() }]);
+    showToast("Transaction corrected");
+  }, [commitLedger, showToast]);
+  // Gains and tax for the selected jurisdiction and tax year (default: current)
+  const taxProfile = TAX_PROFILES[state.tax.jurisdiction];
+  const taxYears   = useMemo(() => {
+    const now = taxYearOf(new Date().toISOString().slice(0, 10), taxProfile);
+    return [...new Set([now, ...taxYearsIn(ledgerTxs, taxProfile)])].sort((a, b) => b - a);
+  }, [ledgerTxs, taxProfile]);
+  const taxYear   = state.tax.year ?? taxYears[0];
+  const taxReport = useMemo(
+    () => buildTaxReport({ txs: ledgerTxs, assets: state.assets, profileId: state.tax.jurisdiction, year: taxYear }),
+    [ledgerTxs, state.assets, state.tax.jurisdiction, taxYear]
+  );
+  const exportTaxReportCSV  = useCallback(() => { exportTaxCSV(taxReport, cy);  showToast(`Tax report ${taxReport.label} downloaded.`); }, [taxReport, cy, showToast]);
+  const exportTaxReportHTML = useCallback(() => { exportTaxHTML(taxReport, cy); showToast("Tax report downloaded — open it and print to PDF."); }, [taxReport, cy, showToast]);
+  const voidTransaction = useCallback((old) => {
+    commitLedger([{ ...old, id: newTxId(), replaces: old.id, voided: true, recordedAt: new Date().toISOString() }]);
+    showToast("Transaction removed");
+  }, [commitLedger, showToast]);
 
   const hardReset = useCallback(() => {
-    setState({ ...DEFAULT_STATE, assets: DEFAULT_ASSETS.map(a => ({ ...a })) });
+    setState(freshState());
     setConfirmReset(false);
     showToast("Portfolio reset to defaults.", "info");
   }, [showToast]);
 
+  // ── Portfolios ──
+  // The active portfolio is saved on every change, so switching only has to
+  // load the next one. Month and ledger views start over on the new data.
+  const openPortfolio = useCallback((id, next) => {
+    setWorkspace(w => ({ ...w, activeId: id }));
+    setState(next || loadState(id) || freshState(state));
+    setTab(0);
+    setDisplayedTab(0);
+    setConfirmLock(false);
+    setLiveError("");
+    // A replay belongs to the portfolio it was run on
+    backtestJobRef.current?.cancel();
+    setBacktestRun({ result: null, progress: 0, running: false, error: null });
+  }, [state]);
+
+  const switchPortfolio = useCallback((id) => {
+    if (id === workspace.activeId) return;
+    openPortfolio(id);
+    showToast(`Switched to ${workspace.portfolios.find(p => p.id === id)?.name || "portfolio"}`);
+  }, [workspace, openPortfolio, showToast]);
+
+  const createPortfolio = useCallback((clone = false) => {
+    if (workspace.portfolios.length >= 20) { showToast("Up to 20 portfolios per workspace", "error"); return; }
+    const id = newPortfolioId();
+    const current = workspace.portfolios.find(p => p.id === workspace.activeId);
+    const name = clone ? sanitizeStr(`${current?.name || "Portfolio"} copy`, 30) : `Portfolio ${workspace.portfolios.length + 1}`;
+    const next = clone ? structuredClone(state) : freshState(state);
+    saveState(next, id);
+    setWorkspace(w => ({ ...w, portfolios: [...w.portfolios, { id, name }] }));
+    openPortfolio(id, next);
+    showToast(clone ? `Cloned as ${name}` : `${name} created`);
+  }, [workspace, state, openPortfolio, showToast]);
+
+  const renamePortfolio = useCallback((id, raw) => {
+    const name = sanitizeStr(raw, 30).trim();
+    if (!name) return;
+    setWorkspace(w => ({ ...w, portfolios: w.portfolios.map(p => (p.id === id ? { ...p, name } : p)) }));
+  }, []);
+
+  const deletePortfolio = useCallback((id) => {
+    const rest = workspace.portfolios.filter(p => p.id !== id);
+    if (!rest.length) return;
+    if (id === workspace.activeId) openPortfolio(rest[0].id);
+    else { setTab(0); setDisplayedTab(0); }
+    setWorkspace(w => ({ ...w, portfolios: w.portfolios.filter(p => p.id !== id) }));
+    try { localStorage.removeItem(portfolioKey(id)); } catch {}
+    setConfirmDelete(null);
+    showToast("Portfolio deleted", "info");
+  }, [workspace, openPortfolio, showToast]);
+
+  const updateHouseholdTargets = useCallback((targets) => {
+    setWorkspace(w => ({ ...w, household: { ...w.household, targets } }));
+  }, []);
+
   // ── Import ──
   const handleImport = useCallback((e) => {
     const file = e.target.files?.[0];
@@ -848,9 +1755,9 @@ function App() {
         const raw = ev.target.result;
         const parsed = JSON.parse(raw);
         if (typeof parsed !== "object" || parsed === null) throw new Error("Not an object");
-        // Accept v2, v3 and v4 backups
-        if (parsed.schemaVersion !== SCHEMA_VERSION && parsed.schemaVersion !== 2 && parsed.schemaVersion !== 3) {
-          showToast("Incompatible backup version (expected v2, v3 or v4).", "error");
+        // Accept v2–v5 backups
+        if (!SUPPORTED_SCHEMAS.includes(parsed.schemaVersion)) {
+          showToast("Incompatible backup version (expected v2–v5).", "error");
           return;
         }
         if (!Array.isArray(parsed.assets) || parsed.assets.length === 0) {
@@ -858,9 +1765,11 @@ function App() {
           return;
         }
         const seen = new Set();
-        const assets = parsed.assets.map(sanitizeAsset).filter(a => {
-          if (!a || seen.has(a.ticker)) return false;
-          seen.add(a.ticker);
+        const categories = sanitizeCategories(parsed.categories);
+        const assets = migrateAssets(parsed.assets, parsed.schemaVersion).map(a => sanitizeAsset(a, categories)).filter(a => {
+          // One asset per instrument, and tickers stay unique for the editors
+          if (!a || seen.has(a.ticker) || seen.has(instrumentKey(a))) return false;
+          seen.add(a.ticker).add(instrumentKey(a));
           return true;
         });
         if (assets.length === 0) {
@@ -873,13 +1782,20 @@ function App() {
           currency:         CURRENCIES.includes(parsed.currency) ? parsed.currency : "€",
           theme:            ["dark","light","auto"].includes(parsed.theme) ? parsed.theme : "auto",
           projectionMonths: sanitizeNum(parsed.projectionMonths, 1, 12, 3),
+          dcaDay:           Math.round(sanitizeNum(parsed.dcaDay, 1, 31, 1)),
+          cashCarry:        sanitizeNum(parsed.cashCarry, 0, 1_000_000, 0),
+          schedule:         sanitizeSchedule(parsed.schedule),
           history:          Array.isArray(parsed.history) ? parsed.history.slice(-120) : [],
+          ledger:           sanitizeLedger(parsed.ledger),
           schemaVersion:    SCHEMA_VERSION,
           platform:         PLATFORMS.some(x => x.id === parsed.platform) ? parsed.platform : "trade-republic",
+          account:          sanitizeAccount(parsed.account),
+          categories,
+          grouping:         { by: sanitizeGroupBy(parsed?.grouping?.by) },
           live: {
             enabled: !!parsed?.live?.enabled,
             refreshSec: sanitizeNum(parsed?.live?.refreshSec, 15, 300, 60),
-            baselineTotal: parsed?.live?.baselineTotal == null ? null : sanitizeNum(parsed.live.baselineTotal, 0, 100_000_000, 0),
+            period: RETURN_PERIODS[parsed?.live?.period] ? parsed.live.period : "all",
             lastFetchedAt: typeof parsed?.live?.lastFetchedAt === "string" ? parsed.live.lastFetchedAt : null,
             providerHealth: parsed?.live?.providerHealth && typeof parsed.live.providerHealth === "object" ? parsed.live.providerHealth : {},
             unresolved: Array.isArray(parsed?.live?.unresolved) ? parsed.live.unresolved.slice(0, 20) : [],
@@ -890,6 +1806,45 @@ function App() {
             enabled: parsed?.alerts?.enabled !== false,
             driftThreshold: sanitizeNum(parsed?.alerts?.driftThreshold, 0.5, 10, 2),
           },
+          fees: {
+            enabled: parsed?.fees?.enabled !== false,
+            maxDragPct: sanitizeNum(parsed?.fees?.maxDragPct, 0.1, 100, 3),
+          },
+          orderLimits: {
+            maxOrders: Math.round(sanitizeNum(parsed?.orderLimits?.maxOrders, 0, 50, 0)),
+          },
+          growth: {
+            enabled: parsed?.growth?.enabled !== false,
+          },
+          dividends: {
+            reinvest: !!parsed?.dividends?.reinvest,
+          },
+          monteCarlo: {
+            paths: MC_PATHS.includes(Number(parsed?.monteCarlo?.paths)) ? Number(parsed.monteCarlo.paths) : 1000,
+            driftLimit: sanitizeNum(parsed?.monteCarlo?.driftLimit, 0.5, 50, 3),
+          },
+          longTerm: {
+            years: Math.round(sanitizeNum(parsed?.longTerm?.years, 5, 40, 20)),
+            escalationPct: sanitizeNum(parsed?.longTerm?.escalationPct, 0, 20, 3),
+          },
+          backtest: sanitizeBacktest(parsed?.backtest),
+          rebalance: {
+            mode: REBALANCE_MODES[parsed?.rebalance?.mode] ? parsed.rebalance.mode : "buy-only",
+            band: sanitizeNum(parsed?.rebalance?.band, 0.5, 50, 5),
+          },
+          taxLots: {
+            method: LOT_METHODS[parsed?.taxLots?.method] ? parsed.taxLots.method : "fifo",
+          },
+          tax: {
+            jurisdiction: TAX_PROFILES[parsed?.tax?.jurisdiction] ? parsed.tax.jurisdiction : "DE",
+            year: parsed?.tax?.year == null ? null : Math.round(sanitizeNum(parsed.tax.year, 1990, 2100, new Date().getFullYear())),
+          },
+          allocation: {
+            engine: ALLOCATION_ENGINES[parsed?.allocation?.engine] ? parsed.allocation.engine : "heuristic",
+            strategy: ALLOCATION_STRATEGIES[parsed?.allocation?.strategy] ? parsed.allocation.strategy : DEFAULT_STRATEGY,
+            band: sanitizeNum(parsed?.allocation?.band, 0.5, 10, 2),
+            nested: parsed?.allocation?.nested !== false,
+          },
           priceSnapshots: Array.isArray(parsed?.priceSnapshots) ? parsed.priceSnapshots.slice(-300) : [],
           brokerImportLog: Array.isArray(parsed?.brokerImportLog) ? parsed.brokerImportLog.slice(-40) : [],
           assets,
@@ -905,13 +1860,21 @@ function App() {
 
   const tabs = [
     { label:"Overview",   icon:"barChart", short:"Overview" },
-    { label:"Month 1",    icon:"calendar", short:"M1"       },
-    ...projection.steps.slice(1).map((_, i) => ({ label:`Month ${i+2}`, icon:"trendUp", short:`M${i+2}` })),
+    ...projection.steps.map((st, i) => ({
+      label: fmtMonth(st.monthKey),
+      icon:  i === 0 ? "calendar" : "trendUp",
+      short: fmtMonth(st.monthKey).split(" ")[0],
+    })),
     { label:"Health",     icon:"bullseye", short:"Health"   },
+    { label:"Long-Term",  icon:"trendUp",  short:"Years"    },
+    { label:"Backtest",   icon:"history",  short:"Backtest" },
+    { label:"Rebalance",  icon:"arrows",   short:"Rebal"    },
     { label:"History",    icon:"history",  short:"History"  },
+    ...(household ? [{ label:"Household", icon:"layers", short:"House" }] : []),
   ];
 
   return (
+    <CategoryContext.Provider value={catInfo}>
     <div className={`pr ${activeTheme}`}>
       <link href="https://fonts.googleapis.com/css2?family=DM+Sans:opsz,wght@9..40,300;9..40,400;9..40,500;9..40,600;9..40,700&family=JetBrains+Mono:wght@400;500;600&display=swap" rel="stylesheet"/>
       <div className="pr-glow g1" aria-hidden="true"/><div className="pr-glow g2" aria-hidden="true"/>
@@ -936,7 +1899,17 @@ function App() {
               </div>
               <h1 className="hdr-title">Portfolio Roadmap</h1>
               <div className="hdr-sub-row">
-                <span className="hdr-sub">{state.assets.length} assets · Buy-only · <PlatformBadge platformId={state.platform}/></span>
+                <PortfolioSwitcher
+                  portfolios={workspace.portfolios}
+                  activeId={workspace.activeId}
+                  onSwitch={switchPortfolio}
+                  onCreate={() => createPortfolio(false)}
+                  onClone={() => createPortfolio(true)}
+                  onRename={renamePortfolio}
+                  onDelete={p => setConfirmDelete(p)}
+                />
+                <span className="hdr-sep">·</span>
+                <span className="hdr-sub">{state.assets.length} assets · {REBALANCE_MODES[state.rebalance.mode].label} · <PlatformBadge platformId={state.platform}/></span>
                 <span className="hdr-sep">·</span>
                 <button className="dca-pill" onClick={() => setDcaPickerOpen(true)} title="Open DCA editor">
                   <Icon name="zap" style={{ width:12, height:12 }}/>
@@ -977,7 +1950,7 @@ function App() {
               {[
                 { l:"Portfolio",          v:`${cy}${Math.round(total).toLocaleString()}`,                  s:"Current value",   c:"var(--accent-blue)",   icon:"wallet"   },
                 { l:"Monthly DCA",        v:`${cy}${state.dca}`,                                           s:"Per contribution",c:"var(--accent-indigo)", icon:"zap"      },
-                { l:`${state.projectionMonths}-Mo Target`, v:`${cy}${Math.round(projection.finalTotal).toLocaleString()}`, s:`+${cy}${(state.dca * state.projectionMonths).toLocaleString()}`, c:"var(--accent-green)", icon:"trendUp" },
+                { l:`${state.projectionMonths}-Mo Target`, v:`${cy}${Math.round(projection.finalTotal).toLocaleString()}`, s:`+${cy}${contributedTotal.toLocaleString()}${state.growth.enabled ? ` DCA · ${projection.totalGrowth >= 0 ? "+" : "−"}${cy}${Math.abs(Math.round(projection.totalGrowth)).toLocaleString()} growth` : ""}`, c:"var(--accent-green)", icon:"trendUp" },
                 { l:"Proj. Drift",        v:`${projAvgDrift.toFixed(1)}%`,                                s:`Avg abs · ${state.projectionMonths}mo`, c: projAvgDrift<1?"var(--accent-green)":projAvgDrift<2.5?"var(--accent-amber)":"var(--accent-red)", icon:"sliders" },
               ].map((k, i) => (
                 <div key={i} className="kpi">
@@ -1026,6 +1999,7 @@ function App() {
               enriched={enriched}
               total={total}
               safetyBreach={safetyBreach}
+              safetyBand={state.rebalance.band}
               cy={cy}
               editOpen={editOpen}
               setEditOpen={setEditOpen}
@@ -1041,7 +2015,17 @@ function App() {
               onToggleLive={toggleLiveTracking}
               onRefreshLive={refreshLiveData}
               onUpdateLiveRefresh={updateLiveRefreshSec}
+              returnPeriod={state.live.period}
+              onUpdateReturnPeriod={updateReturnPeriod}
               driftAlerts={driftAlerts}
+              targetTree={targetTree}
+              groupBy={state.grouping.by}
+              onUpdateGroupBy={updateGroupBy}
+              income={income}
+              reinvest={state.dividends.reinvest}
+              sparkHistory={state.live.enabled ? sparkHistory : null}
+              fxRates={state.live.fxData?.rates}
+              iso={isoCurrency}
             />
           )}
           {displayedTab >= 1 && displayedTab <= projection.steps.length && (
@@ -1049,9 +2033,12 @@ function App() {
               step={projection.steps[displayedTab - 1]}
               allSteps={projection.steps}
               stepIndex={displayedTab - 1}
-              label={`Month ${displayedTab}`}
+              label={fmtMonth(projection.steps[displayedTab - 1].monthKey)}
+              overdue={lock.missed.includes(projection.steps[displayedTab - 1].monthKey)}
               isFirst={displayedTab === 1}
-              dca={state.dca}
+              dca={projection.steps[displayedTab - 1].contribution}
+              baseDca={state.dca}
+              allocOpts={allocOpts}
               cy={cy}
               onConfirmLock={() => setConfirmLock(true)}
               assets={state.assets}
@@ -1059,7 +2046,7 @@ function App() {
               showToast={showToast}
             />
           )}
-          {displayedTab === projection.steps.length + 1 && (
+          {displayedTab === tabIdx.health && (
             <HealthTab
               finalPort={projection.finalPort}
               finalTotal={projection.finalTotal}
@@ -1068,10 +2055,85 @@ function App() {
               aligned={projAligned}
               cy={cy}
               months={state.projectionMonths}
+              totalFees={projection.totalFees}
+              dcaTotal={contributedTotal}
+              totalGrowth={state.growth.enabled ? projection.totalGrowth : null}
+              startTotal={total}
+              projectedTotals={[...projection.steps.slice(1).map(st => st.total), projection.finalTotal]}
+              mc={mc}
+              driftLimit={state.monteCarlo.driftLimit}
+              onUpdateDriftLimit={(v) => setState(s => ({ ...s, monteCarlo: { ...s.monteCarlo, driftLimit: sanitizeNum(v, 0.5, 50, 3) } }))}
+            />
+          )}
+          {displayedTab === tabIdx.longTerm && (
+            <LongTermTab
+              run={longRun}
+              cy={cy}
+              dca={state.dca}
+              years={state.longTerm.years}
+              escalationPct={state.longTerm.escalationPct}
+              growthEnabled={state.growth.enabled}
+              reinvest={state.dividends.reinvest}
+              onUpdateYears={(v) => setState(s => ({ ...s, longTerm: { ...s.longTerm, years: Math.round(sanitizeNum(v, 5, 40, 20)) } }))}
+              onUpdateEscalation={(v) => setState(s => ({ ...s, longTerm: { ...s.longTerm, escalationPct: sanitizeNum(v, 0, 20, 3) } }))}
+            />
+          )}
+          {displayedTab === tabIdx.backtest && (
+            <BacktestTab
+              run={backtestRun}
+              cy={cy}
+              dca={state.dca}
+              startMonth={state.backtest.startMonth}
+              source={state.backtest.source}
+              strategyLabel={`${ALLOCATION_ENGINES[state.allocation.engine]?.label || "Heuristic"} · ${ALLOCATION_STRATEGIES[state.allocation.strategy]?.label || state.allocation.strategy}`}
+              onUpdateStartMonth={(v) => setState(s => ({ ...s, backtest: sanitizeBacktest({ ...s.backtest, startMonth: v }) }))}
+              onUpdateSource={(v) => setState(s => ({ ...s, backtest: sanitizeBacktest({ ...s.backtest, source: v }) }))}
+              onRun={runBacktestNow}
+            />
+          )}
+          {displayedTab === tabIdx.rebalance && (
+            <RebalanceTab
+              plan={rebalancePlan}
+              cy={cy}
+              dca={contributions[0]}
+              carryIn={state.cashCarry}
+              onUpdateMode={(mode) => setState(s => ({ ...s, rebalance: { ...s.rebalance, mode: REBALANCE_MODES[mode] ? mode : "buy-only" } }))}
+              onUpdateBand={(v) => setState(s => ({ ...s, rebalance: { ...s.rebalance, band: sanitizeNum(v, 0.5, 50, 5) } }))}
+              showToast={showToast}
+            />
+          )}
+          {displayedTab === tabIdx.history && (
+            <HistoryTab
+              history={state.history}
+              ledger={state.ledger}
+              txs={ledgerTxs}
+              lotBook={lotBook}
+              lotMethod={state.taxLots.method}
+              assets={state.assets}
+              cy={cy}
+              priceSnapshots={state.priceSnapshots}
+              onAddTx={addTransaction}
+              onCorrectTx={correctTransaction}
+              onVoidTx={voidTransaction}
+              onUpdateLotMethod={m => commitLedger([], LOT_METHODS[m] ? m : "fifo")}
+              taxReport={taxReport}
+              taxYears={taxYears}
+              onUpdateJurisdiction={j => setState(s => ({ ...s, tax: { ...s.tax, jurisdiction: TAX_PROFILES[j] ? j : "DE", year: null } }))}
+              onUpdateTaxYear={y => setState(s => ({ ...s, tax: { ...s.tax, year: y } }))}
+              onExportTaxCSV={exportTaxReportCSV}
+              onExportTaxHTML={exportTaxReportHTML}
             />
           )}
-          {displayedTab === projection.steps.length + 2 && (
-            <HistoryTab history={state.history} cy={cy} priceSnapshots={state.priceSnapshots}/>
+          {displayedTab === tabIdx.household && household && (
+            <HouseholdTab
+              model={household}
+              routing={householdRouting}
+              cy={cy}
+              activeId={workspace.activeId}
+              onUpdateTargets={updateHouseholdTargets}
+              onOpenPortfolio={switchPortfolio}
+              showToast={showToast}
+            />
           )}
         </div>
           </div>{/* content-wrap */}
@@ -1084,6 +2146,7 @@ function App() {
           state={state}
           onClose={() => setSettingsOpen(false)}
           onUpdateDca={updateDca}
+          onUpdateDcaDay={v => setState(s => ({ ...s, dcaDay: Math.round(sanitizeNum(v, 1, 31, 1)) }))}
           onUpdateCurrency={c  => { setState(s => ({ ...s, currency: c })); showToast(`Currency set to ${c}`); }}
           onUpdateTheme={t     => setState(s => ({ ...s, theme: t }))}
           onUpdateProjection={v => setState(s => ({ ...s, projectionMonths: sanitizeNum(v, 1, 12, 3) }))}
@@ -1094,6 +2157,9 @@ function App() {
           onNormalize={normalizeTargets}
           onExportJSON={() => { exportJSON(state); showToast("JSON backup downloaded."); }}
           onExportCSV={() => { exportCSV(state.assets, cy); showToast("CSV downloaded."); }}
+          taxReportLabel={`${taxReport.profile.label} ${taxReport.label}`}
+          onExportTaxCSV={exportTaxReportCSV}
+          onExportTaxHTML={exportTaxReportHTML}
           onImport={() => fileInputRef.current?.click()}
           onImportBrokerCsv={() => brokerFileInputRef.current?.click()}
           brokerSource={brokerSource}
@@ -1112,6 +2178,38 @@ function App() {
           onUpdateDriftThreshold={(v) => setState(s => ({ ...s, alerts: { ...s.alerts, driftThreshold: sanitizeNum(v, 0.5, 10, 2) } }))}
           alertsEnabled={state.alerts.enabled}
           onToggleAlerts={(enabled) => setState(s => ({ ...s, alerts: { ...s.alerts, enabled } }))}
+          feesEnabled={state.fees.enabled}
+          onToggleFees={(enabled) => setState(s => ({ ...s, fees: { ...s.fees, enabled } }))}
+          maxFeeDragPct={state.fees.maxDragPct}
+          onUpdateMaxFeeDrag={(v) => setState(s => ({ ...s, fees: { ...s.fees, maxDragPct: sanitizeNum(v, 0.1, 100, 3) } }))}
+          maxOrders={state.orderLimits.maxOrders}
+          onUpdateMaxOrders={(v) => setState(s => ({ ...s, orderLimits: { ...s.orderLimits, maxOrders: Math.round(sanitizeNum(v, 0, 50, 0)) } }))}
+          onUpdateSchedule={(schedule) => setState(s => ({ ...s, schedule: sanitizeSchedule(schedule) }))}
+          growthEnabled={state.growth.enabled}
+          onToggleGrowth={(enabled) => setState(s => ({ ...s, growth: { ...s.growth, enabled } }))}
+          reinvestDividends={state.dividends.reinvest}
+          onToggleReinvest={(reinvest) => setState(s => ({ ...s, dividends: { ...s.dividends, reinvest } }))}
+          account={state.account}
+          targetTree={targetTree}
+          onSetNodeShare={setNodeTarget}
+          groupBy={state.grouping.by}
+          onUpdateGroupBy={updateGroupBy}
+          onAddCategory={addCategory}
+          onUpdateCategory={updateCategory}
+          onRemoveCategory={removeCategory}
+          onLinkIdentifier={linkIdentifier}
+          nested={state.allocation.nested}
+          onToggleNested={(nested) => setState(s => ({ ...s, allocation: { ...s.allocation, nested } }))}
+          onUpdateAccount={(patch) => setState(s => ({ ...s, account: sanitizeAccount({ ...s.account, ...patch }) }))}
+          divProfiles={divProfiles}
+          mcPaths={state.monteCarlo.paths}
+          onUpdateMcPaths={(v) => setState(s => ({ ...s, monteCarlo: { ...s.monteCarlo, paths: MC_PATHS.includes(Number(v)) ? Number(v) : 1000 } }))}
+          engine={state.allocation.engine}
+          onUpdateEngine={(v) => setState(s => ({ ...s, allocation: { ...s.allocation, engine: ALLOCATION_ENGINES[v] ? v : "heuristic" } }))}
+          strategy={state.allocation.strategy}
+          onUpdateStrategy={(v) => setState(s => ({ ...s, allocation: { ...s.allocation, strategy: ALLOCATION_STRATEGIES[v] ? v : DEFAULT_STRATEGY } }))}
+          driftBand={state.allocation.band}
+          onUpdateDriftBand={(v) => setState(s => ({ ...s, allocation: { ...s.allocation, band: sanitizeNum(v, 0.5, 10, 2) } }))}
           brokerImportLog={state.brokerImportLog}
         />
       )}
@@ -1125,19 +2223,45 @@ function App() {
         />
       )}
 
-      {confirmLock && (
+      {confirmLock && lockPlan && (
         <ConfirmModal
           icon="lock"
           iconColor="var(--accent-green)"
-          title="Lock In Month 1?"
-          body={`Apply ${cy}${projection.steps[0]?.buys.reduce((s, b) => s + b.buy, 0) || 0} in buys to your live portfolio. This cannot be undone.`}
+          title={lockPlan.keys.length > 1 ? `Catch Up ${lockPlan.keys.length} Months?` : `Lock In ${fmtMonth(lockPlan.keys[0], "long")}?`}
+          body={`Apply ${cy}${fmtAmt(lockPlan.invested)} in buys${lockPlan.fees > 0 ? ` (+${cy}${fmtAmt(lockPlan.fees)} fees)` : ""} to your live portfolio. This cannot be undone.`}
+          notice={
+            lock.missed.length > 0
+              ? `${lock.missed.length} month${lock.missed.length !== 1 ? "s" : ""} missed since ${lock.lastKey ? `your last lock-in (${fmtMonth(lock.lastKey)})` : "you started"}: ${lock.missed.map(k => fmtMonth(k)).join(", ")}.`
+              : lock.early
+                ? `${lock.lockedThisMonth ? `You already locked in a DCA this month (${fmtDay(state.history[state.history.length - 1].completedAt.slice(0, 10))}). ` : ""}${fmtMonth(lock.startKey, "long")} isn't due until ${fmtDay(lock.nextDate)} — it will be recorded early.`
+                : null
+          }
+          options={lock.missed.length > 0 ? [
+            { id: "catch-up", label: `Catch up all ${lock.due.length}` },
+            { id: "latest",   label: `Only ${fmtMonth(lock.due[lock.due.length - 1])}` },
+          ] : null}
+          option={lockMode}
+          onOption={setLockMode}
           confirmLabel="Lock In & Update Portfolio"
           hasNote
-          onCancel={() => setConfirmLock(false)}
+          onCancel={() => { setConfirmLock(false); setLockMode("catch-up"); }}
           onConfirm={doLockMonth}
         />
       )}
 
+      {confirmDelete && (
+        <ConfirmModal
+          icon="trash"
+          iconColor="var(--accent-red)"
+          title={`Delete ${confirmDelete.name}?`}
+          body="Its assets, history, ledger and settings are removed from this browser. Export a JSON backup first if you might need them."
+          confirmLabel="Delete Portfolio"
+          danger
+          onCancel={() => setConfirmDelete(null)}
+          onConfirm={() => deletePortfolio(confirmDelete.id)}
+        />
+      )}
+
       {confirmReset && (
         <ConfirmModal
           icon="trash"
@@ -1167,6 +2291,64 @@ function App() {
 
       <style>{getCSS()}</style>
     </div>
+    </CategoryContext.Provider>
+  );
+}
+
+// ─── PORTFOLIO SWITCHER ───────────────────────────────────────
+function PortfolioSwitcher({ portfolios, activeId, onSwitch, onCreate, onClone, onRename, onDelete }) {
+  const [open, setOpen]       = useState(false);
+  const [editing, setEditing] = useState(null); // id being renamed
+  const [draft, setDraft]     = useState("");
+  const ref = useRef(null);
+  useEffect(() => {
+    if (!open) return;
+    const h = (e) => { if (!ref.current?.contains(e.target)) { setOpen(false); setEditing(null); } };
+    document.addEventListener("mousedown", h);
+    return () => document.removeEventListener("mousedown", h);
+  }, [open]);
+  const active = portfolios.find(p => p.id === activeId);
+  const commit = () => { if (editing) onRename(editing, draft); setEditing(null); };
+  const run = (fn) => { fn(); setOpen(false); setEditing(null); };
+  return (
+    <div className="pf-switch" ref={ref}>
+      <button className="pf-pill" onClick={() => setOpen(o => !o)} aria-haspopup="menu" aria-expanded={open} title="Switch portfolio">
+        <Icon name="wallet" style={{ width:12, height:12 }}/>
+        <span>{active?.name || "Portfolio"}</span>
+        {portfolios.length > 1 && <span className="pf-count mono">{portfolios.length}</span>}
+      </button>
+      {open && (
+        <div className="pf-menu" role="menu" aria-label="Portfolios">
+          {portfolios.map(p => (
+            <div key={p.id} className={`pf-item${p.id === activeId ? " active" : ""}`}>
+              {editing === p.id ? (
+                <input className="pf-rename" autoFocus value={draft} maxLength={30}
+                  onChange={e => setDraft(e.target.value)}
+                  onKeyDown={e => { if (e.key === "Enter") commit(); if (e.key === "Escape") { e.stopPropagation(); setEditing(null); } }}
+                  onBlur={commit} aria-label="Portfolio name"/>
+              ) : (
+                <button className="pf-name" role="menuitem" onClick={() => run(() => onSwitch(p.id))}>
+                  {p.id === activeId && <Icon name="check" style={{ width:12, height:12, color:"var(--accent-green)" }}/>}
+                  <span>{p.name}</span>
+                </button>
+              )}
+              <button className="pf-icon" title="Rename" aria-label={`Rename ${p.name}`} onClick={() => { setEditing(p.id); setDraft(p.name); }}>
+                <Icon name="edit" style={{ width:12, height:12 }}/>
+              </button>
+              {portfolios.length > 1 && (
+                <button className="pf-icon danger" title="Delete" aria-label={`Delete ${p.name}`} onClick={() => run(() => onDelete(p))}>
+                  <Icon name="trash" style={{ width:12, height:12 }}/>
+                </button>
+              )}
+            </div>
+          ))}
+          <div className="pf-actions">
+            <button className="btn-ghost sm" onClick={() => run(onCreate)}><Icon name="plus" style={{ width:12, height:12 }}/>New</button>
+            <button className="btn-ghost sm" onClick={() => run(onClone)} title="Copy this portfolio with its history and settings"><Icon name="copy" style={{ width:12, height:12 }}/>Clone</button>
+          </div>
+        </div>
+      )}
+    </div>
   );
 }
 
@@ -1190,8 +2372,19 @@ function ThemeToggle({ theme, onToggle }) {
 }
 
 // ─── OVERVIEW TAB ─────────────────────────────────────────────
-function OverviewTab({ sortedDrift, enriched, safetyBreach, cy, editOpen, setEditOpen, onUpdateCurrent, assets, platformId, liveEnabled, liveRefreshSec, liveLastFetchedAt, liveLoading, liveError, liveModel, onToggleLive, onRefreshLive, onUpdateLiveRefresh, driftAlerts }) {
+function OverviewTab({ sortedDrift, enriched, safetyBreach, safetyBand = 5, cy, editOpen, setEditOpen, onUpdateCurrent, assets, platformId, liveEnabled, liveRefreshSec, liveLastFetchedAt, liveLoading, liveError, liveModel, onToggleLive, onRefreshLive, onUpdateLiveRefresh, returnPeriod = "all", onUpdateReturnPeriod, driftAlerts, targetTree = [], income, reinvest = false, groupBy = "cat", onUpdateGroupBy, sparkHistory, fxRates, iso }) {
+  const cats = useCategories();
   const [localVals, setLocalVals] = useState({});
+  const [focus, setFocus] = useState(null);
+  const [detail, setDetail] = useState(null); // ticker shown in the price drawer
+  const detailAsset = detail && assets.find(a => a.ticker === detail);
+  const dims   = useMemo(() => groupDimensions(assets), [assets]);
+  const groups = useMemo(() => groupAssets(enriched, groupBy, cats.names).map(({ key, assets: ga }, i) => ({
+    key, assets: ga,
+    color: groupBy === "cat" ? cats.color(key) : key ? GROUP_PALETTE[i % GROUP_PALETTE.length] : "#78909C",
+    icon:  groupBy === "cat" ? cats.icon(key) : "tag",
+  })), [enriched, groupBy, cats]);
+  const filter = focus == null ? null : { dim: groupBy, value: focus };
 
   useEffect(() => {
     if (editOpen) {
@@ -1211,6 +2404,9 @@ function OverviewTab({ sortedDrift, enriched, safetyBreach, cy, editOpen, setEdi
     [localVals, assets]
   );
 
+  const ret = liveModel?.returns || null;
+  const fmtRet = r => r == null ? "—" : `${r >= 0 ? "+" : ""}${(r * 100).toFixed(2)}%`;
+
   return (
     <>
       <Sh title="Live Tracking" subtitle="Realtime PnL, quote health, and drift alerts"/>
@@ -1252,8 +2448,20 @@ function OverviewTab({ sortedDrift, enriched, safetyBreach, cy, editOpen, setEdi
           <>
             <div className="live-meta mono">
               Sources: {Object.entries(liveModel.providerHealth || {}).filter(([, v]) => v === "ok").map(([k]) => k).join(", ") || "none"}
+              {Object.values(liveModel.providerHealth || {}).includes("rate-limited")
+                ? ` · Rate-limited: ${Object.entries(liveModel.providerHealth).filter(([, v]) => v === "rate-limited").map(([k]) => k).join(", ")}`
+                : ""}
               {liveModel.unresolved?.length ? ` · Unresolved: ${liveModel.unresolved.length}` : ""}
             </div>
+            <div className="live-period-row">
+              <span className="live-label">Returns</span>
+              <div className="seg-ctrl" role="group" aria-label="Return period">
+                {Object.entries(RETURN_PERIODS).map(([id, p]) => (
+                  <button key={id} className={`seg-btn ${returnPeriod === id ? "active" : ""}`} onClick={() => onUpdateReturnPeriod(id)}>{p.label}</button>
+                ))}
+              </div>
+              {ret && <span className="live-meta mono">since {ret.from.toLocaleDateString([], { day: "numeric", month: "short", year: "numeric" })}</span>}
+            </div>
             <div className="live-kpis">
               <div className="live-kpi">
                 <span>Live Value</span>
@@ -1268,11 +2476,34 @@ function OverviewTab({ sortedDrift, enriched, safetyBreach, cy, editOpen, setEdi
               <div className="live-kpi">
                 <span>Total Return</span>
                 <strong className="mono" style={{ color: liveModel.totalReturn >= 0 ? "var(--accent-green)" : "var(--accent-red)" }}>
-                  {liveModel.totalReturn >= 0 ? "+" : ""}{cy}{Math.round(liveModel.totalReturn).toLocaleString()} ({liveModel.totalReturnPct.toFixed(2)}%)
+                  {ret ? <>{liveModel.totalReturn >= 0 ? "+" : ""}{cy}{Math.round(liveModel.totalReturn).toLocaleString()}</> : "—"}
+                </strong>
+                {ret && <em className="mono">{cy}{Math.round(ret.netFlows).toLocaleString()} contributed</em>}
+              </div>
+              <div className="live-kpi" title="Time-weighted: how the holdings performed, independent of when money went in">
+                <span>TWR</span>
+                <strong className="mono" style={{ color: (ret?.twr ?? 0) >= 0 ? "var(--accent-green)" : "var(--accent-red)" }}>
+                  {fmtRet(ret?.twr)}
                 </strong>
               </div>
+              <div className="live-kpi" title="Money-weighted (XIRR): what you earned given the timing of your contributions">
+                <span>MWR{ret?.mwrAnnualised ? " p.a." : ""}</span>
+                <strong className="mono" style={{ color: (ret?.mwr ?? 0) >= 0 ? "var(--accent-green)" : "var(--accent-red)" }}>
+                  {fmtRet(ret?.mwr)}
+                </strong>
+              </div>
+              {liveModel.hasCostBasis && (
+                <div className="live-kpi">
+                  <span>Unrealised</span>
+                  <strong className="mono" style={{ color: liveModel.unrealised >= 0 ? "var(--accent-green)" : "var(--accent-red)" }}>
+                    {liveModel.unrealised >= 0 ? "+" : ""}{cy}{Math.round(liveModel.unrealised).toLocaleString()} ({liveModel.unrealisedPct.toFixed(2)}%)
+                  </strong>
+                </div>
+              )}
             </div>
 
+            {!ret && <div className="live-meta">Returns need at least one earlier valuation — lock in a month or keep live tracking on.</div>}
+
             <div className="live-contrib-list">
               {liveModel.contributions.slice(0, 4).map(c => (
                 <div key={c.ticker} className="live-contrib-row">
@@ -1294,31 +2525,39 @@ function OverviewTab({ sortedDrift, enriched, safetyBreach, cy, editOpen, setEdi
           </div>
           <div className="smart-alert-list">
             {driftAlerts.slice(0, 6).map(a => (
-              <div className="smart-alert-row" key={a.ticker}>
-                <span className="mono">{a.ticker}</span>
+              <div className="smart-alert-row" key={a.id}>
+                <span className={a.level === "asset" ? "mono" : undefined}>{a.label}</span>
                 <span>Drift {a.drift > 0 ? "+" : ""}{a.drift.toFixed(2)}%</span>
-                <span className="mono">Suggest buy: {a.suggestedBuy > 0 ? `${cy}${a.suggestedBuy}` : "pause buys"}</span>
+                <span className="mono">Suggest buy: {a.suggestedBuy > 0 ? `${cy}${fmtAmt(a.suggestedBuy)}` : "pause buys"}</span>
               </div>
             ))}
           </div>
         </div>
       )}
 
-      {/* Category breakdown — high-level view first */}
-      <Sh title="Category Breakdown" subtitle="Actual vs target allocation by asset class"/>
+      {/* Breakdown — high-level view first, by category or by any tag key */}
+      <Sh title="Breakdown" subtitle={`Actual vs target allocation by ${groupBy === "cat" ? "asset class" : groupBy.slice(4)} · select a group to filter the drift list`}/>
+      {dims.length > 1 && (
+        <div className="seg-ctrl group-by" role="group" aria-label="Group by">
+          {dims.map(d => (
+            <button key={d.id} className={`seg-btn ${groupBy === d.id ? "active" : ""}`} onClick={() => { setFocus(null); onUpdateGroupBy(d.id); }}>{d.label}</button>
+          ))}
+        </div>
+      )}
       <div className="cat-grid">
-        {Object.keys(CAT_COLORS).filter(cat => enriched.some(a => a.cat === cat)).map(cat => {
-          const ca   = enriched.filter(a => a.cat === cat);
-          const cp   = ca.reduce((s, a) => s + a.pct, 0);
-          const ct   = ca.reduce((s, a) => s + a.target, 0);
-          const c    = CAT_COLORS[cat];
+        {groups.map(({ key, assets: ga, color: c, icon }) => {
+          const cp   = ga.reduce((s, a) => s + a.pct, 0);
+          const ct   = ga.reduce((s, a) => s + a.target, 0);
           const over = cp > ct + 1;
+          const on   = focus === key;
           return (
-            <div key={cat} className="cat-card">
+            <div key={key || "untagged"} className={`cat-card cat-card-btn${on ? " on" : ""}`} role="button" tabIndex={0} aria-pressed={on}
+              onClick={() => setFocus(on ? null : key)}
+              onKeyDown={e => { if (e.key === "Enter" || e.key === " ") { e.preventDefault(); setFocus(on ? null : key); } }}>
               <div className="cat-orb" style={{ background:c }}/>
               <div className="cat-header">
-                <Icon name={CAT_ICONS[cat] || "barChart"} style={{ color:c, width:15, height:15 }}/>
-                <div className="cat-l">{cat}</div>
+                <Icon name={icon} style={{ color:c, width:15, height:15 }}/>
+                <div className="cat-l">{key || "Untagged"}</div>
               </div>
               <div className="cat-v mono" style={{ color: over ? "var(--accent-amber)" : c }}>{cp.toFixed(1)}%</div>
               <div className="cat-t">Target: {ct.toFixed(1)}%</div>
@@ -1330,34 +2569,68 @@ function OverviewTab({ sortedDrift, enriched, safetyBreach, cy, editOpen, setEdi
         })}
       </div>
 
-      {/* Safety valve */}
-      <div className={`safety ${safetyBreach ? "safety-warn" : ""}`} role={safetyBreach ? "alert" : undefined}>
-        <Icon name={safetyBreach ? "shieldWarn" : "shield"} className="safety-ico" style={{ color: safetyBreach ? "var(--accent-red)" : undefined }}/>
-        {safetyBreach ? (
+      {/* Drill-down: category → sub-category → asset */}
+      <Sh title="Target Tree" subtitle="Share of each parent, actual vs target · drift in points of the whole portfolio"/>
+      <TargetTree tree={targetTree}/>
+
+      {/* Dividend income — next twelve months at today's values */}
+      {income?.annual > 0 && (
+        <>
+          <Sh title="Dividend Income" subtitle={`${cy}${fmtAmt(income.annual)} expected over the next 12 months · ${reinvest ? "reinvested into the DCA budget" : "paid out"}`}/>
+          <div className="sched-preview div-cal" aria-label="Dividend calendar">
+            {income.calendar.map(m => (
+              <div key={m.monthKey} className={`sched-chip${m.total > 0 ? " changed" : " skip"}`}
+                title={m.items.map(x => `${x.ticker} ${cy}${fmtAmt(x.amount)}`).join(" · ") || "No payouts"}>
+                <span>{fmtMonth(m.monthKey)}</span>
+                <span className="mono">{m.total > 0 ? `${cy}${fmtAmt(m.total)}` : "—"}</span>
+                {m.items[0] && <span className="div-cal-top">{m.items.slice(0, 2).map(x => x.ticker).join(", ")}</span>}
+              </div>
+            ))}
+          </div>
+          <div className="live-contrib-list">
+            {assets.filter(a => income.profiles[a.ticker]).map(a => {
+              const p = income.profiles[a.ticker];
+              return (
+                <div key={a.ticker} className="live-contrib-row">
+                  <span>{a.ticker} <span className="editor-cat">{p.yieldPct.toFixed(2)}%{p.source === "records" ? " · from records" : ""}</span></span>
+                  <span className="mono">{cy}{fmtAmt(a.current * p.yieldPct / 100)}/yr</span>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      {/* Safety valve */}
+      <div className={`safety ${safetyBreach ? "safety-warn" : ""}`} role={safetyBreach ? "alert" : undefined}>
+        <Icon name={safetyBreach ? "shieldWarn" : "shield"} className="safety-ico" style={{ color: safetyBreach ? "var(--accent-red)" : undefined }}/>
+        {safetyBreach ? (
           <div>
             <div className="safety-t" style={{ color:"var(--accent-red)" }}>Safety Alert — {safetyBreach.ticker} is {(safetyBreach.pct - safetyBreach.target).toFixed(1)}% over target</div>
-            <div className="safety-d">Consider pausing buys for this asset until its allocation normalises naturally.</div>
+            <div className="safety-d">Consider pausing buys for this asset, or review the trades proposed on the Rebalance tab.</div>
           </div>
         ) : (
           <div>
             <div className="safety-t">Safety Valve: All Clear</div>
-            <div className="safety-d">No asset exceeds its target by more than 5%. Buy-only rebalancing is safe to proceed.</div>
+            <div className="safety-d">No asset exceeds its target by more than {safetyBand}%. Buy-only rebalancing is safe to proceed.</div>
           </div>
         )}
       </div>
 
       {/* Current Drift — per-asset detail */}
-      <Sh title="Current Drift" subtitle="Sorted from most under-weight to most over-weight"/>
+      <Sh title="Current Drift" subtitle={filter ? `${filter.value || "Untagged"} only · sorted from most under-weight to most over-weight` : "Sorted from most under-weight to most over-weight"}/>
+      {filter && <button className="btn-ghost sm drift-filter-clear" onClick={() => setFocus(null)}>Show all assets</button>}
       <div className="drift-list" role="list">
-        {sortedDrift.map((a, i) => {
-          const c    = CAT_COLORS[a.cat] || "#6366f1";
+        {sortedDrift.filter(a => matchesGroup(a, filter)).map((a, i) => {
+          const c    = cats.color(a.cat);
           const ad   = Math.abs(a.drift);
           const barW = Math.min((ad / 6) * 55, 55);
           const neg  = a.drift < 0;
           const urg  = ad > 3 ? "var(--accent-red)" : ad > 1.5 ? "var(--accent-amber)" : "var(--accent-green)";
+          const closes = historyFor(sparkHistory, a)?.bars.map(b => b.c);
           return (
             <div key={a.ticker} className="d-row" role="listitem" style={{ animationDelay:`${i * 0.035}s` }}>
-              <div className="d-left">
+              <button className="d-left d-open" onClick={() => setDetail(a.ticker)} aria-label={`Price history for ${a.ticker}`}>
                 <div className="d-icon" style={{ background:`${c}18`, color:c }}>
                   <Icon name={a.icon}/>
                 </div>
@@ -1365,7 +2638,8 @@ function OverviewTab({ sortedDrift, enriched, safetyBreach, cy, editOpen, setEdi
                   <div className="d-ticker">{a.ticker}</div>
                   <div className="d-cat">{a.cat}</div>
                 </div>
-              </div>
+                {closes && <MiniSparkline values={closes} color={closes[closes.length - 1] >= closes[0] ? "var(--accent-green)" : "var(--accent-red)"} width={56} height={20} style={{ marginLeft:"auto" }}/>}
+              </button>
               <div className="d-val mono">{cy}{Math.round(a.current).toLocaleString()}</div>
               <div className="d-bar-area" aria-hidden="true">
                 <div className="d-bar-mid"/>
@@ -1388,6 +2662,10 @@ function OverviewTab({ sortedDrift, enriched, safetyBreach, cy, editOpen, setEdi
         })}
       </div>
 
+      {detailAsset && (
+        <AssetDrawer asset={detailAsset} color={cats.color(detailAsset.cat)} cy={cy} fxRates={fxRates} iso={iso} onClose={() => setDetail(null)}/>
+      )}
+
       {/* Live value editor */}
       <div className="editor-panel">
         <button className="editor-hdr" onClick={() => setEditOpen(v => !v)} aria-expanded={editOpen}>
@@ -1402,7 +2680,7 @@ function OverviewTab({ sortedDrift, enriched, safetyBreach, cy, editOpen, setEdi
           <div className="editor-body">
             <div className="editor-grid">
               {assets.map(a => {
-                const c = CAT_COLORS[a.cat] || "#6366f1";
+                const c = cats.color(a.cat);
                 return (
                   <div key={a.ticker} className="editor-row">
                     <div className="editor-asset">
@@ -1444,31 +2722,71 @@ function OverviewTab({ sortedDrift, enriched, safetyBreach, cy, editOpen, setEdi
 }
 
 // ─── MONTH TAB ────────────────────────────────────────────────
-function MonthTab({ step, label, isFirst, dca, cy, onConfirmLock, showToast }) {
+function MonthTab({ step, label, overdue = false, isFirst, dca, baseDca = dca, allocOpts, cy, onConfirmLock, showToast }) {
+  const cats = useCategories();
   const [copied, setCopied]       = useState(false);
   const [whatIfDca, setWhatIfDca] = useState(dca);
   const [showWhatIf, setShowWhatIf] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
 
-  // Recompute what-if buys when slider changes
-  const whatIfBuys = useMemo(
-    () => allocate(step.port, step.total, whatIfDca),
-    [step.port, step.total, whatIfDca]
+  // Recompute what-if buys when slider changes (carried cash and reinvested dividends still apply)
+  const whatIfBudget = roundMoney(whatIfDca + (step.carryIn || 0) + (step.reinvested || 0));
+  const whatIfPlan = useMemo(
+    () => planBuys(step.port, step.total, whatIfBudget, allocOpts),
+    [step.port, step.total, whatIfBudget, allocOpts]
   );
-  const activeBuys  = showWhatIf ? whatIfBuys : step.buys;
+  const activeBuys  = showWhatIf ? whatIfPlan.buys : step.buys;
+  const skipped     = (showWhatIf ? whatIfPlan.skipped : step.skipped) || [];
   const activeDca   = showWhatIf ? whatIfDca : dca;
-  const spent = activeBuys.reduce((s, b) => s + b.buy, 0);
+  const budget      = showWhatIf ? whatIfBudget : step.budget;
+  const invested = roundMoney(activeBuys.reduce((s, b) => s + b.buy, 0));
+  const fees     = roundMoney(activeBuys.reduce((s, b) => s + (b.fee || 0), 0));
+  const carryOut = roundMoney(budget - invested - fees);
 
   const afterEnriched = useMemo(() => {
     const nextPort = step.port.map(a => {
       const b = activeBuys.find(x => x.ticker === a.ticker);
       return b ? { ...a, current: a.current + b.buy } : a;
     });
-    return enrich(nextPort, step.total + activeDca).sort((a, b) => b.current - a.current);
-  }, [step, activeBuys, activeDca]);
+    return enrich(nextPort, step.total + invested).sort((a, b) => b.current - a.current);
+  }, [step, activeBuys, invested]);
+
+  // Both engines on the same month and budget, only computed while shown
+  const comparison = useMemo(() => {
+    if (!showCompare) return null;
+    const summarize = plan => {
+      const spent = plan.buys.reduce((s, b) => s + b.buy + (b.fee || 0), 0);
+      const after = step.total + plan.buys.reduce((s, b) => s + b.buy, 0);
+      const drift = {};
+      for (const a of step.port) {
+        const b = plan.buys.find(x => x.ticker === a.ticker);
+        drift[a.ticker] = after > 0 ? ((a.current + (b ? b.buy : 0)) / after) * 100 - a.target : 0;
+      }
+      const values = Object.values(drift);
+      return {
+        plan, drift,
+        te: trackingError(step.port, step.total, plan.buys, budget - spent),
+        max: values.length ? Math.max(...values.map(Math.abs)) : 0,
+        carry: roundMoney(budget - spent),
+      };
+    };
+    return {
+      heuristic: summarize(planMonth(step.port, step.total, budget, allocOpts)),
+      optimal:   summarize(optimizeMonth(step.port, step.total, budget, allocOpts)),
+    };
+  }, [showCompare, step, budget, allocOpts]);
 
   function doCopy() {
-    const lines = activeBuys.map(b => `${b.ticker}: ${cy}${b.buy} (${((b.buy / activeDca) * 100).toFixed(0)}%)`);
-    const text  = [`=== ${label} — DCA ${cy}${activeDca} ===`, ...lines, `Total: ${cy}${spent}`].join("\n");
+    const lines = activeBuys.map(b => {
+      const units = b.qty != null ? ` = ${fmtQty(b.qty)} sh @ ${cy}${b.price.toFixed(2)}` : "";
+      const fee   = b.fee > 0 ? ` + ${cy}${fmtAmt(b.fee)} fee` : "";
+      return `${b.ticker}: ${cy}${fmtAmt(b.buy)}${units}${fee} (${((b.buy / budget) * 100).toFixed(0)}%)`;
+    });
+    const text  = [
+      `=== ${label} — DCA ${cy}${activeDca} ===`,
+      ...lines,
+      `Total: ${cy}${fmtAmt(invested)}${fees > 0 ? ` + ${cy}${fmtAmt(fees)} fees` : ""}`,
+    ].join("\n");
     copyToClipboard(text)
       .then(() => { setCopied(true); setTimeout(() => setCopied(false), 2200); showToast("Instructions copied!"); })
       .catch(() => showToast("Clipboard unavailable — try selecting text manually.", "error"));
@@ -1477,8 +2795,11 @@ function MonthTab({ step, label, isFirst, dca, cy, onConfirmLock, showToast }) {
   return (
     <>
       <div className="month-header-row">
-        <Sh title={`${label} — Buy Instructions`} subtitle={`Portfolio: ${cy}${Math.round(step.total).toLocaleString()} · Deploying ${cy}${activeDca} DCA`}/>
+        <Sh title={`${label} — Buy Instructions`} subtitle={`${step.date ? `${overdue ? "Overdue since" : "Executes"} ${fmtDay(step.date)} · ` : ""}Portfolio: ${cy}${Math.round(step.total).toLocaleString()} · Deploying ${cy}${fmtAmt(activeDca)} DCA${!showWhatIf && dca !== baseDca ? (dca === 0 ? " (skipped month)" : ` (scheduled, base ${cy}${fmtAmt(baseDca)})`) : ""}${step.carryIn > 0 ? ` + ${cy}${fmtAmt(step.carryIn)} carried` : ""}${step.reinvested > 0 ? ` + ${cy}${fmtAmt(step.reinvested)} dividends` : ""}`}/>
         <div className="month-actions">
+          <button className="btn-ghost sm" onClick={() => setShowCompare(v => !v)} title="Compare heuristic and optimal allocation for this month">
+            <Icon name="barChart" style={{ width:12, height:12 }}/>{showCompare ? "Hide Compare" : "Compare"}
+          </button>
           <button className="btn-ghost sm" onClick={() => setShowWhatIf(v => !v)} title="Simulate a different DCA amount">
             <Icon name="sliders" style={{ width:12, height:12 }}/>{showWhatIf ? "Hide What-If" : "What-If"}
           </button>
@@ -1511,13 +2832,13 @@ function MonthTab({ step, label, isFirst, dca, cy, onConfirmLock, showToast }) {
       {activeBuys.length === 0 ? (
         <div className="empty-state">
           <Icon name="circleCheck" style={{ width:40, height:40, color:"var(--accent-green)", marginBottom:12 }}/>
-          <p>All assets are at or above target. No buys needed this month!</p>
+          <p>{budget > 0 ? "All assets are at or above target. No buys needed this month!" : "No contribution scheduled this month — nothing to deploy."}</p>
         </div>
       ) : (
         <div className="buy-list">
           {activeBuys.map((b, i) => {
-            const c   = CAT_COLORS[b.cat] || "#6366f1";
-            const pct = (b.buy / activeDca) * 100;
+            const c   = cats.color(b.cat);
+            const pct = (b.buy / budget) * 100;
             return (
               <div key={`${b.ticker}-${b.buy}`} className="buy-card" style={{ animation:`slideIn 0.4s ease ${i * 0.05}s both` }}>
                 <div className="buy-l">
@@ -1533,12 +2854,18 @@ function MonthTab({ step, label, isFirst, dca, cy, onConfirmLock, showToast }) {
                       <span className="buy-reason">Gap: {cy}{Math.round(b.gap)}</span>
                       <span className="buy-reason-sep">·</span>
                       <span className="buy-reason">{b.pct.toFixed(1)}% now → {b.target.toFixed(1)}% target</span>
+                      {b.qty != null && (
+                        <>
+                          <span className="buy-reason-sep">·</span>
+                          <span className="buy-reason mono">{fmtQty(b.qty)} sh @ {cy}{b.price.toFixed(2)}</span>
+                        </>
+                      )}
                     </div>
                   </div>
                 </div>
                 <div className="buy-r">
-                  <div className="buy-amt mono">{cy}{b.buy}</div>
-                  <div className="buy-pct">{pct.toFixed(0)}% of DCA</div>
+                  <div className="buy-amt mono">{cy}{fmtAmt(b.buy)}</div>
+                  <div className="buy-pct">{pct.toFixed(0)}% of DCA{b.fee > 0 ? ` · fee ${cy}${fmtAmt(b.fee)}` : ""}</div>
                   <div className="buy-mini">
                     <div className="buy-mini-f" style={{ width:`${pct}%`, background:c, animationDelay:`${i * 0.08}s` }}/>
                   </div>
@@ -1554,21 +2881,81 @@ function MonthTab({ step, label, isFirst, dca, cy, onConfirmLock, showToast }) {
           <Icon name="sigma" style={{ width:14, height:14, marginRight:6, opacity:0.7 }}/>
           Total Deployed
         </span>
-        <span className="total-v mono">{cy}{spent} / {cy}{activeDca}</span>
+        <span className="total-v mono">{cy}{fmtAmt(invested)} / {cy}{fmtAmt(budget)}</span>
       </div>
+      {fees > 0 && (
+        <div className="fee-line">
+          <span>Fees paid · {activeBuys.length} order{activeBuys.length !== 1 ? "s" : ""}</span>
+          <span className="mono">{cy}{fmtAmt(fees)} ({((fees / budget) * 100).toFixed(1)}% of budget)</span>
+        </div>
+      )}
+      {skipped.length > 0 && (
+        <div className="skip-list" role="list" aria-label="Skipped assets">
+          <div className="skip-title">
+            <Icon name="info" style={{ width:13, height:13, color:"var(--text3)" }}/>Skipped this month
+          </div>
+          {skipped.map(sk => (
+            <div key={sk.ticker} className="skip-row" role="listitem">
+              <span className="mono skip-ticker">{sk.ticker}</span>
+              <span className="skip-reason">{skipReasonText(sk, cy, allocOpts)}</span>
+              <span className="mono skip-gap">gap {cy}{Math.round(sk.gap)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {carryOut > 0 && (
+        <div className="carry-note">
+          <Icon name="info" style={{ width:13, height:13, flexShrink:0 }}/>
+          <span><strong className="mono">{cy}{fmtAmt(carryOut)}</strong> can't fill a whole order this month and carries into the next one.</span>
+        </div>
+      )}
+
+      {comparison && (
+        <>
+          <Sh title="Engine Comparison" subtitle={`Post-buy drift for ${cy}${fmtAmt(budget)} — heuristic (${ALLOCATION_STRATEGIES[allocOpts.strategy]?.label ?? "Gap-weighted"}) vs optimal`}/>
+          <div className="cmp-table" role="table" aria-label="Heuristic vs optimal allocation">
+            <div className="cmp-row cmp-head" role="row">
+              <span>Asset</span><span>Target</span><span>Heuristic</span><span>Drift</span><span>Optimal</span><span>Drift</span>
+            </div>
+            {step.port.map(a => {
+              const hb = comparison.heuristic.plan.buys.find(b => b.ticker === a.ticker);
+              const ob = comparison.optimal.plan.buys.find(b => b.ticker === a.ticker);
+              const hd = comparison.heuristic.drift[a.ticker];
+              const od = comparison.optimal.drift[a.ticker];
+              return (
+                <div key={a.ticker} className="cmp-row" role="row">
+                  <span className="mono cmp-ticker">{a.ticker}</span>
+                  <span className="mono">{a.target.toFixed(1)}%</span>
+                  <span className="mono">{hb ? `${cy}${fmtAmt(hb.buy)}` : "—"}</span>
+                  <span className={`mono ${Math.abs(hd) <= Math.abs(od) + 0.005 ? "cmp-better" : ""}`}>{hd > 0 ? "+" : ""}{hd.toFixed(2)}</span>
+                  <span className="mono">{ob ? `${cy}${fmtAmt(ob.buy)}` : "—"}</span>
+                  <span className={`mono ${Math.abs(od) <= Math.abs(hd) + 0.005 ? "cmp-better" : ""}`}>{od > 0 ? "+" : ""}{od.toFixed(2)}</span>
+                </div>
+              );
+            })}
+            {[["Σ drift²", "te", v => v.toFixed(2)], ["Max |drift|", "max", v => `${v.toFixed(2)} pp`], ["Carried", "carry", v => `${cy}${fmtAmt(v)}`]].map(([name, key, fmt]) => (
+              <div key={key} className="cmp-row cmp-foot" role="row">
+                <span>{name}</span><span/>
+                <span/><span className="mono">{fmt(comparison.heuristic[key])}</span>
+                <span/><span className="mono">{fmt(comparison.optimal[key])}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
 
       {/* After-buy preview */}
       <Sh title={`After ${label}`} subtitle="Projected holdings after executing these buys"/>
       <div className="after-grid">
         {afterEnriched.map(a => {
-          const c      = CAT_COLORS[a.cat] || "#6366f1";
+          const c      = cats.color(a.cat);
           const bought = activeBuys.find(b => b.ticker === a.ticker);
           return (
             <div key={a.ticker} className={`after-row ${bought ? "after-row-bought" : ""}`}>
               <div className="d-icon sm" style={{ background:`${c}18`, color:c, flexShrink:0 }}><Icon name={a.icon}/></div>
               <div className="after-info">
                 <span className="after-ticker">{a.ticker}</span>
-                {bought && <span className="after-badge">+{cy}{bought.buy}</span>}
+                {bought && <span className="after-badge">+{cy}{fmtAmt(bought.buy)}</span>}
               </div>
               <div className="after-right">
                 <span className="after-val mono">{cy}{Math.round(a.current).toLocaleString()}</span>
@@ -1586,8 +2973,10 @@ function MonthTab({ step, label, isFirst, dca, cy, onConfirmLock, showToast }) {
           <div className="close-month-info">
             <Icon name="lock" style={{ width:16, height:16, color:"var(--accent-green)", flexShrink:0 }}/>
             <div>
-              <div className="close-month-title">Done buying this month?</div>
-              <div className="close-month-sub">Lock in to apply buys to your portfolio and save a history snapshot.</div>
+              <div className="close-month-title">{overdue ? "Behind on your DCA?" : "Done buying this month?"}</div>
+              <div className="close-month-sub">{overdue
+                ? "Lock in to catch up on missed months, or to record only the latest one."
+                : "Lock in to apply buys to your portfolio and save a history snapshot."}</div>
             </div>
           </div>
           <button className="btn-primary" onClick={onConfirmLock}>
@@ -1600,17 +2989,34 @@ function MonthTab({ step, label, isFirst, dca, cy, onConfirmLock, showToast }) {
   );
 }
 
+function skipReasonText(sk, cy, opts = {}) {
+  const slice = sk.amount > 0 ? `${cy}${fmtAmt(sk.amount)}` : "its share";
+  switch (sk.reason) {
+    case "min-order":  return `${slice} is below the minimum order`;
+    case "fee":        return `${slice} is too small to justify the fee (> ${opts.maxFeeDragPct}% drag)`;
+    case "lot":        return `${slice} can't buy a whole share / lot`;
+    case "too-small":  return `${slice} is less than one whole ${cy} unit`;
+    case "max-orders": return `Dropped to stay within ${opts.maxOrders} orders this month`;
+    default:           return "No budget left after larger gaps";
+  }
+}
+
 // ─── HEALTH TAB ───────────────────────────────────────────────
-function HealthTab({ finalPort, finalTotal, avgDrift, maxDrift, aligned, cy, months }) {
+function HealthTab({ finalPort, finalTotal, avgDrift, maxDrift, aligned, cy, months, totalFees = 0, dcaTotal = 0, totalGrowth = null, startTotal = 0, projectedTotals = [], mc, driftLimit = 3, onUpdateDriftLimit }) {
+  const cats = useCategories();
   const sorted = useMemo(() => [...finalPort].sort((a, b) => Math.abs(a.drift) - Math.abs(b.drift)), [finalPort]);
+  const [limitInput, setLimitInput] = useState(String(driftLimit));
+  const sim = mc?.result && mc.result.months.length === months ? mc.result : null;
+  const probUnder = sim ? sim.worstDrift.filter(d => d < driftLimit).length / sim.paths : null;
   return (
     <>
-      <Sh title={`${months}-Month Projection`} subtitle={`Projected health after ${months} DCA contributions · ${cy}${Math.round(finalTotal).toLocaleString()} total`}/>
+      <Sh title={`${months}-Month Projection`} subtitle={`Projected health after ${months} DCA contributions · ${cy}${Math.round(finalTotal).toLocaleString()} total${totalGrowth != null ? ` incl. ${totalGrowth >= 0 ? "+" : "−"}${cy}${Math.abs(Math.round(totalGrowth)).toLocaleString()} expected growth` : ""}`}/>
       <div className="h-kpis">
         {[
           { l:"Aligned",   v:`${aligned}/${finalPort.length}`, c:"var(--accent-green)",  d:"Within ±1% of target", icon:"circleCheck" },
           { l:"Avg Drift", v:`${avgDrift.toFixed(2)}%`,        c:"var(--accent-indigo)", d:"Absolute average",     icon:"arrows"      },
           { l:"Max Drift", v:`${maxDrift.toFixed(1)}%`,        c: maxDrift<2 ? "var(--accent-green)" : maxDrift<4 ? "var(--accent-amber)" : "var(--accent-red)", d:"Largest single gap", icon:"warning" },
+          { l:"Fees Paid", v:`${cy}${fmtAmt(totalFees)}`,      c:"var(--accent-amber)",  d: dcaTotal > 0 ? `${((totalFees / dcaTotal) * 100).toFixed(2)}% of contributions` : "Over projection", icon:"coins" },
         ].map((s, i) => (
           <div key={i} className="h-kpi">
             <Icon name={s.icon} style={{ color:s.c, width:22, height:22, marginBottom:10 }}/>
@@ -1631,7 +3037,7 @@ function HealthTab({ finalPort, finalTotal, avgDrift, maxDrift, aligned, cy, mon
             : ad < 2.5
             ? { l:"Close",      c:"var(--accent-amber)", bg:"rgba(245,158,11,0.06)", icon:"halfCircle"  }
             : { l:"Needs Work", c:"var(--accent-red)",   bg:"rgba(239,68,68,0.06)",  icon:"warning"     };
-          const c = CAT_COLORS[a.cat] || "#6366f1";
+          const c = cats.color(a.cat);
           return (
             <div key={a.ticker} className="h-card" style={{ animation:`slideIn 0.35s ease ${i * 0.04}s both` }}>
               <div className="h-left">
@@ -1653,25 +3059,432 @@ function HealthTab({ finalPort, finalTotal, avgDrift, maxDrift, aligned, cy, mon
           );
         })}
       </div>
+      <Sh title="Monte Carlo" subtitle={sim ? `${sim.paths.toLocaleString()} simulated paths of correlated returns · same allocator every month` : "Simulating correlated return paths…"}/>
+      {mc?.error ? (
+        <div className="mc-status err-text">Simulation failed: {mc.error}</div>
+      ) : !sim ? (
+        <div className="mc-status">
+          <div className="mc-progress"><div className="mc-progress-f" style={{ width:`${Math.round((mc?.progress || 0) * 100)}%` }}/></div>
+          <span className="mono">{Math.round((mc?.progress || 0) * 100)}%</span>
+        </div>
+      ) : (
+        <>
+          <div className="sparkline-card">
+            <div className="spark-label">Portfolio Value · P10–P90{mc.running ? " · updating…" : ""}</div>
+            <FanChart start={startTotal} bands={sim.months.map(m => m.value)} line={projectedTotals}/>
+            <div className="spark-range">
+              <span className="mono">Now {cy}{Math.round(startTotal).toLocaleString()}</span>
+              <span className="mono">P50 {cy}{Math.round(sim.months[months - 1].value.p50).toLocaleString()} · P10 {cy}{Math.round(sim.months[months - 1].value.p10).toLocaleString()} · P90 {cy}{Math.round(sim.months[months - 1].value.p90).toLocaleString()}</span>
+            </div>
+          </div>
+
+          <div className="mc-prob">
+            <div>
+              <div className="h-kpi-l">Probability max drift stays under</div>
+              <div className="editor-inp-wrap sm">
+                <input className="editor-inp mono" type="number" min="0.5" max="50" step="0.5"
+                  value={limitInput}
+                  onChange={e => setLimitInput(e.target.value)}
+                  onBlur={() => onUpdateDriftLimit?.(limitInput)}
+                  style={{ width:56 }} aria-label="Drift limit percentage"/>
+                <span className="editor-sym">%</span>
+              </div>
+            </div>
+            <div className="mc-prob-v mono" style={{ color: probUnder >= 0.8 ? "var(--accent-green)" : probUnder >= 0.5 ? "var(--accent-amber)" : "var(--accent-red)" }}>
+              {(probUnder * 100).toFixed(0)}%
+            </div>
+            <div className="h-kpi-d">of paths keep every asset within ±{driftLimit}% of target in all {months} months</div>
+          </div>
+
+          <div className="cmp-table" role="table" aria-label="Monte Carlo percentiles per month">
+            <div className="cmp-row cmp-head" role="row">
+              <span>Month</span><span>P10</span><span>P50</span><span>P90</span><span>Drift P50</span><span>Drift P90</span>
+            </div>
+            {sim.months.map(m => (
+              <div key={m.month} className="cmp-row" role="row">
+                <span className="mono cmp-ticker">{m.month}</span>
+                <span className="mono">{cy}{Math.round(m.value.p10).toLocaleString()}</span>
+                <span className="mono">{cy}{Math.round(m.value.p50).toLocaleString()}</span>
+                <span className="mono">{cy}{Math.round(m.value.p90).toLocaleString()}</span>
+                <span className="mono">{m.drift.p50.toFixed(2)}%</span>
+                <span className="mono">{m.drift.p90.toFixed(2)}%</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
       <div className="note">
         <Icon name="info" style={{ color:"var(--accent-indigo)", width:15, height:15, flexShrink:0, marginTop:1 }}/>
-        <span><strong>Note:</strong> Projections assume flat asset prices. Re-run after significant market movement. Full convergence typically takes 6–12 months at current DCA rate.</span>
+        <span><strong>Note:</strong> {totalGrowth != null
+          ? "Projections compound each asset at its expected annual return (Settings → Assets → Growth); faster-growing assets drift above target and get fewer buys."
+          : "Projections assume flat asset prices."} Re-run after significant market movement. Full convergence typically takes 6–12 months at current DCA rate.</span>
       </div>
     </>
   );
 }
 
-// ─── HISTORY TAB ──────────────────────────────────────────────
-function HistoryTab({ history, cy, priceSnapshots = [] }) {
-  if (history.length === 0 && priceSnapshots.length === 0) {
-    return (
-      <div className="empty-state" style={{ marginTop:56 }}>
-        <Icon name="history" style={{ width:44, height:44, color:"var(--text3)", marginBottom:14 }}/>
-        <p>No history yet.<br/>Complete a month using <strong>Lock In Month</strong> to start tracking.</p>
+// ─── LONG-TERM TAB ────────────────────────────────────────────
+function LongTermTab({ run, cy, dca, years, escalationPct, growthEnabled, reinvest = false, onUpdateYears, onUpdateEscalation }) {
+  const [esc, setEsc] = useState(String(escalationPct));
+  const res  = run?.result && run.result.rows.length === years ? run.result : null;
+  const peak = res ? Math.max(...res.rows.map(r => r.endTotal), 1) : 1;
+  const W = 300, H = 100;
+  const bw = W / years;
+  const money = v => `${cy}${Math.round(v).toLocaleString()}`;
+
+  return (
+    <>
+      <Sh title={`${years}-Year Projection`} subtitle={`Yearly roll-ups of the monthly engine · DCA ${cy}${dca}/mo${escalationPct > 0 ? ` rising ${escalationPct}%/yr` : ""}`}/>
+
+      <div className="rebal-controls">
+        <label className="rebal-band lt-years">
+          <span>Horizon</span>
+          <input type="range" min="5" max="40" value={years}
+            onChange={e => onUpdateYears(e.target.value)}
+            className="whatif-slider" aria-label="Long-term horizon in years"/>
+          <span className="mono">{years} yrs</span>
+        </label>
+        <label className="rebal-band">
+          <span>DCA escalation</span>
+          <div className="editor-inp-wrap">
+            <input className="editor-inp mono" type="number" min="0" max="20" step="0.5"
+              value={esc}
+              onChange={e => setEsc(e.target.value)}
+              onBlur={() => onUpdateEscalation(esc)}
+              style={{ width:56 }} aria-label="Yearly DCA escalation percentage"/>
+            <span className="editor-sym">%/yr</span>
+          </div>
+        </label>
       </div>
-    );
+
+      {run?.error ? (
+        <div className="mc-status err-text">Projection failed: {run.error}</div>
+      ) : !res ? (
+        <div className="mc-status">
+          <div className="mc-progress"><div className="mc-progress-f" style={{ width:`${Math.round((run?.progress || 0) * 100)}%` }}/></div>
+          <span className="mono">{Math.round((run?.progress || 0) * 100)}%</span>
+        </div>
+      ) : (
+        <>
+          <div className="h-kpis">
+            {[
+              { l:"Final Value",  v:money(res.finalTotal),  c:"var(--accent-green)",  d:`After ${years} years`,            icon:"wallet"  },
+              { l:"Contributed",  v:money(res.contributed), c:"var(--accent-blue)",   d:"Total DCA paid in",                icon:"zap"     },
+              { l:"Growth",       v:money(res.growth),      c:"var(--accent-indigo)", d: `${growthEnabled ? "Expected price growth" : "Price growth disabled"}${reinvest && res.dividends > 0 ? ` · +${money(res.dividends)} dividends reinvested` : ""}`, icon:"trendUp" },
+              { l:"Final DCA",    v:`${cy}${fmtAmt(res.rows[res.rows.length - 1].monthlyDca)}`, c:"var(--accent-amber)", d:"Average per month in the last year", icon:"calendar" },
+            ].map((k, i) => (
+              <div key={i} className="h-kpi">
+                <Icon name={k.icon} style={{ color:k.c, width:22, height:22, marginBottom:10 }}/>
+                <div className="h-kpi-l">{k.l}</div>
+                <div className="h-kpi-v mono" style={{ color:k.c }}>{k.v}</div>
+                <div className="h-kpi-d">{k.d}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="sparkline-card">
+            <div className="spark-label">Contributions vs Growth{run.running ? " · updating…" : ""}</div>
+            <svg className="fan-chart" viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" aria-label="Yearly value split into contributions and growth">
+              {res.rows.map((r, i) => {
+                const base   = res.startTotal + r.cumContributed;
+                const hBase  = (Math.min(base, r.endTotal) / peak) * (H - 2);
+                const hTotal = (r.endTotal / peak) * (H - 2);
+                return (
+                  <g key={r.year}>
+                    <rect x={i * bw + bw * 0.15} y={H - hBase} width={bw * 0.7} height={hBase} fill="var(--accent-blue)" opacity="0.55"/>
+                    {hTotal > hBase && <rect x={i * bw + bw * 0.15} y={H - hTotal} width={bw * 0.7} height={hTotal - hBase} fill="var(--accent-green)" opacity="0.7"/>}
+                  </g>
+                );
+              })}
+            </svg>
+            <div className="spark-range">
+              <span><span className="lt-key" style={{ background:"var(--accent-blue)" }}/>Start + contributions</span>
+              <span><span className="lt-key" style={{ background:"var(--accent-green)" }}/>Growth</span>
+            </div>
+          </div>
+
+          <div className="cmp-table" role="table" aria-label="Yearly roll-up">
+            <div className="cmp-row cmp-head" role="row">
+              <span>Year</span><span>Avg / mo</span><span>Paid In</span><span>Growth</span><span>Value</span><span>Max Drift</span>
+            </div>
+            {res.rows.map(r => (
+              <div key={r.year} className="cmp-row" role="row">
+                <span className="mono cmp-ticker">{r.year}</span>
+                <span className="mono">{cy}{fmtAmt(r.monthlyDca)}</span>
+                <span className="mono">{money(r.contributed)}</span>
+                <span className="mono">{r.growth >= 0 ? "" : "−"}{money(Math.abs(r.growth))}</span>
+                <span className="mono">{money(r.endTotal)}</span>
+                <span className="mono" style={{ color: r.maxDrift < 2 ? "var(--accent-green)" : r.maxDrift < 4 ? "var(--accent-amber)" : "var(--accent-red)" }}>{r.maxDrift.toFixed(1)}%</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="note">
+        <Icon name="info" style={{ color:"var(--accent-indigo)", width:15, height:15, flexShrink:0, marginTop:1 }}/>
+        <span><strong>Note:</strong> Each year runs the same monthly allocator as the month tabs; values are in today's {cy} with no inflation adjustment. Buy-only DCA can't offset strong growth differences forever — rising drift late in the horizon is a cue to rebalance.</span>
+      </div>
+    </>
+  );
+}
+
+// ─── BACKTEST TAB ─────────────────────────────────────────────
+function BacktestTab({ run, cy, dca, startMonth, source, strategyLabel, onUpdateStartMonth, onUpdateSource, onRun }) {
+  const [open, setOpen] = useState(null); // month key expanded in the trade log
+  const res = run?.result;
+  const money = v => `${cy}${Math.round(v).toLocaleString()}`;
+  const pct = v => `${v >= 0 ? "+" : "−"}${Math.abs(v * 100).toFixed(1)}%`;
+
+  // At most ~200 points are drawn; the last day is always kept
+  const W = 300, H = 100;
+  const pts = res ? res.curve.filter((_, i, c) => i % Math.ceil(c.length / 200) === 0 || i === c.length - 1) : [];
+  const peak = Math.max(1, ...pts.map(p => Math.max(p.value, p.paidIn)));
+  const x = i => (i / Math.max(1, pts.length - 1)) * (W - 4) + 2;
+  const y = v => H - 2 - (v / peak) * (H - 4);
+  const line = key => pts.map((p, i) => `${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(" ");
+
+  return (
+    <>
+      <Sh title="Backtest" subtitle={`Replays this plan against historical prices · DCA ${cy}${dca}/mo · ${strategyLabel}`}/>
+
+      <div className="rebal-controls">
+        <label className="rebal-band">
+          <span>Start</span>
+          <div className="editor-inp-wrap">
+            <input className="editor-inp mono" type="month" min="2000-01" max={monthKeyOf()}
+              value={startMonth} onChange={e => onUpdateStartMonth(e.target.value)}
+              style={{ width:130 }} aria-label="Backtest start month"/>
+          </div>
+        </label>
+        <div className="seg-ctrl" role="group" aria-label="Price source">
+          {Object.entries(PRICE_SOURCES).map(([id, s]) => (
+            <button key={id} className={`seg-btn ${source === id ? "active" : ""}`} onClick={() => onUpdateSource(id)} title={s.desc}>{s.label}</button>
+          ))}
+        </div>
+        <button className="btn-primary sm" onClick={onRun} disabled={run.running}>
+          <Icon name="history" style={{ width:13, height:13 }}/>{run.running ? "Running…" : res ? "Run Again" : "Run Backtest"}
+        </button>
+      </div>
+
+      {run.error && <div className="mc-status err-text">Backtest failed: {run.error}</div>}
+      {run.running && (
+        <div className="mc-status">
+          <div className="mc-progress"><div className="mc-progress-f" style={{ width:`${Math.round(run.progress * 100)}%` }}/></div>
+          <span className="mono">{run.progress > 0 ? `${Math.round(run.progress * 100)}%` : "Loading prices…"}</span>
+        </div>
+      )}
+      {!res && !run.running && !run.error && (
+        <div className="mc-status">Pick a start month and run the backtest to see what this DCA plan would have done since then.</div>
+      )}
+
+      {res && (
+        <>
+          <div className="h-kpis">
+            {[
+              { l:"Final Value",  v:money(res.finalValue), c:"var(--accent-green)",  d:`${money(res.contributed)} paid in · ${res.gain >= 0 ? "+" : "−"}${money(Math.abs(res.gain))}`, icon:"wallet" },
+              { l:"TWR",          v:pct(res.twr),          c:"var(--accent-indigo)", d: res.twrAnnualised != null ? `${pct(res.twrAnnualised)} a year` : "Less than a year", icon:"trendUp" },
+              { l:"Max Drawdown", v:`−${(res.maxDrawdown.pct * 100).toFixed(1)}%`, c:"var(--accent-red)", d: res.maxDrawdown.peak ? `${fmtDate(res.maxDrawdown.peak)} → ${fmtDate(res.maxDrawdown.trough)}` : "No decline", icon:"warning" },
+              { l:"Avg Drift",    v:`${res.avgDrift.toFixed(1)}%`, c:"var(--accent-amber)", d:`Worst month ${res.maxDrift.toFixed(1)}%`, icon:"bullseye" },
+            ].map((k, i) => (
+              <div key={i} className="h-kpi">
+                <Icon name={k.icon} style={{ color:k.c, width:22, height:22, marginBottom:10 }}/>
+                <div className="h-kpi-l">{k.l}</div>
+                <div className="h-kpi-v mono" style={{ color:k.c }}>{k.v}</div>
+                <div className="h-kpi-d">{k.d}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="sparkline-card">
+            <div className="spark-label">Value vs Paid In · {fmtMonth(res.startMonth)} – {fmtDate(res.endDate)}{run.running ? " · updating…" : ""}</div>
+            <svg className="fan-chart" viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" aria-label="Backtest value against money paid in">
+              <polyline points={line("paidIn")} fill="none" stroke="var(--accent-blue)" strokeWidth="1.4" strokeDasharray="4 3" opacity="0.8"/>
+              <polyline points={line("value")} fill="none" stroke="var(--accent-green)" strokeWidth="1.8" strokeLinejoin="round"/>
+            </svg>
+            <div className="spark-range">
+              <span><span className="lt-key" style={{ background:"var(--accent-green)" }}/>Portfolio value</span>
+              <span><span className="lt-key" style={{ background:"var(--accent-blue)" }}/>Paid in</span>
+            </div>
+          </div>
+
+          {res.missing.length > 0 && (
+            <div className="mc-status err-text">No {PRICE_SOURCES[res.source]?.label.toLowerCase()} prices for {res.missing.join(", ")} — never bought, so they count as fully under-weight.</div>
+          )}
+
+          <Sh title="Trade Log" subtitle="Month by month · tap a month for its orders"/>
+          <div className="cmp-table" role="table" aria-label="Backtest trade log">
+            <div className="cmp-row cmp-head" role="row">
+              <span>Month</span><span>Paid In</span><span>Bought</span><span>Fees</span><span>Value</span><span>Avg Drift</span>
+            </div>
+            {res.months.map(m => (
+              <Fragment key={m.monthKey}>
+                <button className="cmp-row bt-row" role="row" onClick={() => setOpen(o => o === m.monthKey ? null : m.monthKey)} aria-expanded={open === m.monthKey}>
+                  <span className="mono cmp-ticker">{fmtMonth(m.monthKey)}</span>
+                  <span className="mono">{cy}{fmtAmt(m.contribution)}</span>
+                  <span className="mono">{cy}{fmtAmt(m.invested)} · {m.buys.length}</span>
+                  <span className="mono">{cy}{fmtAmt(m.fees)}</span>
+                  <span className="mono">{money(m.valueAfter)}</span>
+                  <span className="mono" style={{ color: m.avgDrift < 2 ? "var(--accent-green)" : m.avgDrift < 4 ? "var(--accent-amber)" : "var(--accent-red)" }}>{m.avgDrift.toFixed(1)}%</span>
+                </button>
+                {open === m.monthKey && (
+                  <div className="bt-orders">
+                    {m.buys.map(b => (
+                      <div key={b.ticker} className="bt-order mono">
+                        <span className="cmp-ticker">{b.ticker}</span>
+                        <span>{fmtQty(b.qty)} @ {b.price.toLocaleString()}</span>
+                        <span>{cy}{fmtAmt(b.buy)}{b.fee > 0 ? ` + ${cy}${fmtAmt(b.fee)} fee` : ""}</span>
+                      </div>
+                    ))}
+                    {m.skipped.map(sk => <div key={sk.ticker} className="bt-order bt-skip">{skipReasonText(sk, cy)}</div>)}
+                    {m.unavailable.length > 0 && <div className="bt-order bt-skip">No price yet: {m.unavailable.join(", ")}</div>}
+                    {m.carry > 0 && <div className="bt-order bt-skip">{cy}{fmtAmt(m.carry)} carried to next month</div>}
+                  </div>
+                )}
+              </Fragment>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="note">
+        <Icon name="info" style={{ color:"var(--accent-indigo)", width:15, height:15, flexShrink:0, marginTop:1 }}/>
+        <span><strong>Note:</strong> Each month runs the same allocator as the month tabs, with today's targets, fees and contribution schedule, on that month's execution day. Prices are taken in each listing's own currency, so FX moves aren't modelled, and dividends aren't reinvested. TWR and drawdown come from daily values, so money paid in never counts as performance.</span>
+      </div>
+    </>
+  );
+}
+
+// ─── REBALANCE TAB ────────────────────────────────────────────
+function RebalanceTab({ plan, cy, dca, carryIn = 0, onUpdateMode, onUpdateBand, showToast }) {
+  const cats = useCategories();
+  const [copied, setCopied] = useState(false);
+  const budget = roundMoney(dca + carryIn);
+  const afterOf = t => plan.after.find(a => a.ticker === t);
+
+  function doCopy() {
+    const lines = plan.trades.map(t => {
+      const units = t.qty != null ? ` = ${fmtQty(t.qty)} sh @ ${cy}${t.price.toFixed(2)}` : "";
+      const fee   = t.fee > 0 ? ` (${cy}${fmtAmt(t.fee)} fee)` : "";
+      return `${t.side === "sell" ? "SELL" : "BUY "} ${t.ticker}: ${cy}${fmtAmt(t.value)}${units}${fee}`;
+    });
+    const text = [
+      `=== Rebalance — ${REBALANCE_MODES[plan.mode].label} ===`,
+      ...lines,
+      `DCA ${cy}${fmtAmt(budget)} + sells ${cy}${fmtAmt(plan.sellValue)} − buys ${cy}${fmtAmt(plan.invested)} − fees ${cy}${fmtAmt(plan.fees)} = ${cy}${fmtAmt(plan.carry)} left`,
+    ].join("\n");
+    copyToClipboard(text)
+      .then(() => { setCopied(true); setTimeout(() => setCopied(false), 2200); showToast("Trade list copied!"); })
+      .catch(() => showToast("Clipboard unavailable — try selecting text manually.", "error"));
   }
 
+  return (
+    <>
+      <div className="month-header-row">
+        <Sh title="Rebalance" subtitle={REBALANCE_MODES[plan.mode].desc}/>
+        <div className="month-actions">
+          <button className="btn-ghost sm" onClick={doCopy} aria-label="Copy trade list" disabled={!plan.trades.length}>
+            <Icon name={copied ? "check" : "copy"} style={{ width:12, height:12 }}/>{copied ? "Copied!" : "Copy"}
+          </button>
+        </div>
+      </div>
+
+      <div className="rebal-controls">
+        <div className="seg-ctrl" role="group" aria-label="Rebalancing mode">
+          {Object.entries(REBALANCE_MODES).map(([id, m]) => (
+            <button key={id} className={`seg-btn ${plan.mode === id ? "active" : ""}`} onClick={() => onUpdateMode(id)}>{m.label}</button>
+          ))}
+        </div>
+        <label className="rebal-band">
+          <span>Tolerance band</span>
+          <div className="editor-inp-wrap">
+            <input className="editor-inp mono" type="number" min="0.5" max="50" step="0.5"
+              value={plan.band}
+              onChange={e => onUpdateBand(e.target.value)}
+              style={{ width:56 }} aria-label="Rebalance tolerance band"/>
+            <span className="editor-sym">pp</span>
+          </div>
+        </label>
+      </div>
+
+      {plan.trades.length === 0 ? (
+        <div className="empty-state">
+          <Icon name="circleCheck" style={{ width:40, height:40, color:"var(--accent-green)", marginBottom:12 }}/>
+          <p>No trades needed — every asset is within its band.</p>
+        </div>
+      ) : (
+        <div className="trade-list" role="list" aria-label="Proposed trades">
+          {plan.trades.map(t => {
+            const c = cats.color(t.cat);
+            return (
+              <div key={`${t.side}-${t.ticker}`} className="trade-row" role="listitem">
+                <span className={`trade-side trade-${t.side}`}>{t.side === "sell" ? "SELL" : "BUY"}</span>
+                <div className="d-icon sm" style={{ background:`${c}18`, color:c }}><Icon name={t.icon}/></div>
+                <div className="trade-info">
+                  <span className="trade-ticker">{t.ticker}</span>
+                  <span className="trade-meta mono">
+                    {t.qty != null ? `${fmtQty(t.qty)} sh @ ${cy}${t.price.toFixed(2)}` : `${t.pct.toFixed(1)}% → ${t.target.toFixed(1)}%`}
+                    {t.fee > 0 ? ` · fee ${cy}${fmtAmt(t.fee)}` : ""}
+                  </span>
+                </div>
+                <span className={`trade-amt mono trade-${t.side}`}>{t.side === "sell" ? "−" : "+"}{cy}{fmtAmt(t.value)}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="rebal-net">
+        <div><span>DCA budget{carryIn > 0 ? " (incl. carried)" : ""}</span><span className="mono">{cy}{fmtAmt(budget)}</span></div>
+        <div><span>+ Sell proceeds</span><span className="mono">{cy}{fmtAmt(plan.sellValue)}</span></div>
+        <div><span>− Buys</span><span className="mono">{cy}{fmtAmt(plan.invested)}</span></div>
+        <div><span>− Fees</span><span className="mono">{cy}{fmtAmt(plan.fees)}</span></div>
+        <div className="rebal-net-total"><span>Left over</span><span className="mono">{cy}{fmtAmt(plan.carry)}</span></div>
+      </div>
+
+      <Sh title="Drift Before → After" subtitle={`Portfolio after trades: ${cy}${Math.round(plan.finalTotal).toLocaleString()}`}/>
+      <div className="cmp-table" role="table" aria-label="Drift before and after rebalancing">
+        <div className="cmp-row cmp-head" role="row">
+          <span>Asset</span><span>Target</span><span>Now</span><span>Drift</span><span>After</span><span>Drift</span>
+        </div>
+        {plan.before.map(a => {
+          const b = afterOf(a.ticker);
+          return (
+            <div key={a.ticker} className="cmp-row" role="row">
+              <span className="mono cmp-ticker">{a.ticker}</span>
+              <span className="mono">{a.target.toFixed(1)}%</span>
+              <span className="mono">{a.pct.toFixed(1)}%</span>
+              <span className="mono" style={{ color: a.drift > plan.band ? "var(--accent-red)" : undefined }}>{a.drift > 0 ? "+" : ""}{a.drift.toFixed(2)}</span>
+              <span className="mono">{b.pct.toFixed(1)}%</span>
+              <span className={`mono ${Math.abs(b.drift) < Math.abs(a.drift) ? "cmp-better" : ""}`}>{b.drift > 0 ? "+" : ""}{b.drift.toFixed(2)}</span>
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+}
+
+// ─── HISTORY TAB ──────────────────────────────────────────────
+function HistoryTab({ history, ledger = [], txs = [], lotBook, lotMethod, assets = [], cy, priceSnapshots = [], onAddTx, onCorrectTx, onVoidTx, onUpdateLotMethod, taxReport, taxYears = [], onUpdateJurisdiction, onUpdateTaxYear, onExportTaxCSV, onExportTaxHTML }) {
+  const cats = useCategories();
+  const [view, setView] = useState("months"); // "months" | "transactions" | "tax"
+
+  // One card per calendar month: lock-in snapshots give the value, the
+  // ledger gives what actually moved. Older snapshots without ledger records
+  // fall back to their stored buys.
+  const months = useMemo(() => {
+    const byKey = new Map();
+    const at = key => {
+      if (!byKey.has(key)) byKey.set(key, { key, snaps: [], flows: null });
+      return byKey.get(key);
+    };
+    for (const h of history) at(historyMonthKey(h)).snaps.push(h);
+    for (const m of ledgerMonths(txs)) at(m.monthKey).flows = m;
+    return [...byKey.values()].sort((a, b) => a.key.localeCompare(b.key));
+  }, [history, txs]);
+
   // Build sparkline values
   const totals = history.map(h => h.total);
   const minT   = Math.min(...totals);
@@ -1679,12 +3492,44 @@ function HistoryTab({ history, cy, priceSnapshots = [] }) {
   const liveTotals = priceSnapshots.map(s => s.totalValue);
   const liveMin = liveTotals.length ? Math.min(...liveTotals) : 0;
   const liveMax = liveTotals.length ? Math.max(...liveTotals) : 0;
+  const corrections = ledger.filter(t => t.replaces).length;
 
   return (
     <>
-      <Sh title="Monthly History" subtitle={`${history.length} month${history.length !== 1 ? "s" : ""} tracked`}/>
+      <div className="month-header-row">
+        <Sh title="History" subtitle={`${months.length} month${months.length !== 1 ? "s" : ""} tracked · ${txs.length} transaction${txs.length !== 1 ? "s" : ""}${corrections ? ` · ${corrections} correction${corrections !== 1 ? "s" : ""}` : ""}`}/>
+        <div className="seg-ctrl" role="group" aria-label="History view">
+          <button className={`seg-btn ${view === "months" ? "active" : ""}`} onClick={() => setView("months")}>
+            <Icon name="calendar" style={{ width:12, height:12 }}/>Months
+          </button>
+          <button className={`seg-btn ${view === "transactions" ? "active" : ""}`} onClick={() => setView("transactions")}>
+            <Icon name="note" style={{ width:12, height:12 }}/>Transactions
+          </button>
+          <button className={`seg-btn ${view === "tax" ? "active" : ""}`} onClick={() => setView("tax")}>
+            <Icon name="coins" style={{ width:12, height:12 }}/>Gains & Tax
+          </button>
+        </div>
+      </div>
+
+      {view === "transactions" && (
+        <TransactionsView txs={txs} lotBook={lotBook} lotMethod={lotMethod} assets={assets} cy={cy}
+          onAdd={onAddTx} onCorrect={onCorrectTx} onVoid={onVoidTx} onUpdateLotMethod={onUpdateLotMethod}/>
+      )}
+
+      {view === "tax" && taxReport && (
+        <TaxView report={taxReport} years={taxYears} lotMethod={lotMethod} cy={cy}
+          onUpdateJurisdiction={onUpdateJurisdiction} onUpdateYear={onUpdateTaxYear}
+          onExportCSV={onExportTaxCSV} onExportHTML={onExportTaxHTML}/>
+      )}
 
-      {priceSnapshots.length >= 2 && (
+      {view === "months" && months.length === 0 && priceSnapshots.length === 0 && (
+        <div className="empty-state" style={{ marginTop:56 }}>
+          <Icon name="history" style={{ width:44, height:44, color:"var(--text3)", marginBottom:14 }}/>
+          <p>No history yet.<br/>Complete a month using <strong>Lock In Month</strong> to start tracking.</p>
+        </div>
+      )}
+
+      {view === "months" && priceSnapshots.length >= 2 && (
         <div className="sparkline-card">
           <div className="spark-label">Live Tracking Trend</div>
           <svg className="sparkline" viewBox={`0 0 ${priceSnapshots.length * 24} 60`} preserveAspectRatio="none" aria-label="Live value trend">
@@ -1707,7 +3552,7 @@ function HistoryTab({ history, cy, priceSnapshots = [] }) {
         </div>
       )}
 
-      {history.length >= 2 && (
+      {view === "months" && history.length >= 2 && (
         <div className="sparkline-card">
           <div className="spark-label">Portfolio Value Trend</div>
           <svg className="sparkline" viewBox={`0 0 ${history.length * 40} 60`} preserveAspectRatio="none" aria-label="Portfolio value trend">
@@ -1735,48 +3580,560 @@ function HistoryTab({ history, cy, priceSnapshots = [] }) {
         </div>
       )}
 
-      <div className="hist-list">
-        {[...history].reverse().map((h, i) => {
-          const origIdx = history.length - 1 - i;
-          const prevTot = origIdx > 0 ? history[origIdx - 1].total : null;
-          const gain    = prevTot != null ? h.total - prevTot : null;
-          const date    = new Date(h.completedAt).toLocaleDateString("en-GB", { day:"numeric", month:"short", year:"numeric" });
-          return (
-            <div key={i} className="hist-card">
-              <div className="hist-top">
-                <div className="hist-label">{h.label}</div>
-                <div className="hist-meta">
-                  {gain !== null && (
-                    <span className="hist-gain" style={{ color: gain >= 0 ? "var(--accent-green)" : "var(--accent-red)" }}>
-                      {gain >= 0 ? "+" : ""}{cy}{Math.round(gain).toLocaleString()}
-                    </span>
-                  )}
-                  <span className="hist-date mono">{date}</span>
+      {view === "months" && (
+        <div className="hist-list">
+          {[...months].reverse().map((m, i) => {
+            const idx     = months.length - 1 - i;
+            const snap    = m.snaps[m.snaps.length - 1] || null;
+            const prevTot = months.slice(0, idx).reverse().find(x => x.snaps.length)?.snaps.slice(-1)[0]?.total ?? null;
+            const gain    = snap && prevTot != null ? snap.total - prevTot : null;
+            const when    = snap ? new Date(snap.completedAt) : new Date(`${m.flows.txs[m.flows.txs.length - 1].date}T00:00:00`);
+            const date    = when.toLocaleDateString("en-GB", { day:"numeric", month:"short", year:"numeric" });
+            const late    = m.snaps.some(h => h.monthKey && monthKeyOf(new Date(h.completedAt)) > h.monthKey);
+            const notes   = [...new Set(m.snaps.map(h => h.note).filter(Boolean))];
+            const f       = m.flows;
+            return (
+              <div key={m.key} className="hist-card">
+                <div className="hist-top">
+                  <div className="hist-label">
+                    {fmtMonth(m.key, "long")}
+                    {m.snaps.length > 1 && <span className="hist-flag" title="More than one lock-in covers this calendar month">duplicate</span>}
+                    {late && <span className="hist-flag" title={`Due ${snap.executionDate}, locked in later`}>caught up</span>}
+                  </div>
+                  <div className="hist-meta">
+                    {gain !== null && (
+                      <span className="hist-gain" style={{ color: gain >= 0 ? "var(--accent-green)" : "var(--accent-red)" }}>
+                        {gain >= 0 ? "+" : ""}{cy}{Math.round(gain).toLocaleString()}
+                      </span>
+                    )}
+                    <span className="hist-date mono">{date}</span>
+                  </div>
                 </div>
-              </div>
-              <div className="hist-total mono">{cy}{Math.round(h.total).toLocaleString()}</div>
-              {h.note && (
-                <div className="hist-note">
-                  <Icon name="note" style={{ width:12, height:12, opacity:0.6 }}/>
-                  {h.note}
+                {snap && <div className="hist-total mono">{cy}{Math.round(snap.total).toLocaleString()}</div>}
+                {notes.map(n => (
+                  <div key={n} className="hist-note">
+                    <Icon name="note" style={{ width:12, height:12, opacity:0.6 }}/>
+                    {n}
+                  </div>
+                ))}
+                {f && (
+                  <div className="hist-flows mono">
+                    {[["Deposited", f.deposits], ["Bought", f.bought], ["Sold", f.sold], ["Dividends", f.dividends], ["Fees", f.fees]]
+                      .filter(([, v]) => v > 0)
+                      .map(([l, v]) => <span key={l}>{l} {cy}{fmtAmt(v)}</span>)}
+                  </div>
+                )}
+                <div className="hist-assets">
+                  {f
+                    ? f.txs.filter(t => t.ticker).map(t => {
+                        const a = assets.find(x => x.ticker === t.ticker);
+                        const c = cats.color(a?.cat);
+                        return (
+                          <div key={t.id} className={`hist-asset ${t.type === "buy" ? "hist-asset-bought" : ""}`}>
+                            <div className="d-icon sm" style={{ background:`${c}18`, color:c }}><Icon name={a?.icon || "barChart"}/></div>
+                            <span className="hist-ticker">{t.ticker}</span>
+                            <span className="hist-val mono">{t.type === "sell" ? "−" : "+"}{cy}{fmtAmt(t.amount)}</span>
+                          </div>
+                        );
+                      })
+                    : snap.assets.map(a => {
+                        const c      = cats.color(a.cat);
+                        const bought = snap.buys?.find(x => x.ticker === a.ticker);
+                        return (
+                          <div key={a.ticker} className={`hist-asset ${bought ? "hist-asset-bought" : ""}`}>
+                            <div className="d-icon sm" style={{ background:`${c}18`, color:c }}><Icon name={a.icon}/></div>
+                            <span className="hist-ticker">{a.ticker}</span>
+                            <span className="hist-val mono">{cy}{Math.round(a.current).toLocaleString()}</span>
+                          </div>
+                        );
+                      })}
                 </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+}
+
+// ─── TAX VIEW ─────────────────────────────────────────────────
+function TaxView({ report, years, lotMethod, cy, onUpdateJurisdiction, onUpdateYear, onExportCSV, onExportHTML }) {
+  const money = v => `${v < 0 ? "−" : ""}${cy}${Math.abs(Math.round(v)).toLocaleString()}`;
+  const { totals, taxable, profile } = report;
+  return (
+    <>
+      <div className="rebal-controls">
+        <div className="seg-ctrl" role="group" aria-label="Tax jurisdiction">
+          {Object.entries(TAX_PROFILES).map(([id, p]) => (
+            <button key={id} className={`seg-btn ${report.profileId === id ? "active" : ""}`} title={p.label} onClick={() => onUpdateJurisdiction(id)}>{id}</button>
+          ))}
+        </div>
+        <div className="month-actions">
+          <select className="asset-select" value={report.year} onChange={e => onUpdateYear(Number(e.target.value))} aria-label="Tax year">
+            {years.map(y => <option key={y} value={y}>{taxYearLabel(y, profile)}</option>)}
+          </select>
+          <button className="btn-ghost sm" onClick={onExportCSV}><Icon name="download" style={{ width:12, height:12 }}/>CSV</button>
+          <button className="btn-ghost sm" onClick={onExportHTML}><Icon name="download" style={{ width:12, height:12 }}/>HTML</button>
+        </div>
+      </div>
+
+      <div className="h-kpis">
+        {[
+          { l:"Realised",   v:money(totals.realised),   c: totals.realised >= 0 ? "var(--accent-green)" : "var(--accent-red)", d: totals.exempt ? `${money(totals.exempt)} exempt` : `${report.disposals.length} sale${report.disposals.length !== 1 ? "s" : ""}`, icon:"circleCheck" },
+          { l:"Unrealised", v:money(totals.unrealised), c: totals.unrealised >= 0 ? "var(--accent-blue)" : "var(--accent-red)", d:"Open lots, today", icon:"trendUp" },
+          { l:"Dividends",  v:money(totals.dividends),  c:"var(--accent-indigo)", d:`Tax year ${report.label}`, icon:"coins" },
+          { l:"Taxable",    v:money(taxable.total),     c:"var(--accent-amber)",  d:"After allowances", icon:"bullseye" },
+        ].map((k, i) => (
+          <div key={i} className="h-kpi">
+            <Icon name={k.icon} style={{ color:k.c, width:22, height:22, marginBottom:10 }}/>
+            <div className="h-kpi-l">{k.l}</div>
+            <div className="h-kpi-v mono" style={{ color:k.c }}>{k.v}</div>
+            <div className="h-kpi-d">{k.d}</div>
+          </div>
+        ))}
+      </div>
+
+      {(report.allowances.length > 0 || profile.crypto) && (
+        <div className="live-contrib-list" style={{ marginBottom:18 }}>
+          {report.allowances.map(a => (
+            <div key={a.label} className="live-contrib-row">
+              <span>{a.label}</span>
+              <span className="mono">{cy}{fmtAmt(a.applied)} / {cy}{fmtAmt(a.amount)}</span>
+            </div>
+          ))}
+          {profile.crypto && (
+            <div className="live-contrib-row">
+              <span>Crypto held ≤ {profile.crypto.exemptDays} days{profile.crypto.separate ? ` (limit ${cy}${fmtAmt(profile.crypto.threshold)})` : ""}</span>
+              <span className="mono">{money(totals.cryptoShort)} → {money(taxable.crypto)}</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {report.rows.length === 0 ? (
+        <div className="empty-state" style={{ marginTop:32 }}>
+          <Icon name="coins" style={{ width:36, height:36, color:"var(--text3)", marginBottom:12 }}/>
+          <p>Nothing to report for {report.label}.<br/>Sales and dividends recorded in the ledger show up here.</p>
+        </div>
+      ) : (
+        <div className="cmp-table" role="table" aria-label="Gains per asset">
+          <div className="cmp-row cmp-head" role="row">
+            <span>Asset</span><span>Sales</span><span>Taxable</span><span>Exempt</span><span>Dividends</span><span>Unrealised</span>
+          </div>
+          {report.rows.map(r => (
+            <div key={r.ticker} className="cmp-row" role="row">
+              <span className="cmp-ticker">{r.ticker}</span>
+              <span className="mono">{r.disposals}</span>
+              <span className="mono">{money(r.gain + r.cryptoShort)}</span>
+              <span className="mono">{r.exempt ? money(r.exempt) : "—"}</span>
+              <span className="mono">{r.dividends ? money(r.dividends) : "—"}</span>
+              <span className="mono">{r.unrealised != null ? money(r.unrealised) : "—"}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="data-footer-note">
+        <Icon name="info" style={{ width:13, height:13, flexShrink:0, marginTop:1 }}/>
+        <span>
+          {profile.label} matches sales with {LOT_METHODS[profile.lotMethod].label} lots
+          {profile.lotMethod !== lotMethod ? ` (the ledger view uses ${LOT_METHODS[lotMethod].label})` : ""}.
+          Figures are indicative and come only from recorded transactions — not tax advice.
+        </span>
+      </div>
+    </>
+  );
+}
+
+// ─── TRANSACTIONS VIEW ────────────────────────────────────────
+function TransactionsView({ txs, lotBook, lotMethod, assets, cy, onAdd, onCorrect, onVoid, onUpdateLotMethod }) {
+  const [editing, setEditing] = useState(null); // tx id, "new" or null
+  const openLots = Object.entries(lotBook?.lots || {}).filter(([, list]) => list.length);
+  return (
+    <>
+      <div className="rebal-controls">
+        <div className="seg-ctrl" role="group" aria-label="Lot method">
+          {Object.entries(LOT_METHODS).map(([id, m]) => (
+            <button key={id} className={`seg-btn ${lotMethod === id ? "active" : ""}`} title={m.desc} onClick={() => onUpdateLotMethod(id)}>{m.label}</button>
+          ))}
+        </div>
+        <button className="btn-ghost sm" onClick={() => setEditing(editing === "new" ? null : "new")}>
+          <Icon name={editing === "new" ? "close" : "addAsset"} style={{ width:12, height:12 }}/>{editing === "new" ? "Cancel" : "Add Transaction"}
+        </button>
+      </div>
+
+      {editing === "new" && (
+        <TxForm assets={assets} cy={cy} onCancel={() => setEditing(null)}
+          onSave={tx => { onAdd(tx); setEditing(null); }}/>
+      )}
+
+      {txs.length === 0 && editing !== "new" && (
+        <div className="empty-state" style={{ marginTop:32 }}>
+          <Icon name="note" style={{ width:36, height:36, color:"var(--text3)", marginBottom:12 }}/>
+          <p>No transactions yet.<br/>Lock-ins record their buys here; add sells, dividends or fees by hand.</p>
+        </div>
+      )}
+
+      <div className="trade-list" role="list" aria-label="Transactions">
+        {[...txs].reverse().map(t => (
+          editing === t.id ? (
+            <TxForm key={t.id} initial={t} assets={assets} cy={cy} onCancel={() => setEditing(null)}
+              onSave={patch => { onCorrect(t, patch); setEditing(null); }}/>
+          ) : (
+            <div key={t.id} className="trade-row tx-row" role="listitem">
+              <span className={`trade-side ${t.type === "sell" || t.type === "fee" ? "trade-sell" : "trade-buy"}`}>{TX_TYPES[t.type].label.toUpperCase()}</span>
+              <div className="trade-info">
+                <span className="trade-ticker">
+                  {t.ticker || (t.type === "deposit" ? "Cash in" : "Account")}
+                  {t.type === "transfer" && <span className="trade-meta"> · {t.direction}</span>}
+                </span>
+                <span className="trade-meta mono">
+                  {fmtDay(t.date)}
+                  {t.qty != null ? ` · ${fmtQty(t.qty)} sh` : ""}
+                  {t.price != null ? ` @ ${cy}${t.price.toFixed(2)}` : ""}
+                  {t.fee > 0 ? ` · fee ${cy}${fmtAmt(t.fee)}` : ""}
+                  {t.note ? ` · ${t.note}` : ""}
+                </span>
+              </div>
+              <span className={`trade-amt mono ${t.type === "sell" || t.type === "fee" ? "trade-sell" : "trade-buy"}`}>{cy}{fmtAmt(t.amount)}</span>
+              <div className="tx-actions">
+                <button className="icon-btn" onClick={() => setEditing(t.id)} aria-label={`Correct ${t.type} on ${t.date}`}>
+                  <Icon name="edit" style={{ width:12, height:12 }}/>
+                </button>
+                <button className="icon-btn danger-hover" onClick={() => onVoid(t)} aria-label={`Remove ${t.type} on ${t.date}`}>
+                  <Icon name="close" style={{ width:12, height:12 }}/>
+                </button>
+              </div>
+            </div>
+          )
+        ))}
+      </div>
+
+      {openLots.length > 0 && (
+        <>
+          <Sh title="Open Lots" subtitle={`${LOT_METHODS[lotMethod].label} · ${LOT_METHODS[lotMethod].desc.toLowerCase()}`}/>
+          <div className="cmp-table" role="table" aria-label="Open tax lots">
+            <div className="cmp-row cmp-head" role="row">
+              <span>Asset</span><span>Acquired</span><span>Shares</span><span>Cost</span><span>Cost / sh</span><span>Lots</span>
+            </div>
+            {openLots.map(([ticker, list]) => list.map((l, i) => (
+              <div key={`${ticker}-${l.id}`} className="cmp-row" role="row">
+                <span className="cmp-ticker">{i === 0 ? ticker : ""}</span>
+                <span className="mono">{l.date}</span>
+                <span className="mono">{l.qty > 0 ? fmtQty(l.qty) : "—"}</span>
+                <span className="mono">{cy}{fmtAmt(l.cost)}</span>
+                <span className="mono">{l.qty > 0 ? `${cy}${(l.cost / l.qty).toFixed(2)}` : "—"}</span>
+                <span className="mono">{i === 0 ? list.length : ""}</span>
+              </div>
+            )))}
+          </div>
+        </>
+      )}
+
+      <div className="data-footer-note">
+        <Icon name="info" style={{ width:13, height:13, flexShrink:0, marginTop:1 }}/>
+        <span>The ledger is append-only: corrections and removals are saved as new records that supersede the original, and holdings move by the difference.</span>
+      </div>
+    </>
+  );
+}
+
+function TxForm({ initial, assets, cy, onSave, onCancel }) {
+  const str = v => (v == null ? "" : String(v));
+  const [f, setF] = useState(() => ({
+    type:      initial?.type || "buy",
+    date:      initial?.date || new Date().toISOString().slice(0, 10),
+    ticker:    initial?.ticker || assets[0]?.ticker || "",
+    direction: initial?.direction || "in",
+    qty:       str(initial?.qty),
+    price:     str(initial?.price),
+    amount:    str(initial?.amount),
+    fee:       str(initial?.fee || ""),
+    note:      initial?.note || "",
+  }));
+  const set = (k, v) => setF(x => ({ ...x, [k]: v }));
+  const needsAsset = TX_TYPES[f.type].asset;
+  const needsQty   = f.type === "sell" || (f.type === "transfer" && f.direction === "out");
+  const amount     = f.amount !== "" ? Number(f.amount) : f.qty !== "" && f.price !== "" ? Number(f.qty) * Number(f.price) : NaN;
+  const valid      = amount > 0 && (!needsAsset || f.ticker) && (!needsQty || Number(f.qty) > 0);
+
+  function save() {
+    if (!valid) return;
+    onSave({
+      type: f.type, date: f.date,
+      ticker: needsAsset ? f.ticker : null,
+      ...(f.type === "transfer" ? { direction: f.direction } : {}),
+      qty: f.qty === "" ? null : f.qty,
+      price: f.price === "" ? null : f.price,
+      amount: roundMoney(amount),
+      fee: f.fee === "" ? 0 : f.fee,
+      note: f.note,
+    });
+  }
+
+  return (
+    <div className="tx-form">
+      <select className="asset-select" value={f.type} onChange={e => set("type", e.target.value)} aria-label="Transaction type">
+        {Object.entries(TX_TYPES).map(([id, t]) => <option key={id} value={id}>{t.label}</option>)}
+      </select>
+      <input className="editor-inp mono" type="date" value={f.date} onChange={e => set("date", e.target.value)} aria-label="Transaction date"/>
+      {needsAsset && (
+        <select className="asset-select" value={f.ticker} onChange={e => set("ticker", e.target.value)} aria-label="Asset">
+          {assets.map(a => <option key={a.ticker} value={a.ticker}>{a.ticker}</option>)}
+        </select>
+      )}
+      {f.type === "transfer" && (
+        <select className="asset-select" value={f.direction} onChange={e => set("direction", e.target.value)} aria-label="Transfer direction">
+          <option value="in">In</option>
+          <option value="out">Out</option>
+        </select>
+      )}
+      {needsAsset && f.type !== "dividend" && (
+        <>
+          <div className="editor-inp-wrap sm">
+            <input className="editor-inp mono" type="number" min="0" step="any" value={f.qty} placeholder="Shares"
+              onChange={e => set("qty", e.target.value)} style={{ width:72 }} aria-label="Shares"/>
+            <span className="editor-sym">sh</span>
+          </div>
+          <div className="editor-inp-wrap sm">
+            <span className="editor-sym">@</span>
+            <input className="editor-inp mono" type="number" min="0" step="any" value={f.price} placeholder="Price"
+              onChange={e => set("price", e.target.value)} style={{ width:72 }} aria-label="Price per share"/>
+          </div>
+        </>
+      )}
+      <div className="editor-inp-wrap sm">
+        <span className="editor-sym">{cy}</span>
+        <input className="editor-inp mono" type="number" min="0" step="0.01" value={f.amount}
+          placeholder={Number.isFinite(amount) && amount > 0 ? fmtAmt(roundMoney(amount)) : "Amount"}
+          onChange={e => set("amount", e.target.value)} style={{ width:80 }} aria-label="Amount"/>
+      </div>
+      {f.type !== "fee" && f.type !== "deposit" && (
+        <div className="editor-inp-wrap sm">
+          <span className="editor-sym">fee</span>
+          <input className="editor-inp mono" type="number" min="0" step="0.01" value={f.fee} placeholder="0"
+            onChange={e => set("fee", e.target.value)} style={{ width:56 }} aria-label="Fee"/>
+        </div>
+      )}
+      <input className="editor-inp tx-note" type="text" maxLength={200} value={f.note} placeholder="Note"
+        onChange={e => set("note", e.target.value)} aria-label="Note"/>
+      <div className="tx-form-btns">
+        <button className="btn-ghost sm" onClick={onCancel}>Cancel</button>
+        <button className="btn-primary sm" onClick={save} disabled={!valid}>{initial ? "Save Correction" : "Add"}</button>
+      </div>
+    </div>
+  );
+}
+
+// ─── HOUSEHOLD TAB ────────────────────────────────────────────
+function HouseholdTab({ model, routing, cy, activeId, onUpdateTargets, onOpenPortfolio, showToast }) {
+  const cats = useCategories();
+  const [draft, setDraft] = useState(null); // ticker → string while editing
+  const money = v => `${cy}${Math.round(v).toLocaleString()}`;
+  const editing = draft != null;
+  const draftSum = editing ? Object.values(draft).reduce((s, v) => s + (Number(v) || 0), 0) : model.targetSum;
+
+  const startEdit = () => setDraft(Object.fromEntries(model.items.map(i => [i.ticker, String(i.target)])));
+  const save = () => {
+    const targets = {};
+    for (const [t, v] of Object.entries(draft)) if (Number(v) > 0) targets[t] = sanitizeNum(v, 0, 100, 0);
+    onUpdateTargets(targets);
+    setDraft(null);
+    showToast("Household targets saved");
+  };
+  const normalise = () => {
+    if (!(draftSum > 0)) return;
+    setDraft(d => Object.fromEntries(Object.entries(d).map(([t, v]) => [t, String(Math.round((Number(v) || 0) / draftSum * 10000) / 100)])));
+  };
+
+  const routed   = routing?.routed;
+  const separate = routing?.separate;
+  const cash     = routing ? roundMoney(routing.accounts.reduce((s, a) => s + a.cash, 0)) : 0;
+  const copyRouting = () => {
+    const text = [
+      `=== ${fmtMonth(routing.monthKey, "long")} — household ${cy}${fmtAmt(cash)} ===`,
+      ...routed.plans.flatMap(p => [
+        "",
+        `${p.name} (${ACCOUNT_KINDS[p.kind]?.label}) — ${cy}${fmtAmt(p.cash)}`,
+        ...(p.buys.length ? p.buys.map(b => {
+          const units = b.qty != null ? ` = ${fmtQty(b.qty)} sh @ ${cy}${b.price.toFixed(2)}` : "";
+          const fee   = b.fee > 0 ? ` + ${cy}${fmtAmt(b.fee)} fee` : "";
+          return `${b.ticker}: ${cy}${fmtAmt(b.buy)}${units}${fee}`;
+        }) : ["Nothing to buy"]),
+        ...(p.left > 0 ? [`Left in account: ${cy}${fmtAmt(p.left)}`] : []),
+      ]),
+    ].join("\n");
+    copyToClipboard(text)
+      .then(() => showToast("Routed buys copied!"))
+      .catch(() => showToast("Clipboard unavailable — try selecting text manually.", "error"));
+  };
+
+  return (
+    <>
+      <div className="month-header-row">
+        <Sh title="Household" subtitle={`${model.accounts.length} portfolios combined · ${model.custom ? "household targets" : "targets blended from each portfolio by value"}`}/>
+        <div className="month-actions">
+          {editing ? (
+            <>
+              <button className="btn-ghost sm" onClick={normalise}><Icon name="normalize" style={{ width:12, height:12 }}/>Normalise</button>
+              <button className="btn-ghost sm" onClick={() => setDraft(null)}>Cancel</button>
+              <button className="btn-primary sm" onClick={save}><Icon name="check" style={{ width:12, height:12 }}/>Save</button>
+            </>
+          ) : (
+            <>
+              {model.custom && (
+                <button className="btn-ghost sm" onClick={() => { onUpdateTargets({}); showToast("Using blended targets"); }}>
+                  <Icon name="layers" style={{ width:12, height:12 }}/>Use blended
+                </button>
               )}
-              <div className="hist-assets">
-                {h.assets.map(a => {
-                  const c      = CAT_COLORS[a.cat] || "#6366f1";
-                  const bought = h.buys?.find(x => x.ticker === a.ticker);
-                  return (
-                    <div key={a.ticker} className={`hist-asset ${bought ? "hist-asset-bought" : ""}`}>
-                      <div className="d-icon sm" style={{ background:`${c}18`, color:c }}><Icon name={a.icon}/></div>
-                      <span className="hist-ticker">{a.ticker}</span>
-                      <span className="hist-val mono">{cy}{Math.round(a.current).toLocaleString()}</span>
-                    </div>
-                  );
-                })}
+              <button className="btn-ghost sm" onClick={startEdit}><Icon name="target" style={{ width:12, height:12 }}/>Set targets</button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="h-kpis">
+        {[
+          { l:"Household",   v:money(model.total),                 c:"var(--accent-blue)",   d:"All portfolios, in " + cy,         icon:"wallet"   },
+          { l:"Portfolios",  v:String(model.accounts.length),      c:"var(--accent-indigo)", d:`${model.items.filter(i => i.current > 0).length} distinct assets`, icon:"layers" },
+          { l:"Max Drift",   v:`${model.maxDrift.toFixed(1)}%`,    c: model.maxDrift < 2 ? "var(--accent-green)" : model.maxDrift < 4 ? "var(--accent-amber)" : "var(--accent-red)", d:"Against household targets", icon:"sliders" },
+          { l:"Target Sum",  v:`${draftSum.toFixed(1)}%`,          c: Math.abs(draftSum - 100) < 0.05 ? "var(--accent-green)" : "var(--accent-amber)", d: editing ? "Editing" : model.custom ? "Household" : "Blended", icon:"target" },
+        ].map((k, i) => (
+          <div key={i} className="h-kpi">
+            <Icon name={k.icon} style={{ color:k.c, width:22, height:22, marginBottom:10 }}/>
+            <div className="h-kpi-l">{k.l}</div>
+            <div className="h-kpi-v mono" style={{ color:k.c }}>{k.v}</div>
+            <div className="h-kpi-d">{k.d}</div>
+          </div>
+        ))}
+      </div>
+
+      {model.unconverted && (
+        <div className="banner banner-warn" role="alert">
+          <Icon name="warning" style={{ width:16, height:16, flexShrink:0 }}/>
+          <span>Some portfolios use another currency and no FX rates are loaded yet — their values are added unconverted. Refresh live prices to convert.</span>
+        </div>
+      )}
+
+      <div className="live-contrib-list hh-accounts">
+        {model.accounts.map(a => (
+          <button key={a.id} className={`live-contrib-row hh-account${a.id === activeId ? " active" : ""}`} onClick={() => onOpenPortfolio(a.id)} title={a.id === activeId ? "Open portfolio" : "Switch to this portfolio"}>
+            <span>{a.name}{a.id === activeId && <span className="editor-cat"> · active</span>}</span>
+            <span className="mono">{money(a.total)} · {model.total > 0 ? (a.total / model.total * 100).toFixed(1) : "0.0"}%</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="cmp-table" role="table" aria-label="Household allocation">
+        <div className="cmp-row cmp-head" role="row">
+          <span>Asset</span><span>Held In</span><span>Value</span><span>Actual</span><span>Target</span><span>Drift</span>
+        </div>
+        {model.items.map(i => (
+          <div key={i.ticker} className="cmp-row" role="row">
+            <span className="mono cmp-ticker">{i.ticker}</span>
+            <span title={model.accounts.filter(a => i.byPortfolio[a.id]).map(a => `${a.name}: ${money(i.byPortfolio[a.id])}`).join("\n")}>
+              {model.accounts.filter(a => i.byPortfolio[a.id]).length || "—"}
+            </span>
+            <span className="mono">{money(i.current)}</span>
+            <span className="mono">{i.pct.toFixed(1)}%</span>
+            {editing ? (
+              <div className="editor-inp-wrap sm">
+                <input className="editor-inp mono" type="number" min="0" max="100" step="0.5"
+                  value={draft[i.ticker] ?? ""} onChange={e => setDraft(d => ({ ...d, [i.ticker]: e.target.value }))}
+                  style={{ width:52 }} aria-label={`Household target for ${i.ticker}`}/>
+                <span className="editor-sym">%</span>
               </div>
+            ) : (
+              <span className="mono">{i.target.toFixed(1)}%</span>
+            )}
+            <DriftCell drift={i.drift}/>
+          </div>
+        ))}
+      </div>
+
+      {routing && !editing && (
+        <>
+          <div className="month-header-row">
+            <Sh title="Routed Buys" subtitle={`${fmtMonth(routing.monthKey, "long")} · ${cy}${fmtAmt(cash)} across ${routing.accounts.length} accounts, bought against the household targets`}/>
+            <div className="month-actions">
+              <button className="btn-ghost sm" onClick={copyRouting} disabled={!routed.plans.some(p => p.buys.length)}>
+                <Icon name="copy" style={{ width:12, height:12 }}/>Copy
+              </button>
             </div>
-          );
-        })}
+          </div>
+          {routed.plans.map(p => {
+            const acc = routing.accounts.find(a => a.id === p.id);
+            return (
+              <div key={p.id} className="hh-route">
+                <div className="hh-route-head">
+                  <span className="hh-route-name">{p.name}<span className="editor-cat"> · {ACCOUNT_KINDS[p.kind]?.label} · {acc.canHold.length === CATEGORIES.length ? "any asset" : acc.canHold.length ? acc.canHold.join(", ") : "nothing eligible"}</span></span>
+                  <span className="mono">{cy}{fmtAmt(p.cash)}{p.left > 0 ? ` · ${cy}${fmtAmt(p.left)} left` : ""}</span>
+                </div>
+                {p.buys.length === 0 ? (
+                  <div className="hh-route-empty">Nothing to buy here this month</div>
+                ) : (
+                  <div className="trade-list" role="list" aria-label={`Buys in ${p.name}`}>
+                    {p.buys.map(b => {
+                      const c = cats.color(b.cat);
+                      return (
+                        <div key={b.ticker} className="trade-row" role="listitem">
+                          <span className="trade-side trade-buy">BUY</span>
+                          <div className="d-icon sm" style={{ background:`${c}18`, color:c }}><Icon name={b.icon}/></div>
+                          <div className="trade-info">
+                            <span className="trade-ticker">{b.ticker}{b.opens && <span className="editor-cat"> · new here</span>}</span>
+                            <span className="trade-meta mono">
+                              {b.qty != null ? `${fmtQty(b.qty)} sh @ ${cy}${b.price.toFixed(2)}` : b.cat}
+                              {b.fee > 0 ? ` · fee ${cy}${fmtAmt(b.fee)}` : ""}
+                            </span>
+                          </div>
+                          <span className="trade-amt mono trade-buy">+{cy}{fmtAmt(b.buy)}</span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+                {p.skipped.map(sk => (
+                  <div key={sk.ticker} className="hh-route-empty">{sk.ticker}: {skipReasonText(sk, cy, acc.opts)}</div>
+                ))}
+              </div>
+            );
+          })}
+
+          <Sh title="Routed vs Separate" subtitle="Household drift after this month's buys — routed across accounts vs each portfolio buying its own targets"/>
+          <div className="cmp-table" role="table" aria-label="Routed vs separate allocation">
+            <div className="cmp-row cmp-head" role="row">
+              <span>Asset</span><span>Target</span><span>Routed</span><span>Drift</span><span>Separate</span><span>Drift</span>
+            </div>
+            {routed.items.map(a => {
+              const rb = roundMoney(routed.plans.reduce((s, p) => s + (p.buys.find(b => b.ticker === a.ticker)?.buy || 0), 0));
+              const sb = roundMoney(separate.plans.reduce((s, p) => s + (p.buys.find(b => b.ticker === a.ticker)?.buy || 0), 0));
+              const sd = separate.items.find(x => x.ticker === a.ticker)?.drift ?? 0;
+              return (
+                <div key={a.ticker} className="cmp-row" role="row">
+                  <span className="mono cmp-ticker">{a.ticker}</span>
+                  <span className="mono">{a.target.toFixed(1)}%</span>
+                  <span className="mono">{rb > 0 ? `${cy}${fmtAmt(rb)}` : "—"}</span>
+                  <span className={`mono ${Math.abs(a.drift) <= Math.abs(sd) + 0.005 ? "cmp-better" : ""}`}>{a.drift > 0 ? "+" : ""}{a.drift.toFixed(2)}</span>
+                  <span className="mono">{sb > 0 ? `${cy}${fmtAmt(sb)}` : "—"}</span>
+                  <span className={`mono ${Math.abs(sd) <= Math.abs(a.drift) + 0.005 ? "cmp-better" : ""}`}>{sd > 0 ? "+" : ""}{sd.toFixed(2)}</span>
+                </div>
+              );
+            })}
+            {[["Σ drift²", "te", v => v.toFixed(2)], ["Max |drift|", "maxDrift", v => `${v.toFixed(2)} pp`], ["Left in accounts", "left", v => `${cy}${fmtAmt(v)}`]].map(([name, key, fmt]) => (
+              <div key={key} className="cmp-row cmp-foot" role="row">
+                <span>{name}</span><span/>
+                <span/><span className="mono">{fmt(routed[key])}</span>
+                <span/><span className="mono">{fmt(separate[key])}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="note">
+        <Icon name="info" style={{ color:"var(--accent-indigo)", width:15, height:15, flexShrink:0, marginTop:1 }}/>
+        <span><strong>Note:</strong> Each portfolio keeps its own targets, DCA and platform. The household view adds every holding together in {cy} and measures drift against one mix — blended from the portfolios until you set your own. Routed buys decide where each purchase goes from the account type and categories set under Settings → Account and what each platform trades; they're a plan only, so lock in each portfolio's month as usual.</span>
       </div>
     </>
   );
@@ -1784,7 +4141,8 @@ function HistoryTab({ history, cy, priceSnapshots = [] }) {
 
 // ─── SETTINGS MODAL ───────────────────────────────────────────
 // ─── CATEGORY ALLOC ROW ───────────────────────────────────────
-function CatAllocRow({ cat, color, assets, currentPct, targetTotal, onSetTarget }) {
+function CatAllocRow({ cat, color, icon, assets, currentPct, targetTotal, onSetTarget }) {
+  const cats = useCategories();
   const [draft, setDraft] = useState(targetTotal.toFixed(1));
   // Keep draft in sync when parent state changes (e.g. normalise)
   useEffect(() => { setDraft(targetTotal.toFixed(1)); }, [targetTotal]);
@@ -1799,7 +4157,7 @@ function CatAllocRow({ cat, color, assets, currentPct, targetTotal, onSetTarget
     <div className="cat-alloc-row">
       <div className="cat-alloc-label">
         <div className="cat-alloc-dot" style={{ background: color }}/>
-        <Icon name={CAT_ICONS[cat] || "barChart"} style={{ width:14, height:14, color, flexShrink:0 }}/>
+        <Icon name={icon || cats.icon(cat)} style={{ width:14, height:14, color, flexShrink:0 }}/>
         <span className="cat-alloc-name">{cat}</span>
         <span className="cat-alloc-count">{assets.length}</span>
       </div>
@@ -1827,38 +4185,46 @@ function CatAllocRow({ cat, color, assets, currentPct, targetTotal, onSetTarget
   );
 }
 
-function SettingsModal({ state, onClose, onUpdateDca, onUpdateCurrency, onUpdateTheme, onUpdateProjection, onUpdatePlatform, onUpdateAsset, onAddAsset, onRemoveAsset, onNormalize, onExportJSON, onExportCSV, onImport, onImportBrokerCsv, brokerSource, onBrokerSourceChange, onTestBrokerApi, onReset, targetSum, targetOk, showToast, liveEnabled, onToggleLive, liveRefreshSec, onUpdateLiveRefresh, driftThreshold, onUpdateDriftThreshold, alertsEnabled, onToggleAlerts, brokerImportLog = [] }) {
+function SettingsModal({ state, onClose, onUpdateDca, onUpdateDcaDay, onUpdateCurrency, onUpdateTheme, onUpdateProjection, onUpdatePlatform, onUpdateAsset, onAddAsset, onRemoveAsset, onNormalize, onExportJSON, onExportCSV, taxReportLabel, onExportTaxCSV, onExportTaxHTML, onImport, onImportBrokerCsv, brokerSource, onBrokerSourceChange, onTestBrokerApi, onReset, targetSum, targetOk, showToast, liveEnabled, onToggleLive, liveRefreshSec, onUpdateLiveRefresh, driftThreshold, onUpdateDriftThreshold, alertsEnabled, onToggleAlerts, feesEnabled, onToggleFees, maxFeeDragPct, onUpdateMaxFeeDrag, maxOrders, onUpdateMaxOrders, onUpdateSchedule, growthEnabled, onToggleGrowth, reinvestDividends, onToggleReinvest, account, onUpdateAccount, targetTree = [], onSetNodeShare, nested = true, onToggleNested, divProfiles = {}, mcPaths, onUpdateMcPaths, engine, onUpdateEngine, strategy, onUpdateStrategy, driftBand, onUpdateDriftBand, brokerImportLog = [], groupBy = "cat", onUpdateGroupBy, onAddCategory, onUpdateCategory, onRemoveCategory, onLinkIdentifier }) {
+  const cats = useCategories();
   const [section, setSection] = useState("general");
-  const [assetsView, setAssetsView] = useState("assets"); // "assets" | "categories"
+  const [assetsView, setAssetsView] = useState("assets"); // "assets" | "categories" | "tags" | "symbols" | "units" | "growth" | "holdings" | "dividends"
+  const [assetFilter, setAssetFilter] = useState(null); // null | { dim, value }
   const [localDca, setLocalDca] = useState(String(state.dca));
   const [platformExpanded, setPlatformExpanded] = useState(
     () => PLATFORMS.findIndex(p => p.id === state.platform) >= 10
   );
+  const platformInfo = PLATFORMS.find(p => p.id === state.platform);
   const modalRef = useRef(null);
   useEffect(() => { modalRef.current?.focus(); }, []);
 
-  // Category targets: redistribute asset targets within a category proportionally
-  const setCategoryTarget = (cat, newCatTarget) => {
-    const assetsInCat = state.assets.filter(a => a.cat === cat);
-    if (!assetsInCat.length) return;
-    const currentCatTotal = assetsInCat.reduce((s, a) => s + a.target, 0);
-    assetsInCat.forEach(a => {
-      // keep relative weight; if current cat total is 0, split evenly
-      const share = currentCatTotal > 0 ? a.target / currentCatTotal : 1 / assetsInCat.length;
-      onUpdateAsset(a.ticker, "target", String((share * newCatTarget).toFixed(2)));
+  // Group targets: redistribute asset targets within a category or tag group proportionally
+  const setGroupTarget = (key, newGroupTarget) => {
+    const assetsInGroup = state.assets.filter(a => groupOf(a, groupBy) === key);
+    if (!assetsInGroup.length) return;
+    const currentGroupTotal = assetsInGroup.reduce((s, a) => s + a.target, 0);
+    assetsInGroup.forEach(a => {
+      // keep relative weight; if current group total is 0, split evenly
+      const share = currentGroupTotal > 0 ? a.target / currentGroupTotal : 1 / assetsInGroup.length;
+      onUpdateAsset(a.ticker, "target", String((share * newGroupTarget).toFixed(2)));
     });
   };
 
-  // Compute per-category summary from live state
-  const catSummary = useMemo(() => {
-    const activeCats = CATEGORIES.filter(cat => state.assets.some(a => a.cat === cat));
-    return activeCats.map(cat => {
-      const assets = state.assets.filter(a => a.cat === cat);
-      const targetTotal = assets.reduce((s, a) => s + a.target, 0);
-      const currentTotal = assets.reduce((s, a) => s + a.current, 0);
-      return { cat, assets, targetTotal, currentTotal };
-    });
-  }, [state.assets]);
+  // Per-group summary from live state, along the chosen dimension
+  const dims = useMemo(() => groupDimensions(state.assets), [state.assets]);
+  const groupSummary = useMemo(() => (
+    groupAssets(state.assets, groupBy, cats.names).map(({ key, assets }, i) => ({
+      key, assets,
+      color: groupBy === "cat" ? cats.color(key) : key ? GROUP_PALETTE[i % GROUP_PALETTE.length] : "#78909C",
+      icon:  groupBy === "cat" ? cats.icon(key) : "tag",
+      targetTotal:  assets.reduce((s, a) => s + a.target, 0),
+      currentTotal: assets.reduce((s, a) => s + a.current, 0),
+    }))
+  ), [state.assets, groupBy, cats]);
+  // Every group along every dimension, for the asset list filter
+  const filterOptions = useMemo(() => dims.map(d => ({
+    ...d, groups: groupAssets(state.assets, d.id, cats.names).map(g => g.key),
+  })), [dims, state.assets, cats]);
 
   const TABS = [
     { id:"general", label:"General",  icon:"sliders" },
@@ -1918,6 +4284,24 @@ function SettingsModal({ state, onClose, onUpdateDca, onUpdateCurrency, onUpdate
                   </div>
                 </SettingRow>
                 <SettingDivider/>
+                <SettingRow title="Execution Day" desc={`Day of the month your DCA runs, moved off weekends · this month: ${fmtDay(executionDate(monthKeyOf(), state.dcaDay))}`}>
+                  <div className="editor-inp-wrap">
+                    <input key={state.dcaDay} className="editor-inp mono" type="number" min="1" max="31" step="1"
+                      defaultValue={state.dcaDay}
+                      onBlur={e => onUpdateDcaDay(e.target.value)}
+                      onKeyDown={e => { if (e.key === "Enter") e.target.blur(); }}
+                      style={{ width:56 }} aria-label="DCA execution day of month"/>
+                  </div>
+                </SettingRow>
+                <SettingDivider/>
+                <ScheduleEditor
+                  schedule={state.schedule}
+                  base={state.dca}
+                  currency={state.currency}
+                  startMonth={monthKeyOf()}
+                  onChange={onUpdateSchedule}
+                />
+                <SettingDivider/>
                 <SettingRow title="Currency" desc="Symbol shown throughout the app">
                   <div className="seg-ctrl" role="group">
                     {CURRENCIES.map(c => (
@@ -1956,6 +4340,97 @@ function SettingsModal({ state, onClose, onUpdateDca, onUpdateCurrency, onUpdate
                     </div>
                   </div>
                 </div>
+                <SettingDivider/>
+                <SettingRow title="Price Growth" desc="Compound each asset at its expected annual return (set per asset under Assets → Growth)">
+                  <button className={`seg-btn ${growthEnabled ? "active" : ""}`} onClick={() => onToggleGrowth(!growthEnabled)}>
+                    <Icon name="trendUp" style={{ width:12, height:12 }}/>{growthEnabled ? "Enabled" : "Flat prices"}
+                  </button>
+                </SettingRow>
+                <SettingDivider/>
+                <SettingRow title="Reinvest Dividends" desc="Add each month's expected payouts to that month's budget (set yields under Assets → Dividends). Expected returns are treated as price growth only.">
+                  <button className={`seg-btn ${reinvestDividends ? "active" : ""}`} onClick={() => onToggleReinvest(!reinvestDividends)}>
+                    <Icon name="coins" style={{ width:12, height:12 }}/>{reinvestDividends ? "DRIP" : "Paid out"}
+                  </button>
+                </SettingRow>
+                <SettingDivider/>
+                <SettingRow title="Simulation Paths" desc="Monte Carlo paths on the Health tab. More paths give smoother bands; the optimal engine is much slower per path.">
+                  <select className="asset-select" value={mcPaths} onChange={e => onUpdateMcPaths(e.target.value)} aria-label="Monte Carlo paths">
+                    {MC_PATHS.map(n => <option key={n} value={n}>{n.toLocaleString()}</option>)}
+                  </select>
+                </SettingRow>
+              </div>
+            </div>
+
+            {/* Allocation strategy */}
+            <div className="settings-group">
+              <div className="settings-group-label">Allocation</div>
+              <div className="settings-card">
+                <SettingRow title="Engine" desc={ALLOCATION_ENGINES[engine]?.desc}>
+                  <div className="seg-ctrl" role="group" aria-label="Allocation engine">
+                    {Object.entries(ALLOCATION_ENGINES).map(([id, en]) => (
+                      <button key={id} className={`seg-btn ${engine === id ? "active" : ""}`} onClick={() => onUpdateEngine(id)}>{en.label}</button>
+                    ))}
+                  </div>
+                </SettingRow>
+                <SettingDivider/>
+                <SettingRow title="Strategy" desc={engine === "optimal" ? "Not used by the optimal engine" : ALLOCATION_STRATEGIES[strategy]?.desc}>
+                  <select className="asset-select" value={strategy} disabled={engine === "optimal"} onChange={e => onUpdateStrategy(e.target.value)} aria-label="Allocation strategy">
+                    {Object.entries(ALLOCATION_STRATEGIES).map(([id, st]) => <option key={id} value={id}>{st.label}</option>)}
+                  </select>
+                </SettingRow>
+                <SettingDivider/>
+                <SettingRow title="Nested Targets" desc={nested ? "Close category gaps first, then sub-category gaps, then asset gaps within each" : "Split across every asset at once by its own gap"}>
+                  <div className="seg-ctrl" role="group" aria-label="Nested targets">
+                    <button className={`seg-btn ${nested ? "active" : ""}`} onClick={() => onToggleNested(true)}>Category first</button>
+                    <button className={`seg-btn ${!nested ? "active" : ""}`} onClick={() => onToggleNested(false)}>Flat</button>
+                  </div>
+                </SettingRow>
+                {engine !== "optimal" && strategy === "drift-band" && (
+                  <>
+                    <SettingDivider/>
+                    <SettingRow title="Buy Band" desc="Only assets this many points below target are bought; otherwise the budget carries forward">
+                      <div className="editor-inp-wrap">
+                        <input className="editor-inp mono" type="number" min="0.5" max="10" step="0.5"
+                          value={driftBand}
+                          onChange={e => onUpdateDriftBand(e.target.value)}
+                          style={{ width:56 }} aria-label="Drift band percentage points"/>
+                        <span className="editor-sym">pp</span>
+                      </div>
+                    </SettingRow>
+                  </>
+                )}
+              </div>
+            </div>
+
+            {/* Orders & fees */}
+            <div className="settings-group">
+              <div className="settings-group-label">Orders & Fees</div>
+              <div className="settings-card">
+                <SettingRow title="Max Orders / Month" desc={`Cap on buys per month (0 = no cap). ${PLATFORMS.find(p => p.id === state.platform)?.minOrder ? `Platform minimum order: ${state.currency}${PLATFORMS.find(p => p.id === state.platform).minOrder}.` : "No platform minimum order."}`}>
+                  <div className="editor-inp-wrap">
+                    <input className="editor-inp mono" type="number" min="0" max="50" step="1"
+                      value={maxOrders}
+                      onChange={e => onUpdateMaxOrders(e.target.value)}
+                      style={{ width:56 }} aria-label="Maximum orders per month"/>
+                  </div>
+                </SettingRow>
+                <SettingDivider/>
+                <SettingRow title="Fee-Aware Allocation" desc={`${PLATFORMS.find(p => p.id === state.platform)?.name ?? "Platform"}: ${fmtFeeSchedule(PLATFORMS.find(p => p.id === state.platform)?.fees, state.currency)}`}>
+                  <button className={`seg-btn ${feesEnabled ? "active" : ""}`} onClick={() => onToggleFees(!feesEnabled)}>
+                    <Icon name="coins" style={{ width:12, height:12 }}/>{feesEnabled ? "Enabled" : "Disabled"}
+                  </button>
+                </SettingRow>
+                <SettingDivider/>
+                <SettingRow title="Max Fee Drag" desc="Skip orders whose fee exceeds this share of the order and merge their budget into fewer, larger buys">
+                  <div className="editor-inp-wrap">
+                    <input className="editor-inp mono" type="number" min="0.1" max="100" step="0.5"
+                      value={maxFeeDragPct}
+                      disabled={!feesEnabled}
+                      onChange={e => onUpdateMaxFeeDrag(e.target.value)}
+                      style={{ width:56 }} aria-label="Maximum fee drag percentage"/>
+                    <span className="editor-sym">%</span>
+                  </div>
+                </SettingRow>
               </div>
             </div>
 
@@ -2042,6 +4517,34 @@ function SettingsModal({ state, onClose, onUpdateDca, onUpdateCurrency, onUpdate
               </div>
             </div>
 
+            {/* Account */}
+            <div className="settings-group">
+              <div className="settings-group-label">Account</div>
+              <div className="settings-group-desc">How the household view routes buys to this portfolio</div>
+              <div className="settings-card">
+                <SettingRow title="Account Type" desc={ACCOUNT_KINDS[account.kind]?.desc}>
+                  <div className="seg-ctrl" role="group" aria-label="Account type">
+                    {Object.entries(ACCOUNT_KINDS).map(([id, k]) => (
+                      <button key={id} className={`seg-btn ${account.kind === id ? "active" : ""}`} onClick={() => onUpdateAccount({ kind: id })}>{k.label}</button>
+                    ))}
+                  </div>
+                </SettingRow>
+                <SettingDivider/>
+                <SettingRow title="Can Hold" desc={`Categories this account may buy${platformInfo?.supports ? ` · ${platformInfo.name} only trades ${platformInfo.supports.join(", ")}` : ""}`}>
+                  <div className="seg-ctrl acct-cats" role="group" aria-label="Categories this account can hold">
+                    {CATEGORIES.map(c => {
+                      const on = !account.holds || account.holds.includes(c);
+                      const toggle = () => {
+                        const next = on ? (account.holds || CATEGORIES).filter(x => x !== c) : [...account.holds, c];
+                        onUpdateAccount({ holds: next.length === CATEGORIES.length ? null : next });
+                      };
+                      return <button key={c} className={`seg-btn ${on ? "active" : ""}`} onClick={toggle} aria-pressed={on}>{c}</button>;
+                    })}
+                  </div>
+                </SettingRow>
+              </div>
+            </div>
+
             {/* Danger zone */}
             <div className="settings-group">
               <div className="settings-group-label">Danger Zone</div>
@@ -2069,7 +4572,31 @@ function SettingsModal({ state, onClose, onUpdateDca, onUpdateCurrency, onUpdate
                 </button>
                 <button className={`seg-btn ${assetsView === "categories" ? "active" : ""}`}
                   onClick={() => setAssetsView("categories")}>
-                  <Icon name="layers" style={{ width:12, height:12 }}/>By Category
+                  <Icon name="layers" style={{ width:12, height:12 }}/>By Group
+                </button>
+                <button className={`seg-btn ${assetsView === "tags" ? "active" : ""}`}
+                  onClick={() => setAssetsView("tags")}>
+                  <Icon name="tag" style={{ width:12, height:12 }}/>Tags
+                </button>
+                <button className={`seg-btn ${assetsView === "symbols" ? "active" : ""}`}
+                  onClick={() => setAssetsView("symbols")}>
+                  <Icon name="search" style={{ width:12, height:12 }}/>Quotes
+                </button>
+                <button className={`seg-btn ${assetsView === "units" ? "active" : ""}`}
+                  onClick={() => setAssetsView("units")}>
+                  <Icon name="coins" style={{ width:12, height:12 }}/>Order Units
+                </button>
+                <button className={`seg-btn ${assetsView === "growth" ? "active" : ""}`}
+                  onClick={() => setAssetsView("growth")}>
+                  <Icon name="trendUp" style={{ width:12, height:12 }}/>Growth
+                </button>
+                <button className={`seg-btn ${assetsView === "holdings" ? "active" : ""}`}
+                  onClick={() => setAssetsView("holdings")}>
+                  <Icon name="wallet" style={{ width:12, height:12 }}/>Holdings
+                </button>
+                <button className={`seg-btn ${assetsView === "dividends" ? "active" : ""}`}
+                  onClick={() => setAssetsView("dividends")}>
+                  <Icon name="coins" style={{ width:12, height:12 }}/>Dividends
                 </button>
               </div>
               <div className="assets-toolbar-right">
@@ -2086,13 +4613,26 @@ function SettingsModal({ state, onClose, onUpdateDca, onUpdateCurrency, onUpdate
             {/* Per-asset view */}
             {assetsView === "assets" && (
               <>
+                <select className="asset-select asset-filter" aria-label="Filter assets"
+                  value={assetFilter ? JSON.stringify([assetFilter.dim, assetFilter.value]) : ""}
+                  onChange={e => {
+                    const [dim, value] = e.target.value ? JSON.parse(e.target.value) : [];
+                    setAssetFilter(dim ? { dim, value } : null);
+                  }}>
+                  <option value="">All assets</option>
+                  {filterOptions.map(d => (
+                    <optgroup key={d.id} label={d.label}>
+                      {d.groups.map(g => <option key={g} value={JSON.stringify([d.id, g])}>{g || "Untagged"}</option>)}
+                    </optgroup>
+                  ))}
+                </select>
                 <div className="assets-table" role="table">
                   <div className="assets-thead" role="row">
                     <span>Asset</span><span>Category</span><span>Current</span><span>Target %</span><span/>
                   </div>
-                  {state.assets.map(a => (
+                  {state.assets.filter(a => matchesGroup(a, assetFilter)).map(a => (
                     <AssetRow key={a.ticker} asset={a}
-                      color={CAT_COLORS[a.cat] || "#6366f1"}
+                      color={cats.color(a.cat)}
                       currency={state.currency}
                       onUpdate={(field, val) => onUpdateAsset(a.ticker, field, val)}
                       onRemove={() => onRemoveAsset(a.ticker)}
@@ -2102,37 +4642,189 @@ function SettingsModal({ state, onClose, onUpdateDca, onUpdateCurrency, onUpdate
                 <button className="btn-ghost add-btn" onClick={() => { onAddAsset(); showToast("Asset added — edit its values above."); }}>
                   <Icon name="addAsset" style={{ width:15, height:15 }}/>Add Asset
                 </button>
+                <div className="settings-group-label tt-edit-label">Add from Search</div>
+                <SymbolSearch onPick={r => {
+                  if (state.assets.some(a => a.ticker === r.ticker.toUpperCase())) { showToast(`${r.ticker} is already in the portfolio`, "error"); return; }
+                  onAddAsset(r);
+                  showToast(`${r.ticker} added with its quote symbols — set its value and target above.`);
+                }}/>
+              </>
+            )}
+
+            {/* Per-group view — by category or by a tag key */}
+            {assetsView === "categories" && (
+              <div className="cat-alloc-table">
+                {dims.length > 1 && (
+                  <div className="seg-ctrl group-by" role="group" aria-label="Group by">
+                    {dims.map(d => (
+                      <button key={d.id} className={`seg-btn ${groupBy === d.id ? "active" : ""}`} onClick={() => onUpdateGroupBy(d.id)}>{d.label}</button>
+                    ))}
+                  </div>
+                )}
+                <div className="cat-alloc-head">
+                  <span>{groupBy === "cat" ? "Category" : groupBy.slice(4)}</span>
+                  <span>Assets</span>
+                  <span>Current %</span>
+                  <span>Target %</span>
+                </div>
+                {groupSummary.map(({ key, color, icon, assets, targetTotal, currentTotal }) => {
+                  const grandTotal = state.assets.reduce((s, a) => s + a.current, 0);
+                  const currentPct = grandTotal > 0 ? (currentTotal / grandTotal) * 100 : 0;
+                  return (
+                    <CatAllocRow key={key || "untagged"}
+                      cat={key || "Untagged"} color={color} icon={icon} assets={assets}
+                      currentPct={currentPct} targetTotal={targetTotal}
+                      onSetTarget={val => setGroupTarget(key, val)}
+                    />
+                  );
+                })}
+                <div className="cat-alloc-foot">
+                  <span>Total</span>
+                  <span/>
+                  <span className="mono">100%</span>
+                  <span className={`mono ${targetOk ? "ok-text" : "err-text"}`}>{targetSum.toFixed(1)}%</span>
+                </div>
+                {groupBy === "cat" && (
+                  <>
+                    <div className="settings-group-label tt-edit-label">Nested Targets</div>
+                    <div className="settings-group-desc">Each target is a share of its parent — changing one rescales its siblings so the parent stays put. Name a sub-category on an asset to group it.</div>
+                    <TargetTree tree={targetTree} onSetShare={onSetNodeShare} onSetSub={(ticker, sub) => onUpdateAsset(ticker, "sub", sub)}/>
+                    <div className="settings-group-label tt-edit-label">Your Categories</div>
+                    <div className="settings-group-desc">Add your own categories with a colour and icon. Each behaves as a built-in asset class for growth defaults, fees, tax, live quotes and which accounts can hold it.</div>
+                    <CategoryEditor custom={cats.custom} onAdd={onAddCategory} onUpdate={onUpdateCategory} onRemove={onRemoveCategory}/>
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* Per-asset tags */}
+            {assetsView === "tags" && (
+              <>
+                <div className="units-table" role="table">
+                  <div className="units-thead tags-thead" role="row">
+                    <span>Asset</span><span>Tags</span>
+                  </div>
+                  {state.assets.map(a => (
+                    <TagRow key={`${a.ticker}-${(a.tags || []).join("|")}`} asset={a}
+                      color={cats.color(a.cat)}
+                      onUpdate={(field, val) => onUpdateAsset(a.ticker, field, val)}
+                    />
+                  ))}
+                </div>
+                <div className="data-footer-note">
+                  <Icon name="info" style={{ width:13, height:13, flexShrink:0, marginTop:1 }}/>
+                  <span>Separate tags with commas. A "key:value" tag such as region:US or sector:Health adds a grouping by that key; a bare tag such as ESG groups on its own. Groupings show up in the Overview breakdown, the By Group targets and the asset filter.</span>
+                </div>
+              </>
+            )}
+
+            {/* Per-asset quote symbols */}
+            {assetsView === "symbols" && (
+              <>
+                <div className="units-table" role="table">
+                  <div className="units-thead symbols-trow" role="row">
+                    <span>Asset</span><span>Quote Symbols</span><span/>
+                  </div>
+                  {state.assets.map(a => (
+                    <SymbolRow key={a.ticker} asset={a}
+                      color={cats.color(a.cat)}
+                      unresolved={state.live.enabled && (state.live.unresolved || []).some(u => (u.key || u.ticker) === instrumentKey(a))}
+                      onUpdate={(field, val) => onUpdateAsset(a.ticker, field, val)}
+                      onLink={id => onLinkIdentifier(a.ticker, id)}
+                    />
+                  ))}
+                </div>
+                <div className="data-footer-note">
+                  <Icon name="info" style={{ width:13, height:13, flexShrink:0, marginTop:1 }}/>
+                  <span>Live quotes use the symbols stored on each asset. Assets without any are matched by ISIN, or by ticker, on the next refresh; pick a listing here when the match is wrong or missing — search by ticker, name, ISIN or WKN. Linking an ISIN or WKN pins the asset to that instrument, so imports and quotes match it even when tickers differ between exchanges.</span>
+                </div>
+              </>
+            )}
+
+            {/* Per-asset order units */}
+            {assetsView === "units" && (
+              <>
+                <div className="units-table" role="table">
+                  <div className="units-thead" role="row">
+                    <span>Asset</span><span>Fractional</span><span>Lot Size</span><span>Min Order</span>
+                  </div>
+                  {state.assets.map(a => (
+                    <UnitRow key={a.ticker} asset={a}
+                      color={cats.color(a.cat)}
+                      currency={state.currency}
+                      onUpdate={(field, val) => onUpdateAsset(a.ticker, field, val)}
+                    />
+                  ))}
+                </div>
+                <div className="data-footer-note">
+                  <Icon name="info" style={{ width:13, height:13, flexShrink:0, marginTop:1 }}/>
+                  <span>With live prices enabled, buys are sized in shares. Whole-share assets buy in multiples of their lot size; cash that can't fill an order carries into the next month.</span>
+                </div>
+              </>
+            )}
+
+            {/* Per-asset growth assumptions */}
+            {assetsView === "growth" && (
+              <>
+                <div className="units-table" role="table">
+                  <div className="units-thead" role="row">
+                    <span>Asset</span><span>Category</span><span>Return / yr</span><span>Volatility</span>
+                  </div>
+                  {state.assets.map(a => (
+                    <GrowthRow key={a.ticker} asset={a}
+                      color={cats.color(a.cat)}
+                      onUpdate={(field, val) => onUpdateAsset(a.ticker, field, val)}
+                    />
+                  ))}
+                </div>
+                <div className="data-footer-note">
+                  <Icon name="info" style={{ width:13, height:13, flexShrink:0, marginTop:1 }}/>
+                  <span>Leave a field empty to use the category default shown as placeholder. Returns drive the projection when Price Growth is enabled; volatility feeds simulations.</span>
+                </div>
+              </>
+            )}
+
+            {/* Per-asset holdings (shares and cost basis) */}
+            {assetsView === "holdings" && (
+              <>
+                <div className="units-table" role="table">
+                  <div className="units-thead" role="row">
+                    <span>Asset</span><span>Shares</span><span>Cost Basis</span><span>Avg Price</span>
+                  </div>
+                  {state.assets.map(a => (
+                    <HoldingRow key={`${a.ticker}-${a.quantity}-${a.costBasis}`} asset={a}
+                      color={cats.color(a.cat)}
+                      currency={state.currency}
+                      onUpdate={(field, val) => onUpdateAsset(a.ticker, field, val)}
+                    />
+                  ))}
+                </div>
+                <div className="data-footer-note">
+                  <Icon name="info" style={{ width:13, height:13, flexShrink:0, marginTop:1 }}/>
+                  <span>Assets with a share count are valued at shares × live price (converted to your currency). Leave shares empty to keep a value-only asset. Locked-in buys add shares and cost, fees included.</span>
+                </div>
               </>
             )}
 
-            {/* Per-category view */}
-            {assetsView === "categories" && (
-              <div className="cat-alloc-table">
-                <div className="cat-alloc-head">
-                  <span>Category</span>
-                  <span>Assets</span>
-                  <span>Current %</span>
-                  <span>Target %</span>
-                </div>
-                {catSummary.map(({ cat, assets, targetTotal, currentTotal }) => {
-                  const c = CAT_COLORS[cat] || "#6366f1";
-                  const grandTotal = state.assets.reduce((s, a) => s + a.current, 0);
-                  const currentPct = grandTotal > 0 ? (currentTotal / grandTotal) * 100 : 0;
-                  return (
-                    <CatAllocRow key={cat}
-                      cat={cat} color={c} assets={assets}
-                      currentPct={currentPct} targetTotal={targetTotal}
-                      onSetTarget={val => setCategoryTarget(cat, val)}
+            {/* Per-asset dividend yield and payment schedule */}
+            {assetsView === "dividends" && (
+              <>
+                <div className="units-table" role="table">
+                  <div className="units-thead" role="row">
+                    <span>Asset</span><span>Yield / yr</span><span>Frequency</span><span>First Month</span>
+                  </div>
+                  {state.assets.map(a => (
+                    <DividendRow key={a.ticker} asset={a} profile={divProfiles[a.ticker]}
+                      color={cats.color(a.cat)}
+                      onUpdate={(field, val) => onUpdateAsset(a.ticker, field, val)}
                     />
-                  );
-                })}
-                <div className="cat-alloc-foot">
-                  <span>Total</span>
-                  <span/>
-                  <span className="mono">100%</span>
-                  <span className={`mono ${targetOk ? "ok-text" : "err-text"}`}>{targetSum.toFixed(1)}%</span>
+                  ))}
                 </div>
-              </div>
+                <div className="data-footer-note">
+                  <Icon name="info" style={{ width:13, height:13, flexShrink:0, marginTop:1 }}/>
+                  <span>Leave the yield empty to use the last 12 months of dividend records from the ledger, shown as placeholder; enter 0 for assets that don't pay. Payouts are the yield on the asset's value, split evenly across its payment months.</span>
+                </div>
+              </>
             )}
           </div>
         )}
@@ -2181,10 +4873,25 @@ function SettingsModal({ state, onClose, onUpdateDca, onUpdateCurrency, onUpdate
                   </button>
                 </div>
                 <SettingDivider/>
+                <div className="data-action-row">
+                  <div className="data-action-info">
+                    <div className="setting-title">Tax Report</div>
+                    <div className="setting-desc">{taxReportLabel} — realised and unrealised gains, dividends and allowances</div>
+                  </div>
+                  <div className="month-actions">
+                    <button className="btn-ghost" onClick={onExportTaxCSV}>
+                      <Icon name="download" style={{ width:14, height:14 }}/>CSV
+                    </button>
+                    <button className="btn-ghost" onClick={onExportTaxHTML}>
+                      <Icon name="download" style={{ width:14, height:14 }}/>HTML
+                    </button>
+                  </div>
+                </div>
+                <SettingDivider/>
                 <div className="data-action-row">
                   <div className="data-action-info">
                     <div className="setting-title">Restore Backup</div>
-                    <div className="setting-desc">Import a previously exported JSON file (v2, v3 or v4)</div>
+                    <div className="setting-desc">Import a previously exported JSON file (v2–v5)</div>
                   </div>
                   <button className="btn-ghost" onClick={onImport}>
                     <Icon name="upload" style={{ width:14, height:14 }}/>Import
@@ -2255,6 +4962,7 @@ function SettingsModal({ state, onClose, onUpdateDca, onUpdateCurrency, onUpdate
 
 // ─── ASSET ROW (controlled) ───────────────────────────────────
 function AssetRow({ asset, color, currency, onUpdate, onRemove }) {
+  const cats = useCategories();
   const [v, setV] = useState({ ticker: asset.ticker, name: asset.name, current: String(asset.current), target: String(asset.target) });
   const flush = (field) => onUpdate(field, v[field]);
   return (
@@ -2274,7 +4982,7 @@ function AssetRow({ asset, color, currency, onUpdate, onRemove }) {
       </div>
       <select className="asset-select" value={asset.cat}
         onChange={e => onUpdate("cat", e.target.value)} aria-label="Category">
-        {CATEGORIES.map(c => <option key={c}>{c}</option>)}
+        {cats.names.map(c => <option key={c}>{c}</option>)}
       </select>
       <div className="editor-inp-wrap sm">
         <span className="editor-sym">{currency}</span>
@@ -2299,8 +5007,381 @@ function AssetRow({ asset, color, currency, onUpdate, onRemove }) {
   );
 }
 
+// ─── UNIT ROW (order sizing per asset) ────────────────────────
+function UnitRow({ asset, color, currency, onUpdate }) {
+  const [v, setV] = useState({ lotSize: String(asset.lotSize ?? 1), minOrder: String(asset.minOrder ?? 0) });
+  const flush = (field) => onUpdate(field, v[field]);
+  const fractional = asset.fractional !== false;
+  return (
+    <div className="units-trow" role="row">
+      <div className="asset-name-cell">
+        <div className="d-icon sm" style={{ background:`${color}18`, color }}><Icon name={asset.icon}/></div>
+        <div>
+          <div className="editor-ticker">{asset.ticker}</div>
+          <div className="editor-cat">{asset.name}</div>
+        </div>
+      </div>
+      <div className="seg-ctrl" role="group" aria-label={`Fractional shares for ${asset.ticker}`}>
+        <button className={`seg-btn ${fractional ? "active" : ""}`} onClick={() => onUpdate("fractional", true)}>Yes</button>
+        <button className={`seg-btn ${!fractional ? "active" : ""}`} onClick={() => onUpdate("fractional", false)}>No</button>
+      </div>
+      <div className="editor-inp-wrap sm">
+        <input className="editor-inp mono" type="number" min="0" step="1"
+          value={v.lotSize}
+          disabled={fractional}
+          onChange={e => setV(x => ({ ...x, lotSize: e.target.value }))}
+          onBlur={() => flush("lotSize")}
+          style={{ width:56 }} aria-label={`Lot size for ${asset.ticker}`}/>
+        <span className="editor-sym">sh</span>
+      </div>
+      <div className="editor-inp-wrap sm">
+        <span className="editor-sym">{currency}</span>
+        <input className="editor-inp mono" type="number" min="0" step="1"
+          value={v.minOrder}
+          onChange={e => setV(x => ({ ...x, minOrder: e.target.value }))}
+          onBlur={() => flush("minOrder")}
+          style={{ width:56 }} aria-label={`Minimum order for ${asset.ticker}`}/>
+      </div>
+    </div>
+  );
+}
+
+// ─── TAG ROW (free-form tags per asset) ───────────────────────
+function TagRow({ asset, color, onUpdate }) {
+  const [draft, setDraft] = useState((asset.tags || []).join(", "));
+  return (
+    <div className="units-trow tags-trow" role="row">
+      <div className="asset-name-cell">
+        <div className="d-icon sm" style={{ background:`${color}18`, color }}><Icon name={asset.icon}/></div>
+        <div>
+          <div className="editor-ticker">{asset.ticker}</div>
+          <div className="editor-cat">{asset.cat}</div>
+        </div>
+      </div>
+      <input className="asset-text-inp tags-inp" value={draft} placeholder="region:US, sector:Tech, ESG"
+        onChange={e => setDraft(e.target.value)}
+        onBlur={() => onUpdate("tags", draft)}
+        onKeyDown={e => { if (e.key === "Enter") e.target.blur(); }}
+        aria-label={`Tags for ${asset.ticker}`}/>
+    </div>
+  );
+}
+
+// ─── SYMBOL SEARCH (ticker, name, ISIN or WKN → listings) ─────
+function SymbolSearch({ initial = "", placeholder = "Ticker, name, ISIN or WKN", onPick }) {
+  const [query, setQuery] = useState(initial);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const run = async () => {
+    if (query.trim().length < 2) return;
+    setLoading(true);
+    setError("");
+    try {
+      setResults(await searchSymbols(query));
+    } catch (e) {
+      setResults(null);
+      setError(e?.message || "Search failed");
+    } finally {
+      setLoading(false);
+    }
+  };
+  return (
+    <div className="sym-search">
+      <div className="sym-search-bar">
+        <div className="editor-inp-wrap sym-search-inp-wrap">
+          <input className="editor-inp sym-search-inp" value={query} placeholder={placeholder}
+            onChange={e => setQuery(e.target.value)}
+            onKeyDown={e => { if (e.key === "Enter") run(); }}
+            aria-label="Search symbols"/>
+        </div>
+        <button className="btn-ghost sm" onClick={run} disabled={loading}>
+          <Icon name="search" style={{ width:12, height:12 }}/>{loading ? "Searching…" : "Search"}
+        </button>
+      </div>
+      {error && <div className="sym-search-empty err-text">{error}</div>}
+      {results && !results.length && <div className="sym-search-empty">No listings found</div>}
+      {results?.length > 0 && (
+        <div className="sym-search-list" role="list">
+          {results.map(r => (
+            <button key={`${r.ticker}-${r.exchange}-${r.source}`} className="sym-search-row" role="listitem" onClick={() => { onPick(r); setResults(null); }}>
+              <span className="mono sym-search-ticker">{r.ticker}</span>
+              <span className="sym-search-name">{r.name}</span>
+              <span className="editor-cat">{[r.exchange, r.currency, r.type || r.assetClass].filter(Boolean).join(" · ")}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── SYMBOL ROW (quote symbols per asset) ─────────────────────
+const SYMBOL_LABELS = { twelveData:"Twelve Data", finnhub:"Finnhub", polygon:"Polygon", coingeckoId:"CoinGecko", binanceSymbol:"Binance" };
+function SymbolRow({ asset, color, unresolved, onUpdate, onLink }) {
+  const [open, setOpen] = useState(false);
+  const [idInput, setIdInput] = useState(asset.identity?.isin || "");
+  const id = asset.identity;
+  const map = symbolsFor(asset);
+  const entries = Object.entries(map).filter(([k]) => SYMBOL_LABELS[k]);
+  return (
+    <div className={`units-trow symbols-trow${open ? " open" : ""}`} role="row">
+      <div className="asset-name-cell">
+        <div className="d-icon sm" style={{ background:`${color}18`, color }}><Icon name={asset.icon}/></div>
+        <div>
+          <div className="editor-ticker">{asset.ticker}</div>
+          <div className="editor-cat">{asset.symbols ? "Mapped" : entries.length ? "Built-in" : "Not mapped"}{unresolved ? " · no quote" : ""}</div>
+          {id && <div className="editor-cat mono" title="ISIN · listing · currency">{[id.isin, id.mic, id.currency].filter(Boolean).join(" · ")}</div>}
+        </div>
+      </div>
+      <div className="sym-chips">
+        {entries.length
+          ? entries.map(([k, v]) => <span key={k} className="sym-chip" title={SYMBOL_LABELS[k]}>{SYMBOL_LABELS[k]} <span className="mono">{v}</span></span>)
+          : <span className="editor-cat">Search to link this asset to a listing</span>}
+      </div>
+      <div className="sym-actions">
+        <button className="btn-ghost sm" onClick={() => setOpen(o => !o)}>{open ? "Close" : "Find"}</button>
+        {asset.symbols && <button className="icon-btn danger-hover" onClick={() => onUpdate("symbols", null)} aria-label={`Clear symbols for ${asset.ticker}`}><Icon name="close" style={{ width:12, height:12 }}/></button>}
+      </div>
+      {open && (
+        <div className="sym-row-search">
+          <div className="sym-search-bar sym-link-bar">
+            <div className="editor-inp-wrap sym-search-inp-wrap">
+              <input className="editor-inp sym-search-inp mono" value={idInput} placeholder="ISIN or WKN"
+                onChange={e => setIdInput(e.target.value)}
+                onKeyDown={e => { if (e.key === "Enter") onLink(idInput); }}
+                aria-label={`ISIN or WKN for ${asset.ticker}`}/>
+            </div>
+            <button className="btn-ghost sm" onClick={() => onLink(idInput)}>Link</button>
+          </div>
+          <SymbolSearch initial={asset.name && asset.name !== "New Asset" ? asset.name : asset.ticker} onPick={r => { onUpdate("symbols", r.map); setOpen(false); }}/>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── CATEGORY EDITOR (user-defined categories) ────────────────
+function CategoryEditor({ custom, onAdd, onUpdate, onRemove }) {
+  return (
+    <>
+      {custom.map(c => <CategoryEditorRow key={c.name} category={c} onUpdate={patch => onUpdate(c.name, patch)} onRemove={() => onRemove(c.name)}/>)}
+      <button className="btn-ghost add-btn" onClick={onAdd}>
+        <Icon name="tag" style={{ width:15, height:15 }}/>Add Category
+      </button>
+    </>
+  );
+}
+
+function CategoryEditorRow({ category, onUpdate, onRemove }) {
+  const [name, setName] = useState(category.name);
+  return (
+    <div className="units-trow custom-cat-row" role="row">
+      <div className="asset-name-cell">
+        <input className="custom-cat-color" type="color" value={category.color}
+          onChange={e => onUpdate({ color: e.target.value })} aria-label={`Colour for ${category.name}`}/>
+        <Icon name={category.icon} style={{ width:14, height:14, color:category.color, flexShrink:0 }}/>
+        <input className="asset-text-inp" value={name}
+          onChange={e => setName(e.target.value)}
+          onBlur={() => { if (name.trim() !== category.name) onUpdate({ name }); }}
+          onKeyDown={e => { if (e.key === "Enter") e.target.blur(); }}
+          style={{ fontWeight:700, fontSize:12, width:110 }} aria-label="Category name"/>
+      </div>
+      <select className="asset-select" value={category.icon} onChange={e => onUpdate({ icon: e.target.value })} aria-label={`Icon for ${category.name}`}>
+        {CATEGORY_ICON_CHOICES.map(i => <option key={i} value={i}>{i}</option>)}
+      </select>
+      <select className="asset-select" value={category.kind} onChange={e => onUpdate({ kind: e.target.value })} aria-label={`${category.name} behaves as`}>
+        {CATEGORIES.map(k => <option key={k} value={k}>as {k}</option>)}
+      </select>
+      <button className="icon-btn danger-hover" onClick={onRemove} aria-label={`Remove ${category.name}`}>
+        <Icon name="close" style={{ width:12, height:12 }}/>
+      </button>
+    </div>
+  );
+}
+
+// ─── HOLDING ROW (shares and cost basis per asset) ────────────
+function HoldingRow({ asset, color, currency, onUpdate }) {
+  const str = v => (v == null ? "" : String(v));
+  const [v, setV] = useState({ quantity: str(asset.quantity), costBasis: str(asset.costBasis) });
+  const flush = (field) => { if (v[field].trim() !== str(asset[field])) onUpdate(field, v[field].trim()); };
+  const avg = avgPrice(asset);
+  return (
+    <div className="units-trow" role="row">
+      <div className="asset-name-cell">
+        <div className="d-icon sm" style={{ background:`${color}18`, color }}><Icon name={asset.icon}/></div>
+        <div>
+          <div className="editor-ticker">{asset.ticker}</div>
+          <div className="editor-cat">{asset.lastPrice ? `${currency}${asset.lastPrice.toFixed(2)} / sh` : asset.name}</div>
+        </div>
+      </div>
+      <div className="editor-inp-wrap sm">
+        <input className="editor-inp mono" type="number" min="0" step="any"
+          value={v.quantity} placeholder="Value only"
+          onChange={e => setV(x => ({ ...x, quantity: e.target.value }))}
+          onBlur={() => flush("quantity")}
+          style={{ width:60 }} aria-label={`Shares held of ${asset.ticker}`}/>
+        <span className="editor-sym">sh</span>
+      </div>
+      <div className="editor-inp-wrap sm">
+        <span className="editor-sym">{currency}</span>
+        <input className="editor-inp mono" type="number" min="0" step="0.01"
+          value={v.costBasis} placeholder="—"
+          disabled={asset.quantity == null}
+          onChange={e => setV(x => ({ ...x, costBasis: e.target.value }))}
+          onBlur={() => flush("costBasis")}
+          style={{ width:72 }} aria-label={`Cost basis for ${asset.ticker}`}/>
+      </div>
+      <span className="mono editor-cat">{avg != null ? `${currency}${avg.toFixed(2)}` : "—"}</span>
+    </div>
+  );
+}
+
+// ─── DIVIDEND ROW (yield and payment months per asset) ────────
+function DividendRow({ asset, profile, color, onUpdate }) {
+  const [yieldStr, setYieldStr] = useState(asset.divYield == null ? "" : String(asset.divYield));
+  const fromRecords = profile?.source === "records" ? profile.yieldPct.toFixed(2) : "—";
+  const off = asset.divYield == null || asset.divYield === 0;
+  return (
+    <div className="units-trow" role="row">
+      <div className="asset-name-cell">
+        <div className="d-icon sm" style={{ background:`${color}18`, color }}><Icon name={asset.icon}/></div>
+        <div>
+          <div className="editor-ticker">{asset.ticker}</div>
+          <div className="editor-cat">{asset.name}</div>
+        </div>
+      </div>
+      <div className="editor-inp-wrap sm">
+        <input className="editor-inp mono" type="number" min="0" max="30" step="0.1"
+          value={yieldStr} placeholder={fromRecords}
+          onChange={e => setYieldStr(e.target.value)}
+          onBlur={() => onUpdate("divYield", yieldStr.trim())}
+          style={{ width:56 }} aria-label={`Dividend yield for ${asset.ticker}`}/>
+        <span className="editor-sym">%</span>
+      </div>
+      <select className="asset-select" value={asset.divFreq} disabled={off}
+        onChange={e => onUpdate("divFreq", e.target.value)} aria-label={`Dividend frequency for ${asset.ticker}`}>
+        {Object.entries(DIV_FREQUENCIES).map(([id, f]) => <option key={id} value={id}>{f.label}</option>)}
+      </select>
+      <select className="asset-select" value={asset.divMonth} disabled={off || asset.divFreq === "monthly"}
+        onChange={e => onUpdate("divMonth", e.target.value)} aria-label={`First dividend month for ${asset.ticker}`}>
+        {Array.from({ length: 12 }, (_, i) => (
+          <option key={i} value={i + 1}>{new Date(2000, i, 1).toLocaleDateString("en-GB", { month:"short" })}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// ─── SCHEDULE EDITOR (contribution step-ups and one-off months) ─
+function ScheduleEditor({ schedule, base, currency, startMonth, onChange }) {
+  const preview = useMemo(() => scheduleContributions(schedule, base, startMonth, 12), [schedule, base, startMonth]);
+  const setStep = (i, patch) => onChange({ ...schedule, stepUps: schedule.stepUps.map((x, j) => (j === i ? { ...x, ...patch } : x)) });
+  const setOne  = (i, patch) => onChange({ ...schedule, oneOffs: schedule.oneOffs.map((x, j) => (j === i ? { ...x, ...patch } : x)) });
+  const monthName = key => new Date(`${key}-01T00:00:00`).toLocaleDateString("en-GB", { month:"short" });
+  return (
+    <div className="sched">
+      <div className="setting-label">
+        <div className="setting-title">Contribution Schedule</div>
+        <div className="setting-desc">Raises from a given month onwards, plus one-off bonus or skipped months</div>
+      </div>
+
+      {schedule.stepUps.map((st, i) => (
+        <div key={`s${i}`} className="sched-row">
+          <span className="sched-kind">Step-up</span>
+          <input className="editor-inp mono sched-month" type="month" value={st.from}
+            onChange={e => setStep(i, { from: e.target.value })} aria-label="Step-up starts"/>
+          <select className="asset-select" value={st.kind} onChange={e => setStep(i, { kind: e.target.value })} aria-label="Step-up type">
+            <option value="pct">+ %</option>
+            <option value="fixed">+ {currency}</option>
+          </select>
+          <input key={st.value} className="editor-inp mono" type="number" step="1" defaultValue={st.value}
+            onBlur={e => setStep(i, { value: e.target.value })} style={{ width:64 }} aria-label="Step-up amount"/>
+          <button className="icon-btn danger-hover" onClick={() => onChange({ ...schedule, stepUps: schedule.stepUps.filter((_, j) => j !== i) })} aria-label="Remove step-up">
+            <Icon name="close" style={{ width:12, height:12 }}/>
+          </button>
+        </div>
+      ))}
+      {schedule.oneOffs.map((o, i) => (
+        <div key={`o${i}`} className="sched-row">
+          <span className="sched-kind">One-off</span>
+          <input className="editor-inp mono sched-month" type="month" value={o.month}
+            onChange={e => setOne(i, { month: e.target.value })} aria-label="One-off month"/>
+          <select className="asset-select" value={o.kind} onChange={e => setOne(i, { kind: e.target.value })} aria-label="One-off type">
+            <option value="extra">Extra</option>
+            <option value="skip">Skip</option>
+          </select>
+          <input key={o.amount} className="editor-inp mono" type="number" min="0" step="10" defaultValue={o.amount}
+            disabled={o.kind === "skip"}
+            onBlur={e => setOne(i, { amount: e.target.value })} style={{ width:64 }} aria-label="Extra amount"/>
+          <button className="icon-btn danger-hover" onClick={() => onChange({ ...schedule, oneOffs: schedule.oneOffs.filter((_, j) => j !== i) })} aria-label="Remove one-off month">
+            <Icon name="close" style={{ width:12, height:12 }}/>
+          </button>
+        </div>
+      ))}
+
+      <div className="sched-actions">
+        <button className="btn-ghost sm" onClick={() => onChange({ ...schedule, stepUps: [...schedule.stepUps, { from: addMonths(startMonth, 12), kind: "pct", value: 3 }] })}>
+          <Icon name="trendUp" style={{ width:12, height:12 }}/>Add step-up
+        </button>
+        <button className="btn-ghost sm" onClick={() => onChange({ ...schedule, oneOffs: [...schedule.oneOffs, { month: addMonths(startMonth, 1), kind: "extra", amount: base }] })}>
+          <Icon name="calendar" style={{ width:12, height:12 }}/>Add one-off month
+        </button>
+      </div>
+
+      <div className="sched-preview" aria-label="Next 12 contributions">
+        {preview.map((amt, i) => {
+          const key = addMonths(startMonth, i);
+          return (
+            <div key={key} className={`sched-chip${amt === 0 ? " skip" : amt !== base ? " changed" : ""}`}>
+              <span>{monthName(key)}</span>
+              <span className="mono">{amt === 0 ? "—" : fmtAmt(amt)}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// ─── GROWTH ROW (return assumptions per asset) ────────────────
+function GrowthRow({ asset, color, onUpdate }) {
+  const str = v => (v == null ? "" : String(v));
+  const [v, setV] = useState({ expReturn: str(asset.expReturn), volatility: str(asset.volatility) });
+  const flush = (field) => onUpdate(field, v[field].trim());
+  const def = CAT_GROWTH[asset.kind || asset.cat] || CAT_GROWTH.Other;
+  return (
+    <div className="units-trow" role="row">
+      <div className="asset-name-cell">
+        <div className="d-icon sm" style={{ background:`${color}18`, color }}><Icon name={asset.icon}/></div>
+        <div>
+          <div className="editor-ticker">{asset.ticker}</div>
+          <div className="editor-cat">{asset.name}</div>
+        </div>
+      </div>
+      <span className="editor-cat">{asset.cat}</span>
+      <div className="editor-inp-wrap sm">
+        <input className="editor-inp mono" type="number" min="-50" max="200" step="0.5"
+          value={v.expReturn} placeholder={String(def.ret)}
+          onChange={e => setV(x => ({ ...x, expReturn: e.target.value }))}
+          onBlur={() => flush("expReturn")}
+          style={{ width:56 }} aria-label={`Expected annual return for ${asset.ticker}`}/>
+        <span className="editor-sym">%</span>
+      </div>
+      <div className="editor-inp-wrap sm">
+        <input className="editor-inp mono" type="number" min="0" max="300" step="1"
+          value={v.volatility} placeholder={String(def.vol)}
+          onChange={e => setV(x => ({ ...x, volatility: e.target.value }))}
+          onBlur={() => flush("volatility")}
+          style={{ width:56 }} aria-label={`Annual volatility for ${asset.ticker}`}/>
+        <span className="editor-sym">%</span>
+      </div>
+    </div>
+  );
+}
+
 // ─── CONFIRM MODAL ────────────────────────────────────────────
-function ConfirmModal({ icon, iconColor, title, body, confirmLabel, danger, onCancel, onConfirm, hasNote }) {
+function ConfirmModal({ icon, iconColor, title, body, notice, options, option, onOption, confirmLabel, danger, onCancel, onConfirm, hasNote }) {
   const [note, setNote] = useState("");
   return (
     <div className="overlay" onClick={onCancel} role="dialog" aria-modal="true">
@@ -2310,6 +5391,14 @@ function ConfirmModal({ icon, iconColor, title, body, confirmLabel, danger, onCa
         </div>
         <h3>{title}</h3>
         <p>{body}</p>
+        {notice && <div className="modal-notice">{notice}</div>}
+        {options && (
+          <div className="seg-ctrl modal-options" role="group" aria-label="Lock-in options">
+            {options.map(o => (
+              <button key={o.id} className={`seg-btn${option === o.id ? " active" : ""}`} onClick={() => onOption(o.id)}>{o.label}</button>
+            ))}
+          </div>
+        )}
         {hasNote && (
           <textarea
             className="note-input"
@@ -2425,12 +5514,12 @@ function ProgressRing({ pct, color, size = 26 }) {
 }
 
 // ─── MINI SPARKLINE ───────────────────────────────────────────
-function MiniSparkline({ values, color }) {
+function MiniSparkline({ values, color, width = 72, height = 22, style }) {
   if (!values || values.length < 2) return null;
   const min = Math.min(...values);
   const max = Math.max(...values);
   const rng = (max - min) || 1;
-  const W = 72, H = 22;
+  const W = width, H = height;
   const pts = values.map((v, i) => {
     const x = (i / (values.length - 1)) * (W - 4) + 2;
     const y = H - 3 - ((v - min) / rng) * (H - 7);
@@ -2438,7 +5527,7 @@ function MiniSparkline({ values, color }) {
   });
   const last = pts[pts.length - 1].split(",");
   return (
-    <svg width={W} height={H} viewBox={`0 0 ${W} ${H}`} aria-hidden="true" style={{ display:"block", marginTop:8 }}>
+    <svg width={W} height={H} viewBox={`0 0 ${W} ${H}`} aria-hidden="true" style={{ display:"block", marginTop:8, flexShrink:0, ...style }}>
       <polyline fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" strokeLinecap="round"
         points={pts.join(" ")} opacity="0.5"/>
       <circle cx={last[0]} cy={last[1]} r="2.2" fill={color} opacity="0.85"/>
@@ -2446,6 +5535,138 @@ function MiniSparkline({ values, color }) {
   );
 }
 
+// ─── PRICE CHART ──────────────────────────────────────────────
+// Daily closes as a line over the day's high–low band
+function PriceChart({ bars, color }) {
+  if (bars.length < 2) return <div className="price-chart-empty">Not enough history for this range</div>;
+  const W = 320, H = 120;
+  const min = Math.min(...bars.map(b => b.l));
+  const max = Math.max(...bars.map(b => b.h));
+  const rng = (max - min) || 1;
+  const x = i => (i / (bars.length - 1)) * (W - 8) + 4;
+  const y = v => H - 4 - ((v - min) / rng) * (H - 8);
+  const line = bars.map((b, i) => `${x(i).toFixed(1)},${y(b.c).toFixed(1)}`).join(" ");
+  const band = [...bars.map((b, i) => `${x(i).toFixed(1)},${y(b.h).toFixed(1)}`), ...bars.map((b, i) => `${x(i).toFixed(1)},${y(b.l).toFixed(1)}`).reverse()].join(" ");
+  return (
+    <svg className="price-chart" viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" aria-label="Daily price history">
+      <polygon points={band} fill={color} opacity="0.12"/>
+      <polyline points={line} fill="none" stroke={color} strokeWidth="1.6" strokeLinejoin="round" vectorEffect="non-scaling-stroke"/>
+    </svg>
+  );
+}
+
+// ─── ASSET DRAWER (price history per asset) ───────────────────
+function AssetDrawer({ asset, color, cy, fxRates, iso, onClose }) {
+  const [range, setRange] = useState("1Y");
+  const [series, setSeries] = useState({}); // range → series, kept while the drawer is open
+  const [error, setError] = useState("");
+  const current = series[range];
+
+  useEffect(() => {
+    if (series[range] !== undefined) return;
+    let cancelled = false;
+    setError("");
+    fetchPriceHistory([asset], range)
+      .then(data => { if (!cancelled) setSeries(s => ({ ...s, [range]: historyFor(data, asset) })); })
+      .catch(e => { if (!cancelled) setError(e?.message || "Could not load price history"); });
+    return () => { cancelled = true; };
+  }, [range, asset, series]);
+
+  useEffect(() => {
+    const onKey = e => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  // Bars are in the listing's currency, converted like live quotes; without a
+  // rate they're shown as they are, labelled with that currency
+  const bars = current?.bars || [];
+  const first = bars[0], last = bars[bars.length - 1];
+  const change = first && last && first.c > 0 ? ((last.c - first.c) / first.c) * 100 : null;
+  const rate = current?.currency ? convertValue(1, current.currency, iso, fxRates || { USD: 1 }) : null;
+  const unit = rate != null ? cy : `${current?.currency || ""} `;
+  const fmtPx = v => {
+    const px = v * (rate ?? 1);
+    return `${unit}${px.toLocaleString(undefined, { maximumFractionDigits: px < 10 ? 4 : 2 })}`;
+  };
+  const up = change == null || change >= 0;
+
+  return (
+    <div className="overlay drawer-overlay" onClick={onClose} role="dialog" aria-modal="true" aria-label={`${asset.ticker} price history`}>
+      <div className="drawer" onClick={e => e.stopPropagation()}>
+        <div className="modal-hdr">
+          <div className="modal-hdr-left">
+            <div className="d-icon" style={{ background:`${color}18`, color }}><Icon name={asset.icon}/></div>
+            <div>
+              <div className="modal-hdr-title">{asset.ticker}</div>
+              <div className="modal-hdr-sub">{asset.name}{asset.identity?.isin ? ` · ${asset.identity.isin}` : ""}</div>
+            </div>
+          </div>
+          <button className="icon-btn" onClick={onClose} aria-label="Close price history"><Icon name="close" style={{ width:14, height:14 }}/></button>
+        </div>
+        <div className="drawer-body">
+          <div className="seg-ctrl drawer-ranges" role="group" aria-label="Chart range">
+            {Object.entries(HISTORY_RANGES).map(([id, r]) => (
+              <button key={id} className={`seg-btn ${range === id ? "active" : ""}`} onClick={() => setRange(id)}>{r.label}</button>
+            ))}
+          </div>
+          {last && (
+            <div className="drawer-price">
+              <strong className="mono">{fmtPx(last.c)}</strong>
+              {change != null && <span className="mono" style={{ color: up ? "var(--accent-green)" : "var(--accent-red)" }}>{up ? "+" : ""}{change.toFixed(2)}% over {HISTORY_RANGES[range].label}</span>}
+            </div>
+          )}
+          {error
+            ? <div className="price-chart-empty err-text">{error}</div>
+            : current === undefined
+              ? <div className="price-chart-empty">Loading…</div>
+              : current === null
+                ? <div className="price-chart-empty">No price history for {asset.ticker}. Link it to a listing under Settings → Assets → Quotes.</div>
+                : <PriceChart bars={bars} color={up ? "var(--accent-green)" : "var(--accent-red)"}/>}
+          {bars.length > 1 && (
+            <>
+              <div className="drawer-axis mono"><span>{fmtDate(first.t)}</span><span>{fmtDate(last.t)}</span></div>
+              <div className="drawer-stats">
+                <div><span>Open</span><strong className="mono">{fmtPx(last.o)}</strong></div>
+                <div><span>High</span><strong className="mono">{fmtPx(last.h)}</strong></div>
+                <div><span>Low</span><strong className="mono">{fmtPx(last.l)}</strong></div>
+                <div><span>Close</span><strong className="mono">{fmtPx(last.c)}</strong></div>
+                <div><span>{HISTORY_RANGES[range].label} High</span><strong className="mono">{fmtPx(Math.max(...bars.map(b => b.h)))}</strong></div>
+                <div><span>{HISTORY_RANGES[range].label} Low</span><strong className="mono">{fmtPx(Math.min(...bars.map(b => b.l)))}</strong></div>
+              </div>
+              <div className="drawer-note">Daily bars from {current.source} · last session {fmtDate(last.t)}</div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── FAN CHART ────────────────────────────────────────────────
+// P10–P90 band with the P50 path; `line` overlays the deterministic projection
+function FanChart({ start, bands, line = [] }) {
+  if (!bands.length) return null;
+  const W = 300, H = 90;
+  const all = [start, ...bands.flatMap(b => [b.p10, b.p90]), ...line];
+  const min = Math.min(...all), max = Math.max(...all);
+  const rng = (max - min) || 1;
+  const x = i => (i / bands.length) * (W - 8) + 4;
+  const y = v => H - 4 - ((v - min) / rng) * (H - 8);
+  const pts = (key) => [`${x(0)},${y(start)}`, ...bands.map((b, i) => `${x(i + 1)},${y(b[key])}`)];
+  const band = [...pts("p90"), ...pts("p10").reverse()].join(" ");
+  return (
+    <svg className="fan-chart" viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" aria-label="Projected value percentiles">
+      <polygon points={band} fill="var(--accent-indigo)" opacity="0.14"/>
+      <polyline points={pts("p50").join(" ")} fill="none" stroke="var(--accent-indigo)" strokeWidth="1.8" strokeLinejoin="round"/>
+      {line.length > 0 && (
+        <polyline points={[`${x(0)},${y(start)}`, ...line.map((v, i) => `${x(i + 1)},${y(v)}`)].join(" ")}
+          fill="none" stroke="var(--accent-green)" strokeWidth="1.4" strokeDasharray="4 3" opacity="0.8"/>
+      )}
+    </svg>
+  );
+}
+
 // ─── DRIFT CELL ───────────────────────────────────────────────
 function DriftCell({ drift }) {
   const neg = drift < 0;
@@ -2467,6 +5688,96 @@ function DriftCell({ drift }) {
   );
 }
 
+// ─── TARGET TREE ──────────────────────────────────────────────
+// Category → sub-category → asset. Actual and target read as shares of the
+// parent row ("US is 60% of ETF"); drift is in points of the whole portfolio.
+// With onSetShare the target shares are editable and with onSetSub each
+// asset can be moved to another sub-category.
+function TargetTree({ tree, onSetShare, onSetSub }) {
+  const cats = useCategories();
+  const [open, setOpen] = useState(() => new Set());
+  const toggle = id => setOpen(o => {
+    const next = new Set(o);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const row = (n, depth, cat) => {
+    const c = cats.color(cat);
+    const expandable = n.children.length > 0;
+    const isOpen = open.has(n.id);
+    return (
+      <Fragment key={n.id}>
+        <div className={`tt-row tt-${n.level}`} role="treeitem" aria-expanded={expandable ? isOpen : undefined} aria-level={depth + 1}>
+          <div className="tt-label" style={{ paddingLeft: depth * 18 }}>
+            {expandable ? (
+              <button className={`tt-caret${isOpen ? " open" : ""}`} onClick={() => toggle(n.id)} aria-label={`${isOpen ? "Collapse" : "Expand"} ${n.label}`}>
+                <span aria-hidden="true">▸</span>
+              </button>
+            ) : <span className="tt-caret-gap"/>}
+            {n.level === "cat" && <Icon name={cats.icon(n.label)} style={{ width:14, height:14, color:c, flexShrink:0 }}/>}
+            <span className={`tt-name${n.level === "asset" ? " mono" : ""}`}>{n.label}</span>
+            {n.level !== "asset" && <span className="cat-alloc-count">{n.tickers.length}</span>}
+            {onSetSub && n.level === "asset" && (
+              <SubInput value={n.sub} onCommit={v => onSetSub(n.label, v)} ticker={n.label}/>
+            )}
+          </div>
+          <span className="tt-bar" title={`Actual ${n.actualShare.toFixed(1)}% · target ${n.share.toFixed(1)}% of the parent`}>
+            <span className="tt-bar-f" style={{ width:`${Math.min(n.actualShare, 100)}%`, background:c }}/>
+            <span className="tt-bar-t" style={{ left:`${Math.min(n.share, 100)}%` }}/>
+          </span>
+          <span className="tt-pct mono">{n.actualShare.toFixed(1)}%</span>
+          {onSetShare
+            ? <ShareInput value={n.share} onCommit={v => onSetShare(n.id, v)} label={`Target share for ${n.label}`}/>
+            : <span className="tt-pct mono">{n.share.toFixed(1)}%</span>}
+          <DriftCell drift={n.drift}/>
+        </div>
+        {isOpen && n.children.map(ch => row(ch, depth + 1, cat))}
+      </Fragment>
+    );
+  };
+
+  return (
+    <div className="tt" role="tree" aria-label="Target tree">
+      <div className="tt-row tt-head">
+        <span>Group</span><span/><span>Actual</span><span>Target</span><span>Drift</span>
+      </div>
+      {tree.map(n => row(n, 0, n.label))}
+    </div>
+  );
+}
+
+function ShareInput({ value, onCommit, label }) {
+  const [draft, setDraft] = useState(value.toFixed(1));
+  useEffect(() => { setDraft(value.toFixed(1)); }, [value]);
+  const commit = () => {
+    const v = Math.max(0, Math.min(100, parseFloat(draft) || 0));
+    setDraft(v.toFixed(1));
+    if (Math.abs(v - value) >= 0.05) onCommit(v);
+  };
+  return (
+    <div className="cat-alloc-inp-wrap">
+      <input className="editor-inp mono cat-alloc-inp" type="number" min="0" max="100" step="0.1"
+        value={draft} onChange={e => setDraft(e.target.value)} onBlur={commit}
+        onKeyDown={e => { if (e.key === "Enter") { commit(); e.target.blur(); } }}
+        aria-label={label}/>
+      <span className="editor-sym">%</span>
+    </div>
+  );
+}
+
+function SubInput({ value = "", onCommit, ticker }) {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => { setDraft(value); }, [value]);
+  const commit = () => { if (draft.trim() !== value) onCommit(draft); };
+  return (
+    <input className="editor-inp tt-sub-inp" value={draft} maxLength={24} placeholder="Sub-category"
+      onChange={e => setDraft(e.target.value)} onBlur={commit}
+      onKeyDown={e => { if (e.key === "Enter") e.target.blur(); }}
+      aria-label={`Sub-category for ${ticker}`}/>
+  );
+}
+
 // ─── COMMAND PALETTE ──────────────────────────────────────────
 function CommandPalette({ tabs, onClose, onTabSelect, onToggleTheme, onOpenSettings, assets }) {
   const [query, setQuery] = useState("");
@@ -2625,6 +5936,28 @@ function getCSS() { return `
 /* ── DCA EDITOR ── */
 .dca-pill { display:inline-flex; align-items:center; gap:5px; padding:4px 10px; background:rgba(99,102,241,.1); border:1px solid rgba(99,102,241,.2); border-radius:20px; cursor:pointer; font-size:14px; font-weight:600; color:var(--accent-indigo); transition:all .2s; }
 .dca-pill:hover { background:rgba(99,102,241,.18); border-color:rgba(99,102,241,.35); }
+.hh-accounts { margin-bottom:14px; }
+.hh-account { width:100%; font-family:inherit; cursor:pointer; text-align:left; }
+.hh-account.active { box-shadow:inset 2px 0 0 var(--accent-indigo); }
+.hh-route { margin-bottom:14px; }
+.hh-route-head { display:flex; justify-content:space-between; align-items:baseline; gap:10px; padding:0 2px 8px; font-size:13px; color:var(--text2); }
+.hh-route-name { font-weight:700; color:var(--text); }
+.hh-route-empty { font-size:12px; color:var(--text4); padding:6px 2px; }
+.pf-switch { position:relative; }
+.pf-pill { display:inline-flex; align-items:center; gap:6px; padding:4px 10px; background:var(--surface); border:1px solid var(--border2); border-radius:20px; cursor:pointer; font-size:14px; font-weight:600; font-family:inherit; color:var(--text2); transition:all .2s; }
+.pf-pill:hover { background:var(--surface2); color:var(--text); }
+.pf-count { font-size:10.5px; padding:1px 6px; border-radius:10px; background:rgba(99,102,241,.14); color:var(--accent-indigo); }
+.pf-menu { position:absolute; top:calc(100% + 6px); left:0; z-index:50; min-width:240px; padding:6px; background:var(--bg2); border:1px solid var(--border2); border-radius:14px; box-shadow:0 18px 48px rgba(0,0,0,.35); display:flex; flex-direction:column; gap:2px; }
+.pf-item { display:flex; align-items:center; gap:4px; border-radius:10px; }
+.pf-item.active, .pf-item:hover { background:var(--kpi-active); }
+.pf-name { flex:1; min-width:0; display:flex; align-items:center; gap:8px; padding:8px 10px; border:none; background:transparent; color:var(--text2); font-size:13px; font-family:inherit; cursor:pointer; text-align:left; }
+.pf-name span { overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+.pf-item.active .pf-name { color:var(--text); font-weight:600; }
+.pf-rename { flex:1; min-width:0; margin:3px 4px; padding:5px 8px; border:1px solid var(--border2); border-radius:8px; background:var(--surface); color:var(--text); font-size:13px; font-family:inherit; }
+.pf-icon { padding:6px; border:none; border-radius:8px; background:transparent; color:var(--text4); cursor:pointer; display:flex; }
+.pf-icon:hover { color:var(--text); background:var(--surface2); }
+.pf-icon.danger:hover { color:var(--accent-red); background:rgba(239,68,68,.1); }
+.pf-actions { display:flex; gap:6px; padding:6px 4px 2px; border-top:1px solid var(--border); margin-top:4px; }
 .dca-modal { max-width:460px; text-align:center; }
 .dca-preset-grid { margin-top:14px; display:grid; grid-template-columns:repeat(4,minmax(0,1fr)); gap:8px; }
 .dca-preset-btn { border:1px solid var(--border2); background:var(--surface); color:var(--text2); border-radius:9px; padding:8px 10px; cursor:pointer; font-size:12px; font-weight:600; transition:all .18s; }
@@ -2701,6 +6034,11 @@ function getCSS() { return `
 .cat-grid { display:grid; grid-template-columns:repeat(4,1fr); gap:12px; }
 .cat-card { background:var(--surface); border:1px solid var(--border); border-radius:16px; padding:17px; position:relative; overflow:hidden; transition:all .25s; }
 .cat-card:hover { background:var(--surface2); border-color:var(--border2); }
+.cat-card-btn { cursor:pointer; }
+.cat-card-btn:focus-visible { outline:2px solid var(--accent-blue); outline-offset:2px; }
+.cat-card.on { border-color:var(--accent-blue); box-shadow:0 0 0 1px var(--accent-blue) inset; }
+.group-by { margin-bottom:12px; flex-wrap:wrap; }
+.drift-filter-clear { margin-bottom:10px; }
 .cat-orb { position:absolute; top:-22px; right:-22px; width:80px; height:80px; border-radius:50%; opacity:.06; }
 .cat-header { display:flex; align-items:center; gap:7px; margin-bottom:9px; }
 .cat-l { font-size:11px; color:var(--text3); font-weight:700; letter-spacing:1px; text-transform:uppercase; }
@@ -2743,6 +6081,43 @@ function getCSS() { return `
 .whatif-label { display:flex; align-items:center; gap:7px; font-size:14px; color:var(--text2); margin-bottom:10px; }
 .whatif-slider { width:100%; accent-color:var(--accent-amber); cursor:pointer; }
 .whatif-range { display:flex; justify-content:space-between; font-size:12px; color:var(--text4); margin-top:5px; }
+.fee-line { margin-top:8px; display:flex; justify-content:space-between; align-items:center; gap:10px; padding:9px 18px; border-radius:10px; background:rgba(245,158,11,.05); border:1px solid rgba(245,158,11,.18); font-size:12px; color:var(--text3); }
+.fee-line .mono { color:var(--accent-amber); font-weight:600; }
+.skip-list { margin-top:10px; display:flex; flex-direction:column; gap:5px; padding:11px 14px; border-radius:12px; background:var(--surface); border:1px solid var(--border); }
+.skip-title { display:flex; align-items:center; gap:6px; font-size:12px; font-weight:700; color:var(--text2); margin-bottom:3px; }
+.skip-row { display:grid; grid-template-columns:64px 1fr auto; gap:8px; align-items:center; font-size:12px; color:var(--text3); }
+.skip-ticker { font-weight:700; color:var(--text2); }
+.skip-gap { color:var(--text4); }
+.carry-note { margin-top:8px; display:flex; align-items:center; gap:7px; padding:9px 14px; border-radius:10px; background:var(--surface); border:1px dashed var(--border2); font-size:12px; color:var(--text3); }
+.carry-note strong { color:var(--text2); }
+.cmp-table { display:flex; flex-direction:column; gap:4px; margin-bottom:18px; }
+.cmp-row { display:grid; grid-template-columns:1.2fr .8fr 1fr .8fr 1fr .8fr; gap:8px; align-items:center; padding:7px 14px; border-radius:10px; background:var(--surface); border:1px solid var(--border); font-size:12px; color:var(--text3); }
+.cmp-head { background:none; border:none; font-size:11px; font-weight:700; text-transform:uppercase; letter-spacing:.9px; color:var(--text4); }
+.cmp-foot { background:var(--surface2); font-weight:600; color:var(--text2); }
+.cmp-ticker { font-weight:700; color:var(--text2); }
+.cmp-better { color:var(--accent-green); font-weight:600; }
+@media (max-width:480px) { .cmp-row { gap:4px; padding:7px 8px; font-size:11px; } }
+.rebal-controls { display:flex; flex-wrap:wrap; align-items:center; justify-content:space-between; gap:10px; margin:6px 0 16px; }
+.bt-row { width:100%; text-align:left; font:inherit; cursor:pointer; }
+.bt-row:hover { border-color:var(--accent-indigo); }
+.bt-orders { display:flex; flex-direction:column; gap:3px; margin:-2px 0 4px; padding:8px 14px; border-radius:10px; background:var(--surface2); font-size:12px; color:var(--text3); }
+.bt-order { display:flex; gap:12px; flex-wrap:wrap; }
+.bt-skip { color:var(--text4); }
+.rebal-band { display:flex; align-items:center; gap:8px; font-size:12px; color:var(--text3); }
+.trade-list { display:flex; flex-direction:column; gap:6px; }
+.trade-row { display:grid; grid-template-columns:52px auto 1fr auto; gap:10px; align-items:center; padding:11px 14px; border-radius:12px; background:var(--surface); border:1px solid var(--border); }
+.trade-side { font-size:10px; font-weight:800; letter-spacing:.8px; text-align:center; padding:3px 0; border-radius:6px; }
+.trade-side.trade-sell { background:rgba(239,68,68,.1); }
+.trade-side.trade-buy { background:rgba(16,185,129,.1); }
+.trade-sell { color:var(--accent-red); }
+.trade-buy { color:var(--accent-green); }
+.trade-info { display:flex; flex-direction:column; gap:2px; min-width:0; }
+.trade-ticker { font-weight:700; color:var(--text); font-size:13px; }
+.trade-meta { font-size:11px; color:var(--text4); }
+.trade-amt { font-weight:700; font-size:14px; }
+.rebal-net { margin:10px 0 18px; display:flex; flex-direction:column; gap:4px; padding:11px 16px; border-radius:12px; background:var(--surface); border:1px solid var(--border); font-size:12px; color:var(--text3); }
+.rebal-net > div { display:flex; justify-content:space-between; }
+.rebal-net-total { margin-top:4px; padding-top:6px; border-top:1px solid var(--border); font-weight:700; color:var(--text2); }
 
 /* ── AFTER-BUY ── */
 .after-grid { display:flex; flex-direction:column; gap:6px; }
@@ -2803,7 +6178,7 @@ function getCSS() { return `
 .empty-state { display:flex; flex-direction:column; align-items:center; justify-content:center; padding:56px 24px; text-align:center; color:var(--text2); font-size:15px; line-height:1.7; }
 
 /* ── HEALTH ── */
-.h-kpis { display:grid; grid-template-columns:repeat(3,1fr); gap:12px; margin-bottom:28px; }
+.h-kpis { display:grid; grid-template-columns:repeat(4,1fr); gap:12px; margin-bottom:28px; }
 .h-kpi { background:var(--surface); border:1px solid var(--border); border-radius:16px; padding:22px 16px; text-align:center; display:flex; flex-direction:column; align-items:center; transition:all .25s; }
 .h-kpi:hover { background:var(--surface2); }
 .h-kpi-l { font-size:11px; color:var(--text3); font-weight:700; letter-spacing:1px; text-transform:uppercase; margin-bottom:7px; }
@@ -2827,11 +6202,54 @@ function getCSS() { return `
 .spark-label { font-size:12px; font-weight:600; color:var(--text3); text-transform:uppercase; letter-spacing:.8px; margin-bottom:10px; }
 .sparkline { width:100%; height:60px; display:block; }
 .spark-range { display:flex; justify-content:space-between; font-size:12px; color:var(--text4); margin-top:6px; }
+.fan-chart { width:100%; height:120px; display:block; }
+.d-open { background:none; border:none; padding:0; font:inherit; color:inherit; text-align:left; cursor:pointer; }
+.d-open:hover .d-ticker { color:var(--accent-indigo); }
+.drawer-overlay { justify-content:flex-end; align-items:stretch; padding:0; }
+.drawer { width:min(440px,100%); height:100%; background:var(--bg2); border-left:1px solid var(--border2); box-shadow:-24px 0 60px rgba(0,0,0,.35); display:flex; flex-direction:column; animation:drawerIn .24s cubic-bezier(.16,1,.3,1); }
+@keyframes drawerIn { from{transform:translateX(40px);opacity:0} to{transform:none;opacity:1} }
+.drawer-body { padding:18px 20px; overflow-y:auto; display:flex; flex-direction:column; gap:12px; }
+.drawer-ranges { align-self:flex-start; }
+.drawer-price { display:flex; align-items:baseline; gap:10px; flex-wrap:wrap; }
+.drawer-price strong { font-size:24px; color:var(--text); }
+.drawer-price span { font-size:13px; }
+.price-chart { width:100%; height:180px; display:block; }
+.price-chart-empty { padding:48px 12px; text-align:center; font-size:13px; color:var(--text4); border:1px dashed var(--border2); border-radius:12px; }
+.drawer-axis { display:flex; justify-content:space-between; font-size:11px; color:var(--text4); margin-top:-6px; }
+.drawer-stats { display:grid; grid-template-columns:repeat(2,1fr); gap:8px; }
+.drawer-stats div { display:flex; justify-content:space-between; padding:9px 12px; border-radius:10px; background:var(--surface); border:1px solid var(--border); font-size:12px; color:var(--text3); }
+.drawer-stats strong { color:var(--text); }
+.drawer-note { font-size:11px; color:var(--text4); }
+.lt-years { flex:1; min-width:220px; }
+.sched { padding:13px 16px; display:flex; flex-direction:column; gap:8px; }
+.sched-row { display:grid; grid-template-columns:64px 1fr auto auto auto; gap:8px; align-items:center; }
+.sched-kind { font-size:11px; font-weight:700; text-transform:uppercase; letter-spacing:.6px; color:var(--text4); }
+.sched-month { width:100%; }
+.sched-actions { display:flex; gap:8px; flex-wrap:wrap; }
+.sched-preview { display:grid; grid-template-columns:repeat(6,1fr); gap:5px; margin-top:4px; }
+.sched-chip { display:flex; flex-direction:column; align-items:center; gap:1px; padding:5px 0; border-radius:8px; background:var(--surface2); border:1px solid var(--border); font-size:10px; color:var(--text4); }
+.sched-chip .mono { font-size:11px; color:var(--text2); font-weight:600; }
+.sched-chip.changed { border-color:rgba(99,102,241,.35); }
+.sched-chip.changed .mono { color:var(--accent-indigo); }
+.sched-chip.skip { opacity:.55; }
+.div-cal { margin-bottom:10px; }
+.div-cal .sched-chip { padding:7px 0; }
+.div-cal-top { font-size:9.5px; color:var(--text4); max-width:100%; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; padding:0 4px; }
+.lt-years .whatif-slider { flex:1; }
+.lt-key { display:inline-block; width:9px; height:9px; border-radius:2px; margin-right:6px; vertical-align:middle; }
+.mc-status { display:flex; align-items:center; gap:10px; margin-bottom:20px; font-size:12px; color:var(--text3); }
+.mc-progress { flex:1; height:6px; border-radius:3px; background:var(--surface2); overflow:hidden; }
+.mc-progress-f { height:100%; background:var(--accent-indigo); transition:width .2s; }
+.mc-prob { display:grid; grid-template-columns:auto auto 1fr; align-items:center; gap:18px; margin-bottom:16px; padding:16px 20px; background:var(--surface); border:1px solid var(--border); border-radius:14px; }
+.mc-prob .h-kpi-l { margin-bottom:6px; }
+.mc-prob-v { font-size:28px; font-weight:700; }
+@media (max-width:480px) { .mc-prob { grid-template-columns:1fr auto; } .mc-prob .h-kpi-d { grid-column:1 / -1; } }
 .hist-list { display:flex; flex-direction:column; gap:14px; }
 .hist-card { background:var(--surface); border:1px solid var(--border); border-radius:16px; padding:18px 20px; transition:border-color .2s; }
 .hist-card:hover { border-color:var(--border2); }
 .hist-top { display:flex; align-items:center; justify-content:space-between; margin-bottom:5px; }
 .hist-label { font-size:15px; font-weight:700; color:var(--text); }
+.hist-flag { margin-left:8px; padding:2px 7px; border-radius:6px; background:rgba(245,158,11,.1); color:var(--accent-amber); font-size:11px; font-weight:600; vertical-align:middle; }
 .hist-meta { display:flex; align-items:center; gap:12px; }
 .hist-gain { font-size:14px; font-weight:700; }
 .hist-date { font-size:12px; color:var(--text4); }
@@ -2842,6 +6260,12 @@ function getCSS() { return `
 .hist-asset-bought { border-color:rgba(16,185,129,.22); background:rgba(16,185,129,.04); }
 .hist-ticker { font-size:12px; font-weight:700; color:var(--text2); flex:1; }
 .hist-val { font-size:12px; color:var(--text); }
+.hist-flows { display:flex; flex-wrap:wrap; gap:6px 14px; font-size:12px; color:var(--text3); margin-top:4px; }
+.tx-row { grid-template-columns:72px 1fr auto auto; }
+.tx-actions { display:flex; gap:4px; }
+.tx-form { display:flex; flex-wrap:wrap; align-items:center; gap:8px; padding:12px 14px; margin-bottom:10px; border-radius:12px; background:var(--surface2); border:1px solid var(--border2); }
+.tx-note { flex:1; min-width:120px; }
+.tx-form-btns { display:flex; gap:6px; margin-left:auto; }
 
 /* ── LIVE TRACKING / ALERTS ── */
 .live-panel { background:var(--surface); border:1px solid var(--border); border-radius:14px; padding:14px; margin-bottom:16px; display:flex; flex-direction:column; gap:10px; }
@@ -2857,16 +6281,18 @@ function getCSS() { return `
 .live-kpi { background:var(--surface2); border:1px solid var(--border); border-radius:10px; padding:9px; display:flex; flex-direction:column; gap:4px; }
 .live-kpi span { font-size:11px; color:var(--text3); text-transform:uppercase; letter-spacing:.7px; }
 .live-kpi strong { font-size:14px; color:var(--text); line-height:1.35; }
+.live-kpi em { font-size:10.5px; font-style:normal; color:var(--text4); }
+.live-period-row { display:flex; align-items:center; gap:10px; flex-wrap:wrap; }
 .live-contrib-list { display:grid; grid-template-columns:repeat(2,minmax(0,1fr)); gap:6px; }
 .live-contrib-row { background:var(--surface2); border:1px solid var(--border); border-radius:9px; padding:7px 9px; display:flex; align-items:center; justify-content:space-between; font-size:12px; color:var(--text2); }
 .smart-alerts { margin-bottom:18px; background:rgba(245,158,11,.07); border:1px solid rgba(245,158,11,.26); border-radius:12px; padding:12px; }
 .smart-alert-title { display:flex; align-items:center; gap:6px; font-size:13px; font-weight:700; color:var(--text); margin-bottom:8px; }
 .smart-alert-list { display:flex; flex-direction:column; gap:6px; }
-.smart-alert-row { display:grid; grid-template-columns:64px 1fr auto; gap:8px; align-items:center; font-size:12px; color:var(--text2); background:rgba(255,255,255,.02); border:1px solid var(--border); border-radius:8px; padding:6px 8px; }
+.smart-alert-row { display:grid; grid-template-columns:minmax(64px,auto) 1fr auto; gap:8px; align-items:center; font-size:12px; color:var(--text2); background:rgba(255,255,255,.02); border:1px solid var(--border); border-radius:8px; padding:6px 8px; }
 @media (max-width:760px) {
   .live-kpis { grid-template-columns:1fr; }
   .live-contrib-list { grid-template-columns:1fr; }
-  .smart-alert-row { grid-template-columns:60px 1fr; }
+  .smart-alert-row { grid-template-columns:minmax(60px,auto) 1fr; }
   .smart-alert-row span:last-child { grid-column:1/-1; }
 }
 
@@ -2885,6 +6311,9 @@ function getCSS() { return `
 .sm-modal p { font-size:14px; color:var(--text3); line-height:1.65; }
 .modal-icon-wrap { width:52px; height:52px; border-radius:16px; display:flex; align-items:center; justify-content:center; margin:0 auto; }
 .modal-btns { display:flex; gap:10px; justify-content:center; margin-top:22px; }
+.modal-notice { margin-top:14px; padding:10px 12px; border-radius:10px; background:rgba(245,158,11,.08); border:1px solid rgba(245,158,11,.25); color:var(--accent-amber); font-size:13px; line-height:1.5; text-align:left; }
+.modal-options { margin-top:12px; justify-content:center; }
+.modal-options .seg-btn { flex:1; justify-content:center; }
 
 /* ── Modal header ── */
 .modal-hdr { display:flex; align-items:center; justify-content:space-between; padding:18px 20px 16px; border-bottom:1px solid var(--border); flex-shrink:0; gap:12px; }
@@ -2930,6 +6359,8 @@ function getCSS() { return `
 .seg-btn { display:flex; align-items:center; gap:5px; padding:6px 12px; border:none; border-radius:7px; background:transparent; color:var(--text3); font-size:13px; font-weight:500; font-family:inherit; cursor:pointer; transition:all .18s; white-space:nowrap; }
 .seg-btn.active { background:var(--bg2); color:var(--text); box-shadow:0 1px 6px rgba(0,0,0,.2); font-weight:600; }
 .seg-btn:hover:not(.active) { color:var(--text2); background:rgba(255,255,255,.04); }
+.acct-cats { flex-wrap:wrap; justify-content:flex-end; max-width:340px; }
+.acct-cats .seg-btn { padding:5px 9px; font-size:12px; }
 
 /* ── Target sum pill (assets toolbar) ── */
 .target-sum-pill { display:inline-flex; align-items:center; gap:5px; padding:5px 10px; border-radius:20px; font-size:12px; font-weight:700; font-family:'JetBrains Mono',monospace; }
@@ -2967,8 +6398,64 @@ function getCSS() { return `
 .asset-select { background:var(--input-bg); border:1px solid var(--border2); border-radius:8px; color:var(--text2); font-size:12px; font-family:inherit; padding:6px 8px; outline:none; cursor:pointer; transition:border-color .18s; }
 .asset-select:focus { border-color:rgba(99,102,241,.5); outline:none; }
 
+/* ── Order units table ── */
+.units-table { display:flex; flex-direction:column; gap:6px; margin-bottom:14px; }
+.units-thead { display:grid; grid-template-columns:1.6fr 110px 1fr 1fr; gap:9px; padding:0 12px 8px; font-size:11px; font-weight:700; text-transform:uppercase; letter-spacing:.9px; color:var(--text4); }
+.units-trow { display:grid; grid-template-columns:1.6fr 110px 1fr 1fr; gap:9px; align-items:center; padding:11px 12px; border-radius:12px; background:var(--surface); border:1px solid var(--border); transition:border-color .18s,background .18s; }
+.units-trow:hover { border-color:var(--border2); background:var(--surface2); }
+.units-trow .editor-inp:disabled { opacity:.4; }
+.asset-filter { margin-bottom:10px; }
+.symbols-trow { grid-template-columns:1.3fr 2.5fr auto; }
+.sym-chips { display:flex; flex-wrap:wrap; gap:5px; min-width:0; }
+.sym-chip { font-size:11px; padding:3px 8px; border-radius:8px; background:var(--surface2); border:1px solid var(--border); color:var(--text3); white-space:nowrap; }
+.sym-chip .mono { color:var(--text); }
+.sym-actions { display:flex; align-items:center; gap:6px; }
+.sym-row-search { grid-column:1 / -1; }
+.sym-link-bar { margin-bottom:6px; }
+.sym-search { display:flex; flex-direction:column; gap:6px; margin-bottom:10px; }
+.sym-search-bar { display:flex; gap:8px; align-items:center; }
+.sym-search-inp-wrap { flex:1; min-width:0; }
+.sym-search-inp { width:100%; padding-left:10px; font-size:13px; }
+.sym-search-list { display:flex; flex-direction:column; gap:4px; max-height:240px; overflow-y:auto; }
+.sym-search-row { display:grid; grid-template-columns:80px 1fr auto; gap:9px; align-items:center; text-align:left; padding:8px 10px; border-radius:10px; background:var(--surface); border:1px solid var(--border); color:var(--text2); font-family:inherit; font-size:12px; cursor:pointer; transition:border-color .18s,background .18s; }
+.sym-search-row:hover { border-color:var(--border2); background:var(--surface2); }
+.sym-search-ticker { font-weight:700; color:var(--text); }
+.sym-search-name { overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+.sym-search-empty { font-size:12px; color:var(--text3); padding:4px 2px; }
+.tags-thead,.tags-trow { grid-template-columns:1.6fr 3fr; }
+.tags-inp { width:100%; font-size:12px; }
+.custom-cat-row { grid-template-columns:1.6fr 1fr 1fr 32px; }
+.custom-cat-color { width:26px; height:26px; padding:0; border:1px solid var(--border2); border-radius:8px; background:none; cursor:pointer; flex-shrink:0; }
+@media (max-width:480px) {
+  .units-thead,.units-trow { grid-template-columns:1fr auto; }
+  .units-thead span:nth-child(n+3) { display:none; }
+}
+
 /* ── Category allocation table ── */
 .cat-alloc-table { display:flex; flex-direction:column; gap:6px; }
+.tt { display:flex; flex-direction:column; gap:4px; margin-bottom:22px; }
+.tt-row { display:grid; grid-template-columns:minmax(0,1.8fr) minmax(60px,1fr) 64px 92px 64px; gap:10px; align-items:center; padding:8px 12px; border-radius:10px; background:var(--surface); border:1px solid var(--border); }
+.tt-head { background:none; border:none; padding:0 12px 4px; font-size:11px; font-weight:700; text-transform:uppercase; letter-spacing:.9px; color:var(--text4); }
+.tt-head span:nth-child(n+3) { text-align:right; }
+.tt-sub, .tt-asset { background:var(--surface2); }
+.tt-label { display:flex; align-items:center; gap:7px; min-width:0; }
+.tt-caret, .tt-caret-gap { width:18px; height:18px; flex-shrink:0; }
+.tt-caret { display:flex; align-items:center; justify-content:center; border:none; background:none; color:var(--text3); cursor:pointer; font-size:12px; transition:transform .18s; padding:0; }
+.tt-caret.open { transform:rotate(90deg); }
+.tt-name { font-size:13px; font-weight:600; color:var(--text); white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+.tt-asset .tt-name { font-weight:500; color:var(--text2); }
+.tt-bar { position:relative; height:5px; border-radius:3px; background:var(--surface2); }
+.tt-sub .tt-bar, .tt-asset .tt-bar { background:var(--bg2); }
+.tt-bar-f { position:absolute; inset:0 auto 0 0; border-radius:3px; }
+.tt-bar-t { position:absolute; top:-3px; bottom:-3px; width:2px; margin-left:-1px; background:var(--text3); border-radius:1px; }
+.tt-pct { font-size:12px; color:var(--text2); text-align:right; }
+.tt .drift-cell { justify-self:end; }
+.tt-edit-label { margin-top:18px; }
+.tt-sub-inp { width:96px !important; font-size:11px !important; padding:3px 6px !important; margin-left:auto; }
+@media (max-width:640px) {
+  .tt-row { grid-template-columns:minmax(0,1fr) 56px 80px 56px; }
+  .tt-bar, .tt-head span:nth-child(2) { display:none; }
+}
 .cat-alloc-head { display:grid; grid-template-columns:1.6fr 1fr 80px 100px; gap:10px; padding:0 12px 8px; font-size:11px; font-weight:700; text-transform:uppercase; letter-spacing:.9px; color:var(--text4); }
 .cat-alloc-row { display:grid; grid-template-columns:1.6fr 1fr 80px 100px; gap:10px; align-items:center; padding:11px 12px; border-radius:12px; background:var(--surface); border:1px solid var(--border); transition:border-color .18s,background .18s; }
 .cat-alloc-row:hover { border-color:var(--border2); background:var(--surface2); }
@@ -3052,6 +6539,7 @@ function getCSS() { return `
 .cat-grid { grid-template-columns:repeat(2,1fr); gap:10px; }
 .editor-grid { grid-template-columns:1fr; }
 .h-grid { grid-template-columns:1fr; }
+.h-kpis { grid-template-columns:repeat(2,1fr); }
 .h-kpi-v { font-size:24px; }
 .assets-thead,.assets-trow { grid-template-columns:2fr 1fr 1fr 36px; }
 .assets-thead span:nth-child(4),.assets-trow .editor-inp-wrap:last-of-type { display:none; }
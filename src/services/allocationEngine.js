@@ -0,0 +1,779 @@
+// Allocation engine — pure functions shared by the app and the simulation worker
+
+export const SHARE_DP = 6; // max decimals for fractional share quantities
+
+// Long-run assumptions per category (annual %, used when an asset has none)
+export const CAT_GROWTH = {
+  Crypto:    { ret: 15, vol: 65 }, Tech: { ret: 10, vol: 30 }, Dividend: { ret: 6, vol: 15 },
+  ETF:       { ret: 7,  vol: 16 }, Bond: { ret: 3,  vol: 6  }, Commodity: { ret: 4, vol: 18 },
+  Other:     { ret: 5,  vol: 20 },
+};
+
+export function roundMoney(v) { return Math.round(v * 100) / 100; }
+
+// ─── ENGINE ───────────────────────────────────────────────────
+export function enrich(list, total) {
+  return list.map(a => {
+    const pct   = total > 0 ? (a.current / total) * 100 : 0;
+    const drift = pct - a.target;
+    const gap   = (a.target / 100) * total - a.current;
+    return { ...a, pct, drift, gap };
+  });
+}
+
+// Fee for a single order of `value` under a platform schedule. Tiers are
+// matched on order value; min/max clamp the result. Rounded up to the cent.
+export function feeFor(schedule, value) {
+  if (!schedule || !(value > 0)) return 0;
+  const tier = schedule.tiers?.find(t => t.upTo == null || value <= t.upTo) || schedule;
+  let fee = (tier.flat || 0) + value * (tier.pct || 0) / 100;
+  if (schedule.min != null) fee = Math.max(fee, schedule.min);
+  if (schedule.max != null) fee = Math.min(fee, schedule.max);
+  return Math.ceil(fee * 100 - 1e-6) / 100;
+}
+
+// User-defined categories carry the built-in class they behave as in `kind`
+function feeScheduleFor(fees, asset) {
+  if (!fees) return null;
+  return fees.byCat?.[asset.kind || asset.cat] || fees;
+}
+
+// Order sizing: fractional assets are cut to SHARE_DP decimals of a share,
+// whole-share assets to a multiple of their lot size. Without a live price we
+// fall back to whole currency units. `amount` is the cash available for the
+// order including its fee. Returns `{ skip: reason }` when the order would be
+// empty, below the asset/platform minimum, or too small to justify its fee.
+export function fitOrder(asset, amount, opts = {}) {
+  const cap = Math.floor(amount * 100 + 1e-6) / 100;
+  if (!(cap > 0)) return { skip: "no-cash" };
+  const price    = opts.prices?.[asset.ticker];
+  const schedule = feeScheduleFor(opts.fees, asset);
+  const size = net => {
+    if (!(price > 0)) return { qty: null, buy: Math.floor(net + 1e-9) };
+    let qty;
+    if (asset.fractional !== false) {
+      const f = 10 ** SHARE_DP;
+      qty = Math.floor((net / price) * f + 1e-6) / f;
+    } else {
+      const lot = asset.lotSize > 0 ? asset.lotSize : 1;
+      qty = Math.floor(net / (price * lot) + 1e-9) * lot;
+    }
+    return { qty, buy: roundMoney(qty * price) };
+  };
+  // Start from the fee on the whole cap, then shrink until the order plus
+  // its own fee fits: a smaller order can fall into a dearer tier
+  let net = cap - feeFor(schedule, cap);
+  for (let i = 0; i < 20; i++) {
+    if (!(net > 0)) return { skip: "fee" };
+    const { qty, buy } = size(net);
+    const fee = feeFor(schedule, buy);
+    if (buy <= 0 || roundMoney(buy + fee) <= cap) return checkOrder(asset, buy, qty, price, opts);
+    net = Math.min(cap - fee, net - 0.01);
+  }
+  return { skip: "fee" };
+}
+
+// Validate an already-sized order against minimums and fee drag
+function checkOrder(asset, buy, qty, price, opts = {}) {
+  if (buy <= 0) return { skip: price > 0 ? "lot" : "too-small" };
+  if (buy < Math.max(asset.minOrder || 0, opts.minOrder || 0)) return { skip: "min-order" };
+  const schedule = feeScheduleFor(opts.fees, asset);
+  const fee = feeFor(schedule, buy);
+  if (schedule && opts.maxFeeDragPct != null && (fee / buy) * 100 > opts.maxFeeDragPct) return { skip: "fee" };
+  return { buy, qty, price: price > 0 ? price : null, fee };
+}
+
+// ─── ALLOCATION STRATEGIES ────────────────────────────────────
+// Each strategy is a pure split(items, budget, ctx) → [{ item, want }] over
+// enriched items, where `want` is the ideal cash for that asset before order
+// sizing. Only assets with want > 0 are returned, most important first.
+// planMonth() calls it again on a shrunken pool whenever it has to drop an
+// asset, so splits must work for any subset. ctx: { total, band }.
+function splitByGap(items, budget) {
+  const under = items.filter(i => i.gap > 0).sort((a, b) => b.gap - a.gap);
+  const gap   = under.reduce((s, i) => s + i.gap, 0);
+  if (gap > 0) return under.map(item => ({ item, want: (item.gap / gap) * budget }));
+  return items.map(item => ({ item, want: budget / items.length }));
+}
+
+function splitWaterfall(items, budget) {
+  const under = items.filter(i => i.gap > 0).sort((a, b) => b.gap - a.gap);
+  if (!under.length) return splitByGap(items, budget);
+  let left = budget;
+  const out = under.map(item => {
+    const want = Math.min(item.gap, left);
+    left -= want;
+    return { item, want };
+  }).filter(w => w.want > 0);
+  // Budget beyond every gap is spread like new money: by target weight
+  const tSum = under.reduce((s, i) => s + i.target, 0);
+  if (left > 0 && tSum > 0) {
+    for (const item of under) {
+      const extra = (item.target / tSum) * left;
+      const row = out.find(w => w.item === item);
+      if (row) row.want += extra; else out.push({ item, want: extra });
+    }
+  }
+  return out;
+}
+
+function splitEqual(items, budget) {
+  const under = items.filter(i => i.gap > 0).sort((a, b) => b.gap - a.gap);
+  const pool  = under.length ? under : items;
+  return pool.map(item => ({ item, want: budget / pool.length }));
+}
+
+function splitDriftBand(items, budget, ctx) {
+  const band = ctx.band > 0 ? ctx.band : 2;
+  const out  = items.filter(i => i.drift <= -band);
+  return out.length ? splitByGap(out, budget) : [];
+}
+
+function splitFixed(items, budget) {
+  const withTarget = items.filter(i => i.target > 0);
+  const tSum = withTarget.reduce((s, i) => s + i.target, 0);
+  if (tSum <= 0) return splitEqual(items, budget);
+  return withTarget
+    .sort((a, b) => b.target - a.target)
+    .map(item => ({ item, want: (item.target / tSum) * budget }));
+}
+
+// Water-fill the post-buy drift: find the level L (in weight points) such that
+// topping every asset up to target + L costs exactly the budget. That raises
+// the most under-weight assets first and minimises the worst shortfall.
+function splitMinMaxDrift(items, budget, ctx) {
+  const after = (ctx.total || items.reduce((s, i) => s + i.current, 0)) + budget;
+  if (after <= 0) return [];
+  const need  = L => items.map(i => Math.max(0, (i.target / 100 + L) * after - i.current));
+  let lo = -1, hi = 1;
+  for (let k = 0; k < 60; k++) {
+    const mid = (lo + hi) / 2;
+    if (need(mid).reduce((s, x) => s + x, 0) > budget) hi = mid; else lo = mid;
+  }
+  const x = need(lo);
+  return items
+    .map((item, idx) => ({ item, want: x[idx] }))
+    .filter(w => w.want > 0)
+    .sort((a, b) => b.want - a.want);
+}
+
+export const ALLOCATION_STRATEGIES = {
+  "gap-weighted": { label: "Gap-weighted",        desc: "Split across under-weight assets in proportion to their gap", split: splitByGap },
+  "waterfall":    { label: "Fill largest gap",    desc: "Close the biggest gap completely before moving to the next", split: splitWaterfall },
+  "equal":        { label: "Equal-weight",        desc: "Same amount to every under-weight asset",                    split: splitEqual },
+  "drift-band":   { label: "Drift band only",     desc: "Buy only assets that are under target by more than the band; otherwise hold cash", split: splitDriftBand },
+  "fixed":        { label: "Fixed split",         desc: "Always split by target weight, ignoring drift",              split: splitFixed },
+  "min-max":      { label: "Minimise max drift",  desc: "Level the post-buy allocation so the worst shortfall is as small as possible", split: splitMinMaxDrift },
+};
+export const DEFAULT_STRATEGY = "gap-weighted";
+
+// ─── NESTED TARGETS ───────────────────────────────────────────
+// Targets form a tree: category → sub-category → asset. With opts.nested the
+// strategy runs once per level — across categories by their combined gap,
+// then each category's share across its sub-categories, then across their
+// assets. Inside a group, targets and gaps are measured against the group's
+// own value after its share goes in, so an asset's gap only matters once its
+// category is funded and the share doesn't overshoot one member.
+// The drift band is only checked where the tree first splits: inside a group
+// every drift is a fraction of the group's, so a band in portfolio points
+// would hold back cash the category has already qualified for. Below that
+// level the group's share is split by gap.
+const TARGET_LEVELS = [a => a.cat || "Other", a => a.sub || ""];
+
+function splitNested(items, budget, ctx, split, depth = 0) {
+  if (depth >= TARGET_LEVELS.length) return split(items, budget, ctx);
+  const groups = new Map();
+  for (const i of items) {
+    const key = TARGET_LEVELS[depth](i);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  }
+  if (groups.size === 1) return splitNested(items, budget, ctx, split, depth + 1);
+  const nodes = enrich([...groups].map(([key, members]) => ({
+    ticker:  key,
+    members,
+    target:  members.reduce((s, i) => s + i.target, 0),
+    current: members.reduce((s, i) => s + i.current, 0),
+  })), ctx.total);
+  const inner = split === splitDriftBand ? splitByGap : split;
+  return split(nodes, budget, ctx).flatMap(({ item: g, want }) => {
+    const after = g.current + want;
+    const frame = enrich(g.members.map(i => ({ ...i, target: g.target > 0 ? (i.target / g.target) * 100 : 0 })), after);
+    return splitNested(frame, want, { ...ctx, total: after }, inner, depth + 1)
+      .map(w => ({ item: g.members.find(i => i.ticker === w.item.ticker), want: w.want }));
+  });
+}
+
+// One month of buys plus the assets the strategy wanted that were left out
+// and why. opts: strategy, band, nested, prices, fees, maxFeeDragPct,
+// minOrder (platform), maxOrders (0 = no cap).
+export function planMonth(portfolio, total, budget, opts = {}) {
+  if (budget <= 0) return { buys: [], skipped: [] };
+  const items     = enrich(portfolio, total);
+  const base      = (ALLOCATION_STRATEGIES[opts.strategy] || ALLOCATION_STRATEGIES[DEFAULT_STRATEGY]).split;
+  const split     = opts.nested ? (its, b, c) => splitNested(its, b, c, base) : base;
+  const ctx       = { total, band: opts.band };
+  const maxOrders = opts.maxOrders > 0 ? opts.maxOrders : Infinity;
+  const cost      = b => roundMoney(b.buy + (b.fee || 0));
+
+  // Size an order for each wanted slice. Any asset whose slice can't form a
+  // valid order is dropped (smallest first) and the split is redone, so the
+  // money lands in fewer, larger orders; the same happens while the plan has
+  // more orders than the monthly cap allows.
+  let plan = split(items, budget, ctx);
+  const candidates = plan.map(w => w.item);
+  let buys = [];
+  let rem  = roundMoney(budget);
+  const skipped = [];
+  for (;;) {
+    const wantOf = t => plan.find(w => w.item.ticker === t)?.want || 0;
+    const failed = [];
+    buys = [];
+    rem  = roundMoney(budget);
+    for (const { item, want } of plan) {
+      const slice = Math.min(want, rem);
+      const order = fitOrder(item, slice, opts);
+      if (!order.skip) { buys.push({ ...item, ...order }); rem = roundMoney(rem - cost(order)); }
+      else failed.push({ item, reason: order.skip, amount: roundMoney(slice) });
+    }
+    const overCap = buys.length > maxOrders;
+    if ((!failed.length && !overCap) || plan.length <= 1) {
+      for (const f of failed) skipped.push(f);
+      break;
+    }
+    const drop = failed.length
+      ? failed.reduce((lo, f) => wantOf(f.item.ticker) < wantOf(lo.item.ticker) ? f : lo)
+      : (b => ({ item: b, reason: "max-orders", amount: b.buy }))(buys.reduce((lo, b) => wantOf(b.ticker) < wantOf(lo.ticker) ? b : lo));
+    skipped.push(drop);
+    const pool = plan.map(w => w.item).filter(i => i.ticker !== drop.item.ticker);
+    plan = split(pool, budget, ctx);
+  }
+
+  // Rounding leftovers go to the most under-weight asset that can still take
+  // an order; whatever nobody can absorb is left for the caller to carry.
+  const boughtOf = t => buys.find(b => b.ticker === t)?.buy || 0;
+  const byNeed   = [...candidates].sort((a, b) => (b.gap - boughtOf(b.ticker)) - (a.gap - boughtOf(a.ticker)));
+  for (const item of byNeed) {
+    if (rem <= 0) break;
+    const existing = buys.find(b => b.ticker === item.ticker);
+    if (!existing && buys.length >= maxOrders) continue;
+    const before   = existing ? cost(existing) : 0;
+    const order    = fitOrder(item, before + rem, opts);
+    const extra    = order.skip ? 0 : roundMoney(cost(order) - before);
+    if (extra <= 0 || (existing && order.buy <= existing.buy)) continue;
+    if (existing) Object.assign(existing, order);
+    else buys.push({ ...item, ...order });
+    rem = roundMoney(rem - extra);
+  }
+
+  const bought = new Set(buys.map(b => b.ticker));
+  return {
+    buys,
+    skipped: skipped
+      .filter(f => !bought.has(f.item.ticker))
+      .map(f => ({ ticker: f.item.ticker, name: f.item.name, cat: f.item.cat, icon: f.item.icon, gap: f.item.gap, reason: f.reason, amount: f.amount })),
+  };
+}
+
+// ─── OPTIMAL ENGINE ───────────────────────────────────────────
+// Sum of squared post-buy drift in weight points — what the optimal engine
+// minimises and what the engine comparison reports. Cash left uninvested
+// counts as a position with a 0% target, so idling money is never "optimal".
+export function trackingError(portfolio, total, buys, cash = 0) {
+  const after = total + cash + buys.reduce((s, b) => s + b.buy, 0);
+  if (after <= 0) return 0;
+  const idle = (Math.max(0, cash) / after) * 100;
+  return portfolio.reduce((s, a) => {
+    const b = buys.find(x => x.ticker === a.ticker);
+    const d = ((a.current + (b ? b.buy : 0)) / after) * 100 - a.target;
+    return s + d * d;
+  }, idle * idle);
+}
+
+// Exact buy-only solver for min Σ drift². Without order constraints the
+// optimum is the water-fill in splitMinMaxDrift(): every bought asset ends at
+// the same distance from target. planMonth() turns that into real orders,
+// then coordinate descent re-sizes one order at a time (and moves single lots
+// between assets) while the tracking error keeps falling, which recovers what
+// lot rounding, minimum orders and fees cost the water-fill.
+export function optimizeMonth(portfolio, total, budget, opts = {}) {
+  const start = planMonth(portfolio, total, budget, { ...opts, strategy: "min-max" });
+  if (!start.buys.length) return start;
+  const items     = enrich(portfolio, total);
+  const maxOrders = opts.maxOrders > 0 ? opts.maxOrders : Infinity;
+  const cost      = o => (o ? roundMoney(o.buy + (o.fee || 0)) : 0);
+  const orders    = new Map(start.buys.map(b => [b.ticker, b]));
+  let rem = roundMoney(budget - start.buys.reduce((s, b) => s + cost(b), 0));
+  const scoreWith = (ticker, order) => {
+    const list = [...orders.values()].filter(b => b.ticker !== ticker);
+    const all  = order ? [...list, order] : list;
+    return trackingError(portfolio, total, all, budget - all.reduce((s, b) => s + cost(b), 0));
+  };
+
+  // Best order for one asset, others fixed, spending at most `cash`.
+  // Whole-lot assets try every affordable lot count; anything divisible is a
+  // one-dimensional convex search over the cash handed to fitOrder().
+  const bestFor = (item, cash) => {
+    let best = { order: null, score: scoreWith(item.ticker, null) };
+    if (!orders.has(item.ticker) && orders.size >= maxOrders) return best;
+    const consider = o => {
+      if (o.skip || cost(o) > cash + 1e-9) return;
+      const order = { ...item, ...o };
+      const sc    = scoreWith(item.ticker, order);
+      if (sc < best.score - 1e-9) best = { order, score: sc };
+    };
+    const price = opts.prices?.[item.ticker];
+    if (price > 0 && item.fractional === false) {
+      const lot    = item.lotSize > 0 ? item.lotSize : 1;
+      const lots   = Math.floor(cash / (price * lot) + 1e-9);
+      const stride = Math.max(1, Math.ceil(lots / 200));
+      for (let k = stride; k <= lots; k += stride) consider(checkOrder(item, roundMoney(k * lot * price), k * lot, price, opts));
+    } else {
+      const f = g => { const o = fitOrder(item, g, opts); return o.skip ? Infinity : scoreWith(item.ticker, { ...item, ...o }); };
+      let lo = 0, hi = cash;
+      for (let k = 0; k < 40 && hi - lo > 0.01; k++) {
+        const m1 = lo + (hi - lo) / 3, m2 = hi - (hi - lo) / 3;
+        if (f(m1) <= f(m2)) hi = m2; else lo = m1;
+      }
+      consider(fitOrder(item, lo, opts));
+      consider(fitOrder(item, cash, opts));
+    }
+    return best;
+  };
+  const apply = (item, order) => {
+    rem = roundMoney(rem + cost(orders.get(item.ticker)) - cost(order));
+    if (order) orders.set(item.ticker, order); else orders.delete(item.ticker);
+  };
+
+  let current = scoreWith(null, null);
+  for (let pass = 0; pass < 25; pass++) {
+    let improved = false;
+    for (const item of items) {
+      const best = bestFor(item, rem + cost(orders.get(item.ticker)));
+      if (best.score < current - 1e-9) { apply(item, best.order); current = best.score; improved = true; }
+    }
+    // Moving one lot from a whole-lot order to another asset is the step a
+    // single-asset search can't see.
+    for (const from of items) {
+      const o = orders.get(from.ticker);
+      if (!o || o.qty == null || from.fractional !== false) continue;
+      const lot   = from.lotSize > 0 ? from.lotSize : 1;
+      const fewer = o.qty - lot > 1e-9 ? checkOrder(from, roundMoney((o.qty - lot) * o.price), o.qty - lot, o.price, opts) : null;
+      if (fewer?.skip) continue;
+      const saved = { orders: new Map(orders), rem };
+      apply(from, fewer ? { ...from, ...fewer } : null);
+      let moved = false;
+      for (const to of items) {
+        if (to.ticker === from.ticker) continue;
+        const best = bestFor(to, rem + cost(orders.get(to.ticker)));
+        if (best.score < current - 1e-9) { apply(to, best.order); current = best.score; moved = improved = true; break; }
+      }
+      if (!moved) { orders.clear(); saved.orders.forEach((v, k) => orders.set(k, v)); rem = saved.rem; }
+    }
+    if (!improved) break;
+  }
+
+  const buys = [...orders.values()].sort((a, b) => b.buy - a.buy);
+  return { buys, skipped: start.skipped.filter(sk => !orders.has(sk.ticker)) };
+}
+
+export const ALLOCATION_ENGINES = {
+  heuristic: { label: "Heuristic", desc: "Fast rule-based split using the selected strategy", plan: planMonth },
+  optimal:   { label: "Optimal",   desc: "Minimises the sum of squared post-buy drift within the budget, lot sizes, minimums and fees", plan: optimizeMonth },
+};
+
+// Entry point for every monthly plan: dispatches on opts.engine
+export function planBuys(portfolio, total, budget, opts = {}) {
+  return (ALLOCATION_ENGINES[opts.engine] || ALLOCATION_ENGINES.heuristic).plan(portfolio, total, budget, opts);
+}
+
+export function allocate(portfolio, total, budget, opts = {}) {
+  return planBuys(portfolio, total, budget, opts).buys;
+}
+
+// Expected annual return / volatility (%) for an asset, falling back to its
+// category default
+export function growthFor(asset) {
+  const def = CAT_GROWTH[asset.kind || asset.cat] || CAT_GROWTH.Other;
+  return { ret: asset.expReturn ?? def.ret, vol: asset.volatility ?? def.vol };
+}
+
+// ─── DIVIDENDS ────────────────────────────────────────────────
+// Expected payouts in a month: each asset's value × annual yield × the share
+// of the year's dividend its profile pays in that calendar month.
+export function dividendsFor(port, profiles, monthKey) {
+  if (!profiles || !monthKey) return 0;
+  const m = Number(monthKey.slice(5, 7));
+  return roundMoney(port.reduce((s, a) => {
+    const p = profiles[a.ticker];
+    return p?.weights?.[m] ? s + a.current * (p.yieldPct / 100) * p.weights[m] : s;
+  }, 0));
+}
+
+// ─── CONTRIBUTION SCHEDULE ────────────────────────────────────
+// Months are "YYYY-MM" keys. Step-ups apply from their month onwards (pct
+// compounds, fixed adds); one-off months add an extra amount or skip the
+// contribution entirely.
+export function monthKeyOf(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+export function addMonths(key, n) {
+  const [y, m] = key.split("-").map(Number);
+  return monthKeyOf(new Date(y, m - 1 + n, 1));
+}
+
+export function contributionFor(schedule, base, key) {
+  let amount = base;
+  const steps = [...(schedule?.stepUps || [])].sort((a, b) => a.from.localeCompare(b.from));
+  for (const st of steps) {
+    if (st.from > key) break;
+    amount = st.kind === "pct" ? amount * (1 + st.value / 100) : amount + st.value;
+  }
+  for (const o of schedule?.oneOffs || []) {
+    if (o.month !== key) continue;
+    if (o.kind === "skip") return 0;
+    amount += o.amount;
+  }
+  return Math.max(0, roundMoney(amount));
+}
+
+export function scheduleContributions(schedule, base, startKey, months) {
+  return Array.from({ length: months }, (_, m) => contributionFor(schedule, base, addMonths(startKey, m)));
+}
+
+// ─── EXECUTION CALENDAR ───────────────────────────────────────
+// The DCA runs on a fixed day of the month, clamped to the month's length and
+// moved off weekends to the next business day — or back to the Friday when
+// that would spill into the following month.
+export function executionDate(key, day = 1) {
+  const [y, m] = key.split("-").map(Number);
+  const last = new Date(y, m, 0).getDate();
+  const d    = new Date(y, m - 1, Math.min(Math.max(1, day), last));
+  const dow  = d.getDay();
+  if (dow === 6 || dow === 0) {
+    const fwd = dow === 6 ? 2 : 1;
+    if (d.getDate() + fwd <= last) d.setDate(d.getDate() + fwd);
+    else d.setDate(d.getDate() - (dow === 6 ? 1 : 2));
+  }
+  return `${key}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+export function historyMonthKey(entry) {
+  return entry?.monthKey || (entry?.completedAt ? monthKeyOf(new Date(entry.completedAt)) : null);
+}
+
+// Where the next lock-in stands relative to the calendar. `startKey` is the
+// first month not yet locked; `due` lists every month from there whose
+// execution date has passed (more than one means months were missed).
+// `early` is set when nothing is due yet, and `lockedThisMonth` when the last
+// lock already happened in the current calendar month.
+export function lockStatus(history, day = 1, today = new Date()) {
+  const nowKey   = monthKeyOf(today);
+  const todayIso = `${nowKey}-${String(today.getDate()).padStart(2, "0")}`;
+  const last     = history?.length ? history[history.length - 1] : null;
+  const lastKey  = historyMonthKey(last);
+  const startKey = lastKey ? addMonths(lastKey, 1) : nowKey;
+  const due = [];
+  for (let k = startKey; executionDate(k, day) <= todayIso; k = addMonths(k, 1)) due.push(k);
+  return {
+    startKey,
+    lastKey,
+    due,
+    missed: due.slice(0, -1),
+    early: due.length === 0,
+    nextDate: executionDate(startKey, day),
+    lockedThisMonth: !!last?.completedAt && monthKeyOf(new Date(last.completedAt)) === nowKey,
+  };
+}
+
+// opts.growth compounds every asset at its expected return once the month's
+// buys are in, so later months allocate against the grown weights.
+// opts.factors[m] ({ ticker: multiplier }) replaces that with explicit
+// per-month price moves — the Monte Carlo paths use it. opts.contributions[m]
+// overrides `dca` for month m (see scheduleContributions()). With
+// opts.startMonth set, each step also carries its month key and execution date.
+export function runProjection(assets, total, dca, months, opts = {}) {
+  const steps = [];
+  let port  = assets.map(a => ({ ...a }));
+  let tot   = total;
+  let carry = roundMoney(opts.carry || 0);
+  let totalFees = 0;
+  let totalGrowth = 0;
+  let totalDividends = 0;
+  for (let m = 0; m < months; m++) {
+    const contribution = opts.contributions?.[m] ?? dca;
+    const monthKey = opts.startMonth ? addMonths(opts.startMonth, m) : null;
+    const date     = monthKey ? executionDate(monthKey, opts.dcaDay) : null;
+    // Dividends need real months; with opts.drip they join this month's budget
+    const dividends  = dividendsFor(port, opts.dividends, monthKey);
+    const reinvested = opts.drip ? dividends : 0;
+    const budget   = roundMoney(contribution + carry + reinvested);
+    const { buys, skipped } = planBuys(port, tot, budget, opts);
+    const invested = roundMoney(buys.reduce((s, b) => s + b.buy, 0));
+    const fees     = roundMoney(buys.reduce((s, b) => s + (b.fee || 0), 0));
+    const spent    = roundMoney(invested + fees);
+    steps.push({ month: m + 1, monthKey, date, buys, skipped, total: tot, port: port.map(a => ({ ...a })), contribution, carryIn: carry, dividends, reinvested, budget, invested, fees, spent });
+    port = port.map(a => {
+      const b = buys.find(x => x.ticker === a.ticker);
+      return b ? { ...a, current: roundMoney(a.current + b.buy) } : { ...a };
+    });
+    let growth = 0;
+    const factors = opts.factors?.[m];
+    if (factors || opts.growth) {
+      port = port.map(a => {
+        const f    = factors ? (factors[a.ticker] ?? 1) : (1 + growthFor(a).ret / 100) ** (1 / 12);
+        const next = roundMoney(a.current * f);
+        growth += next - a.current;
+        return { ...a, current: next };
+      });
+      growth = roundMoney(growth);
+    }
+    steps[m].growth = growth;
+    carry       = roundMoney(budget - spent);
+    tot         = roundMoney(tot + invested + growth);
+    totalFees   = roundMoney(totalFees + fees);
+    totalGrowth = roundMoney(totalGrowth + growth);
+    totalDividends = roundMoney(totalDividends + dividends);
+  }
+  return { steps, finalPort: enrich(port, tot), finalTotal: tot, carry, totalFees, totalGrowth, totalDividends };
+}
+
+// ─── REBALANCING ──────────────────────────────────────────────
+export const REBALANCE_MODES = {
+  "buy-only":        { label: "Buy-only",        desc: "Never sell — the DCA budget closes gaps over time" },
+  "sell-above-band": { label: "Sell above band", desc: "Trim assets that are more than the band over target back to target, then buy with DCA + proceeds" },
+  "buy-sell":        { label: "Buy + sell",      desc: "Trim every over-weight asset to target and redeploy the proceeds with the DCA budget" },
+};
+
+// Size a sell of up to `amount` of an asset, never more than the position.
+// Same unit rules, minimums and fee schedule as buys.
+function fitSell(asset, amount, opts = {}) {
+  const cap   = Math.min(amount, asset.current);
+  const price = opts.prices?.[asset.ticker];
+  let qty = null;
+  let value;
+  if (price > 0) {
+    if (asset.fractional !== false) {
+      const f = 10 ** SHARE_DP;
+      qty = Math.floor((cap / price) * f + 1e-6) / f;
+    } else {
+      const lot = asset.lotSize > 0 ? asset.lotSize : 1;
+      qty = Math.floor(cap / (price * lot) + 1e-9) * lot;
+    }
+    value = roundMoney(qty * price);
+  } else {
+    value = Math.floor(cap + 1e-9);
+  }
+  const order = checkOrder(asset, value, qty, price, opts);
+  if (order.skip) return order;
+  const { buy, ...rest } = order;
+  return { ...rest, value: buy };
+}
+
+// Trade list for one rebalance: sells sized against targets at the
+// post-contribution total, then buys from the DCA budget plus sell proceeds
+// through the normal allocator. opts: allocOpts + mode, band (pp).
+export function planRebalance(portfolio, total, budget, opts = {}) {
+  const mode  = REBALANCE_MODES[opts.mode] ? opts.mode : "buy-only";
+  const band  = opts.band > 0 ? opts.band : 5;
+  const items = enrich(portfolio, total);
+  const sells = [];
+  if (mode !== "buy-only") {
+    const after = total + budget;
+    for (const item of items) {
+      if (mode === "sell-above-band" && !(item.drift > band)) continue;
+      const excess = item.current - (item.target / 100) * after;
+      if (excess <= 0) continue;
+      const order = fitSell(item, excess, opts);
+      if (!order.skip) sells.push({ ...item, ...order });
+    }
+  }
+
+  const sold     = t => sells.find(x => x.ticker === t)?.value || 0;
+  const proceeds = roundMoney(sells.reduce((s, x) => s + x.value - x.fee, 0));
+  const soldPort = portfolio.map(a => (sold(a.ticker) ? { ...a, current: roundMoney(a.current - sold(a.ticker)) } : a));
+  const soldTot  = roundMoney(total - sells.reduce((s, x) => s + x.value, 0));
+  const { buys, skipped } = planBuys(soldPort, soldTot, roundMoney(budget + proceeds), opts);
+
+  // A strategy that ignores drift can buy back an asset we just trimmed;
+  // net the pair into one order for the difference — a smaller sell, or a
+  // smaller buy when more goes back in than came out — when the cash still
+  // works out.
+  for (const b of [...buys]) {
+    const sIdx = sells.findIndex(x => x.ticker === b.ticker);
+    if (sIdx < 0) continue;
+    const s       = sells[sIdx];
+    const net     = roundMoney(s.value - b.buy);
+    const smaller = net > 0 ? fitSell(s, net, opts) : net < 0 ? fitOrder(s, -net, opts) : { skip: "netted" };
+    const kept    = smaller.skip ? 0 : net > 0 ? smaller.value - smaller.fee : -(smaller.buy + smaller.fee);
+    const freed   = roundMoney(b.buy + b.fee - (s.value - s.fee) + kept);
+    if (freed < 0) continue;
+    if (net > 0 && !smaller.skip) sells[sIdx] = { ...s, ...smaller };
+    else sells.splice(sIdx, 1);
+    if (net < 0 && !smaller.skip) buys[buys.indexOf(b)] = { ...b, ...smaller };
+    else buys.splice(buys.indexOf(b), 1);
+  }
+
+  const sellValue = roundMoney(sells.reduce((s, x) => s + x.value, 0));
+  const sellFees  = roundMoney(sells.reduce((s, x) => s + x.fee, 0));
+  const invested  = roundMoney(buys.reduce((s, b) => s + b.buy, 0));
+  const buyFees   = roundMoney(buys.reduce((s, b) => s + (b.fee || 0), 0));
+  const finalTot  = roundMoney(total - sellValue + invested);
+  const finalPort = portfolio.map(a => {
+    const delta = (buys.find(b => b.ticker === a.ticker)?.buy || 0) - (sells.find(x => x.ticker === a.ticker)?.value || 0);
+    return delta ? { ...a, current: roundMoney(a.current + delta) } : a;
+  });
+  return {
+    mode, band, sells, buys, skipped,
+    trades: [...sells.map(x => ({ ...x, side: "sell" })), ...buys.map(b => ({ ...b, side: "buy", value: b.buy }))],
+    sellValue, invested,
+    fees: roundMoney(sellFees + buyFees),
+    carry: roundMoney(budget + sellValue - sellFees - invested - buyFees),
+    before: items,
+    after: enrich(finalPort, finalTot),
+    finalTotal: finalTot,
+  };
+}
+
+// ─── LONG HORIZON ─────────────────────────────────────────────
+// Multi-year projection built from runProjection() twelve months at a time,
+// with the monthly DCA stepped up by escalationPct after every year and the
+// contribution schedule applied on top. Only yearly roll-ups are kept, so 40
+// years stays cheap to hold and render.
+export function runLongHorizon({ assets, total, dca, years, escalationPct = 0, schedule = null, startMonth = monthKeyOf(), opts = {} }, onProgress) {
+  const rows = [];
+  let port    = assets;
+  let tot     = total;
+  let carry   = opts.carry || 0;
+  let monthly = dca;
+  let contributed = 0, growth = 0, fees = 0, dividends = 0;
+  for (let y = 1; y <= years; y++) {
+    const contributions = scheduleContributions(schedule, monthly, addMonths(startMonth, (y - 1) * 12), 12);
+    const run = runProjection(port, tot, monthly, 12, { ...opts, carry, contributions, startMonth: addMonths(startMonth, (y - 1) * 12) });
+    const yearIn = roundMoney(contributions.reduce((s, c) => s + c, 0));
+    contributed = roundMoney(contributed + yearIn);
+    growth      = roundMoney(growth + run.totalGrowth);
+    dividends   = roundMoney(dividends + run.totalDividends);
+    fees        = roundMoney(fees + run.totalFees);
+    const drifts = run.finalPort.map(a => Math.abs(a.drift));
+    rows.push({
+      year: y, monthlyDca: roundMoney(yearIn / 12),
+      contributed: yearIn, growth: run.totalGrowth, fees: run.totalFees, dividends: run.totalDividends,
+      endTotal: run.finalTotal, cumContributed: contributed, cumGrowth: growth,
+      maxDrift: Math.max(0, ...drifts),
+      avgDrift: drifts.reduce((s, d) => s + d, 0) / (drifts.length || 1),
+    });
+    port    = run.finalPort.map(({ pct, drift, gap, ...a }) => a);
+    tot     = run.finalTotal;
+    carry   = run.carry;
+    monthly = roundMoney(monthly * (1 + escalationPct / 100));
+    onProgress?.(y, years);
+  }
+  return { rows, startTotal: total, finalTotal: tot, contributed, growth, fees, dividends };
+}
+
+// ─── MONTE CARLO ──────────────────────────────────────────────
+// Correlation assumption between two assets: tight within a category,
+// looser across, bonds roughly uncorrelated with everything else.
+function correlationFor(a, b) {
+  if (a.ticker === b.ticker) return 1;
+  if (a.cat === b.cat) return 0.7;
+  const ka = a.kind || a.cat, kb = b.kind || b.cat;
+  if (ka === "Bond" || kb === "Bond") return 0;
+  if (ka === "Crypto" || kb === "Crypto") return 0.25;
+  return 0.5;
+}
+
+// Lower-triangular L with L·Lᵀ = m. Slightly non-PSD input (user-edited
+// assumptions) is tolerated by flooring the pivots.
+function cholesky(m) {
+  const n = m.length;
+  const L = m.map(() => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = m[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      L[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-9)) : sum / L[j][j];
+    }
+  }
+  return L;
+}
+
+// Small seeded PRNG so a given input always produces the same bands
+function mulberry32(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const idx = (sorted.length - 1) * p;
+  const lo  = Math.floor(idx);
+  return sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (idx - lo);
+}
+
+// Simulates `paths` runs of runProjection() with correlated lognormal monthly
+// returns drawn from each asset's expected return and volatility, so every
+// month goes through the same allocator as the deterministic projection.
+// Returns P10/P50/P90 of portfolio value and max |drift| per month, plus
+// each path's worst max |drift| (sorted) for "stays under X%" queries.
+export function simulateMonteCarlo({ assets, total, dca, months, opts = {}, paths = 1000, seed = 1 }, onProgress) {
+  const n    = assets.length;
+  const L    = cholesky(assets.map(a => assets.map(b => correlationFor(a, b))));
+  const g    = assets.map(growthFor);
+  const mu   = g.map(x => Math.log(1 + x.ret / 100) / 12 - (x.vol / 100) ** 2 / 24);
+  const sig  = g.map(x => x.vol / 100 / Math.sqrt(12));
+  const rand = mulberry32(seed);
+  const normal = () => {
+    const u = 1 - rand();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+  };
+
+  const values = Array.from({ length: months }, () => []);
+  const drifts = Array.from({ length: months }, () => []);
+  const worst  = [];
+  const runOpts = { ...opts, growth: false };
+  for (let p = 0; p < paths; p++) {
+    const factors = [];
+    for (let m = 0; m < months; m++) {
+      const z = Array.from({ length: n }, normal);
+      const f = {};
+      for (let i = 0; i < n; i++) {
+        let c = 0;
+        for (let k = 0; k <= i; k++) c += L[i][k] * z[k];
+        f[assets[i].ticker] = Math.exp(mu[i] + sig[i] * c);
+      }
+      factors.push(f);
+    }
+    const run = runProjection(assets, total, dca, months, { ...runOpts, factors });
+    let pathWorst = 0;
+    for (let m = 0; m < months; m++) {
+      // Month m ends where month m + 1 starts; the last month ends at finalPort
+      const end   = m + 1 < months ? enrich(run.steps[m + 1].port, run.steps[m + 1].total) : run.finalPort;
+      const value = m + 1 < months ? run.steps[m + 1].total : run.finalTotal;
+      const maxDrift = end.reduce((mx, a) => Math.max(mx, Math.abs(a.drift)), 0);
+      values[m].push(value);
+      drifts[m].push(maxDrift);
+      pathWorst = Math.max(pathWorst, maxDrift);
+    }
+    worst.push(pathWorst);
+    if ((p + 1) % 100 === 0) onProgress?.(p + 1, paths);
+  }
+
+  const bands = list => {
+    const sorted = [...list].sort((a, b) => a - b);
+    return { p10: percentile(sorted, 0.1), p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9) };
+  };
+  return {
+    paths,
+    months: values.map((v, m) => ({ month: m + 1, value: bands(v), drift: bands(drifts[m]) })),
+    worstDrift: worst.sort((a, b) => a - b),
+  };
+}
+
@@ -0,0 +1,178 @@
+// Backtest — replays the monthly DCA plan against historical prices
+
+import { planBuys, enrich, roundMoney, addMonths, executionDate, contributionFor } from "./allocationEngine";
+
+const DAY_MS = 86_400_000;
+
+// Last close on or before `date` ("YYYY-MM-DD"); bars are sorted oldest first
+export function priceOn(bars, date) {
+  if (!bars?.length || bars[0].t > date) return null;
+  let lo = 0, hi = bars.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (bars[mid].t <= date) lo = mid; else hi = mid - 1;
+  }
+  return bars[lo].c;
+}
+
+function monthEnd(key) {
+  const [y, m] = key.split("-").map(Number);
+  return `${key}-${String(new Date(y, m, 0).getDate()).padStart(2, "0")}`;
+}
+
+function pricesOn(prices, tickers, date) {
+  const out = {};
+  for (const t of tickers) {
+    const p = priceOn(prices[t], date);
+    if (p > 0) out[t] = p;
+  }
+  return out;
+}
+
+function driftStats(port, total) {
+  const drifts = enrich(port, total).map(a => Math.abs(a.drift));
+  return {
+    avgDrift: drifts.reduce((s, d) => s + d, 0) / (drifts.length || 1),
+    maxDrift: Math.max(0, ...drifts),
+  };
+}
+
+// Steps through every month from startMonth to endMonth on its execution day:
+// holdings are revalued at that day's closes, the month's contribution (from
+// the schedule) plus any carried cash goes through planBuys() with the
+// historical prices, and whatever can't be placed is carried on. Between
+// execution days the holdings are valued on every trading day in `prices`,
+// which is what the return and drawdown figures are measured on.
+//
+// prices: { ticker: [{ t, c }] } in any one currency — only price moves
+// matter, so FX changes between the listing and the contribution currency
+// are not modelled, and neither are dividends. Assets without a price yet on
+// an execution day sit that month out (an ETF launched later, say) but still
+// count towards drift. opts are the allocator options (strategy, engine,
+// fees…); any live `prices` in them are replaced by the historical ones.
+export function runBacktest({ assets, dca, schedule = null, startMonth, endMonth, dcaDay = 1, prices = {}, opts = {} }, onProgress) {
+  const tickers = assets.map(a => a.ticker);
+  const lastDate = tickers.reduce((m, t) => {
+    const bars = prices[t];
+    return bars?.length && bars[bars.length - 1].t > m ? bars[bars.length - 1].t : m;
+  }, "");
+  if (!lastDate) throw new Error("No historical prices for any asset");
+  const finalMonth = endMonth && endMonth < lastDate.slice(0, 7) ? endMonth : lastDate.slice(0, 7);
+  if (startMonth > finalMonth) throw new Error("Backtest start is after the last available price");
+
+  const monthKeys = [];
+  for (let k = startMonth; k <= finalMonth; k = addMonths(k, 1)) monthKeys.push(k);
+  const endDate = finalMonth < lastDate.slice(0, 7) ? monthEnd(finalMonth) : lastDate;
+
+  const qty = Object.fromEntries(tickers.map(t => [t, 0]));
+  let cash = 0;
+  let contributed = 0, totalFees = 0;
+  const months = [];
+
+  for (let m = 0; m < monthKeys.length; m++) {
+    const monthKey = monthKeys[m];
+    const date = executionDate(monthKey, dcaDay);
+    if (date > endDate) break;
+    const px = pricesOn(prices, tickers, date);
+    const port = assets.map(a => ({ ...a, current: roundMoney(qty[a.ticker] * (px[a.ticker] || 0)), quantity: qty[a.ticker] }));
+    const total = roundMoney(port.reduce((s, a) => s + a.current, 0));
+    const contribution = contributionFor(schedule, dca, monthKey);
+    const budget = roundMoney(contribution + cash);
+    const available = port.filter(a => px[a.ticker] > 0);
+    const { buys, skipped } = available.length
+      ? planBuys(available, total, budget, { ...opts, prices: px })
+      : { buys: [], skipped: [] };
+
+    // Every asset offered to the engine has a price, so every order has a qty
+    for (const b of buys) qty[b.ticker] += b.qty;
+    const invested = roundMoney(buys.reduce((s, b) => s + b.buy, 0));
+    const fees = roundMoney(buys.reduce((s, b) => s + (b.fee || 0), 0));
+    cash = roundMoney(budget - invested - fees);
+    contributed = roundMoney(contributed + contribution);
+    totalFees = roundMoney(totalFees + fees);
+
+    const after = assets.map(a => ({ ...a, current: roundMoney(qty[a.ticker] * (px[a.ticker] || 0)) }));
+    const afterTotal = roundMoney(after.reduce((s, a) => s + a.current, 0));
+    months.push({
+      month: m + 1, monthKey, date, contribution, budget, valueBefore: total,
+      buys: buys.map(b => ({ ticker: b.ticker, name: b.name, buy: b.buy, qty: b.qty, price: px[b.ticker], fee: b.fee || 0 })),
+      skipped: skipped.map(s => ({ ticker: s.ticker, reason: s.reason, amount: s.amount })),
+      unavailable: tickers.filter(t => !(px[t] > 0)),
+      invested, fees, carry: cash,
+      valueAfter: roundMoney(afterTotal + cash),
+      ...driftStats(after, afterTotal),
+    });
+    onProgress?.(m + 1, monthKeys.length);
+  }
+
+  const curve = valuationCurve({ prices, tickers, months, endDate });
+  const last = curve[curve.length - 1] || { value: 0, index: 1 };
+  const first = months[0];
+  const days = first ? (Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${first.date}T00:00:00Z`)) / DAY_MS : 0;
+  const twr = last.index - 1;
+  return {
+    startMonth,
+    endMonth: months.length ? months[months.length - 1].monthKey : startMonth,
+    endDate,
+    months,
+    curve,
+    finalValue: last.value,
+    contributed,
+    fees: totalFees,
+    gain: roundMoney(last.value - contributed),
+    twr,
+    twrAnnualised: days >= 365 ? (1 + twr) ** (365 / days) - 1 : null,
+    maxDrawdown: maxDrawdown(curve),
+    avgDrift: months.reduce((s, mo) => s + mo.avgDrift, 0) / (months.length || 1),
+    maxDrift: Math.max(0, ...months.map(mo => mo.maxDrift)),
+    missing: tickers.filter(t => !prices[t]?.length),
+  };
+}
+
+// Daily portfolio values (holdings at each day's close plus uninvested cash)
+// with a time-weighted index. Each day's return is measured against the
+// previous day's value plus that day's contributions, before fees: the money
+// paid in never counts as performance, the fees taken out of it do.
+function valuationCurve({ prices, tickers, months, endDate }) {
+  if (!months.length) return [];
+  const start = months[0].date;
+  const dates = new Set(months.map(m => m.date));
+  for (const t of tickers) for (const b of prices[t] || []) if (b.t >= start && b.t <= endDate) dates.add(b.t);
+  const days = [...dates].sort();
+
+  const qty = Object.fromEntries(tickers.map(t => [t, 0]));
+  const idx = Object.fromEntries(tickers.map(t => [t, 0])); // per-ticker bar cursor
+  const close = {};
+  let cash = 0, mi = 0, index = 1, base = 0, paidIn = 0;
+  const value = () => tickers.reduce((s, t) => s + qty[t] * (close[t] || 0), 0) + cash;
+  const curve = [];
+  for (const d of days) {
+    for (const t of tickers) {
+      const bars = prices[t] || [];
+      while (idx[t] < bars.length && bars[idx[t]].t <= d) close[t] = bars[idx[t]++].c;
+    }
+    const pre = value();
+    if (base > 0) index *= pre / base;
+    let paidToday = 0;
+    while (mi < months.length && months[mi].date === d) {
+      const mo = months[mi++];
+      for (const b of mo.buys) qty[b.ticker] += b.qty;
+      cash = mo.carry;
+      paidToday += mo.contribution;
+    }
+    paidIn += paidToday;
+    base = pre + paidToday;
+    curve.push({ t: d, value: roundMoney(value()), paidIn: roundMoney(paidIn), index });
+  }
+  return curve;
+}
+
+function maxDrawdown(curve) {
+  let peak = null, worst = { pct: 0, peak: null, trough: null };
+  for (const p of curve) {
+    if (!peak || p.index > peak.index) peak = p;
+    const dd = peak.index > 0 ? 1 - p.index / peak.index : 0;
+    if (dd > worst.pct) worst = { pct: dd, peak: peak.t, trough: p.t };
+  }
+  return worst;
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { runBacktest, priceOn } from "./backtest";
+
+// One asset bought on the first weekday of Jan–Mar 2024 at 100, 125 and 125,
+// marked at 150 in mid-March
+const BARS = [
+  { t: "2023-12-29", c: 100 },
+  { t: "2024-01-15", c: 125 },
+  { t: "2024-03-15", c: 150 },
+];
+const input = fees => ({
+  assets: [{ ticker: "A", cat: "ETF", target: 100, current: 0 }],
+  dca: 100,
+  startMonth: "2024-01",
+  prices: { A: BARS },
+  opts: { fees },
+});
+
+describe("priceOn", () => {
+  it("takes the last close on or before the date", () => {
+    expect(priceOn(BARS, "2023-12-28")).toBeNull();
+    expect(priceOn(BARS, "2024-01-01")).toBe(100);
+    expect(priceOn(BARS, "2024-03-15")).toBe(150);
+  });
+});
+
+describe("runBacktest", () => {
+  it("chains price moves only into the TWR index", () => {
+    const r = runBacktest(input(null));
+    expect(r.months.map(m => m.date)).toEqual(["2024-01-01", "2024-02-01", "2024-03-01"]);
+    expect(r.contributed).toBe(300);
+    // 1 + 0.8 + 0.8 shares at 150
+    expect(r.finalValue).toBe(390);
+    expect(r.twr).toBeCloseTo(0.5, 10);
+  });
+
+  it("counts fees against the TWR index", () => {
+    const r = runBacktest(input({ flat: 1 }));
+    expect(r.fees).toBe(3);
+    // 0.99 + 0.792 + 0.792 shares; each day's return is measured against the
+    // previous value plus that day's contribution before its fee:
+    // 123.75/100 · 222.75/223.75 · 386.1/322.75
+    expect(r.finalValue).toBeCloseTo(386.1, 6);
+    expect(r.twr).toBeCloseTo(1.2375 * (222.75 / 223.75) * (386.1 / 322.75) - 1, 10);
+  });
+});
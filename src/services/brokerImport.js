@@ -1,3 +1,5 @@
+import { normalizeIsin, normalizeWkn, placeholderTicker, sanitizeIdentity, instrumentKey, mapInstruments } from "./instruments";
+
 function parseCsv(text) {
   const rows = [];
   let i = 0;
@@ -55,6 +57,24 @@ function normalizeTicker(raw) {
   return String(raw || "").toUpperCase().replace(/[^A-Z0-9.&]/g, "").slice(0, 12);
 }
 
+// European exports identify instruments by ISIN (or WKN), often in the same
+// column other brokers use for the ticker. Identifiers are pulled out first so
+// they're never mistaken for a ticker; the listing comes from MIC and currency
+// columns when the export has them.
+function identifiersOf(r, tickerCells) {
+  const cells = tickerCells.map(c => String(c || "").trim()).filter(Boolean);
+  const isin = normalizeIsin(r.ISIN) || cells.map(normalizeIsin).find(Boolean) || null;
+  const wkn = normalizeWkn(r.WKN) || null;
+  const tickerCell = cells.find(c => !normalizeIsin(c) && normalizeWkn(c) !== wkn);
+  const mic = String(r.MIC || r["Exchange MIC"] || "").toUpperCase().trim();
+  const currency = String(r.Currency || r["Trading Currency"] || r.Währung || "").toUpperCase().trim();
+  return {
+    ticker: normalizeTicker(tickerCell),
+    wkn,
+    identity: sanitizeIdentity({ isin, mic, currency }),
+  };
+}
+
 function asNum(raw, fallback = 0) {
   const normalized = String(raw || "")
     .replace(/\./g, "")
@@ -64,8 +84,16 @@ function asNum(raw, fallback = 0) {
   return Number.isFinite(n) ? n : fallback;
 }
 
-function mapCategory(name = "") {
+// Blank cells mean "not provided" rather than zero
+function optNum(raw) {
+  return String(raw || "").trim() === "" ? null : asNum(raw, null);
+}
+
+// A user-defined category named in the file wins over the keyword match
+function mapCategory(name = "", custom = []) {
   const v = String(name).toLowerCase();
+  const own = custom.find(c => c.toLowerCase() === v.trim());
+  if (own) return own;
   if (v.includes("crypto")) return "Crypto";
   if (v.includes("dividend")) return "Dividend";
   if (v.includes("bond")) return "Bond";
@@ -75,70 +103,165 @@ function mapCategory(name = "") {
   return "Other";
 }
 
-function parseTradeRepublic(records) {
+// "region:US; ESG" → ["region:US", "ESG"]
+function parseTags(raw) {
+  return String(raw || "").split(/[;,]/).map(t => t.trim()).filter(Boolean);
+}
+
+function parseTradeRepublic(records, custom) {
   return records.map(r => {
-    const ticker = normalizeTicker(r.Ticker || r.Symbol || r.ISIN || r.WKN);
+    const ids = identifiersOf(r, [r.Ticker, r.Symbol]);
     return {
-      ticker,
-      name: r.Name || r.Asset || ticker || "Imported Asset",
+      ...ids,
+      name: r.Name || r.Asset || ids.ticker || "",
       current: asNum(r["Current Value"] || r["Market Value"] || r.Value || 0),
       target: asNum(r["Target %"] || r.Target || 0),
-      cat: mapCategory(r.Category || r["Asset Class"]),
+      cat: mapCategory(r.Category || r["Asset Class"], custom),
+      tags: parseTags(r.Tags),
+      quantity: optNum(r.Shares || r.Quantity),
+      costBasis: optNum(r["Cost Basis"] || r["Purchase Value"]),
     };
-  }).filter(a => a.ticker);
+  }).filter(hasIdentifier);
 }
 
-function parseIbkr(records) {
+function parseIbkr(records, custom) {
   return records.map(r => {
-    const ticker = normalizeTicker(r.Symbol || r.Ticker || r.Conid || "");
+    const ids = identifiersOf({ ...r, ISIN: r.ISIN || r["Security ID"] }, [r.Symbol, r.Ticker, r.Conid]);
     return {
-      ticker,
-      name: r.Description || r.Name || ticker || "Imported Asset",
+      ...ids,
+      name: r.Description || r.Name || ids.ticker || "",
       current: asNum(r["Market Value"] || r["Position Value"] || r.Value || 0),
       target: asNum(r["Target %"] || 0),
-      cat: mapCategory(r["Asset Class"] || r.Sector || ""),
+      cat: mapCategory(r["Asset Class"] || r.Sector || "", custom),
+      tags: parseTags(r.Tags),
+      quantity: optNum(r.Quantity || r.Position),
+      costBasis: optNum(r["Cost Basis"] || r["Cost Basis Money"]),
     };
-  }).filter(a => a.ticker);
+  }).filter(hasIdentifier);
 }
 
-function parseGeneric(records) {
+function parseGeneric(records, custom) {
   return records.map(r => {
-    const ticker = normalizeTicker(r.Ticker || r.Symbol || r.Asset || "");
+    const ids = identifiersOf(r, [r.Ticker, r.Symbol, r.Asset]);
     return {
-      ticker,
-      name: r.Name || ticker || "Imported Asset",
+      ...ids,
+      name: r.Name || ids.ticker || "",
       current: asNum(r.Current || r["Current Value"] || r.Value || 0),
       target: asNum(r.Target || r["Target %"] || 0),
-      cat: mapCategory(r.Category || r["Asset Class"] || ""),
+      cat: mapCategory(r.Category || r["Asset Class"] || "", custom),
+      tags: parseTags(r.Tags),
+      quantity: optNum(r.Quantity || r.Shares),
+      costBasis: optNum(r["Cost Basis"]),
     };
-  }).filter(a => a.ticker);
+  }).filter(hasIdentifier);
+}
+
+// "2025-03-14", "14.03.2025" or "14/03/2025" → "2025-03-14"
+function isoDate(raw) {
+  const v = String(raw || "").trim();
+  let m = v.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = v.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})/);
+  if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  return null;
 }
 
-export function importBrokerCsv(csvText, broker) {
-  const { headers, records } = parseCsv(csvText);
+// Activity exports mix positions with cash events; dividend rows become
+// ledger records instead of positions
+function isDividendRow(r) {
+  return /dividend|distribution|ausschüttung/i.test(r.Type || r["Transaction Type"] || r.Activity || r.Action || "");
+}
+
+function parseDividends(records) {
+  return records.filter(isDividendRow).map(r => {
+    const ids = identifiersOf(r, [r.Ticker, r.Symbol]);
+    return {
+      ticker: ids.ticker || ids.wkn || "",
+      isin: ids.identity?.isin || null,
+      date: isoDate(r.Date || r["Pay Date"] || r["Value Date"] || r.Datum),
+      amount: Math.abs(asNum(r.Amount || r.Value || r.Proceeds || r.Betrag || 0)),
+    };
+  }).filter(d => (d.ticker || d.isin) && d.date && d.amount > 0);
+}
+
+function hasIdentifier(a) {
+  return !!(a.ticker || a.wkn || a.identity);
+}
+
+// Rows for the same listing are one position; rows without an ISIN fall back
+// to their ticker (or WKN)
+function dedupe(assets) {
+  const seen = new Set();
+  return assets.filter(a => {
+    const key = instrumentKey({ ...a, ticker: a.ticker || a.wkn });
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// categories: names of the user's own categories, matched before the built-ins
+export function importBrokerCsv(csvText, broker, categories = []) {
+  const { headers, records: all } = parseCsv(csvText);
   const source = String(broker || "generic").toLowerCase();
+  const records = all.filter(r => !isDividendRow(r));
 
   let assets = [];
-  if (source === "trade-republic") assets = parseTradeRepublic(records);
-  else if (source === "interactive-brokers" || source === "ibkr") assets = parseIbkr(records);
-  else assets = parseGeneric(records);
+  if (source === "trade-republic") assets = parseTradeRepublic(records, categories);
+  else if (source === "interactive-brokers" || source === "ibkr") assets = parseIbkr(records, categories);
+  else assets = parseGeneric(records, categories);
 
-  const deduped = [];
-  const seen = new Set();
-  for (const asset of assets) {
-    if (seen.has(asset.ticker)) continue;
-    seen.add(asset.ticker);
-    deduped.push(asset);
-  }
+  const deduped = dedupe(assets);
 
   return {
     headers,
-    totalRows: records.length,
+    totalRows: all.length,
     importedRows: deduped.length,
     assets: deduped,
+    dividends: parseDividends(all),
   };
 }
 
+// Second step of an import: ISINs and WKNs are mapped to a listing, which
+// fills in the ticker, the MIC and trading currency the export didn't state,
+// and the provider symbols for live quotes. Names from the export are kept.
+// Identifiers that can't be mapped keep a placeholder ticker so the position
+// still imports. Dividends follow their position's ticker.
+export async function resolveInstruments(parsed, transport) {
+  const pending = parsed.assets.filter(a => a.identity || (!a.ticker && a.wkn));
+  const mapped = await mapInstruments(pending.map(a => ({
+    isin: a.identity?.isin, wkn: a.identity ? null : a.wkn,
+    mic: a.identity?.mic, currency: a.identity?.currency,
+  })), transport);
+  const found = new Map(pending.map((a, i) => [a, mapped[i]]));
+  const assets = dedupe(parsed.assets.map(a => {
+    const m = found.get(a);
+    const { wkn, ...rest } = a;
+    const ticker = a.ticker || m?.ticker || (a.identity ? placeholderTicker(a.identity.isin) : wkn);
+    if (!m) return { ...rest, ticker, name: a.name || ticker };
+    return {
+      ...rest,
+      ticker,
+      name: a.name || m.name || ticker,
+      identity: a.identity ? sanitizeIdentity({ ...m.identity, ...dropEmpty(a.identity) }) : m.identity,
+      // Symbols describe the mapped listing, so they only apply when the
+      // export's own ticker (if any) is that listing's
+      symbols: !a.ticker || a.ticker === m.ticker ? m.symbols : null,
+      assetClass: m.assetClass,
+      type: m.type,
+    };
+  }));
+  const byIsin = new Map(assets.filter(a => a.identity).map(a => [a.identity.isin, a.ticker]));
+  const dividends = parsed.dividends
+    .map(d => ({ ...d, ticker: (d.isin && byIsin.get(d.isin)) || d.ticker || (d.isin ? placeholderTicker(d.isin) : "") }))
+    .filter(d => d.ticker);
+  return { ...parsed, assets, importedRows: assets.length, dividends, mapped: mapped.filter(Boolean).length };
+}
+
+function dropEmpty(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v != null));
+}
+
 export async function fetchBrokerPositionsAdapter(adapter, credentials = {}) {
   const kind = String(adapter || "").toLowerCase();
   if (!["trade-republic", "interactive-brokers"].includes(kind)) {
@@ -0,0 +1,71 @@
+// Dividend schedules, forward income and the yield profiles fed to the projection
+
+import { roundMoney, addMonths, monthKeyOf, dividendsFor } from "./allocationEngine";
+
+export const DIV_FREQUENCIES = {
+  monthly:    { label: "Monthly",     every: 1  },
+  quarterly:  { label: "Quarterly",   every: 3  },
+  semiannual: { label: "Semi-annual", every: 6  },
+  annual:     { label: "Annual",      every: 12 },
+};
+
+// Calendar months (1–12) a schedule pays in, counted from its first month
+export function payMonths(freq, first) {
+  const every = DIV_FREQUENCIES[freq]?.every || 3;
+  const out = [];
+  for (let m = 0; m < 12; m += every) out.push(((first - 1 + m) % 12) + 1);
+  return out.sort((a, b) => a - b);
+}
+
+// ─── PROFILES ─────────────────────────────────────────────────
+// A profile is an annual yield on the asset's value plus the share of it paid
+// in each calendar month. An entered yield wins; otherwise the last twelve
+// months of dividend records stand in, paid in the same months with the same
+// relative amounts. A yield of 0 switches an asset off entirely.
+export function dividendProfiles(assets, txs = [], today = new Date()) {
+  const since = addMonths(monthKeyOf(today), -11);
+  const profiles = {};
+  for (const a of assets) {
+    if (a.divYield > 0) {
+      const months = payMonths(a.divFreq, a.divMonth || 1);
+      profiles[a.ticker] = {
+        source: "manual", yieldPct: a.divYield,
+        weights: Object.fromEntries(months.map(m => [m, 1 / months.length])),
+      };
+      continue;
+    }
+    if (a.divYield === 0 || !(a.current > 0)) continue;
+    const paid = txs.filter(t => t.type === "dividend" && t.ticker === a.ticker && t.date.slice(0, 7) >= since);
+    const annual = paid.reduce((s, t) => s + t.amount, 0);
+    if (!(annual > 0)) continue;
+    const weights = {};
+    for (const t of paid) {
+      const m = Number(t.date.slice(5, 7));
+      weights[m] = (weights[m] || 0) + t.amount / annual;
+    }
+    profiles[a.ticker] = { source: "records", yieldPct: (annual / a.current) * 100, weights };
+  }
+  return profiles;
+}
+
+// ─── INCOME CALENDAR ──────────────────────────────────────────
+// Expected payouts for the next `months` months at today's values.
+export function incomeCalendar(assets, profiles, startKey = monthKeyOf(), months = 12) {
+  const cal = [];
+  for (let i = 0; i < months; i++) {
+    const monthKey = addMonths(startKey, i);
+    const items = assets
+      .map(a => ({ ticker: a.ticker, amount: dividendsFor([a], profiles, monthKey) }))
+      .filter(x => x.amount > 0)
+      .sort((x, y) => y.amount - x.amount);
+    cal.push({ monthKey, items, total: roundMoney(items.reduce((s, x) => s + x.amount, 0)) });
+  }
+  return cal;
+}
+
+export function annualIncome(assets, profiles) {
+  return roundMoney(assets.reduce((s, a) => {
+    const p = profiles[a.ticker];
+    return p ? s + a.current * p.yieldPct / 100 : s;
+  }, 0));
+}
@@ -0,0 +1,19 @@
+import { simulateMonteCarlo, runLongHorizon } from "./allocationEngine";
+import { runBacktest } from "./backtest";
+
+const TASKS = {
+  monteCarlo:  simulateMonteCarlo,
+  longHorizon: runLongHorizon,
+  backtest:    runBacktest,
+};
+
+self.onmessage = (e) => {
+  const { task, input } = e.data || {};
+  try {
+    if (!TASKS[task]) throw new Error(`Unknown task: ${task}`);
+    const result = TASKS[task](input, (done, total) => self.postMessage({ type: "progress", done, total }));
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err?.message || "Simulation failed" });
+  }
+};
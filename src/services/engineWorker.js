@@ -0,0 +1,28 @@
+// Runs heavy engine tasks (Monte Carlo, long-horizon projection, backtests)
+// off the main thread. Each call gets its own worker; cancel() terminates it,
+// which is how stale runs are dropped when the inputs change mid-simulation,
+// and rejects the promise with an error flagged `cancelled` so anything
+// awaiting it can tell a dropped run from a failed one.
+export function runInWorker(task, input, onProgress) {
+  const worker = new Worker(new URL("./engine.worker.js", import.meta.url), { type: "module" });
+  let cancel;
+  const promise = new Promise((resolve, reject) => {
+    cancel = () => {
+      worker.terminate();
+      reject(Object.assign(new Error("Cancelled"), { cancelled: true }));
+    };
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === "progress") { onProgress?.(msg.done, msg.total); return; }
+      worker.terminate();
+      if (msg.type === "done") resolve(msg.result);
+      else reject(new Error(msg.message || "Simulation failed"));
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || "Simulation worker crashed"));
+    };
+    worker.postMessage({ task, input });
+  });
+  return { promise, cancel };
+}
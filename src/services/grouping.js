@@ -0,0 +1,55 @@
+// Grouping assets by category or by tag, and the asset class behind a category
+
+// Tags are free-form. "key:value" tags ("region:US", "sector:Health") group
+// by their key; a bare tag ("ESG") is its own key with a single value.
+export function tagParts(tag) {
+  const i = tag.indexOf(":");
+  if (i <= 0 || i === tag.length - 1) return { key: tag, value: tag };
+  return { key: tag.slice(0, i).trim(), value: tag.slice(i + 1).trim() };
+}
+
+// "cat" or "tag:<key>"
+export function groupDimensions(assets) {
+  const keys = new Set();
+  for (const a of assets) for (const t of a.tags || []) keys.add(tagParts(t).key);
+  return [
+    { id: "cat", label: "Category" },
+    ...[...keys].sort((a, b) => a.localeCompare(b)).map(k => ({ id: `tag:${k}`, label: k })),
+  ];
+}
+
+// The asset's group along a dimension; "" when it has no tag for that key
+export function groupOf(asset, dim) {
+  if (!dim || dim === "cat") return asset.cat;
+  const key = dim.slice(4);
+  const tag = (asset.tags || []).find(t => tagParts(t).key === key);
+  return tag ? tagParts(tag).value : "";
+}
+
+// Groups in `order` first (the category list), then the rest alphabetically
+// with the untagged group last
+export function groupAssets(assets, dim, order = []) {
+  const groups = new Map();
+  for (const a of assets) {
+    const g = groupOf(a, dim);
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(a);
+  }
+  const rank = k => { const i = order.indexOf(k); return i < 0 ? order.length : i; };
+  return [...groups]
+    .sort(([a], [b]) => (a === "") - (b === "") || rank(a) - rank(b) || a.localeCompare(b))
+    .map(([key, list]) => ({ key, assets: list }));
+}
+
+// filter: null, or { dim, value } — an asset matches when it falls in that group
+export function matchesGroup(asset, filter) {
+  return !filter || groupOf(asset, filter.dim) === filter.value;
+}
+
+// Built-in categories behave as themselves; a user-defined one behaves as the
+// built-in asset class it was created with (growth defaults, quote routing,
+// fees, tax treatment, where it can be bought).
+export function kindOf(cat, custom = [], builtin = []) {
+  if (builtin.includes(cat)) return cat;
+  return custom.find(c => c.name === cat)?.kind || "Other";
+}
@@ -0,0 +1,55 @@
+// Historical price sources for backtests. Each loads daily (or coarser) bars
+// for a set of assets over a window and returns them keyed by ticker, oldest
+// first, in the shape runBacktest() takes.
+
+import { fetchPriceHistory, historyFor } from "./marketData";
+import { addMonths } from "./allocationEngine";
+import { PRICE_FIXTURE, PRICE_FIXTURE_START } from "./priceFixture";
+
+function monthEnd(key) {
+  const [y, m] = key.split("-").map(Number);
+  return `${key}-${String(new Date(y, m, 0).getDate()).padStart(2, "0")}`;
+}
+
+// /api/market/history, through the same provider chain as live quotes
+async function marketPrices(assets, from, to) {
+  const data = await fetchPriceHistory(assets, { from, to });
+  const out = {};
+  for (const a of assets) {
+    const bars = historyFor(data, a)?.bars;
+    if (bars?.length) out[a.ticker] = bars;
+  }
+  return out;
+}
+
+// Bundled month-end closes, matched on ticker; works offline
+async function fixturePrices(assets, from, to) {
+  const out = {};
+  for (const a of assets) {
+    const closes = PRICE_FIXTURE[a.ticker];
+    if (!closes) continue;
+    const bars = closes
+      .map((c, i) => ({ t: monthEnd(addMonths(PRICE_FIXTURE_START, i)), c }))
+      .filter(b => b.t >= from && b.t <= to)
+      .map(b => ({ ...b, o: b.c, h: b.c, l: b.c }));
+    if (bars.length) out[a.ticker] = bars;
+  }
+  return out;
+}
+
+export const PRICE_SOURCES = {
+  market:  { label: "Market data",    desc: "Daily closes from the market data providers", load: marketPrices },
+  fixture: { label: "Offline sample", desc: "Bundled month-end closes for the starter assets, 2020–2025", load: fixturePrices },
+};
+
+export function defaultPriceSource() {
+  return import.meta.env?.VITE_PRICE_FIXTURE === "1" ? "fixture" : "market";
+}
+
+// Prices from the month before `startMonth` (a first execution day early in
+// the month still needs a close) up to `to`, defaulting to today
+export async function loadHistoricalPrices(assets, startMonth, source = defaultPriceSource(), to = new Date().toISOString().slice(0, 10)) {
+  const from = `${addMonths(startMonth, -1)}-01`;
+  const prices = await (PRICE_SOURCES[source] || PRICE_SOURCES.market).load(assets, from, to);
+  return { prices, missing: assets.filter(a => !prices[a.ticker]).map(a => a.ticker) };
+}
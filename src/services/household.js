@@ -0,0 +1,199 @@
+// Household view — every portfolio's holdings combined against one target mix
+
+import { enrich, roundMoney, fitOrder, planBuys } from "./allocationEngine";
+
+// Value in `from` expressed in `to` via USD-based rates; null when a rate is missing
+export function convertValue(value, from, to, rates) {
+  if (from === to) return value;
+  if (!(rates?.[from] > 0) || !(rates?.[to] > 0)) return null;
+  return (value / rates[from]) * rates[to];
+}
+
+// portfolios: [{ id, name, iso, assets }]. Assets are merged by ticker and
+// keep their value per portfolio. Values that can't be converted are added
+// as-is and the result is flagged.
+export function consolidate(portfolios, iso, rates) {
+  const rows = new Map();
+  const accounts = [];
+  let unconverted = false;
+  for (const p of portfolios) {
+    let total = 0;
+    for (const a of p.assets) {
+      let value = convertValue(a.current, p.iso, iso, rates);
+      if (value == null) { value = a.current; unconverted = true; }
+      if (!rows.has(a.ticker)) rows.set(a.ticker, { ticker: a.ticker, name: a.name, cat: a.cat, kind: a.kind || a.cat, icon: a.icon, current: 0, byPortfolio: {} });
+      const row = rows.get(a.ticker);
+      row.current += value;
+      row.byPortfolio[p.id] = (row.byPortfolio[p.id] || 0) + value;
+      total += value;
+    }
+    accounts.push({ id: p.id, name: p.name, iso: p.iso, fx: convertValue(1, p.iso, iso, rates) ?? 1, total: roundMoney(total), assets: p.assets });
+  }
+  const list = [...rows.values()].map(r => ({ ...r, current: roundMoney(r.current) }));
+  return { rows: list, accounts, total: roundMoney(list.reduce((s, r) => s + r.current, 0)), unconverted };
+}
+
+// Each account's own targets weighted by its value: where the household
+// lands if every account sits exactly on target.
+export function blendedTargets(accounts) {
+  const total = accounts.reduce((s, a) => s + a.total, 0);
+  const out = {};
+  for (const acc of accounts) {
+    const w = total > 0 ? acc.total / total : 1 / accounts.length;
+    for (const a of acc.assets) out[a.ticker] = (out[a.ticker] || 0) + a.target * w;
+  }
+  for (const t of Object.keys(out)) out[t] = Math.round(out[t] * 100) / 100;
+  return out;
+}
+
+// Consolidated holdings against the household targets (blended when none are
+// set). Target tickers no account holds yet show up with a zero value.
+export function householdModel({ portfolios, iso, rates, targets }) {
+  const { rows, accounts, total, unconverted } = consolidate(portfolios, iso, rates);
+  const custom = !!targets && Object.keys(targets).length > 0;
+  const goal = custom ? targets : blendedTargets(accounts);
+  for (const t of Object.keys(goal)) {
+    if (!rows.some(r => r.ticker === t)) rows.push({ ticker: t, name: t, cat: "Other", icon: "barChart", current: 0, byPortfolio: {} });
+  }
+  const items = enrich(rows.map(r => ({ ...r, target: goal[r.ticker] ?? 0 })), total)
+    .sort((a, b) => b.current - a.current);
+  return {
+    items, accounts, total, unconverted,
+    targets: goal, custom,
+    targetSum: Object.values(goal).reduce((s, v) => s + v, 0),
+    maxDrift: Math.max(0, ...items.map(i => Math.abs(i.drift))),
+  };
+}
+
+// ─── CROSS-ACCOUNT ROUTING ────────────────────────────────────
+// The categories each kind of account is the natural home for. Routing fills
+// these accounts first; everything else goes wherever there's cash.
+export const ACCOUNT_KINDS = {
+  taxable:          { label: "Taxable",        prefers: [],                   desc: "No preferred assets — takes whatever the other accounts can't" },
+  "tax-advantaged": { label: "Tax-advantaged", prefers: ["Bond", "Dividend"], desc: "Bonds and dividend payers are routed here first" },
+  exchange:         { label: "Exchange",       prefers: ["Crypto"],           desc: "Crypto is routed here first" },
+};
+
+// Buy-only water-fill at the post-contribution total: each asset is filled up
+// to its target less μ, with μ bisected so the cash is used up. That levels
+// post-buy drift across the assets, which is what enrich() measures.
+function waterfill(items, after, cash) {
+  if (!items.length || !(cash > 0)) return items.map(() => 0);
+  const wantAt = mu => items.map(i => Math.max(0, (i.target / 100) * after - i.current - mu));
+  const sumAt  = mu => wantAt(mu).reduce((s, x) => s + x, 0);
+  let lo = -after - cash;
+  let hi = Math.max(0, ...items.map(i => (i.target / 100) * after - i.current));
+  for (let k = 0; k < 100; k++) {
+    const mid = (lo + hi) / 2;
+    if (sumAt(mid) > cash) lo = mid; else hi = mid;
+  }
+  return wantAt(hi);
+}
+
+// Household drift once every account's buys have gone through
+function driftAfter(model, plans) {
+  const bought = {};
+  for (const p of plans) for (const b of p.buys) bought[b.ticker] = (bought[b.ticker] || 0) + b.buy;
+  const invested = Object.values(bought).reduce((s, v) => s + v, 0);
+  const items = enrich(model.items.map(i => ({ ...i, current: i.current + (bought[i.ticker] || 0) })), model.total + invested);
+  return {
+    items, invested: roundMoney(invested),
+    left: roundMoney(plans.reduce((s, p) => s + p.left, 0)),
+    te: items.reduce((s, i) => s + i.drift * i.drift, 0),
+    maxDrift: Math.max(0, ...items.map(i => Math.abs(i.drift))),
+  };
+}
+
+function planFor(acc, buys, skipped) {
+  const spent = roundMoney(buys.reduce((s, b) => s + b.buy + (b.fee || 0), 0));
+  return { id: acc.id, name: acc.name, kind: acc.kind, cash: acc.cash, buys, skipped, spent, left: roundMoney(acc.cash - spent) };
+}
+
+// One month of buys across every account. accounts: [{ id, name, kind, cash,
+// canHold, opts }] with cash and opts.prices in the household currency;
+// canHold lists the asset classes the account (and its platform) can buy, or is
+// null for anything. The household targets decide what to buy; eligibility,
+// the account kind and where an asset is already held decide where.
+export function routeHousehold(model, accounts) {
+  const canBuy  = (acc, item) => item.target > 0 && (!acc.canHold || acc.canHold.includes(item.kind || item.cat));
+  const homesOf = item => accounts.filter(a => canBuy(a, item));
+  const left    = Object.fromEntries(accounts.map(a => [a.id, a.cash]));
+  const routed  = Object.fromEntries(accounts.map(a => [a.id, {}]));
+  const items   = model.items.map(i => ({ ...i }));
+  const after   = model.total + accounts.reduce((s, a) => s + a.cash, 0);
+  // Where an asset goes: an account of the kind meant for it, then one that
+  // already holds it, then any that can
+  const tiers = [
+    (acc, item) => !!ACCOUNT_KINDS[acc.kind]?.prefers.includes(item.kind || item.cat),
+    (acc, item) => item.byPortfolio[acc.id] > 0,
+    () => true,
+  ];
+
+  // Anything the routing step couldn't place goes round again with the cash
+  // still left in each account
+  for (let pass = 0; pass < 3; pass++) {
+    // What to buy: each account's cash is water-filled over the assets it can
+    // hold. The most restricted accounts go first so flexible cash tops up
+    // whatever they couldn't reach.
+    const plan    = items.map(i => ({ ...i }));
+    const amounts = {};
+    const reach   = acc => plan.filter(i => canBuy(acc, i)).length;
+    for (const acc of [...accounts].sort((a, b) => reach(a) - reach(b))) {
+      const pool = plan.filter(i => canBuy(acc, i));
+      waterfill(pool, after, left[acc.id]).forEach((x, k) => {
+        pool[k].current += x;
+        amounts[pool[k].ticker] = (amounts[pool[k].ticker] || 0) + x;
+      });
+    }
+    // Where: assets with the fewest homes are placed first so ones that could
+    // be bought anywhere don't use up their only account's cash
+    const queue = items.filter(i => amounts[i.ticker] >= 0.01)
+      .sort((a, b) => homesOf(a).length - homesOf(b).length || amounts[b.ticker] - amounts[a.ticker]);
+    let moved = 0;
+    for (const fits of tiers) {
+      for (const item of queue) {
+        const homes = homesOf(item).filter(a => fits(a, item)).sort((a, b) => left[b.id] - left[a.id]);
+        for (const acc of homes) {
+          const take = Math.min(amounts[item.ticker], left[acc.id]);
+          if (!(take > 0)) continue;
+          routed[acc.id][item.ticker] = (routed[acc.id][item.ticker] || 0) + take;
+          amounts[item.ticker] -= take;
+          left[acc.id] -= take;
+          item.current += take;
+          moved += take;
+          if (amounts[item.ticker] < 0.01) break;
+        }
+      }
+    }
+    if (moved < 0.01 || Object.values(left).every(v => v < 0.01)) break;
+  }
+
+  // Size each account's share into orders on its own platform. Money an
+  // order can't use (minimums, lots, fee drag) stays in the account.
+  const plans = accounts.map(acc => {
+    const held = model.accounts.find(a => a.id === acc.id)?.assets || [];
+    const buys = [], skipped = [];
+    for (const [ticker, amount] of Object.entries(routed[acc.id])) {
+      const item  = model.items.find(i => i.ticker === ticker);
+      const own   = held.find(a => a.ticker === ticker);
+      const order = fitOrder(own || item, amount, acc.opts);
+      if (order.skip) skipped.push({ ticker, amount: roundMoney(amount), reason: order.skip });
+      else buys.push({ ticker, name: item.name, cat: item.cat, icon: item.icon, ...order, opens: !own });
+    }
+    return planFor(acc, buys.sort((a, b) => b.buy - a.buy), skipped);
+  });
+  return { plans, ...driftAfter(model, plans) };
+}
+
+// The baseline routing is measured against: each account spends its own cash
+// on its own targets, ignoring the rest of the household.
+export function independentPlans(model, accounts) {
+  const plans = accounts.map(acc => {
+    const own   = model.accounts.find(a => a.id === acc.id);
+    const port  = (own?.assets || []).map(a => ({ ...a, current: a.current * (own.fx ?? 1) }));
+    const total = port.reduce((s, a) => s + a.current, 0);
+    const { buys, skipped } = planBuys(port, total, acc.cash, acc.opts);
+    return planFor(acc, buys, skipped);
+  });
+  return { plans, ...driftAfter(model, plans) };
+}
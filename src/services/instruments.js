@@ -0,0 +1,175 @@
+// Instrument identity — ISIN + listing (MIC) + trading currency — and the
+// OpenFIGI-style mapping from identifiers to listings and quote symbols
+
+import { OPENFIGI_FIXTURE } from "./openfigiFixture";
+
+// ─── IDENTIFIERS ──────────────────────────────────────────────
+// ISO 6166: two letters, nine alphanumerics, one check digit (Luhn over the
+// digits with letters expanded to 10–35)
+export function isValidIsin(raw) {
+  const v = String(raw || "").toUpperCase();
+  if (!/^[A-Z]{2}[A-Z0-9]{9}\d$/.test(v)) return false;
+  const digits = v.split("").map(ch => (/\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55))).join("");
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+export function normalizeIsin(raw) {
+  const v = String(raw || "").toUpperCase().replace(/[\s-]/g, "");
+  return isValidIsin(v) ? v : null;
+}
+
+// German WKN: six alphanumerics, no I or O; a digit is required so plain
+// six-letter tickers aren't taken for one
+export function normalizeWkn(raw) {
+  const v = String(raw || "").toUpperCase().trim();
+  return /^[A-HJ-NP-Z0-9]{6}$/.test(v) && /\d/.test(v) ? v : null;
+}
+
+// Tickers are at most ten characters; an ISIN that can't be resolved stands
+// in with its national number (which for German ISINs contains the WKN)
+export function placeholderTicker(isin) {
+  return isin.slice(2, 11);
+}
+
+// ─── IDENTITY ─────────────────────────────────────────────────
+export function sanitizeIdentity(raw) {
+  const isin = normalizeIsin(raw?.isin);
+  if (!isin) return null;
+  const mic = /^[A-Z0-9]{4}$/.test(String(raw?.mic || "").toUpperCase()) ? raw.mic.toUpperCase() : null;
+  const currency = /^[A-Z]{3}$/.test(String(raw?.currency || "").toUpperCase()) ? raw.currency.toUpperCase() : null;
+  return { isin, mic, currency };
+}
+
+// The key imports, dedupe and quotes use: the listing when the asset has an
+// ISIN, the ticker otherwise
+export function instrumentKey(asset) {
+  const id = asset?.identity;
+  if (!id?.isin) return asset?.ticker || "";
+  return `${id.isin}@${id.mic || "-"}/${id.currency || "-"}`;
+}
+
+// Same instrument when both ISINs match and neither listing contradicts the
+// other; an asset without an identity matches on ticker
+export function sameInstrument(a, b) {
+  const ia = a?.identity, ib = b?.identity;
+  if (ia?.isin && ib?.isin) {
+    return ia.isin === ib.isin
+      && (!ia.mic || !ib.mic || ia.mic === ib.mic)
+      && (!ia.currency || !ib.currency || ia.currency === ib.currency);
+  }
+  return !!a?.ticker && a.ticker === b?.ticker;
+}
+
+// ─── LISTINGS ─────────────────────────────────────────────────
+// OpenFIGI exchange code → MIC, Finnhub suffix and the usual trading
+// currency, in the order a listing is preferred when the caller didn't ask
+// for one. OpenFIGI doesn't return currencies, so an import's own currency
+// column wins over the default here. "US" is the composite of all US venues
+// and has no MIC of its own. Polygon and the bare Twelve Data symbol only
+// cover US listings.
+const EXCHANGES = [
+  ["US", null,   "",    "USD"], ["UN", "XNYS", "",    "USD"], ["UW", "XNAS", "",    "USD"], ["UP", "ARCX", "",    "USD"],
+  ["GY", "XETR", ".DE", "EUR"], ["LN", "XLON", ".L",  "GBP"], ["NA", "XAMS", ".AS", "EUR"], ["FP", "XPAR", ".PA", "EUR"],
+  ["SW", "XSWX", ".SW", "CHF"], ["IM", "XMIL", ".MI", "EUR"], ["SM", "XMAD", ".MC", "EUR"], ["BB", "XBRU", ".BR", "EUR"],
+  ["GF", "XFRA", ".F",  "EUR"], ["SS", "XSTO", ".ST", "SEK"], ["FH", "XHEL", ".HE", "EUR"], ["DC", "XCSE", ".CO", "DKK"],
+  ["NO", "XOSL", ".OL", "NOK"], ["AV", "XWBO", ".VI", "EUR"], ["CT", "XTSE", ".TO", "CAD"], ["AU", "XASX", ".AX", "AUD"],
+  ["HK", "XHKG", ".HK", "HKD"], ["JT", "XTKS", ".T",  "JPY"],
+];
+export function micForExchCode(code) {
+  return EXCHANGES.find(([c]) => c === code)?.[1] || null;
+}
+
+// Provider symbols for a listing, in the shape stored on `asset.symbols`
+function symbolsForListing(ticker, listing, assetClass) {
+  if (!listing) return null;
+  const us = listing[2] === "";
+  return {
+    assetClass,
+    finnhub: `${ticker}${listing[2]}`,
+    ...(us ? { twelveData: ticker, polygon: ticker } : {}),
+  };
+}
+
+// ─── MAPPING ──────────────────────────────────────────────────
+// A job is one identifier to resolve: { isin } or { wkn }, optionally narrowed
+// to a listing with { mic, currency }. Transports take OpenFIGI v3 mapping
+// jobs and answer with one { data } or { warning } per job, in order.
+export function figiJob(job) {
+  return {
+    idType: job.isin ? "ID_ISIN" : "ID_WERTPAPIER",
+    idValue: job.isin || job.wkn,
+    ...(job.mic ? { micCode: job.mic } : {}),
+    ...(job.currency ? { currency: job.currency } : {}),
+  };
+}
+
+export async function httpFigiTransport(jobs) {
+  const res = await fetch("/api/market/figi", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jobs }),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data?.ok) throw new Error(data?.error || `Instrument mapping error (${res.status})`);
+  return data.results;
+}
+
+// Offline stand-in answering from the bundled fixture, filters applied the
+// way OpenFIGI applies them. Fixture rows note each listing's currency for
+// the filter; like OpenFIGI, the answer leaves it out.
+export async function fixtureFigiTransport(jobs) {
+  return jobs.map(j => {
+    const rows = (OPENFIGI_FIXTURE[j.idValue] || [])
+      .filter(r => !j.micCode || micForExchCode(r.exchCode) === j.micCode)
+      .filter(r => !j.currency || r.currency === j.currency)
+      .map(({ currency, ...r }) => r);
+    return rows.length ? { data: rows } : { warning: "No identifier found." };
+  });
+}
+
+export function defaultFigiTransport() {
+  return import.meta.env?.VITE_OPENFIGI_FIXTURE === "1" ? fixtureFigiTransport : httpFigiTransport;
+}
+
+function assetClassOf(row) {
+  if (/crypto/i.test(row.marketSector || "")) return "crypto";
+  return /bond|corp|govt/i.test(`${row.marketSector} ${row.securityType}`) ? "bond" : "equity";
+}
+
+// The listing to use out of a job's results: the one asked for, else the
+// first exchange in preference order
+function pickListing(rows) {
+  const rank = r => { const i = EXCHANGES.findIndex(([c]) => c === r.exchCode); return i < 0 ? EXCHANGES.length : i; };
+  return [...rows].sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+// Resolve jobs to { ticker, name, identity, symbols, assetClass, type } (or
+// null when nothing was found), in the order given. Failed transports resolve
+// everything to null so an import can carry on with what it has.
+export async function mapInstruments(jobs, transport = defaultFigiTransport()) {
+  if (!jobs.length) return [];
+  const answers = await transport(jobs.map(figiJob)).catch(() => jobs.map(() => null));
+  return jobs.map((job, i) => {
+    const row = pickListing(answers?.[i]?.data || []);
+    if (!row?.ticker) return null;
+    const listing = EXCHANGES.find(([c]) => c === row.exchCode);
+    const mic = listing?.[1] || job.mic || null;
+    const assetClass = assetClassOf(row);
+    const ticker = String(row.ticker).toUpperCase().replace(/[^A-Z0-9.&]/g, "").slice(0, 10);
+    return {
+      ticker,
+      name: row.name || null,
+      type: row.securityType2 || row.securityType || null,
+      assetClass,
+      // A WKN alone resolves the listing but not the ISIN
+      identity: sanitizeIdentity({ isin: job.isin, mic, currency: job.currency || listing?.[3] }),
+      symbols: symbolsForListing(ticker, listing, assetClass),
+    };
+  });
+}
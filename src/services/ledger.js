@@ -0,0 +1,176 @@
+// Transaction ledger — append-only records and the tax lots built from them
+
+import { SHARE_DP, roundMoney, monthKeyOf } from "./allocationEngine";
+
+export const TX_TYPES = {
+  buy:      { label: "Buy",      asset: true  },
+  sell:     { label: "Sell",     asset: true  },
+  dividend: { label: "Dividend", asset: true  },
+  fee:      { label: "Fee",      asset: false },
+  deposit:  { label: "Deposit",  asset: false },
+  transfer: { label: "Transfer", asset: true  },
+};
+
+export const LOT_METHODS = {
+  fifo:    { label: "FIFO",     desc: "Sell the oldest shares first" },
+  lifo:    { label: "LIFO",     desc: "Sell the newest shares first" },
+  average: { label: "Avg Cost", desc: "Every share carries the pooled average cost" },
+};
+
+export function newTxId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function roundQty(q) { return Number(q.toFixed(SHARE_DP)); }
+
+// ─── CORRECTIONS ──────────────────────────────────────────────
+// Nothing is ever rewritten. A correction is a new record with `replaces`
+// pointing at the one it supersedes; a deletion is the same with `voided`.
+// Chains resolve to their latest record, in date order.
+export function activeTransactions(ledger) {
+  const replaced = new Set();
+  for (const tx of ledger || []) if (tx.replaces) replaced.add(tx.replaces);
+  return (ledger || [])
+    .filter(tx => !replaced.has(tx.id) && !tx.voided)
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.recordedAt || "").localeCompare(b.recordedAt || ""));
+}
+
+// Records appended when a month is locked in: the contribution arrives as a
+// deposit and every buy becomes its own record on the execution date.
+export function lockInTransactions({ date, contribution, buys, prices = {}, recordedAt, note = "" }) {
+  const base = { date, recordedAt, note };
+  const txs = [];
+  if (contribution > 0) txs.push({ ...base, id: newTxId(), type: "deposit", ticker: null, qty: null, price: null, amount: contribution, fee: 0 });
+  for (const b of buys) {
+    const price = b.price || prices[b.ticker] || null;
+    txs.push({
+      ...base, id: newTxId(), type: "buy", ticker: b.ticker,
+      qty: b.qty ?? (price ? roundQty(b.buy / price) : null),
+      price, amount: b.buy, fee: b.fee || 0,
+    });
+  }
+  return txs;
+}
+
+// ─── LOTS ─────────────────────────────────────────────────────
+// Take `qty` shares out of a ticker's open lots. FIFO and LIFO walk the lots
+// from either end; average cost takes the same fraction from every lot, so
+// each share leaves at the pooled cost but keeps its acquisition date.
+function takeFromLots(lots, qty, method) {
+  const pieces = [];
+  const held = lots.reduce((s, l) => s + l.qty, 0);
+  if (!(qty > 0) || !(held > 0)) return pieces;
+  if (method === "average") {
+    const f = Math.min(1, qty / held);
+    for (const l of lots) {
+      const q = l.qty * f, c = l.cost * f;
+      pieces.push({ lotId: l.id, acquired: l.date, qty: q, cost: c });
+      l.qty -= q; l.cost -= c;
+    }
+  } else {
+    let left = qty;
+    const order = method === "lifo" ? [...lots].reverse() : lots;
+    for (const l of order) {
+      if (left <= 1e-9) break;
+      const q = Math.min(l.qty, left);
+      const c = l.qty > 0 ? l.cost * (q / l.qty) : 0;
+      pieces.push({ lotId: l.id, acquired: l.date, qty: q, cost: c });
+      l.qty -= q; l.cost -= c; left -= q;
+    }
+  }
+  for (let i = lots.length - 1; i >= 0; i--) if (lots[i].qty <= 1e-9) lots.splice(i, 1);
+  return pieces.map(p => ({ ...p, qty: roundQty(p.qty), cost: roundMoney(p.cost) }));
+}
+
+// Replay the active ledger into open lots per ticker, realised disposals and
+// cash flows. Buys without a share count (value-only assets) open a lot with
+// cost only; they still count towards money invested but can't be sold by
+// quantity.
+export function buildLots(txs, method = "fifo") {
+  const lots = {};
+  const positions = {};
+  const realised = [];
+  let cash = 0, deposits = 0, income = 0, fees = 0;
+  const pos = t => (positions[t] ||= { qty: 0, cost: 0, netFlow: 0, income: 0 });
+  const open = t => (lots[t] ||= []);
+
+  for (const tx of txs) {
+    const fee = tx.fee || 0;
+    fees += fee;
+    switch (tx.type) {
+      case "deposit":
+        cash += tx.amount; deposits += tx.amount;
+        break;
+      case "fee":
+        cash -= tx.amount; fees += tx.amount;
+        break;
+      case "dividend":
+        cash += tx.amount - fee; income += tx.amount;
+        pos(tx.ticker).income += tx.amount;
+        break;
+      case "buy":
+      case "transfer": {
+        const inbound = tx.type === "buy" || tx.direction !== "out";
+        if (inbound) {
+          open(tx.ticker).push({ id: tx.id, date: tx.date, qty: tx.qty || 0, cost: tx.amount + fee });
+          pos(tx.ticker).netFlow += tx.amount;
+          if (tx.type === "buy") cash -= tx.amount + fee;
+        } else {
+          takeFromLots(open(tx.ticker), tx.qty, method);
+          pos(tx.ticker).netFlow -= tx.amount;
+        }
+        break;
+      }
+      case "sell": {
+        const pieces = takeFromLots(open(tx.ticker), tx.qty, method);
+        const matched  = pieces.reduce((s, p) => s + p.qty, 0);
+        const cost     = roundMoney(pieces.reduce((s, p) => s + p.cost, 0));
+        const proceeds = roundMoney(tx.amount - fee);
+        realised.push({
+          txId: tx.id, ticker: tx.ticker, date: tx.date, qty: tx.qty, proceeds, cost,
+          gain: roundMoney(proceeds - cost), pieces,
+          unmatched: tx.qty > 0 ? roundQty(Math.max(0, tx.qty - matched)) : 0,
+        });
+        pos(tx.ticker).netFlow -= tx.amount;
+        cash += proceeds;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  for (const [t, list] of Object.entries(lots)) {
+    const p = pos(t);
+    p.qty  = roundQty(list.reduce((s, l) => s + l.qty, 0));
+    p.cost = roundMoney(list.reduce((s, l) => s + l.cost, 0));
+    for (const l of list) { l.qty = roundQty(l.qty); l.cost = roundMoney(l.cost); }
+  }
+  for (const p of Object.values(positions)) p.netFlow = roundMoney(p.netFlow);
+
+  return {
+    lots, positions, realised,
+    cash: roundMoney(cash), deposits: roundMoney(deposits),
+    income: roundMoney(income), fees: roundMoney(fees),
+  };
+}
+
+// ─── MONTHS ───────────────────────────────────────────────────
+// Active records grouped by calendar month with their cash-flow totals.
+export function ledgerMonths(txs) {
+  const byKey = new Map();
+  for (const tx of txs) {
+    const key = monthKeyOf(new Date(`${tx.date}T00:00:00`));
+    if (!byKey.has(key)) byKey.set(key, { monthKey: key, txs: [], bought: 0, sold: 0, dividends: 0, fees: 0, deposits: 0 });
+    const m = byKey.get(key);
+    m.txs.push(tx);
+    m.fees += (tx.fee || 0) + (tx.type === "fee" ? tx.amount : 0);
+    if (tx.type === "buy")      m.bought    += tx.amount;
+    if (tx.type === "sell")     m.sold      += tx.amount;
+    if (tx.type === "dividend") m.dividends += tx.amount;
+    if (tx.type === "deposit")  m.deposits  += tx.amount;
+  }
+  return [...byKey.values()]
+    .map(m => ({ ...m, bought: roundMoney(m.bought), sold: roundMoney(m.sold), dividends: roundMoney(m.dividends), fees: roundMoney(m.fees), deposits: roundMoney(m.deposits) }))
+    .sort((a, b) => a.monthKey.localeCompare(b.monthKey));
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import { buildLots } from "./ledger";
+
+// Two buys of 10 shares (costs 101 and 201 with their fees), then 15 sold
+// for 450 less a 2 fee
+const TXS = [
+  { id: "d1", type: "deposit", date: "2024-01-02", amount: 300 },
+  { id: "b1", type: "buy",  date: "2024-01-10", ticker: "A", qty: 10, amount: 100, fee: 1 },
+  { id: "b2", type: "buy",  date: "2024-02-10", ticker: "A", qty: 10, amount: 200, fee: 1 },
+  { id: "s1", type: "sell", date: "2024-03-10", ticker: "A", qty: 15, amount: 450, fee: 2 },
+];
+
+describe("buildLots", () => {
+  it("FIFO sells the oldest lot first", () => {
+    const { realised, lots, positions } = buildLots(TXS, "fifo");
+    expect(realised[0]).toMatchObject({ qty: 15, proceeds: 448, cost: 201.5, gain: 246.5, unmatched: 0 });
+    expect(realised[0].pieces.map(p => [p.lotId, p.qty, p.cost])).toEqual([["b1", 10, 101], ["b2", 5, 100.5]]);
+    expect(lots.A).toMatchObject([{ id: "b2", qty: 5, cost: 100.5 }]);
+    expect(positions.A).toMatchObject({ qty: 5, cost: 100.5 });
+  });
+
+  it("LIFO sells the newest lot first", () => {
+    const { realised, lots } = buildLots(TXS, "lifo");
+    expect(realised[0]).toMatchObject({ cost: 251.5, gain: 196.5 });
+    expect(realised[0].pieces.map(p => [p.lotId, p.qty, p.cost])).toEqual([["b2", 10, 201], ["b1", 5, 50.5]]);
+    expect(lots.A).toMatchObject([{ id: "b1", qty: 5, cost: 50.5 }]);
+  });
+
+  it("average cost takes the same share of every lot", () => {
+    const { realised, positions } = buildLots(TXS, "average");
+    // 15 of 20 shares: three quarters of 302
+    expect(realised[0]).toMatchObject({ cost: 226.5, gain: 221.5 });
+    expect(realised[0].pieces.map(p => [p.lotId, p.qty, p.cost])).toEqual([["b1", 7.5, 75.75], ["b2", 7.5, 150.75]]);
+    expect(positions.A).toMatchObject({ qty: 5, cost: 75.5 });
+  });
+
+  it("tracks cash and fees, and flags shares sold beyond the lots", () => {
+    const { cash, deposits, fees } = buildLots(TXS);
+    expect({ cash, deposits, fees }).toEqual({ cash: 446, deposits: 300, fees: 4 });
+    const over = buildLots(TXS.map(t => (t.id === "s1" ? { ...t, qty: 25 } : t)));
+    expect(over.realised[0]).toMatchObject({ cost: 302, unmatched: 5 });
+    expect(over.lots.A).toEqual([]);
+  });
+});
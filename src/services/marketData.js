@@ -1,17 +1,25 @@
+import { periodReturns } from "./performance";
+import { instrumentKey, mapInstruments } from "./instruments";
+import { convertValue } from "./household";
+
+// Provider symbols and trading currency for the starter assets. Anything else
+// is resolved through /api/market/search and the mapping kept on the asset
+// (`asset.symbols`).
 const DEFAULT_SYMBOL_MAP = {
-  BTC: { coingeckoId: "bitcoin", binanceSymbol: "BTCUSDT", assetClass: "crypto" },
-  ETH: { coingeckoId: "ethereum", binanceSymbol: "ETHUSDT", assetClass: "crypto" },
-  NVDA: { twelveData: "NVDA", finnhub: "NVDA", polygon: "NVDA", assetClass: "equity" },
-  AAPL: { twelveData: "AAPL", finnhub: "AAPL", polygon: "AAPL", assetClass: "equity" },
-  MSFT: { twelveData: "MSFT", finnhub: "MSFT", polygon: "MSFT", assetClass: "equity" },
-  KO: { twelveData: "KO", finnhub: "KO", polygon: "KO", assetClass: "equity" },
-  JNJ: { twelveData: "JNJ", finnhub: "JNJ", polygon: "JNJ", assetClass: "equity" },
-  SPY: { twelveData: "SPY", finnhub: "SPY", polygon: "SPY", assetClass: "equity" },
-  VWCE: { twelveData: "VWCE.DE", finnhub: "VWCE.DE", polygon: "VWCE", assetClass: "equity" },
-  VHYL: { twelveData: "VHYL.LON", finnhub: "VHYL.L", polygon: "VHYL", assetClass: "equity" },
+  BTC: { coingeckoId: "bitcoin", binanceSymbol: "BTCUSDT", assetClass: "crypto", currency: "USD" },
+  ETH: { coingeckoId: "ethereum", binanceSymbol: "ETHUSDT", assetClass: "crypto", currency: "USD" },
+  NVDA: { twelveData: "NVDA", finnhub: "NVDA", polygon: "NVDA", assetClass: "equity", currency: "USD" },
+  AAPL: { twelveData: "AAPL", finnhub: "AAPL", polygon: "AAPL", assetClass: "equity", currency: "USD" },
+  MSFT: { twelveData: "MSFT", finnhub: "MSFT", polygon: "MSFT", assetClass: "equity", currency: "USD" },
+  KO: { twelveData: "KO", finnhub: "KO", polygon: "KO", assetClass: "equity", currency: "USD" },
+  JNJ: { twelveData: "JNJ", finnhub: "JNJ", polygon: "JNJ", assetClass: "equity", currency: "USD" },
+  SPY: { twelveData: "SPY", finnhub: "SPY", polygon: "SPY", assetClass: "equity", currency: "USD" },
+  VWCE: { twelveData: "VWCE.DE", finnhub: "VWCE.DE", assetClass: "equity", currency: "EUR" },
+  VHYL: { twelveData: "VHYL.LON", finnhub: "VHYL.L", assetClass: "equity", currency: "GBP" },
 };
 
-const FX_SYMBOLS = ["USD", "EUR", "GBP", "CHF"];
+// Display currencies plus the trading currencies of the listings we map
+const FX_SYMBOLS = ["USD", "EUR", "GBP", "CHF", "SEK", "DKK", "NOK", "CAD", "AUD", "HKD", "JPY"];
 
 function safeParseJson(text) {
   try { return JSON.parse(text); } catch { return null; }
@@ -25,14 +33,60 @@ export function getSymbolMapForTicker(ticker) {
   return DEFAULT_SYMBOL_MAP[sanitizeTicker(ticker)] || {};
 }
 
-export async function fetchLiveQuotes(assets) {
-  const payload = {
-    assets: assets.map(a => ({
-      ticker: sanitizeTicker(a.ticker),
-      cat: a.cat,
-      map: getSymbolMapForTicker(a.ticker),
-    })),
+// An asset's stored mapping wins over the starter list
+export function symbolsFor(asset) {
+  return asset.symbols || getSymbolMapForTicker(asset.ticker);
+}
+
+export function hasSymbols(asset) {
+  return Object.keys(symbolsFor(asset)).some(k => k !== "assetClass" && k !== "currency");
+}
+
+// Resolve a ticker, name, ISIN or WKN to listings with per-provider symbols
+export async function searchSymbols(query) {
+  const q = new URLSearchParams({ q: String(query || "").trim() }).toString();
+  const res = await fetch(`/api/market/search?${q}`);
+  const data = safeParseJson(await res.text());
+  if (!res.ok || !data?.ok) throw new Error(data?.error || `Symbol search error (${res.status})`);
+  return data.results || [];
+}
+
+// Mappings for assets that have none yet. An asset with an ISIN gets its own
+// listing's symbols; otherwise the listing whose ticker matches exactly,
+// preferring the asset's own class. Assets without a clear match are left for
+// the user to pick from the search.
+export async function autoMapSymbols(assets, transport) {
+  const out = {};
+  const unmapped = assets.filter(a => !hasSymbols(a));
+  const withId = unmapped.filter(a => a.identity?.isin);
+  const listings = await mapInstruments(withId.map(a => ({ isin: a.identity.isin, mic: a.identity.mic, currency: a.identity.currency })), transport);
+  withId.forEach((a, i) => { if (listings[i]?.symbols) out[a.ticker] = listings[i].symbols; });
+  for (const asset of unmapped.filter(a => !a.identity?.isin)) {
+    const ticker = sanitizeTicker(asset.ticker);
+    const results = await searchSymbols(ticker).catch(() => []);
+    const exact = results.filter(r => sanitizeTicker(r.ticker) === ticker);
+    const crypto = (asset.kind || asset.cat) === "Crypto";
+    const pick = exact.find(r => (r.assetClass === "crypto") === crypto) || (exact.length === 1 ? exact[0] : null);
+    if (pick) out[asset.ticker] = pick.map;
+  }
+  return out;
+}
+
+// What the quote and history proxies need to know about an asset. The
+// listing's currency is the fallback for providers that don't report one.
+function requestAsset(a) {
+  const map = symbolsFor(a);
+  return {
+    ticker: sanitizeTicker(a.ticker),
+    key: instrumentKey(a),
+    currency: a.identity?.currency || map.currency || null,
+    cat: a.kind || a.cat,
+    map,
   };
+}
+
+export async function fetchLiveQuotes(assets) {
+  const payload = { assets: assets.map(requestAsset) };
 
   const res = await fetch("/api/market/quotes", {
     method: "POST",
@@ -56,38 +110,104 @@ export async function fetchFxRates(base = "USD") {
   return data;
 }
 
-export function buildLiveModel({ assets, quotesData, fxData, currency, baselineTotal }) {
+// Chart ranges for price history, in calendar days back from today
+export const HISTORY_RANGES = {
+  "1M": { label: "1M", days: 31 },
+  "6M": { label: "6M", days: 183 },
+  "1Y": { label: "1Y", days: 366 },
+  "5Y": { label: "5Y", days: 1827 },
+};
+
+export function historyWindow(range, now = new Date()) {
+  const days = HISTORY_RANGES[range]?.days ?? HISTORY_RANGES["1M"].days;
+  const day = d => d.toISOString().slice(0, 10);
+  return { from: day(new Date(now.getTime() - days * 86400000)), to: day(now) };
+}
+
+// Daily OHLC bars per asset for one of HISTORY_RANGES or an explicit
+// { from, to } window, keyed by instrument like quotes. Each series names
+// its currency, as quotes do.
+export async function fetchPriceHistory(assets, range = "1M") {
+  const res = await fetch("/api/market/history", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ assets: assets.map(requestAsset), ...(typeof range === "string" ? historyWindow(range) : range) }),
+  });
+  const data = safeParseJson(await res.text());
+  if (!res.ok || !data?.ok) throw new Error(data?.error || `History API error (${res.status})`);
+  return data;
+}
+
+export function historyFor(historyData, asset) {
+  return historyData?.series?.[instrumentKey(asset)] || null;
+}
+
+// Quotes are keyed by instrument, so two listings of one ticker don't collide
+export function quoteFor(quotes, asset) {
+  return quotes?.[instrumentKey(asset)] || null;
+}
+
+// Quotes arrive in their listing's currency. Null when that currency is
+// unknown or has no rate — a wrong price is worse than a stale one.
+export function quotePriceIn(quote, fxData, currency) {
+  if (!quote?.price || !quote.currency) return null;
+  return convertValue(quote.price, quote.currency, currency, fxData?.rates || { USD: 1 });
+}
+
+// Assets holding a share count are valued at quantity × live price; value-only
+// assets (quantity null) keep their entered value.
+export function revalueHoldings(assets, quotesData, fxData, currency) {
+  const quotes = quotesData?.quotes || {};
+  return assets.map(asset => {
+    if (asset.quantity == null) return asset;
+    const price = quotePriceIn(quoteFor(quotes, asset), fxData, currency);
+    if (!price) return asset;
+    return { ...asset, lastPrice: price, current: Math.round(asset.quantity * price * 100) / 100 };
+  });
+}
+
+// Returns come from the valuation history rather than a frozen baseline, so
+// contributions never count as performance: TWR chain-links the lock-in and
+// live snapshots, MWR (XIRR) weighs each contribution by when it went in.
+export function buildLiveModel({ assets, quotesData, fxData, currency, history = [], txs = [], priceSnapshots = [], period = "all", now = new Date() }) {
   const quotes = quotesData?.quotes || {};
-  const rates = fxData?.rates || { USD: 1 };
-  const usdToCurrency = rates[currency] || 1;
 
   const rows = assets.map(asset => {
-    const quote = quotes[asset.ticker] || null;
+    const quote = quoteFor(quotes, asset);
     const dayChangePct = quote?.dayChangePct || 0;
-    const liveValue = asset.current * (1 + dayChangePct / 100);
-    const dailyPnl = liveValue - asset.current;
-    const livePriceInCurrency = quote?.priceUsd ? quote.priceUsd * usdToCurrency : null;
+    const livePriceInCurrency = quotePriceIn(quote, fxData, currency);
+    const held = asset.quantity != null && livePriceInCurrency != null;
+    // Share counts give the real value; otherwise approximate from the day move
+    const liveValue = held ? asset.quantity * livePriceInCurrency : asset.current * (1 + dayChangePct / 100);
+    const baseValue = held ? liveValue / (1 + dayChangePct / 100) : asset.current;
+    const dailyPnl = liveValue - baseValue;
     return {
       ticker: asset.ticker,
       name: asset.name,
       cat: asset.cat,
       source: quote?.source || "none",
       dayChangePct,
-      baseValue: asset.current,
+      baseValue,
       liveValue,
       dailyPnl,
       quotePrice: livePriceInCurrency,
+      quantity: asset.quantity ?? null,
+      costBasis: asset.costBasis ?? null,
+      unrealised: asset.costBasis != null ? liveValue - asset.costBasis : null,
     };
   });
 
-  const totalBase = assets.reduce((sum, a) => sum + a.current, 0);
+  const totalBase = rows.reduce((sum, r) => sum + r.baseValue, 0);
   const totalLive = rows.reduce((sum, r) => sum + r.liveValue, 0);
+  const costRows = rows.filter(r => r.costBasis != null);
+  const costBasis = costRows.reduce((sum, r) => sum + r.costBasis, 0);
+  const unrealised = costRows.reduce((sum, r) => sum + r.unrealised, 0);
   const dailyPnl = totalLive - totalBase;
   const dailyPnlPct = totalBase > 0 ? (dailyPnl / totalBase) * 100 : 0;
 
-  const baseline = Number.isFinite(baselineTotal) && baselineTotal > 0 ? baselineTotal : totalBase;
-  const totalReturn = totalLive - baseline;
-  const totalReturnPct = baseline > 0 ? (totalReturn / baseline) * 100 : 0;
+  const returns = periodReturns({ history, priceSnapshots, txs, now, nowValue: totalLive, period });
+  const totalReturn = returns?.gain ?? 0;
+  const totalReturnPct = returns?.twr != null ? returns.twr * 100 : 0;
 
   const contributions = rows
     .map(r => ({
@@ -106,6 +226,11 @@ export function buildLiveModel({ assets, quotesData, fxData, currency, baselineT
     dailyPnlPct,
     totalReturn,
     totalReturnPct,
+    returns,
+    costBasis,
+    unrealised,
+    unrealisedPct: costBasis > 0 ? (unrealised / costBasis) * 100 : 0,
+    hasCostBasis: costRows.length > 0,
     contributions,
     fetchedAt: quotesData?.fetchedAt || new Date().toISOString(),
     unresolved: quotesData?.unresolved || [],
@@ -0,0 +1,54 @@
+// OpenFIGI v3 mapping answers for the starter assets, keyed by identifier.
+// Stands in for the live API offline and in tests (VITE_OPENFIGI_FIXTURE=1).
+// Rows keep only the fields the mapper reads, plus each listing's trading
+// currency so currency filters can be applied.
+
+const etp = (ticker, exchCode, name, currency) => ({ ticker, exchCode, name, marketSector: "Equity", securityType: "ETP", securityType2: "Mutual Fund", currency });
+const stock = (ticker, exchCode, name, currency) => ({ ticker, exchCode, name, marketSector: "Equity", securityType: "Common Stock", securityType2: "Common Stock", currency });
+
+const VWCE = [
+  etp("VWCE", "GY", "VANGUARD FTSE ALL-WORLD UCITS", "EUR"),
+  etp("VWCE", "IM", "VANGUARD FTSE ALL-WORLD UCITS", "EUR"),
+  etp("VWRP", "LN", "VANGUARD FTSE ALL-WORLD UCITS", "GBP"),
+];
+const AAPL = [
+  stock("AAPL", "US", "APPLE INC", "USD"),
+  stock("AAPL", "UW", "APPLE INC", "USD"),
+  stock("APC",  "GY", "APPLE INC", "EUR"),
+];
+
+export const OPENFIGI_FIXTURE = {
+  IE00BK5BQT80: VWCE,
+  A2PKXG: VWCE,
+  IE00B8GKDB10: [
+    etp("VHYL", "LN", "VANGUARD FTSE ALL-WORLD HIGH", "GBP"),
+    etp("VGWL", "GY", "VANGUARD FTSE ALL-WORLD HIGH", "EUR"),
+    etp("VHYL", "NA", "VANGUARD FTSE ALL-WORLD HIGH", "EUR"),
+  ],
+  US78462F1030: [
+    etp("SPY", "US", "SPDR S&P 500 ETF TRUST", "USD"),
+    etp("SPY", "UP", "SPDR S&P 500 ETF TRUST", "USD"),
+  ],
+  US0378331005: AAPL,
+  "865985": AAPL,
+  US67066G1040: [
+    stock("NVDA", "US", "NVIDIA CORP", "USD"),
+    stock("NVDA", "UW", "NVIDIA CORP", "USD"),
+    stock("NVD",  "GY", "NVIDIA CORP", "EUR"),
+  ],
+  US5949181045: [
+    stock("MSFT", "US", "MICROSOFT CORP", "USD"),
+    stock("MSFT", "UW", "MICROSOFT CORP", "USD"),
+    stock("MSF",  "GY", "MICROSOFT CORP", "EUR"),
+  ],
+  US1912161007: [
+    stock("KO",   "US", "COCA-COLA CO/THE", "USD"),
+    stock("KO",   "UN", "COCA-COLA CO/THE", "USD"),
+    stock("CCC3", "GY", "COCA-COLA CO/THE", "EUR"),
+  ],
+  US4781601046: [
+    stock("JNJ", "US", "JOHNSON & JOHNSON", "USD"),
+    stock("JNJ", "UN", "JOHNSON & JOHNSON", "USD"),
+    stock("JNJ", "GY", "JOHNSON & JOHNSON", "EUR"),
+  ],
+};
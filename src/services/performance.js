@@ -0,0 +1,156 @@
+// Time-weighted and money-weighted returns from history, ledger and live values
+
+const DAY_MS = 86_400_000;
+
+export const RETURN_PERIODS = {
+  "1m":  { label: "1M"  },
+  "3m":  { label: "3M"  },
+  "ytd": { label: "YTD" },
+  "1y":  { label: "1Y"  },
+  "all": { label: "All" },
+};
+
+export function periodStart(period, now = new Date()) {
+  const d = new Date(now);
+  if (period === "1m")  { d.setMonth(d.getMonth() - 1); return d; }
+  if (period === "3m")  { d.setMonth(d.getMonth() - 3); return d; }
+  if (period === "1y")  { d.setFullYear(d.getFullYear() - 1); return d; }
+  if (period === "ytd") return new Date(now.getFullYear(), 0, 1);
+  return new Date(0);
+}
+
+// ─── INPUTS ───────────────────────────────────────────────────
+// Valuations are portfolio values at a moment, taken *before* any flow at that
+// same moment: lock-in snapshots store the pre-buy total, live snapshots have
+// no flows at all. Flows are money moved into (+) or out of (−) the holdings:
+// buys and transfers in, sells, transfers out and paid-out dividends.
+export function valuationPoints({ history = [], priceSnapshots = [], now, nowValue }) {
+  const points = [];
+  const seen = new Set();
+  for (const h of history) {
+    // A catch-up writes several snapshots at once; only the first is pre-buy
+    if (!h.completedAt || seen.has(h.completedAt)) continue;
+    seen.add(h.completedAt);
+    points.push({ t: new Date(h.completedAt).getTime(), value: h.total });
+  }
+  for (const s of priceSnapshots) points.push({ t: new Date(s.capturedAt).getTime(), value: s.totalValue });
+  if (Number.isFinite(nowValue)) points.push({ t: now.getTime(), value: nowValue });
+  return points.filter(p => Number.isFinite(p.t) && p.value >= 0).sort((a, b) => a.t - b.t);
+}
+
+export function externalFlows({ txs = [], history = [] }) {
+  const flows = [];
+  // Lock-in records share their snapshot's timestamp so they land right
+  // after its pre-buy value; hand-entered records use their trade date.
+  const lockTimes = new Set(history.map(h => h.completedAt));
+  const ledgerMonths = new Set();
+  for (const tx of txs) {
+    const t = lockTimes.has(tx.recordedAt) ? new Date(tx.recordedAt).getTime() : new Date(`${tx.date}T12:00:00`).getTime();
+    if (tx.type === "buy")      flows.push({ t, amount: tx.amount });
+    if (tx.type === "sell")     flows.push({ t, amount: -tx.amount });
+    if (tx.type === "dividend") flows.push({ t, amount: -tx.amount });
+    if (tx.type === "transfer") flows.push({ t, amount: tx.direction === "out" ? -tx.amount : tx.amount });
+    if (tx.type === "buy" && lockTimes.has(tx.recordedAt)) ledgerMonths.add(tx.recordedAt);
+  }
+  // Lock-ins from before the ledger existed only have their snapshot's buys
+  for (const h of history) {
+    if (!h.completedAt || ledgerMonths.has(h.completedAt) || !h.buys?.length) continue;
+    flows.push({ t: new Date(h.completedAt).getTime(), amount: h.buys.reduce((s, b) => s + b.buy, 0) });
+  }
+  return flows.filter(f => Number.isFinite(f.t) && f.amount !== 0).sort((a, b) => a.t - b.t);
+}
+
+// Opening value for a period starting at `from`: the last valuation before it
+// plus whatever flowed in between. Growth in that gap isn't known, so the
+// period starts as if it were flat.
+function openingPoint(points, flows, from) {
+  const before = points.filter(p => p.t <= from).pop();
+  if (!before) return null;
+  const gap = flows.filter(f => f.t >= before.t && f.t < from).reduce((s, f) => s + f.amount, 0);
+  return { t: from, value: before.t === from ? before.value : before.value + gap };
+}
+
+// ─── TWR ──────────────────────────────────────────────────────
+// Chain-linked across valuation points. Each sub-period is a Modified Dietz
+// return, which is exact when flows coincide with valuations (lock-ins) and
+// weights any flow in between by the time it was invested.
+export function timeWeightedReturn(points, flows, from, to) {
+  const open  = openingPoint(points, flows, from);
+  const chain = [open, ...points.filter(p => p.t > from && p.t <= to)].filter(Boolean);
+  if (chain.length < 2) return null;
+  let growth = 1;
+  for (let i = 1; i < chain.length; i++) {
+    const a = chain[i - 1], b = chain[i];
+    const span = b.t - a.t;
+    let net = 0, weighted = 0;
+    for (const f of flows) {
+      // Flows at the start point count fully; at the end point they belong
+      // to the next sub-period
+      if (f.t < a.t || f.t >= b.t) continue;
+      net += f.amount;
+      weighted += f.amount * (span > 0 ? (b.t - f.t) / span : 1);
+    }
+    const base = a.value + weighted;
+    if (base <= 0) continue;
+    growth *= 1 + (b.value - a.value - net) / base;
+  }
+  return growth - 1;
+}
+
+// ─── MWR (XIRR) ───────────────────────────────────────────────
+// Investor cash flows: money in is negative, money out and the closing value
+// positive. Newton's method from a 10% guess with bisection as the fallback.
+export function xirr(cashflows) {
+  if (cashflows.length < 2) return null;
+  const t0 = cashflows[0].t;
+  const yrs = cashflows.map(c => (c.t - t0) / (365 * DAY_MS));
+  const npv  = r => cashflows.reduce((s, c, i) => s + c.amount / (1 + r) ** yrs[i], 0);
+  const dnpv = r => cashflows.reduce((s, c, i) => s - yrs[i] * c.amount / (1 + r) ** (yrs[i] + 1), 0);
+  let r = 0.1;
+  for (let k = 0; k < 50; k++) {
+    const f = npv(r), d = dnpv(r);
+    if (!Number.isFinite(f) || !Number.isFinite(d) || d === 0) break;
+    const next = r - f / d;
+    if (Math.abs(next - r) < 1e-9) return next;
+    r = next;
+    if (r <= -0.9999) break;
+  }
+  let lo = -0.9999, hi = 10;
+  if (npv(lo) * npv(hi) > 0) return null;
+  for (let k = 0; k < 200; k++) {
+    const mid = (lo + hi) / 2;
+    if (npv(lo) * npv(mid) <= 0) hi = mid; else lo = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ─── PERIOD SUMMARY ───────────────────────────────────────────
+// TWR shows how the holdings performed; MWR what the investor earned given
+// the timing of their contributions. MWR is annualised only once the period
+// covers a year — shorter periods report the plain period return.
+export function periodReturns({ history, priceSnapshots, txs, now = new Date(), nowValue, period = "all" }) {
+  const points = valuationPoints({ history, priceSnapshots, now, nowValue });
+  const flows  = externalFlows({ txs, history });
+  if (points.length < 2) return null;
+  const to    = now.getTime();
+  const from  = Math.max(periodStart(period, now).getTime(), points[0].t);
+  const start = openingPoint(points, flows, from);
+  const inFlows = flows.filter(f => f.t >= from && f.t < to);
+  const netFlows = inFlows.reduce((s, f) => s + f.amount, 0);
+  const gain = nowValue - start.value - netFlows;
+
+  const twr = timeWeightedReturn(points, flows, from, to);
+  const days = (to - from) / DAY_MS;
+  const annual = xirr([
+    { t: from, amount: -start.value },
+    ...inFlows.map(f => ({ t: f.t, amount: -f.amount })),
+    { t: to, amount: nowValue },
+  ].filter(c => c.amount !== 0 || c.t === to));
+  const mwr = annual == null ? null : days >= 365 ? annual : (1 + annual) ** (days / 365) - 1;
+
+  return {
+    period, from: new Date(from), days,
+    startValue: start.value, endValue: nowValue, netFlows, gain,
+    twr, mwr, mwrAnnualised: days >= 365,
+  };
+}
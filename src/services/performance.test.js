@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import { timeWeightedReturn, xirr } from "./performance";
+
+const DAY = 86_400_000;
+const T0 = Date.UTC(2024, 0, 1);
+
+describe("xirr", () => {
+  it("finds the rate that prices the flows to zero", () => {
+    expect(xirr([{ t: T0, amount: -1000 }, { t: T0 + 365 * DAY, amount: 1100 }])).toBeCloseTo(0.1, 8);
+    // 1000 · 1.1² + 1000 · 1.1 = 2310
+    expect(xirr([
+      { t: T0, amount: -1000 },
+      { t: T0 + 365 * DAY, amount: -1000 },
+      { t: T0 + 730 * DAY, amount: 2310 },
+    ])).toBeCloseTo(0.1, 8);
+  });
+
+  it("needs at least two flows", () => {
+    expect(xirr([{ t: T0, amount: -1000 }])).toBeNull();
+  });
+});
+
+describe("timeWeightedReturn", () => {
+  it("chains sub-periods and leaves flows out of the return", () => {
+    // 1000 → 1100, then 500 paid in at that valuation and 1600 → 1800
+    const points = [{ t: T0, value: 1000 }, { t: T0 + 10 * DAY, value: 1100 }, { t: T0 + 20 * DAY, value: 1800 }];
+    const flows = [{ t: T0 + 10 * DAY, amount: 500 }];
+    expect(timeWeightedReturn(points, flows, T0, T0 + 20 * DAY)).toBeCloseTo(1.1 * 1.125 - 1, 10);
+  });
+
+  it("weights a flow between valuations by the time it was invested", () => {
+    // 200 paid in halfway: Modified Dietz gain 50 over 1000 + 100
+    const points = [{ t: T0, value: 1000 }, { t: T0 + 10 * DAY, value: 1250 }];
+    const flows = [{ t: T0 + 5 * DAY, amount: 200 }];
+    expect(timeWeightedReturn(points, flows, T0, T0 + 10 * DAY)).toBeCloseTo(50 / 1100, 10);
+  });
+
+  it("opens a period flat from the last valuation, or at the first one", () => {
+    const points = [{ t: T0, value: 1000 }, { t: T0 + 10 * DAY, value: 1100 }];
+    expect(timeWeightedReturn(points, [], T0 + 5 * DAY, T0 + 10 * DAY)).toBeCloseTo(0.1, 10);
+    expect(timeWeightedReturn(points, [], T0 - DAY, T0 + 10 * DAY)).toBeCloseTo(0.1, 10);
+    expect(timeWeightedReturn(points, [], T0 + 10 * DAY, T0 + 20 * DAY)).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+// Month-end closes for the starter assets, Dec 2019 – Dec 2025, for offline
+// backtests (and VITE_PRICE_FIXTURE=1). Figures are rounded approximations in
+// each listing's own currency, split-adjusted — good enough to exercise the
+// engine, not a source for investment decisions.
+
+export const PRICE_FIXTURE_START = "2019-12";
+
+export const PRICE_FIXTURE = {
+  SPY: [
+    322,
+    321, 296, 258, 290, 304, 308, 326, 349, 334, 327, 362, 374,
+    370, 381, 396, 417, 420, 428, 438, 452, 429, 459, 455, 475,
+    449, 436, 452, 412, 412, 377, 411, 395, 358, 386, 407, 382,
+    407, 397, 409, 415, 418, 444, 458, 451, 428, 418, 457, 476,
+    482, 508, 523, 501, 527, 545, 550, 564, 573, 568, 602, 586,
+    602, 594, 560, 554, 589, 617, 632, 645, 666, 682, 683, 682,
+  ],
+  AAPL: [
+    73,
+    77, 68, 64, 73, 80, 91, 106, 129, 116, 109, 119, 133,
+    132, 121, 122, 131, 125, 137, 146, 152, 141, 150, 165, 178,
+    175, 165, 175, 158, 149, 137, 163, 157, 138, 153, 148, 130,
+    144, 147, 165, 170, 177, 194, 196, 188, 171, 171, 190, 192,
+    184, 181, 171, 170, 192, 211, 222, 229, 233, 226, 237, 250,
+    236, 241, 222, 212, 201, 205, 208, 232, 255, 270, 279, 272,
+  ],
+  MSFT: [
+    158,
+    170, 162, 158, 179, 183, 204, 205, 225, 210, 202, 214, 222,
+    232, 233, 236, 252, 250, 271, 285, 302, 282, 332, 330, 336,
+    311, 298, 308, 289, 272, 257, 281, 262, 233, 232, 255, 240,
+    248, 250, 288, 307, 328, 341, 336, 328, 316, 338, 379, 376,
+    398, 413, 421, 389, 415, 447, 418, 417, 430, 406, 423, 421,
+    415, 397, 375, 395, 460, 497, 533, 506, 518, 517, 492, 485,
+  ],
+  NVDA: [
+    5.9,
+    5.9, 6.7, 6.6, 7.3, 8.9, 9.5, 10.6, 13.4, 13.5, 12.5, 13.4, 13.1,
+    13.0, 13.7, 13.3, 15.0, 16.2, 20.0, 19.5, 22.3, 20.7, 25.6, 32.7, 29.4,
+    24.5, 24.4, 27.3, 18.5, 18.7, 15.2, 18.2, 15.1, 12.1, 13.5, 16.9, 14.6,
+    19.5, 23.2, 27.8, 27.7, 37.8, 42.3, 46.7, 49.3, 43.5, 40.8, 46.8, 49.5,
+    61.5, 79.1, 90.4, 86.4, 109.6, 123.5, 117.0, 119.4, 121.4, 132.8, 138.3, 134.3,
+    120.1, 124.9, 108.4, 108.9, 135.1, 158.0, 177.9, 174.2, 186.6, 202.5, 177.0, 186.5,
+  ],
+  KO: [
+    55,
+    58, 53, 44, 46, 47, 45, 47, 50, 49, 48, 54, 55,
+    48, 50, 53, 54, 55, 54, 57, 56, 52, 56, 56, 59,
+    61, 62, 62, 65, 63, 63, 64, 62, 56, 60, 64, 64,
+    61, 60, 62, 64, 60, 60, 62, 60, 56, 56, 58, 59,
+    60, 60, 61, 62, 63, 64, 67, 72, 72, 65, 64, 62,
+    63, 71, 72, 73, 72, 71, 68, 69, 66, 69, 72, 70,
+  ],
+  JNJ: [
+    146,
+    149, 134, 131, 150, 149, 141, 146, 153, 149, 137, 145, 157,
+    163, 158, 164, 160, 169, 165, 172, 173, 162, 163, 156, 171,
+    172, 164, 177, 180, 180, 178, 175, 161, 163, 174, 178, 177,
+    163, 153, 155, 164, 155, 166, 168, 162, 156, 148, 155, 157,
+    159, 161, 158, 145, 147, 146, 158, 166, 162, 160, 155, 145,
+    152, 165, 166, 156, 155, 153, 165, 177, 185, 189, 207, 207,
+  ],
+  VWCE: [
+    83,
+    83, 77, 67, 74, 77, 79, 79, 83, 82, 80, 87, 89,
+    89, 91, 95, 97, 97, 101, 102, 105, 103, 107, 107, 110,
+    105, 103, 106, 103, 101, 95, 102, 100, 95, 98, 99, 94,
+    98, 99, 99, 99, 101, 103, 105, 104, 102, 99, 104, 108,
+    110, 115, 119, 117, 119, 123, 123, 124, 126, 127, 134, 134,
+    137, 135, 124, 120, 127, 128, 132, 134, 139, 143, 143, 145,
+  ],
+  VHYL: [
+    48,
+    49, 45, 38, 40, 41, 41, 40, 41, 40, 38, 43, 44,
+    44, 45, 48, 49, 50, 50, 51, 52, 51, 52, 52, 54,
+    55, 54, 56, 56, 56, 54, 56, 56, 54, 55, 57, 56,
+    57, 58, 57, 57, 56, 56, 57, 57, 56, 55, 57, 58,
+    58, 58, 60, 60, 61, 61, 62, 62, 62, 62, 64, 62,
+    64, 66, 64, 63, 65, 66, 68, 68, 70, 71, 71, 72,
+  ],
+  BTC: [
+    7200,
+    9350, 8600, 6400, 8650, 9450, 9140, 11350, 11650, 10780, 13800, 19700, 29000,
+    33100, 45200, 58900, 57700, 37300, 35000, 41500, 47100, 43800, 61300, 57000, 46300,
+    38500, 43200, 45500, 37700, 31800, 19900, 23300, 20050, 19400, 20500, 17200, 16550,
+    23100, 23150, 28500, 29250, 27200, 30500, 29250, 25950, 26950, 34650, 37700, 42300,
+    42600, 61200, 71300, 60600, 67500, 62700, 64600, 59000, 63300, 70200, 96400, 93400,
+    102400, 84400, 82500, 94200, 104600, 107100, 115800, 108200, 114000, 109500, 90400, 87500,
+  ],
+  ETH: [
+    130,
+    180, 218, 134, 207, 231, 226, 346, 435, 360, 386, 615, 737,
+    1314, 1419, 1919, 2774, 2707, 2275, 2537, 3433, 3001, 4288, 4631, 3683,
+    2688, 2922, 3283, 2729, 1942, 1067, 1679, 1554, 1328, 1572, 1296, 1196,
+    1585, 1606, 1822, 1870, 1874, 1934, 1857, 1646, 1671, 1815, 2052, 2282,
+    2283, 3340, 3647, 3014, 3764, 3433, 3232, 2513, 2603, 2518, 3705, 3332,
+    3300, 2237, 1822, 1794, 2528, 2486, 3700, 4390, 4145, 3850, 3000, 2970,
+  ],
+};
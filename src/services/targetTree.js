@@ -0,0 +1,87 @@
+// Nested targets — category → sub-category → asset — over the flat per-asset targets
+
+import { roundMoney } from "./allocationEngine";
+
+// Every asset still carries its own `target` as a share of the whole
+// portfolio; a group's target is the sum of its assets'. Editing a group
+// rescales its assets, so the flat targets the engine reads always agree with
+// the tree.
+const UNASSIGNED = "Unassigned";
+
+function node(level, id, label, assets, total, children = []) {
+  const current = assets.reduce((s, a) => s + a.current, 0);
+  const target  = assets.reduce((s, a) => s + a.target, 0);
+  const pct     = total > 0 ? (current / total) * 100 : 0;
+  return { level, id, label, current: roundMoney(current), target, pct, drift: pct - target, tickers: assets.map(a => a.ticker), children };
+}
+
+// Shares of the parent, for reading a level on its own: "US is 60% of Equity"
+function withShares(nodes, parent) {
+  for (const n of nodes) {
+    n.share       = parent.target > 0 ? (n.target / parent.target) * 100 : 0;
+    n.actualShare = parent.current > 0 ? (n.current / parent.current) * 100 : 0;
+    withShares(n.children, n);
+  }
+  return nodes;
+}
+
+// Categories in `order` first (the app's category list), then any others.
+// A category only gets a sub-category level once one of its assets has a
+// sub-category; assets without one sit under "Unassigned".
+export function buildTargetTree(assets, total, order = []) {
+  const cats = [...new Set([...order.filter(c => assets.some(a => a.cat === c)), ...assets.map(a => a.cat)])];
+  const tree = cats.map(cat => {
+    const inCat = assets.filter(a => a.cat === cat);
+    const leaves = list => list.map(a => ({ ...node("asset", `asset:${a.ticker}`, a.ticker, [a], total), sub: a.sub || "" }));
+    if (!inCat.some(a => a.sub)) return node("cat", `cat:${cat}`, cat, inCat, total, leaves(inCat));
+    const subs = [...new Set(inCat.map(a => a.sub || ""))].sort((a, b) => (a === "") - (b === "") || a.localeCompare(b));
+    return node("cat", `cat:${cat}`, cat, inCat, total, subs.map(sub => {
+      const inSub = inCat.filter(a => (a.sub || "") === sub);
+      return node("sub", `sub:${cat}/${sub}`, sub || UNASSIGNED, inSub, total, leaves(inSub));
+    }));
+  });
+  const root = { target: assets.reduce((s, a) => s + a.target, 0), current: total };
+  return withShares(tree, root);
+}
+
+export function flattenTree(tree) {
+  return tree.flatMap(n => [n, ...flattenTree(n.children)]);
+}
+
+function findPath(tree, id, path = []) {
+  for (const n of tree) {
+    if (n.id === id) return [...path, n];
+    const hit = findPath(n.children, id, [...path, n]);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// Set a node's target as a share of its parent (or of the portfolio for a
+// category). Its assets keep their relative weights — or split evenly when
+// they have none — and, below the category level, its siblings are rescaled
+// to fill the rest so the parent's own target doesn't move. Categories are
+// left to the usual normalise step, as before.
+export function setNodeShare(assets, id, share) {
+  const tree = buildTargetTree(assets, assets.reduce((s, a) => s + a.current, 0));
+  const path = findPath(tree, id);
+  if (!path) return assets;
+  const self   = path[path.length - 1];
+  const parent = path[path.length - 2];
+  const base   = parent ? parent.target : 100;
+  const pct    = Math.max(0, Math.min(100, share));
+  const goal   = new Map();
+  const scale  = (n, to) => {
+    const list = assets.filter(a => n.tickers.includes(a.ticker));
+    const sum  = list.reduce((s, a) => s + a.target, 0);
+    for (const a of list) goal.set(a.ticker, sum > 0 ? (a.target / sum) * to : to / list.length);
+  };
+  scale(self, (pct / 100) * base);
+  if (parent) {
+    const rest    = parent.children.filter(c => c !== self);
+    const restSum = rest.reduce((s, c) => s + c.target, 0);
+    const left    = Math.max(0, base - (pct / 100) * base);
+    for (const c of rest) scale(c, restSum > 0 ? (c.target / restSum) * left : left / rest.length);
+  }
+  return assets.map(a => goal.has(a.ticker) ? { ...a, target: Math.round(goal.get(a.ticker) * 100) / 100 } : a);
+}
@@ -0,0 +1,166 @@
+// Realised / unrealised gains and yearly tax reports per jurisdiction
+
+import { roundMoney } from "./allocationEngine";
+import { buildLots } from "./ledger";
+
+// Profiles are indicative, not tax advice. Each sets the lot method the
+// authority expects, the tax-year boundary, the yearly allowances and which
+// income buckets they cover, and — where crypto is treated as a private
+// disposal — the holding period after which gains are exempt.
+export const TAX_PROFILES = {
+  DE: {
+    label: "Germany",
+    lotMethod: "fifo",
+    yearStart: "01-01",
+    allowances: [{ label: "Sparerpauschbetrag", amount: 1000, covers: ["gains", "dividends"] }],
+    // §23 EStG: crypto held over a year is tax-free; shorter-term gains are
+    // taxed separately, and only once they reach the Freigrenze
+    crypto: { exemptDays: 365, separate: true, threshold: 1000 },
+  },
+  GR: {
+    label: "Greece",
+    lotMethod: "fifo",
+    yearStart: "01-01",
+    allowances: [],
+    crypto: null,
+  },
+  UK: {
+    label: "United Kingdom",
+    lotMethod: "average", // Section 104 pooling
+    yearStart: "04-06",
+    allowances: [
+      { label: "CGT annual exempt amount", amount: 3000, covers: ["gains"] },
+      { label: "Dividend allowance",       amount: 500,  covers: ["dividends"] },
+    ],
+    crypto: null,
+  },
+};
+
+// ─── TAX YEARS ────────────────────────────────────────────────
+// Tax years are named by the calendar year they start in; UK years read as
+// "2025/26".
+export function taxYearOf(date, profile) {
+  const y = Number(date.slice(0, 4));
+  return date.slice(5) >= profile.yearStart ? y : y - 1;
+}
+
+export function taxYearLabel(year, profile) {
+  return profile.yearStart === "01-01" ? String(year) : `${year}/${String((year + 1) % 100).padStart(2, "0")}`;
+}
+
+export function taxYearRange(year, profile) {
+  const start = `${year}-${profile.yearStart}`;
+  const end   = `${year + 1}-${profile.yearStart}`;
+  return { start, end }; // end is exclusive
+}
+
+export function taxYearsIn(txs, profile) {
+  const years = new Set(txs.map(t => taxYearOf(t.date, profile)));
+  return [...years].sort((a, b) => b - a);
+}
+
+function daysBetween(a, b) {
+  return Math.round((new Date(`${b}T00:00:00`) - new Date(`${a}T00:00:00`)) / 86_400_000);
+}
+
+// ─── REPORT ───────────────────────────────────────────────────
+// Replays the ledger with the profile's lot method, then splits every
+// disposal in the tax year into taxable and exempt pieces by holding period.
+// Unrealised gains are as of today: the asset's value against its open lots.
+export function buildTaxReport({ txs, assets, profileId, year }) {
+  const profile = TAX_PROFILES[profileId] || TAX_PROFILES.DE;
+  const { start, end } = taxYearRange(year, profile);
+  const book  = buildLots(txs, profile.lotMethod);
+  // Tax treatment follows the built-in class a user-defined category behaves as
+  const catOf = t => { const a = assets.find(x => x.ticker === t); return a?.kind || a?.cat || "Other"; };
+  const inYear = d => d >= start && d < end;
+
+  const rows = {};
+  const row = t => (rows[t] ||= { ticker: t, cat: catOf(t), disposals: 0, proceeds: 0, cost: 0, gain: 0, exempt: 0, cryptoShort: 0, dividends: 0, unrealised: null });
+  const disposals = [];
+
+  for (const r of book.realised) {
+    if (!inYear(r.date)) continue;
+    const isCrypto = catOf(r.ticker) === "Crypto" && !!profile.crypto;
+    const perShare = r.qty > 0 ? r.proceeds / r.qty : 0;
+    let exempt = 0, cryptoShort = 0, taxable = 0;
+    for (const p of r.pieces) {
+      const gain = p.qty * perShare - p.cost;
+      const held = daysBetween(p.acquired, r.date);
+      if (isCrypto && held > profile.crypto.exemptDays) exempt += gain;
+      else if (isCrypto && profile.crypto.separate)    cryptoShort += gain;
+      else taxable += gain;
+    }
+    // Shares sold beyond the recorded lots have no known cost
+    if (r.unmatched > 0) taxable += r.unmatched * perShare;
+    const x = row(r.ticker);
+    x.disposals   += 1;
+    x.proceeds    += r.proceeds;
+    x.cost        += r.cost;
+    x.gain        += taxable;
+    x.exempt      += exempt;
+    x.cryptoShort += cryptoShort;
+    disposals.push({ ...r, taxable: roundMoney(taxable), exempt: roundMoney(exempt), cryptoShort: roundMoney(cryptoShort) });
+  }
+
+  for (const t of txs) {
+    if (t.type === "dividend" && inYear(t.date)) row(t.ticker).dividends += t.amount;
+  }
+
+  for (const a of assets) {
+    const p = book.positions[a.ticker];
+    if (!p || !(p.cost > 0)) continue;
+    // Lots with share counts are valued at the last price; value-only lots
+    // against the asset's whole value
+    const value = a.lastPrice && p.qty > 0 ? p.qty * a.lastPrice : a.current;
+    row(a.ticker).unrealised = value - p.cost;
+  }
+
+  const list = Object.values(rows).map(r => ({
+    ...r,
+    proceeds: roundMoney(r.proceeds), cost: roundMoney(r.cost), gain: roundMoney(r.gain),
+    exempt: roundMoney(r.exempt), cryptoShort: roundMoney(r.cryptoShort),
+    dividends: roundMoney(r.dividends), unrealised: r.unrealised == null ? null : roundMoney(r.unrealised),
+  })).sort((a, b) => a.ticker.localeCompare(b.ticker));
+
+  const sum = k => roundMoney(list.reduce((s, r) => s + (r[k] || 0), 0));
+  const buckets = { gains: Math.max(0, sum("gain")), dividends: sum("dividends") };
+  const allowances = profile.allowances.map(al => {
+    const base    = al.covers.reduce((s, k) => s + buckets[k], 0);
+    const applied = roundMoney(Math.min(al.amount, base));
+    // Take the allowance from gains first, then dividends
+    let left = applied;
+    for (const k of al.covers) {
+      const take = Math.min(left, buckets[k]);
+      buckets[k] = roundMoney(buckets[k] - take);
+      left -= take;
+    }
+    return { label: al.label, amount: al.amount, applied };
+  });
+
+  const cryptoShort = sum("cryptoShort");
+  const cryptoTaxable = profile.crypto?.separate
+    ? (cryptoShort >= profile.crypto.threshold ? Math.max(0, cryptoShort) : 0)
+    : 0;
+
+  return {
+    profile, profileId, year, label: taxYearLabel(year, profile), start, end,
+    rows: list,
+    disposals,
+    totals: {
+      proceeds:   sum("proceeds"),
+      realised:   roundMoney(sum("gain") + sum("exempt") + cryptoShort),
+      exempt:     sum("exempt"),
+      cryptoShort,
+      dividends:  sum("dividends"),
+      unrealised: sum("unrealised"),
+    },
+    allowances,
+    taxable: {
+      gains:     buckets.gains,
+      dividends: buckets.dividends,
+      crypto:    roundMoney(cryptoTaxable),
+      total:     roundMoney(buckets.gains + buckets.dividends + cryptoTaxable),
+    },
+  };
+}